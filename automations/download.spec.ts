@@ -1,13 +1,23 @@
 import { test } from "@playwright/test";
 import fs from "node:fs";
 import dotenv from "dotenv";
+import StateManifest from "../src/core/state-manifest";
+import RunJournal from "../src/core/run-journal";
 
 dotenv.config();
 
 const projects = JSON.parse(
-  fs.readFileSync("files.json", { encoding: "utf-8" }),
+  fs.readFileSync(process.env.FILES_JSON || "files.json", { encoding: "utf-8" }),
 );
 
+const incremental = process.env.INCREMENTAL !== "false";
+const manifest = new StateManifest(
+  process.env.STATE_FILE || StateManifest.defaultPath(process.env.DOWNLOAD_PATH!),
+);
+const journal = process.env.JOURNAL_FILE
+  ? new RunJournal(process.env.JOURNAL_FILE)
+  : null;
+
 for (const project of projects) {
   const projectName = project.name || "Drafts";
   const teamId = project.team_id || null;
@@ -15,6 +25,14 @@ for (const project of projects) {
   test.describe(`project: ${projectName} (${project.id})`, () => {
     for (const file of project.files) {
       test(`file: ${file.name} (${file.key})`, async ({ page }) => {
+        if (incremental) {
+          await manifest.load();
+          test.skip(
+            await manifest.isUnchanged(file),
+            "unchanged since last backup",
+          );
+        }
+
         await page.goto(`https://www.figma.com/design/${file.key}/`);
 
         const downloadPromise = page.waitForEvent("download");
@@ -27,9 +45,38 @@ for (const project of projects) {
         const suggestedFilename = download.suggestedFilename();
         const filename = suggestedFilename.match(/.*(?=\.[\w\d]+)/)![0];
         const extension = suggestedFilename.replace(filename + ".", "");
-        await download.saveAs(
-          `${process.env.DOWNLOAD_PATH!}/${teamId ? teamId + "/" : ""}${projectName} (${project.id})/${filename} (${file.key}).${extension}`,
-        );
+        const filePath = `${process.env.DOWNLOAD_PATH!}/${teamId ? teamId + "/" : ""}${projectName} (${project.id})/${filename} (${file.key}).${extension}`;
+        await download.saveAs(filePath);
+
+        // Checkpoint each file as it lands so an interrupted run can resume
+        if (journal) {
+          await journal.record("fig", {
+            key: file.key,
+            name: file.name,
+            project_id: project.id,
+            project_name: projectName,
+            team_id: teamId,
+            team_name: project.team_name || null,
+            editor_type: file.editor_type || null,
+            last_modified: file.last_modified || null,
+            thumbnail_url: file.thumbnail_url || null,
+            thumbnail_path: file.thumbnail_path || null,
+            success: true,
+            path: filePath,
+            size: fs.statSync(filePath).size,
+          });
+        }
+
+        if (incremental) {
+          await manifest.update(file.key, {
+            name: file.name,
+            project_id: project.id,
+            project_name: projectName,
+            team_id: teamId,
+            last_modified: file.last_modified || null,
+            path: filePath,
+          });
+        }
 
         await page.waitForTimeout(Number(process.env.WAIT_TIMEOUT) || 10000);
       });
@@ -6,7 +6,13 @@ import tseslint from "typescript-eslint";
 
 export default defineConfig([
   { files: ["**/*.{js,mjs,cjs,ts}"] },
-  { files: ["**/*.{js,mjs,cjs,ts}"], languageOptions: { globals: globals.browser } },
+  { files: ["**/*.{js,mjs,cjs,ts}"], ignores: ["src/**", "tests/**", "scripts/**", "*.config.js"], languageOptions: { globals: globals.browser } },
   { files: ["**/*.{js,mjs,cjs,ts}"], plugins: { js }, extends: ["js/recommended"] },
   tseslint.configs.recommended,
-]);
\ No newline at end of file
+  // src/、tests/ 與 scripts/ 是 CommonJS 的 Node 程式碼 (crypto 以 require 載入)
+  {
+    files: ["src/**/*.js", "tests/**/*.js", "scripts/**/*.js", "*.config.js"],
+    languageOptions: { sourceType: "commonjs", globals: { ...globals.node, ...globals.jest, crypto: "off" } },
+    rules: { "@typescript-eslint/no-require-imports": "off" },
+  },
+]);
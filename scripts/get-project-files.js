@@ -1,25 +1,22 @@
 /* eslint-disable */
 const fs = require("node:fs");
-const { getFiles } = require("./lib");
+const { enrich, getFiles } = require("./lib");
 
 const projectIds = process.argv.slice(2);
 
 (async () => {
-  const allFiles = [];
-
-  for (const projectId of projectIds) {
-    try {
+  // Requests run in parallel; lib.js limits concurrency and rate
+  const allFiles = await Promise.all(
+    projectIds.map(async (projectId) => {
       const files = await getFiles(projectId);
 
       files.id = projectId;
 
       console.log(files);
 
-      allFiles.push(files);
-    } catch (error) {
-      throw error;
-    }
-  }
+      return files;
+    }),
+  );
 
-  fs.writeFileSync(__dirname + "/../files.json", JSON.stringify(allFiles));
+  fs.writeFileSync(__dirname + "/../files.json", JSON.stringify(await enrich(allFiles)));
 })();
@@ -1,38 +1,30 @@
 /* eslint-disable */
 const fs = require("node:fs");
-const { getFiles, getProjects } = require("./lib");
+const { enrich, getFiles, getProjects } = require("./lib");
 
 const teamIds = process.argv.slice(2);
 
 (async () => {
-  const allFiles = [];
-  const promises = [];
+  // Requests run in parallel; lib.js limits concurrency and rate
+  const teams = await Promise.all(
+    teamIds.map(async (teamId) => {
+      const { name: teamName, projects } = await getProjects(teamId);
 
-  for (const teamId of teamIds) {
-    try {
-      const { projects } = await getProjects(teamId);
+      return Promise.all(
+        projects.map(async (project) => {
+          const projectFilesData = await getFiles(project.id);
 
-      for (const project of projects) {
-        const projectId = project.id;
-        const projectFiles = getFiles(project.id);
+          projectFilesData.id = project.id;
+          projectFilesData.team_id = teamId;
+          projectFilesData.team_name = teamName;
 
-        promises.push(projectFiles);
+          console.log(projectFilesData);
 
-        const projectFilesData = await projectFiles;
+          return projectFilesData;
+        }),
+      );
+    }),
+  );
 
-        projectFilesData.id = projectId;
-        projectFilesData.team_id = teamId;
-
-        console.log(projectFilesData);
-
-        allFiles.push(projectFilesData);
-      }
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  Promise.all(promises).then(() => {
-    fs.writeFileSync(__dirname + "/../files.json", JSON.stringify(allFiles));
-  });
+  fs.writeFileSync(__dirname + "/../files.json", JSON.stringify(await enrich(teams.flat())));
 })();
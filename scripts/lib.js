@@ -1,8 +1,14 @@
 /* eslint-disable */
+const path = require("node:path");
 const dotenv = require("dotenv");
+const { enrichProjects } = require("../src/utils/file-metadata");
+const JobQueue = require("../src/utils/job-queue");
+const RateLimiter = require("../src/utils/rate-limiter");
 
 dotenv.config();
 
+const MAX_RATE_LIMIT_RETRIES = 5;
+
 const params = {
   method: "GET",
   headers: {
@@ -10,12 +16,26 @@ const params = {
   },
 };
 
-async function getProjects(teamId) {
-  try {
-    const response = await fetch(
-      `https://api.figma.com/v1/teams/${teamId}/projects`,
-      params,
-    );
+// Shared by every request so discovery over many projects stays under Figma's rate limit
+const rateLimiter = new RateLimiter({
+  perMinute: Number(process.env.FIGMA_API_RATE_LIMIT) || 120,
+});
+const queue = new JobQueue({
+  concurrency: Number(process.env.FIGMA_API_CONCURRENCY) || 3,
+  rateLimiter,
+});
+
+async function request(url) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await queue.add(() => fetch(url, params));
+
+    // On 429, pause every queued request until Retry-After has passed
+    if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+      const wait = RateLimiter.parseRetryAfter(response.headers.get("retry-after"));
+      rateLimiter.pause(wait);
+      console.warn(`Rate limited, retrying ${url} in ${Math.ceil(wait / 1000)}s`);
+      continue;
+    }
 
     const data = await response.json();
 
@@ -24,29 +44,35 @@ async function getProjects(teamId) {
     }
 
     return data;
-  } catch (error) {
-    throw error;
   }
 }
 
+async function getProjects(teamId) {
+  return request(`https://api.figma.com/v1/teams/${teamId}/projects`);
+}
+
 async function getFiles(projectId) {
-  try {
-    const response = await fetch(
-      `https://api.figma.com/v1/projects/${projectId}/files`,
-      params,
-    );
+  return request(`https://api.figma.com/v1/projects/${projectId}/files?branch_data=true`);
+}
 
-    const data = await response.json();
+async function getFileMeta(fileKey) {
+  const data = await request(`https://api.figma.com/v1/files/${fileKey}/meta`);
+  return data.file || data;
+}
 
-    if (!response.ok) {
-      throw new Error(data.err || data.message);
-    }
+// Adds editor type, project/team names and branches, and downloads thumbnails before their URLs expire
+async function enrich(projects) {
+  const outputDir = process.env.DOWNLOAD_PATH || "./figma-backups";
+  const { projects: enriched } = await enrichProjects(projects, {
+    getFileMeta,
+    thumbnailsDir: path.join(outputDir, "_thumbnails"),
+    logger: console,
+  });
 
-    return data;
-  } catch (error) {
-    throw error;
-  }
+  return enriched;
 }
 
 exports.getProjects = getProjects;
 exports.getFiles = getFiles;
+exports.getFileMeta = getFileMeta;
+exports.enrich = enrich;
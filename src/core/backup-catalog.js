@@ -0,0 +1,299 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+const RetentionManager = require('./retention-manager');
+const BackupEncryptor = require('./backup-encryptor');
+
+const PROJECT_FOLDER_PATTERN = /^(.*) \(([^()]+)\)$/;
+const BACKUP_FILE_PATTERN = /^(.*) \(([^()]+)\)\.(fig|jam|deck|json)$/;
+const SKIPPED_FOLDERS = ['tokens'];
+
+/**
+ * 備份目錄索引 - 從備份資料夾與執行報告中找出每個檔案的所有快照
+ * Backup Catalog - Finds every snapshot of each file from run folders and execution reports
+ */
+class BackupCatalog {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      outputDir: options.outputDir || './figma-backups',
+      reportsDir: options.reportsDir || './reports',
+      encryption: options.encryption || {}
+    };
+    this.logger = logger;
+    this.files = new Map();
+  }
+
+  /**
+   * 依設定建立備份目錄索引
+   * Create a backup catalog from configuration
+   */
+  static fromConfig(config, logger = null) {
+    return new BackupCatalog({
+      outputDir: config.backup.outputDir,
+      encryption: config.encryption
+    }, logger);
+  }
+
+  /**
+   * 取得或建立檔案記錄
+   * Get or create a file entry
+   */
+  getEntry(key) {
+    if (!this.files.has(key)) {
+      this.files.set(key, {
+        key,
+        name: null,
+        project_id: null,
+        project_name: null,
+        team_name: null,
+        editor_type: null,
+        last_modified: null,
+        snapshots: []
+      });
+    }
+
+    return this.files.get(key);
+  }
+
+  /**
+   * 加入一個快照 (同一次執行的多種格式合併為一個快照)
+   * Add a snapshot (several formats from the same run are merged into one snapshot)
+   */
+  addSnapshot(entry, run, file) {
+    let snapshot = entry.snapshots.find(s => s.run === run.name);
+
+    if (!snapshot) {
+      snapshot = {
+        run: run.name,
+        date: run.date.toISOString(),
+        encrypted: null,
+        size: 0,
+        files: []
+      };
+      entry.snapshots.push(snapshot);
+    }
+
+    if (snapshot.files.some(f => f.path === file.path)) {
+      return snapshot;
+    }
+
+    snapshot.files.push(file);
+    snapshot.size += file.size || 0;
+    return snapshot;
+  }
+
+  /**
+   * 遞迴尋找備份資料夾中的檔案
+   * Recursively find backed-up files in a run folder
+   */
+  async scanFolder(run, dir, depth = 0) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+
+      // 略過 blob、版本封存與 Token 等附加資料夾
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+      if (depth === 0 && SKIPPED_FOLDERS.includes(entry.name)) continue;
+
+      if (entry.isDirectory()) {
+        await this.scanFolder(run, entryPath, depth + 1);
+        continue;
+      }
+
+      const fileMatch = entry.name.match(BACKUP_FILE_PATTERN);
+      const projectMatch = path.basename(dir).match(PROJECT_FOLDER_PATTERN);
+      if (!fileMatch || !projectMatch || depth === 0) continue;
+
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (!stats || !stats.isFile()) continue;
+
+      const record = this.getEntry(fileMatch[2]);
+      record.name = record.name || fileMatch[1];
+      record.project_name = record.project_name || projectMatch[1];
+      record.project_id = record.project_id || projectMatch[2];
+
+      this.addSnapshot(record, run, {
+        path: entryPath,
+        relative_path: path.relative(run.path, entryPath),
+        format: fileMatch[3],
+        size: stats.size
+      });
+    }
+  }
+
+  /**
+   * 讀取執行報告以補充檔案資訊與加密備份中的快照
+   * Read execution reports to enrich file metadata and find snapshots inside encrypted runs
+   */
+  async scanReports(runs) {
+    const reportsDir = path.resolve(this.options.reportsDir);
+
+    if (!await fs.pathExists(reportsDir)) {
+      return;
+    }
+
+    const runsByPath = new Map(runs.map(run => [run.path, run]));
+
+    for (const name of (await fs.readdir(reportsDir)).sort()) {
+      if (!/^backup-report-.*\.json$/.test(name)) continue;
+
+      let report;
+      try {
+        report = await fs.readJson(path.join(reportsDir, name));
+      } catch (error) {
+        if (this.logger) this.logger.warn(`無法讀取執行報告: ${name}`, { error: error.message });
+        continue;
+      }
+
+      for (const download of report.downloads || []) {
+        const run = download.output_path && runsByPath.get(path.resolve(download.output_path));
+
+        for (const file of (download.files || []).filter(f => f.success && f.key)) {
+          const entry = this.getEntry(file.key);
+          entry.name = file.name || entry.name;
+          entry.project_id = file.project_id || entry.project_id;
+          entry.project_name = file.project_name || entry.project_name;
+          entry.team_name = file.team_name || entry.team_name;
+          entry.editor_type = file.editor_type || entry.editor_type;
+          entry.last_modified = file.last_modified || entry.last_modified;
+
+          // 明文資料夾已不存在時，檔案只能從加密封存檔還原
+          if (!run || !run.artifact || !file.path || await fs.pathExists(file.path)) continue;
+
+          const snapshot = this.addSnapshot(entry, run, {
+            path: path.resolve(file.path),
+            relative_path: path.relative(run.path, path.resolve(file.path)),
+            format: path.extname(file.path).slice(1),
+            size: file.size || 0
+          });
+          snapshot.encrypted = run.artifact;
+        }
+      }
+    }
+  }
+
+  /**
+   * 建立索引
+   * Build the catalog
+   */
+  async load() {
+    const outputDir = path.resolve(this.options.outputDir);
+    this.files = new Map();
+
+    if (!await fs.pathExists(outputDir)) {
+      return this;
+    }
+
+    const runs = (await new RetentionManager({ outputDir }).listRuns()).map(run => ({
+      name: run.name,
+      path: run.path,
+      date: run.date,
+      folder: run.entries.includes(run.name),
+      artifact: run.entries
+        .filter(entry => entry.endsWith(BackupEncryptor.ARTIFACT_EXTENSION))
+        .map(entry => path.join(outputDir, entry))[0] || null
+    }));
+
+    // 未使用時間戳記資料夾時，輸出目錄本身就是唯一的備份
+    if (runs.length === 0) {
+      const stats = await fs.stat(outputDir);
+      runs.push({ name: 'current', path: outputDir, date: moment(stats.mtime), folder: true, artifact: null });
+    }
+
+    for (const run of runs.filter(r => r.folder)) {
+      await this.scanFolder(run, run.path);
+    }
+
+    await this.scanReports(runs);
+
+    this.files.forEach(entry => entry.snapshots.sort((a, b) => b.date.localeCompare(a.date)));
+
+    return this;
+  }
+
+  /**
+   * 以名稱、key 或專案搜尋檔案
+   * Search files by name, key or project
+   */
+  search(query = '', { project = null } = {}) {
+    const needle = query.toLowerCase();
+    const projectNeedle = project ? String(project).toLowerCase() : null;
+
+    return [...this.files.values()]
+      .filter(entry => entry.snapshots.length > 0)
+      .filter(entry => !needle ||
+        entry.key.toLowerCase() === needle ||
+        (entry.name || '').toLowerCase().includes(needle))
+      .filter(entry => !projectNeedle ||
+        String(entry.project_id).toLowerCase() === projectNeedle ||
+        (entry.project_name || '').toLowerCase().includes(projectNeedle))
+      .sort((a, b) => (a.project_name || '').localeCompare(b.project_name || '') ||
+        (a.name || '').localeCompare(b.name || ''));
+  }
+
+  /**
+   * 解析要還原的快照 (預設為最新一份；指定 run 時為該次或更早備份中最新的一份)
+   * Resolve the snapshot to restore (latest by default; with run, the newest one from that run or earlier)
+   *
+   * 增量備份只下載變更的檔案，未變更的檔案要從較早的備份還原。
+   * Incremental runs only download changed files, so unchanged files are restored from earlier runs.
+   */
+  findSnapshot(entry, run = null) {
+    if (!run) {
+      return entry.snapshots[0] || null;
+    }
+
+    // 時間戳記資料夾名稱依字串排序即為時間順序，snapshots 已由新到舊排序
+    return entry.snapshots.find(s => s.run === run) || entry.snapshots.find(s => s.run < run) || null;
+  }
+
+  /**
+   * 還原檔案快照到目標資料夾
+   * Restore file snapshots into a target folder
+   *
+   * items 為 { entry, snapshot } 陣列；同一份加密備份只會解密一次。
+   * items is an array of { entry, snapshot }; each encrypted run is decrypted only once.
+   */
+  async restore(items, targetDir) {
+    const target = path.resolve(targetDir);
+    const decrypted = new Map();
+    const restored = [];
+
+    try {
+      for (const { entry, snapshot } of items) {
+        let sourceRoot = null;
+
+        if (snapshot.encrypted) {
+          if (!decrypted.has(snapshot.encrypted)) {
+            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-restore-'));
+            const encryptor = new BackupEncryptor(this.options.encryption, this.logger);
+            await encryptor.decryptArtifact(snapshot.encrypted, path.join(tempDir, snapshot.run));
+            decrypted.set(snapshot.encrypted, { tempDir, runPath: path.join(tempDir, snapshot.run) });
+          }
+          sourceRoot = decrypted.get(snapshot.encrypted).runPath;
+        }
+
+        for (const file of snapshot.files) {
+          const source = sourceRoot ? path.join(sourceRoot, file.relative_path) : file.path;
+          const destination = path.join(target, file.relative_path);
+
+          await fs.ensureDir(path.dirname(destination));
+          await fs.copy(source, destination, { dereference: true, overwrite: true });
+          restored.push({ key: entry.key, name: entry.name, run: snapshot.run, path: destination });
+
+          if (this.logger) this.logger.fileOperation('RESTORE', destination, true, { key: entry.key, run: snapshot.run });
+        }
+      }
+    } finally {
+      for (const { tempDir } of decrypted.values()) {
+        await fs.remove(tempDir);
+      }
+    }
+
+    return restored;
+  }
+}
+
+module.exports = BackupCatalog;
@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { pipeline } = require('stream/promises');
+
+const TarExtractor = require('../utils/tar-extract');
+
+const MAGIC = Buffer.from('FBAKENC1');
+const KDF_KEYFILE = 0;
+const KDF_SCRYPT = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const ARTIFACT_EXTENSION = '.tar.gz.enc';
+
+/**
+ * 備份加密器 - 將整個備份資料夾打包並以 AES-256-GCM 加密
+ * Backup Encryptor - Packages a run folder and encrypts it with AES-256-GCM
+ *
+ * 檔案格式: MAGIC(8) | KDF(1) | salt(16) | iv(12) | 密文 | authTag(16)
+ * File format: MAGIC(8) | KDF(1) | salt(16) | iv(12) | ciphertext | authTag(16)
+ */
+class BackupEncryptor {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      keyFile: options.keyFile || '',
+      passphraseEnv: options.passphraseEnv || 'FIGMA_BACKUP_PASSPHRASE',
+      removePlaintext: options.removePlaintext !== false
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * 取得密碼 (優先使用設定，其次為環境變數)
+   * Get passphrase (config first, then environment variable)
+   */
+  getPassphrase() {
+    return this.options.passphrase || process.env[this.options.passphraseEnv] || '';
+  }
+
+  /**
+   * 讀取金鑰檔 (32 位元組原始資料、hex 或 base64)
+   * Read key file (32 raw bytes, hex or base64)
+   */
+  async readKeyFile() {
+    const content = await fs.readFile(path.resolve(this.options.keyFile));
+
+    if (content.length === 32) {
+      return content;
+    }
+
+    const text = content.toString('utf8').trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('金鑰檔必須是 32 位元組 (原始、hex 或 base64 格式)');
+    }
+
+    return key;
+  }
+
+  /**
+   * 依 KDF 類型推導金鑰
+   * Derive key by KDF type
+   */
+  async deriveKey(kdf, salt) {
+    if (kdf === KDF_KEYFILE) {
+      if (!this.options.keyFile) {
+        throw new Error('此封存檔需要金鑰檔 (keyFile)');
+      }
+      return this.readKeyFile();
+    }
+
+    const passphrase = this.getPassphrase();
+    if (!passphrase) {
+      throw new Error(`此封存檔需要密碼，請設定環境變數 ${this.options.passphraseEnv}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase, salt, 32, SCRYPT_OPTIONS, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+  }
+
+  /**
+   * 決定加密使用的 KDF
+   * Choose the KDF used for encryption
+   */
+  getEncryptionKdf() {
+    if (this.options.keyFile) return KDF_KEYFILE;
+    if (this.getPassphrase()) return KDF_SCRYPT;
+    throw new Error(`加密需要 keyFile 或環境變數 ${this.options.passphraseEnv}`);
+  }
+
+  /**
+   * 取得加密封存檔路徑
+   * Get encrypted artifact path
+   */
+  static artifactPath(runPath) {
+    return `${path.resolve(runPath)}${ARTIFACT_EXTENSION}`;
+  }
+
+  /**
+   * 遞迴列出檔案 (跟隨符號連結)
+   * Recursively list files (following symlinks)
+   */
+  async walk(dir) {
+    const files = [];
+
+    for (const entry of await fs.readdir(dir)) {
+      const entryPath = path.join(dir, entry);
+      const stats = await fs.stat(entryPath);
+
+      if (stats.isDirectory()) {
+        files.push(...await this.walk(entryPath));
+      } else if (stats.isFile()) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 打包並加密備份資料夾
+   * Package and encrypt a run folder
+   */
+  async encryptRun(runPath) {
+    const resolvedRun = path.resolve(runPath);
+    const artifactPath = BackupEncryptor.artifactPath(resolvedRun);
+    const tempPath = `${artifactPath}.tmp`;
+
+    const kdf = this.getEncryptionKdf();
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await this.deriveKey(kdf, salt);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+
+    const archive = archiver('tar', { gzip: true });
+    const files = await this.walk(resolvedRun);
+    files.forEach(filePath => {
+      archive.file(filePath, { name: path.relative(resolvedRun, filePath).split(path.sep).join('/') });
+    });
+
+    const output = fs.createWriteStream(tempPath);
+    output.write(Buffer.concat([MAGIC, Buffer.from([kdf]), salt, iv]));
+
+    try {
+      await Promise.all([pipeline(archive, cipher, output), archive.finalize()]);
+      await fs.appendFile(tempPath, cipher.getAuthTag());
+      await fs.move(tempPath, artifactPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw new Error(`加密備份失敗: ${error.message}`);
+    }
+
+    const { size } = await fs.stat(artifactPath);
+
+    if (this.options.removePlaintext) {
+      await fs.remove(resolvedRun);
+    }
+
+    if (this.logger) {
+      this.logger.fileOperation('ENCRYPT', artifactPath, true, { files: files.length, size });
+    }
+
+    return { artifact: artifactPath, files: files.length, size, plaintext_removed: this.options.removePlaintext };
+  }
+
+  /**
+   * 解密並還原備份資料夾
+   * Decrypt and restore a run folder
+   */
+  async decryptArtifact(artifactPath, targetDir = null) {
+    const resolvedArtifact = path.resolve(artifactPath);
+    const { size } = await fs.stat(resolvedArtifact);
+
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+      throw new Error('加密封存檔過小或已損毀');
+    }
+
+    const fd = await fs.open(resolvedArtifact, 'r');
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const tag = Buffer.alloc(TAG_LENGTH);
+
+    try {
+      await fs.read(fd, header, 0, HEADER_LENGTH, 0);
+      await fs.read(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+      await fs.close(fd);
+    }
+
+    if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('不是 figma-backup 加密封存檔');
+    }
+
+    const kdf = header[MAGIC.length];
+    const salt = header.subarray(MAGIC.length + 1, MAGIC.length + 1 + SALT_LENGTH);
+    const iv = header.subarray(MAGIC.length + 1 + SALT_LENGTH, HEADER_LENGTH);
+    const key = await this.deriveKey(kdf, salt);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+
+    const outputDir = path.resolve(targetDir || resolvedArtifact.slice(0, -ARTIFACT_EXTENSION.length));
+    const tempDir = `${outputDir}.partial`;
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+
+    const extractor = new TarExtractor(tempDir);
+
+    try {
+      await pipeline(
+        fs.createReadStream(resolvedArtifact, { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 }),
+        decipher,
+        zlib.createGunzip(),
+        extractor
+      );
+    } catch (error) {
+      await fs.remove(tempDir);
+      // 金鑰錯誤時解密出的資料無法解壓縮，在驗證標籤之前就會失敗
+      const tampered = /auth/i.test(error.message) || String(error.code).startsWith('Z_');
+      const reason = tampered ? '驗證失敗，金鑰錯誤或檔案遭竄改' : error.message;
+      throw new Error(`解密失敗: ${reason}`);
+    }
+
+    await fs.move(tempDir, outputDir, { overwrite: true });
+
+    if (this.logger) {
+      this.logger.fileOperation('DECRYPT', outputDir, true, { files: extractor.files });
+    }
+
+    return { output_dir: outputDir, files: extractor.files };
+  }
+}
+
+BackupEncryptor.ARTIFACT_EXTENSION = ARTIFACT_EXTENSION;
+
+module.exports = BackupEncryptor;
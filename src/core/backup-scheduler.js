@@ -0,0 +1,338 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const ConfigManager = require('./config-manager');
+const FigmaBackupSystem = require('./figma-backup');
+const CronExpression = require('../utils/cron-expression');
+const NotificationService = require('../utils/notification-service');
+const RunLock = require('../utils/run-lock');
+
+// setTimeout 的最大延遲 (約 24.8 天)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * 備份排程器 - 依 cron 表達式定期執行各 profile 或目標的備份
+ * Backup Scheduler - Runs backups of each profile or target on cron schedules
+ *
+ * 同一時間只執行一個備份；啟動時依 catchUp 補執行 daemon 停止期間錯過的排程。
+ * Only one backup runs at a time; on start, runs missed while the daemon was down are handled by catchUp.
+ */
+class BackupScheduler {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      configPath: options.configPath || './backup-config.json',
+      profile: options.profile || null,
+      statusFile: options.statusFile || null,
+      quiet: Boolean(options.quiet)
+    };
+    this.logger = logger;
+    this.jobs = [];
+    this.status = { pid: process.pid, started_at: null, updated_at: null, jobs: {} };
+    this.statusFile = null;
+    this.daemonLock = null;
+    this.notificationService = null;
+    this.timer = null;
+    this.current = null;
+    this.stopped = false;
+  }
+
+  /**
+   * 從配置檔案 (含所有 profile) 建立排程工作
+   * Build scheduled jobs from the config file (including every profile)
+   */
+  async loadJobs() {
+    const configManager = new ConfigManager(this.options.configPath);
+    const baseConfig = await configManager.loadConfig({ validate: false, quiet: true });
+    const profiles = this.options.profile ? [this.options.profile] : configManager.profiles;
+
+    this.statusFile = path.resolve(this.options.statusFile || baseConfig.schedule.statusFile);
+    this.notificationService = new NotificationService(baseConfig.notifications);
+
+    const jobs = [];
+
+    for (const profile of profiles.length > 0 ? profiles : [null]) {
+      const manager = new ConfigManager(this.options.configPath, { profile });
+      const config = await manager.loadConfig({ validate: false, quiet: true });
+      const { schedule } = config;
+      const name = profile || 'default';
+
+      // 有自己排程的目標不包含在 profile 的排程中
+      const ownSchedule = config.backup.targets.filter(target => target && typeof target === 'object' && target.schedule);
+      const remaining = config.backup.targets.filter(target => !ownSchedule.includes(target));
+
+      if (!schedule.cron && ownSchedule.length === 0) continue;
+
+      // 啟動時就驗證配置，避免排程時間到了才失敗
+      const validation = manager.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`${name} 配置驗證失敗: ${validation.errors.join(', ')}`);
+      }
+
+      if (schedule.cron && remaining.length > 0) {
+        jobs.push(this.createJob(name, profile, schedule.cron, schedule, ownSchedule.length > 0 ? remaining : null));
+      }
+
+      ownSchedule.forEach(target => {
+        jobs.push(this.createJob(`${name}:${target.url || target.label}`, profile, target.schedule, schedule, [target]));
+      });
+    }
+
+    if (jobs.length === 0) {
+      throw new Error('配置檔案中沒有任何排程 (schedule.cron 或備份目標的 schedule)');
+    }
+
+    this.jobs = jobs;
+    return jobs;
+  }
+
+  /**
+   * 建立排程工作
+   * Create a scheduled job
+   */
+  createJob(id, profile, cron, schedule, targets) {
+    return {
+      id,
+      profile,
+      targets,
+      cron: new CronExpression(cron),
+      jitter: schedule.jitter || 0,
+      catchUp: schedule.catchUp || 'once',
+      scheduledFor: null,
+      nextRun: null,
+      running: false
+    };
+  }
+
+  /**
+   * 計算下一次執行時間 (加上隨機延遲，避免每次都在整點向 Figma 發出請求)
+   * Plan the next run (with random jitter so requests to Figma do not always start on the minute)
+   */
+  planNext(job, from = new Date()) {
+    job.scheduledFor = job.cron.next(from);
+    job.nextRun = new Date(job.scheduledFor.getTime() + Math.floor(Math.random() * job.jitter * 1000));
+  }
+
+  /**
+   * 處理 daemon 停止期間錯過的排程
+   * Handle runs missed while the daemon was not running
+   */
+  async applyCatchUp(job, now) {
+    const previous = this.status.jobs[job.id];
+    const missed = previous && (previous.running || (previous.next_run && new Date(previous.next_run) < now));
+
+    if (!missed || job.catchUp === 'skip') {
+      if (missed && this.logger) {
+        this.logger.info(`略過錯過的排程: ${job.id}`, { missed: previous.next_run });
+      }
+      this.planNext(job, now);
+      return;
+    }
+
+    job.scheduledFor = now;
+    job.nextRun = new Date(now.getTime() + Math.floor(Math.random() * job.jitter * 1000));
+
+    if (this.logger) {
+      this.logger.info(`補執行錯過的排程: ${job.id}`, { missed: previous.next_run, nextRun: job.nextRun.toISOString() });
+    }
+    await this.notificationService.notify('⏰ 補執行錯過的備份', `${job.id} (原定 ${previous.next_run || '上次中斷'})`, 'info');
+  }
+
+  /**
+   * 讀取狀態檔
+   * Read the status file
+   */
+  async loadStatus() {
+    try {
+      const status = await fs.readJson(this.statusFile);
+      return { ...status, jobs: status.jobs || {} };
+    } catch {
+      return { jobs: {} };
+    }
+  }
+
+  /**
+   * 寫入狀態檔 (記錄每個工作的上次與下次執行時間)
+   * Write the status file (recording each job's last and next run)
+   */
+  async saveStatus() {
+    const jobs = {};
+
+    this.jobs.forEach(job => {
+      // 保留同一個物件，執行中的 runJob 才能繼續寫入結果
+      jobs[job.id] = Object.assign(this.status.jobs[job.id] || {}, {
+        profile: job.profile,
+        cron: job.cron.expression,
+        targets: job.targets ? job.targets.map(target => (typeof target === 'string' ? target : target.url || target.label)) : null,
+        running: job.running,
+        scheduled_for: job.scheduledFor ? job.scheduledFor.toISOString() : null,
+        next_run: job.nextRun ? job.nextRun.toISOString() : null
+      });
+    });
+
+    this.status = { ...this.status, updated_at: new Date().toISOString(), jobs };
+
+    // 先寫入暫存檔再取代，避免讀取到寫到一半的狀態
+    const tempPath = `${this.statusFile}.tmp`;
+    await fs.ensureDir(path.dirname(this.statusFile));
+    await fs.writeJson(tempPath, this.status, { spaces: 2 });
+    await fs.move(tempPath, this.statusFile, { overwrite: true });
+  }
+
+  /**
+   * 判斷備份結果
+   * Classify backup results
+   */
+  classifyResults(results) {
+    if (!results.success) return 'failure';
+
+    const failedFiles = results.downloads.flatMap(d => d.files || []).filter(f => !f.success);
+    return results.downloads.some(d => !d.success) || failedFiles.length > 0 ? 'partial' : 'success';
+  }
+
+  /**
+   * 執行一個排程工作
+   * Run a scheduled job
+   */
+  async runJob(job) {
+    const entry = { ...this.status.jobs[job.id], last_run: new Date().toISOString() };
+    this.status.jobs[job.id] = entry;
+    job.running = true;
+    await this.saveStatus();
+
+    if (this.logger) {
+      this.logger.start(`執行排程備份: ${job.id}`, { scheduledFor: job.scheduledFor.toISOString() });
+    }
+
+    const system = new FigmaBackupSystem({
+      configPath: this.options.configPath,
+      profile: job.profile,
+      targets: job.targets,
+      quiet: this.options.quiet
+    });
+
+    try {
+      const results = await system.run();
+      entry.last_result = this.classifyResults(results);
+      entry.last_error = results.errors.length > 0 ? results.errors.join('; ') : null;
+      entry.last_execution_id = results.execution_id;
+
+      if (this.logger) this.logger.complete(`排程備份完成: ${job.id}`, { result: entry.last_result });
+    } catch (error) {
+      // 其他備份 (例如手動執行) 持有執行鎖時略過這次排程
+      const locked = error.code === 'ELOCKED';
+      entry.last_result = locked ? 'skipped' : 'failure';
+      entry.last_error = error.message;
+      entry.last_execution_id = system.executionId;
+
+      if (locked) {
+        if (this.logger) this.logger.warn(`略過排程備份: ${job.id}`, { error: error.message });
+        await this.notificationService.notify('⏭️ 略過排程備份', `${job.id}: 另一個備份正在執行中`, 'warning');
+      } else if (this.logger) {
+        this.logger.error(`排程備份失敗: ${job.id}`, { error: error.message });
+      }
+    } finally {
+      if (system.logger) system.logger.close();
+
+      job.running = false;
+      entry.last_finished = new Date().toISOString();
+      this.planNext(job);
+      await this.saveStatus();
+    }
+
+    return entry;
+  }
+
+  /**
+   * 啟動排程
+   * Start the scheduler
+   */
+  async start() {
+    await this.loadJobs();
+
+    // 同一個狀態檔只允許一個 daemon
+    this.daemonLock = new RunLock(`${this.statusFile}.lock`, { staleAfter: Infinity }, this.logger);
+    try {
+      await this.daemonLock.acquire({ type: 'daemon' });
+    } catch (error) {
+      if (error.code === 'ELOCKED') {
+        error.message = `另一個 daemon 正在使用狀態檔 ${this.statusFile} (PID ${error.owner ? error.owner.pid : '?'})`;
+      }
+      throw error;
+    }
+
+    const now = new Date();
+    this.status = { ...await this.loadStatus(), pid: process.pid, started_at: now.toISOString() };
+
+    for (const job of this.jobs) {
+      await this.applyCatchUp(job, now);
+    }
+
+    await this.saveStatus();
+    this.scheduleTick();
+
+    return this.jobs;
+  }
+
+  /**
+   * 設定下一次檢查的計時器
+   * Set the timer for the next check
+   */
+  scheduleTick() {
+    if (this.stopped) return;
+
+    const next = Math.min(...this.jobs.map(job => job.nextRun.getTime()));
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMEOUT);
+
+    this.timer = setTimeout(() => {
+      // 工作以外的錯誤 (例如磁碟已滿無法寫入狀態檔) 只記錄，避免未處理的 rejection 結束 daemon
+      this.current = this.tick()
+        .catch(error => {
+          if (this.logger) this.logger.error('排程檢查失敗', { error: error.message });
+        })
+        .finally(() => {
+          this.current = null;
+          this.scheduleTick();
+        });
+    }, delay);
+  }
+
+  /**
+   * 依序執行到期的工作
+   * Run due jobs one after another
+   */
+  async tick() {
+    const due = this.jobs
+      .filter(job => job.nextRun.getTime() <= Date.now())
+      .sort((a, b) => a.nextRun - b.nextRun);
+
+    for (const job of due) {
+      if (this.stopped) break;
+      await this.runJob(job);
+    }
+  }
+
+  /**
+   * 停止排程 (等待執行中的備份完成)
+   * Stop the scheduler (waits for a running backup to finish)
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.current) {
+      await this.current;
+    }
+
+    if (this.statusFile && this.jobs.length > 0) {
+      this.status.stopped_at = new Date().toISOString();
+      await this.saveStatus();
+    }
+
+    if (this.daemonLock) {
+      await this.daemonLock.release();
+    }
+  }
+}
+
+module.exports = BackupScheduler;
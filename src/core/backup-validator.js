@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { hashFile } = require('../utils/checksum');
+
+const MANIFEST_FILENAME = 'manifest.json';
+const RUN_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/;
+const FIG_EXTENSIONS = ['.fig', '.jam', '.deck'];
+const REQUIRED_ENTRIES = ['canvas.fig'];
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_EOCD = 0x06054b50;
+const ZIP64_EOCD_LOCATOR = 0x07064b50;
+const ZIP64_EOCD = 0x06064b50;
+const EOCD_SEARCH_SIZE = 65535 + 22;
+
+/**
+ * 備份驗證器 - 檢查下載檔案的完整性並寫入每次執行的 manifest.json
+ * Backup Validator - Checks downloaded files for integrity and writes a per-run manifest.json
+ */
+class BackupValidator {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      outputDir: options.outputDir || './figma-backups',
+      sizeTolerance: options.sizeTolerance ?? 0.5
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * 讀取檔案的指定區段
+   * Read a range of a file
+   */
+  async readRange(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  /**
+   * 讀取 ZIP 中央目錄中的檔名
+   * Read entry names from a ZIP central directory
+   */
+  async readZipEntries(filePath, size) {
+    const fd = await fs.open(filePath, 'r');
+
+    try {
+      const tailLength = Math.min(size, EOCD_SEARCH_SIZE);
+      const tailStart = size - tailLength;
+      const tail = await this.readRange(fd, tailStart, tailLength);
+
+      let eocd = -1;
+      for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === ZIP_EOCD) {
+          eocd = i;
+          break;
+        }
+      }
+
+      if (eocd === -1) {
+        throw new Error('找不到 ZIP 結尾記錄，檔案可能不完整');
+      }
+
+      let entryCount = tail.readUInt16LE(eocd + 10);
+      let cdSize = tail.readUInt32LE(eocd + 12);
+      let cdOffset = tail.readUInt32LE(eocd + 16);
+
+      // ZIP64 格式
+      if (entryCount === 0xffff || cdOffset === 0xffffffff || cdSize === 0xffffffff) {
+        const locator = eocd - 20;
+        if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_EOCD_LOCATOR) {
+          throw new Error('ZIP64 結尾定位記錄無效');
+        }
+
+        const zip64Offset = Number(tail.readBigUInt64LE(locator + 8));
+        const zip64 = await this.readRange(fd, zip64Offset, 56);
+        if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_EOCD) {
+          throw new Error('ZIP64 結尾記錄無效');
+        }
+
+        entryCount = Number(zip64.readBigUInt64LE(32));
+        cdSize = Number(zip64.readBigUInt64LE(40));
+        cdOffset = Number(zip64.readBigUInt64LE(48));
+      }
+
+      if (cdOffset + cdSize > size) {
+        throw new Error('ZIP 中央目錄超出檔案範圍，檔案可能被截斷');
+      }
+
+      const directory = await this.readRange(fd, cdOffset, cdSize);
+      const entries = [];
+      let offset = 0;
+
+      for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+          throw new Error('ZIP 中央目錄損毀');
+        }
+
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+
+        entries.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+      }
+
+      return entries;
+    } finally {
+      await fs.close(fd);
+    }
+  }
+
+  /**
+   * 驗證 .fig/.jam/.deck 檔案結構
+   * Validate .fig/.jam/.deck file structure
+   */
+  async validateFigArchive(filePath, size, head) {
+    // 舊版 .fig 為未壓縮的 kiwi 二進位格式
+    if (head.toString('latin1', 0, 4) === 'fig-') {
+      return { format: 'kiwi', entries: [] };
+    }
+
+    if (head.length < 4 || head.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+      throw new Error('不是有效的 Figma 封存檔 (非 ZIP 或 kiwi 格式)');
+    }
+
+    const entries = await this.readZipEntries(filePath, size);
+    const missing = REQUIRED_ENTRIES.filter(name => !entries.includes(name));
+
+    if (missing.length > 0) {
+      throw new Error(`封存檔缺少必要項目: ${missing.join(', ')}`);
+    }
+
+    return { format: 'zip', entries };
+  }
+
+  /**
+   * 驗證單一檔案
+   * Validate a single file
+   */
+  async validateFile(filePath, previousSize = null) {
+    const result = { valid: true, errors: [], warnings: [], size: 0, sha256: null };
+
+    try {
+      const stats = await fs.stat(filePath);
+      result.size = stats.size;
+
+      if (stats.size === 0) {
+        throw new Error('檔案大小為 0');
+      }
+
+      const fd = await fs.open(filePath, 'r');
+      let head;
+      try {
+        head = await this.readRange(fd, 0, Math.min(stats.size, 512));
+      } finally {
+        await fs.close(fd);
+      }
+
+      const text = head.toString('utf8').trimStart().toLowerCase();
+      if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.includes('<head>')) {
+        throw new Error('檔案是 HTML 頁面而非 Figma 檔案 (可能是錯誤頁面)');
+      }
+
+      const extension = path.extname(filePath).toLowerCase();
+      if (FIG_EXTENSIONS.includes(extension)) {
+        const archive = await this.validateFigArchive(filePath, stats.size, head);
+        result.format = archive.format;
+        result.entries = archive.entries.length;
+      } else if (extension === '.json') {
+        await fs.readJson(filePath);
+        result.format = 'json';
+      }
+
+      if (previousSize && stats.size < previousSize * (1 - this.options.sizeTolerance)) {
+        result.warnings.push(`檔案大小 ${stats.size} 位元組遠小於上次備份的 ${previousSize} 位元組`);
+      }
+
+      result.sha256 = await hashFile(filePath);
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * 讀取先前執行的 manifest.json 中各檔案的大小
+   * Read file sizes from previous runs' manifest.json
+   */
+  async loadPreviousSizes(outputPath) {
+    const outputDir = path.resolve(this.options.outputDir);
+    const currentRun = path.resolve(outputPath);
+    const candidates = [path.join(currentRun, MANIFEST_FILENAME)];
+
+    if (await fs.pathExists(outputDir)) {
+      const runs = (await fs.readdir(outputDir))
+        .filter(name => RUN_FOLDER_PATTERN.test(name))
+        .map(name => path.join(outputDir, name))
+        .filter(runPath => runPath !== currentRun)
+        .sort()
+        .reverse();
+
+      candidates.push(...runs.map(runPath => path.join(runPath, MANIFEST_FILENAME)));
+    }
+
+    const sizes = {};
+
+    for (const manifestPath of candidates) {
+      if (!await fs.pathExists(manifestPath)) continue;
+
+      try {
+        const manifest = await fs.readJson(manifestPath);
+        (manifest.files || []).forEach(file => {
+          if (file.valid && file.key && !(file.key in sizes)) {
+            sizes[file.key] = file.size;
+          }
+        });
+      } catch (error) {
+        if (this.logger) this.logger.warn(`無法讀取先前的 manifest: ${manifestPath}`, { error: error.message });
+      }
+    }
+
+    return sizes;
+  }
+
+  /**
+   * 驗證本次執行的所有下載並寫入 manifest.json
+   * Validate all downloads of this run and write manifest.json
+   *
+   * 驗證失敗的檔案會在 downloads 中標記為失敗。
+   * Files failing validation are marked as failed in downloads.
+   */
+  async validateRun(downloads, outputPath, meta = {}) {
+    const previousSizes = await this.loadPreviousSizes(outputPath);
+    const entries = [];
+    const invalid = [];
+
+    for (const download of downloads.filter(d => d.success)) {
+      for (const file of (download.files || []).filter(f => f.success && f.path)) {
+        const validation = await this.validateFile(file.path, previousSizes[file.key]);
+
+        file.validation = {
+          valid: validation.valid,
+          errors: validation.errors,
+          warnings: validation.warnings
+        };
+        file.sha256 = validation.sha256;
+
+        entries.push({
+          key: file.key,
+          name: file.name,
+          path: path.relative(outputPath, file.path),
+          size: validation.size,
+          sha256: validation.sha256,
+          format: validation.format || null,
+          valid: validation.valid,
+          errors: validation.errors,
+          warnings: validation.warnings
+        });
+
+        if (!validation.valid) {
+          file.success = false;
+          file.error = `驗證失敗: ${validation.errors.join('; ')}`;
+          invalid.push(file);
+
+          if (this.logger) this.logger.fileOperation('VALIDATE', file.path, false, { errors: validation.errors });
+        } else if (validation.warnings.length > 0 && this.logger) {
+          this.logger.warn(`驗證警告: ${file.name}`, { warnings: validation.warnings });
+        }
+      }
+
+      // 所有檔案都驗證失敗時，整個目標標記為失敗
+      const files = download.files || [];
+      if (files.length > 0 && files.every(f => !f.success)) {
+        download.success = false;
+        download.error = '所有檔案驗證失敗';
+      }
+    }
+
+    const manifestPath = path.join(outputPath, MANIFEST_FILENAME);
+    await fs.ensureDir(outputPath);
+    await fs.writeJson(manifestPath, {
+      ...meta,
+      created_at: new Date().toISOString(),
+      files: entries
+    }, { spaces: 2 });
+
+    return {
+      manifest_path: manifestPath,
+      checked: entries.length,
+      valid: entries.filter(e => e.valid).length,
+      invalid,
+      warnings: entries.filter(e => e.warnings.length > 0).length
+    };
+  }
+
+  /**
+   * 重新驗證已完成的備份資料夾，並比對 manifest.json 中的 SHA-256
+   * Re-verify a finished run folder and compare SHA-256 checksums with its manifest.json
+   */
+  async verifyRun(runPath) {
+    const resolvedRun = path.resolve(runPath);
+    const manifestPath = path.join(resolvedRun, MANIFEST_FILENAME);
+
+    if (!await fs.pathExists(manifestPath)) {
+      throw new Error(`備份資料夾中沒有 ${MANIFEST_FILENAME}: ${resolvedRun}`);
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    const files = [];
+
+    for (const entry of (manifest.files || []).filter(f => f.valid)) {
+      const filePath = path.join(resolvedRun, entry.path);
+      const result = await this.validateFile(filePath);
+
+      if (result.valid && entry.sha256 && result.sha256 !== entry.sha256) {
+        result.valid = false;
+        result.errors.push('SHA-256 與 manifest.json 不符，檔案可能已損毀');
+      }
+
+      files.push({
+        key: entry.key,
+        name: entry.name,
+        path: entry.path,
+        size: result.size,
+        valid: result.valid,
+        errors: result.errors
+      });
+    }
+
+    return {
+      run: resolvedRun,
+      checked: files.length,
+      valid: files.filter(f => f.valid).length,
+      invalid: files.filter(f => !f.valid),
+      files
+    };
+  }
+}
+
+module.exports = BackupValidator;
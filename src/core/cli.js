@@ -0,0 +1,688 @@
+#!/usr/bin/env node
+
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { spawn } = require('child_process');
+const { Command, CommanderError, Option } = require('commander');
+
+require('dotenv').config();
+
+const FigmaBackupSystem = require('./figma-backup');
+const ConfigManager = require('./config-manager');
+const BackupValidator = require('./backup-validator');
+const BackupEncryptor = require('./backup-encryptor');
+const RetentionManager = require('./retention-manager');
+const FigmaApiWrapper = require('../integrations/figma-api-wrapper');
+const { enrichProjects } = require('../utils/file-metadata');
+const { pruneCommand } = require('./prune');
+const { decryptCommand } = require('./decrypt');
+const { listCommand, restoreCommand } = require('./restore');
+const { setupCommand } = require('./setup');
+const { daemonCommand } = require('./daemon');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const TEMPLATE_PATH = path.join(__dirname, '../templates/backup-config.template.json');
+
+/**
+ * 結束代碼
+ * Exit codes
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  PARTIAL: 3
+};
+
+/**
+ * 依下載結果決定結束代碼
+ * Determine the exit code from download results
+ */
+function exitCodeForDownloads(downloads) {
+  const failedFiles = downloads.flatMap(d => d.files || []).filter(f => !f.success);
+
+  if (downloads.length > 0 && downloads.every(d => !d.success)) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  return downloads.some(d => !d.success) || failedFiles.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 依備份結果決定結束代碼 (執行所有 profile 時合併各 profile 的結果)
+ * Determine the exit code from backup results (combining each profile when all profiles ran)
+ */
+function exitCodeForResults(results) {
+  if (!results.profiles) {
+    return exitCodeForDownloads(results.downloads);
+  }
+
+  const codes = results.profiles.map(r => (r.downloads.length === 0 && r.errors.length > 0
+    ? EXIT_CODES.FAILURE
+    : exitCodeForDownloads(r.downloads)));
+
+  if (codes.every(code => code === EXIT_CODES.SUCCESS)) {
+    return EXIT_CODES.SUCCESS;
+  }
+
+  return codes.every(code => code === EXIT_CODES.FAILURE) ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * 讀取 files.json 作為單一備份目標
+ * Read files.json as a single backup target
+ */
+async function loadFilesTarget(filesPath) {
+  const resolved = path.resolve(filesPath);
+
+  if (!await fs.pathExists(resolved)) {
+    throw new Error(`找不到 ${filesPath}，請先執行 figma-backup discover`);
+  }
+
+  return { projects: await fs.readJson(resolved), label: resolved };
+}
+
+/**
+ * 建立備份系統 (套用共用的命令列選項)
+ * Create the backup system with the shared command line options
+ */
+async function createSystem(options, overrides = {}) {
+  return new FigmaBackupSystem({
+    configPath: options.config,
+    profile: options.profile,
+    allProfiles: options.allProfiles,
+    // files.json 流程沿用 .env 的 DOWNLOAD_PATH
+    outputDir: options.output || (options.files ? process.env.DOWNLOAD_PATH : null),
+    mode: options.mode,
+    only: options.only,
+    targets: options.files ? [await loadFilesTarget(options.files)] : null,
+    resume: options.resume,
+    quiet: Boolean(options.json),
+    ...overrides
+  });
+}
+
+/**
+ * 取得最新的執行報告
+ * Get the latest execution report
+ */
+async function findLatestReport(reportsDir = './reports', profile = null) {
+  const resolved = path.resolve(reportsDir);
+
+  if (!await fs.pathExists(resolved)) {
+    return null;
+  }
+
+  // 報告名稱為 backup-report-<時間戳記>[-<profile>].json
+  const pattern = profile
+    ? new RegExp(`^backup-report-[\\d_-]+-${profile}\\.json$`)
+    : /^backup-report-.*\.json$/;
+  const reports = (await fs.readdir(resolved))
+    .filter(name => pattern.test(name))
+    .sort();
+
+  return reports.length > 0 ? path.join(resolved, reports[reports.length - 1]) : null;
+}
+
+/**
+ * 探索團隊、專案或網址中的檔案並寫入 files.json
+ * Discover files in teams, projects or URLs and write files.json
+ */
+async function discoverCommand(urls, options) {
+  const configPath = path.resolve(options.config);
+  const config = await fs.pathExists(configPath)
+    ? await new ConfigManager(configPath, { profile: options.profile }).loadConfig({ validate: false, quiet: true })
+    : null;
+  const token = (config && config.figma.token) || process.env.FIGMA_ACCESS_TOKEN;
+
+  if (!token) {
+    throw new Error('需要 Figma token (配置檔案 figma.token 或環境變數 FIGMA_ACCESS_TOKEN)');
+  }
+
+  const figma = new FigmaApiWrapper({
+    ...(config ? config.figma : {}),
+    token,
+    concurrency: config ? config.advanced.concurrency : undefined,
+    rateLimit: config ? config.advanced.rateLimit : undefined
+  });
+  const targets = urls.length > 0 || options.team || options.project
+    ? urls
+    : ((config && config.backup.targets) || []).map(t => (typeof t === 'string' ? t : t.url)).filter(Boolean);
+
+  if (targets.length === 0 && !options.team && !options.project) {
+    throw new Error('請提供 Figma 網址、--team 或 --project');
+  }
+
+  // 請求會經由 API 佇列限制並行數與速率
+  const resolved = await Promise.all([
+    ...(options.team || []).map(teamId => figma.resolveTeam(teamId)),
+    ...(options.project || []).map(async projectId => [await figma.resolveProject(projectId)]),
+    ...targets.map(url => figma.resolveTarget(url))
+  ]);
+
+  let projects = resolved.flat();
+
+  // 補充編輯器類型、團隊名稱與分支，篩選後再把會過期的縮圖網址下載到備份資料夾
+  if (options.metadata) {
+    const logger = { warn: message => console.warn(chalk.yellow(`⚠️  ${message}`)) };
+    const thumbnailsDir = options.thumbnails
+      ? path.resolve(options.thumbnailsDir || path.join((config && config.backup.outputDir) || './figma-backups', '_thumbnails'))
+      : null;
+
+    ({ projects } = await enrichProjects(projects, { getFileMeta: key => figma.getFileMeta(key), logger }));
+    projects = figma.filterProjects(projects, options.only);
+
+    if (thumbnailsDir) {
+      const { projects: withThumbnails, stats } = await enrichProjects(projects, { thumbnailsDir, logger });
+      projects = withThumbnails;
+
+      if (!options.json) {
+        console.log(chalk.gray(`縮圖: ${thumbnailsDir} (${stats.thumbnails} 個新下載)`));
+      }
+    }
+  } else {
+    projects = figma.filterProjects(projects, options.only);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(projects, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const outputPath = path.resolve(options.output);
+  await fs.writeJson(outputPath, projects, { spaces: 2 });
+
+  projects.forEach(project => {
+    console.log(`${chalk.blue('📁')} ${project.name} ${chalk.gray(`(${project.id})`)}: ${project.files.length} 個檔案`);
+  });
+
+  const fileCount = projects.reduce((sum, p) => sum + p.files.length, 0);
+  console.log(chalk.green(`\n✅ 已寫入 ${outputPath}: ${projects.length} 個專案，${fileCount} 個檔案`));
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 執行備份
+ * Run a backup
+ */
+async function backupCommand(options) {
+  const system = await createSystem(options);
+  const results = await system.run();
+
+  if (options.json) {
+    console.log(JSON.stringify(results.summary, null, 2));
+  }
+
+  return exitCodeForResults(results);
+}
+
+/**
+ * 重新執行上次失敗的下載
+ * Retry failed downloads from the last run
+ */
+async function retryCommand(options) {
+  const reportPath = options.report ? path.resolve(options.report) : await findLatestReport('./reports', options.profile);
+
+  if (!reportPath || !await fs.pathExists(reportPath)) {
+    throw new Error('找不到執行報告，無法重試');
+  }
+
+  const report = await fs.readJson(reportPath);
+  const targets = [];
+  let permanent = 0;
+
+  for (const download of report.downloads || []) {
+    // 無權限或已刪除的檔案重試也不會成功
+    const failed = (download.files || []).filter(f => !f.success);
+    const failedKeys = failed.filter(f => !f.permanent).map(f => f.key);
+    permanent += failed.length - failedKeys.length;
+
+    if (download.success && failedKeys.length === 0) continue;
+
+    // files.json 目標以檔案路徑記錄
+    const target = /^https?:\/\//.test(download.url)
+      ? { url: download.url }
+      : await loadFilesTarget(download.url);
+
+    targets.push(download.success ? { ...target, only: failedKeys } : target);
+  }
+
+  if (permanent > 0 && !options.json) {
+    console.log(chalk.yellow(`⚠️  略過 ${permanent} 個永久失敗的檔案 (無權限或已刪除)`));
+  }
+
+  if (targets.length === 0) {
+    if (options.json) {
+      console.log(JSON.stringify({ retried: 0 }, null, 2));
+    } else {
+      console.log(chalk.green(`✅ ${path.basename(reportPath)} 中沒有失敗的下載`));
+    }
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!options.json) {
+    console.log(chalk.blue(`🔁 重試 ${targets.length} 個目標 (來自 ${path.basename(reportPath)})`));
+  }
+
+  // 沿用產生報告時的 profile
+  const system = await createSystem(options, { targets, profile: options.profile || report.profile });
+  const results = await system.run();
+
+  if (options.json) {
+    console.log(JSON.stringify(results.summary, null, 2));
+  }
+
+  return exitCodeForDownloads(results.downloads);
+}
+
+/**
+ * 列出將被下載的檔案
+ * List files that would be downloaded
+ */
+async function dryRunCommand(options) {
+  const profiles = options.allProfiles
+    ? await new ConfigManager(options.config).listProfiles()
+    : [options.profile || null];
+  const plans = [];
+
+  for (const profile of profiles) {
+    const system = await createSystem(options, { profile, allProfiles: false });
+    await system.initialize();
+    (await system.planDownloads()).forEach(plan => plans.push(profile ? { profile, ...plan } : plan));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(plans, null, 2));
+  } else {
+    plans.forEach(plan => {
+      console.log(chalk.blue(`\n🎯 ${plan.profile ? `[${plan.profile}] ` : ''}${plan.url}`));
+
+      if (!plan.success) {
+        console.log(`   ${chalk.red('錯誤:')} ${plan.error}`);
+        return;
+      }
+
+      plan.projects.forEach(project => {
+        console.log(`   📁 ${project.name || 'Drafts'} ${chalk.gray(`(${project.id})`)}`);
+        project.files.forEach(file => {
+          console.log(`      ${chalk.green('下載')} ${file.name} ${chalk.gray(`(${file.key}, ${plan.mode})`)}`);
+        });
+      });
+
+      plan.skipped.forEach(file => {
+        console.log(`      ${chalk.gray(`略過 ${file.name} (${file.key}, 未變更)`)}`);
+      });
+    });
+
+    const total = plans.filter(p => p.success).reduce((sum, p) => sum + p.projects.reduce((n, pr) => n + pr.files.length, 0), 0);
+    const skipped = plans.filter(p => p.success).reduce((sum, p) => sum + p.skipped.length, 0);
+    console.log(chalk.gray(`\n將下載 ${total} 個檔案，略過 ${skipped} 個未變更檔案`));
+  }
+
+  return plans.every(p => p.success) ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * 驗證已完成的備份
+ * Verify a finished backup
+ */
+async function validateCommand(run, options) {
+  const config = await new ConfigManager(options.config, { profile: options.profile }).loadConfig({ validate: false, quiet: true });
+  const outputDir = path.resolve(options.backupDir || config.backup.outputDir);
+  const runs = await new RetentionManager({ outputDir }).listRuns();
+  const selected = run ? runs.find(r => r.name === run || r.path === path.resolve(run)) : runs[0];
+
+  if (!selected) {
+    throw new Error(run ? `找不到備份: ${run}` : `${outputDir} 中沒有時間戳記備份`);
+  }
+
+  const validator = new BackupValidator({ ...config.advanced.validation, outputDir });
+  let result;
+
+  if (selected.entries.includes(selected.name)) {
+    result = await validator.verifyRun(selected.path);
+  } else {
+    // 只有加密封存檔時先解密到暫存資料夾
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-validate-'));
+    try {
+      const artifact = BackupEncryptor.artifactPath(selected.path);
+      await new BackupEncryptor(config.encryption).decryptArtifact(artifact, path.join(tempDir, selected.name));
+      result = { ...await validator.verifyRun(path.join(tempDir, selected.name)), run: artifact };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(chalk.blue(`\n🔍 驗證 ${result.run}`));
+    result.files.forEach(file => {
+      const status = file.valid ? chalk.green('✅') : chalk.red('❌');
+      console.log(`   ${status} ${file.path}${file.valid ? '' : chalk.red(` - ${file.errors.join('; ')}`)}`);
+    });
+    console.log(`\n通過 ${chalk.green(result.valid)}/${result.checked} 個檔案`);
+  }
+
+  return result.invalid.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * 顯示執行報告
+ * Show an execution report
+ */
+async function reportCommand(file, options) {
+  if (options.html) {
+    // Playwright 的 HTML 報告
+    return new Promise((resolve, reject) => {
+      const child = spawn('npx', ['playwright', 'show-report'], { cwd: PROJECT_ROOT, stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('close', code => resolve(code === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE));
+    });
+  }
+
+  const reportPath = file ? path.resolve(file) : await findLatestReport();
+
+  if (!reportPath || !await fs.pathExists(reportPath)) {
+    throw new Error('找不到執行報告');
+  }
+
+  const report = await fs.readJson(reportPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const system = new FigmaBackupSystem();
+  system.executionId = report.execution_id;
+  system.results = {
+    ...system.results,
+    ...report,
+    summary: { exports: {}, services: {}, ...report.summary }
+  };
+
+  console.log(chalk.gray(reportPath));
+  system.displayResults();
+
+  return report.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * 建立配置檔案
+ * Create a configuration file
+ */
+async function configInitCommand(options) {
+  const configPath = path.resolve(options.config);
+
+  if (await fs.pathExists(configPath) && !options.force) {
+    throw new Error(`${configPath} 已存在 (使用 --force 覆寫)`);
+  }
+
+  await fs.copy(TEMPLATE_PATH, configPath);
+  console.log(chalk.green(`✅ 已建立 ${configPath}，請填入 token 與備份目標`));
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 顯示合併預設值後的配置 (隱藏密鑰)
+ * Show the configuration merged with defaults (secrets masked)
+ */
+async function configShowCommand(options) {
+  const configManager = new ConfigManager(options.config, { profile: options.profile });
+  const config = await configManager.loadConfig({ validate: false, quiet: true });
+
+  if (options.json) {
+    console.log(JSON.stringify(ConfigManager.maskSecrets(config), null, 2));
+  } else {
+    console.log(chalk.gray(configManager.configPath));
+    console.log(JSON.stringify(ConfigManager.maskSecrets(config), null, 2));
+    configManager.displaySummary();
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * 驗證配置檔案
+ * Validate the configuration file
+ */
+async function configValidateCommand(options) {
+  const configPath = path.resolve(options.config);
+
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`找不到配置檔案: ${configPath}`);
+  }
+
+  // 定義了 profiles 而未指定時，驗證每個 profile
+  const profiles = options.profile ? [options.profile] : await new ConfigManager(configPath).listProfiles();
+  const validations = [];
+
+  for (const profile of profiles.length > 0 ? profiles : [null]) {
+    const configManager = new ConfigManager(configPath, { profile });
+    const config = await configManager.loadConfig({ validate: false, quiet: true });
+    validations.push({ profile, ...configManager.validateConfig(config) });
+  }
+
+  const isValid = validations.every(v => v.isValid);
+
+  if (options.json) {
+    const output = validations[0].profile
+      ? { isValid, profiles: validations }
+      : { isValid, errors: validations[0].errors };
+    console.log(JSON.stringify(output, null, 2));
+    return isValid ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  validations.forEach(validation => {
+    const label = validation.profile ? `${configPath} [${validation.profile}]` : configPath;
+
+    if (validation.isValid) {
+      console.log(chalk.green(`✅ ${label} 驗證通過`));
+    } else {
+      console.log(chalk.red(`❌ ${label} 驗證失敗:`));
+      validation.errors.forEach(error => console.log(`   - ${error}`));
+    }
+  });
+
+  return isValid ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+}
+
+/**
+ * 建立命令列程式
+ * Build the command line program
+ */
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('figma-backup')
+    .description('Figma 自動化備份工具')
+    .option('-c, --config <path>', '配置檔案路徑', './backup-config.json')
+    .option('--profile <name>', '套用配置檔案中的 profile')
+    .option('--json', '以 JSON 輸出結果')
+    .showHelpAfterError()
+    .exitOverride();
+
+  // 將動作的回傳值轉為結束代碼
+  const action = handler => async (...args) => {
+    const command = args[args.length - 1];
+    const code = await handler(...args.slice(0, -2), command.optsWithGlobals());
+    process.exitCode = code === false ? EXIT_CODES.FAILURE : (typeof code === 'number' ? code : EXIT_CODES.SUCCESS);
+  };
+
+  program
+    .command('discover')
+    .description('探索團隊、專案或網址中的檔案並寫入 files.json')
+    .argument('[urls...]', 'Figma 網址 (預設為配置檔案中的備份目標)')
+    .option('--team <ids...>', '團隊 ID')
+    .option('--project <ids...>', '專案 ID')
+    .option('-o, --output <file>', 'files.json 輸出路徑', './files.json')
+    .option('--only <filters...>', '只保留符合的檔案 key、專案 ID、編輯器類型或名稱')
+    .option('--no-metadata', '不補充編輯器類型、團隊名稱與分支等中繼資料')
+    .option('--no-thumbnails', '不下載檔案縮圖')
+    .option('--thumbnails-dir <dir>', '縮圖資料夾 (預設為備份資料夾中的 _thumbnails)')
+    .action(action(discoverCommand));
+
+  program
+    .command('backup')
+    .description('執行完整備份流程')
+    .option('-o, --output <dir>', '備份輸出資料夾 (覆寫配置檔案)')
+    .option('--only <filters...>', '只備份符合的檔案 key、專案 ID、編輯器類型或名稱')
+    .option('-m, --mode <mode>', '匯出模式: fig (Playwright)、rest 或 both')
+    .option('-f, --files <path>', '改用 files.json 作為備份目標')
+    .option('--all-profiles', '依序執行配置檔案中的每個 profile')
+    .addOption(new Option('--resume <executionId>', '從中斷的執行繼續，略過已完成的檔案').conflicts('allProfiles'))
+    .action(action(backupCommand));
+
+  program
+    .command('retry')
+    .description('重新執行上次失敗的下載')
+    .option('-r, --report <path>', '執行報告 (預設為最新一份)')
+    .option('-o, --output <dir>', '備份輸出資料夾 (覆寫配置檔案)')
+    .option('--only <filters...>', '只重試符合的檔案 key、專案 ID 或名稱')
+    .option('-m, --mode <mode>', '匯出模式: fig (Playwright)、rest 或 both')
+    .action(action(retryCommand));
+
+  program
+    .command('dry-run')
+    .description('列出將被下載的檔案，不實際下載')
+    .option('-o, --output <dir>', '備份輸出資料夾 (覆寫配置檔案)')
+    .option('--only <filters...>', '只列出符合的檔案 key、專案 ID 或名稱')
+    .option('-m, --mode <mode>', '匯出模式: fig (Playwright)、rest 或 both')
+    .option('-f, --files <path>', '改用 files.json 作為備份目標')
+    .option('--all-profiles', '列出每個 profile 將被下載的檔案')
+    .action(action(dryRunCommand));
+
+  program
+    .command('validate')
+    .description('重新驗證已完成的備份 (預設為最新一份)')
+    .argument('[run]', '備份時間戳記或資料夾路徑')
+    .option('-b, --backup-dir <dir>', '備份資料夾 (覆寫配置檔案)')
+    .action(action(validateCommand));
+
+  program
+    .command('report')
+    .description('顯示執行報告 (預設為最新一份)')
+    .argument('[file]', '執行報告路徑')
+    .option('--html', '開啟 Playwright HTML 報告')
+    .action(action(reportCommand));
+
+  program
+    .command('list')
+    .description('列出備份檔案及其所有快照')
+    .argument('[query]', '以名稱或 key 搜尋', '')
+    .option('-p, --project <name>', '只列出指定專案 (名稱或 ID)')
+    .option('-b, --backup-dir <dir>', '備份資料夾 (覆寫配置檔案)')
+    .action(action(listCommand));
+
+  program
+    .command('restore')
+    .description('將檔案或專案的快照複製到目標資料夾')
+    .argument('<query>', '檔案 key 或名稱 (搭配 --project 時為專案名稱或 ID)')
+    .option('-o, --output <dir>', '還原目標資料夾', './restored')
+    .option('-r, --run <timestamp>', '要還原的備份 (預設為最新一份)')
+    .option('-p, --project', '還原整個專案')
+    .option('-b, --backup-dir <dir>', '備份資料夾 (覆寫配置檔案)')
+    .action(action(restoreCommand));
+
+  program
+    .command('prune')
+    .description('依保留策略清理舊的備份')
+    .option('--dry-run', '只顯示將被刪除的備份')
+    .option('-b, --backup-dir <dir>', '備份資料夾 (覆寫配置檔案)')
+    .action(action(pruneCommand));
+
+  program
+    .command('decrypt')
+    .description('解密加密的備份封存檔並還原原始資料夾')
+    .argument('<artifact>', '加密封存檔路徑 (*.tar.gz.enc)')
+    .option('-o, --output <dir>', '還原目標資料夾 (預設為封存檔同名資料夾)')
+    .option('-k, --key-file <path>', '金鑰檔路徑 (覆寫配置檔案)')
+    .action(action(decryptCommand));
+
+  program
+    .command('daemon')
+    .description('以 daemon 模式依 cron 排程執行備份')
+    .option('--status', '顯示排程狀態 (上次與下次執行時間)')
+    .option('--status-file <path>', '排程狀態檔 (覆寫配置檔案)')
+    .action(action(daemonCommand));
+
+  program
+    .command('setup')
+    .description('互動式設定精靈 (搭配 --yes 以命令列選項非互動執行)')
+    .option('-y, --yes', '非互動模式，只使用命令列選項')
+    .option('--force', '覆寫已存在的配置檔案')
+    .option('--token-file <path>', 'Figma 個人存取 token 檔案 (預設讀取環境變數 FIGMA_ACCESS_TOKEN)')
+    .option('--no-verify', '不以 Figma API 驗證 token')
+    .option('--team <ids...>', '備份整個團隊')
+    .option('--project <ids...>', '備份指定專案')
+    .option('--target <urls...>', '備份指定 Figma 網址')
+    .option('-o, --output <dir>', '備份輸出資料夾')
+    .option('-m, --mode <mode>', '匯出模式: fig (Playwright)、rest 或 both')
+    .option('--timestamp-folder', '每次備份建立時間戳記資料夾')
+    .option('--no-timestamp-folder', '直接備份到輸出資料夾')
+    .option('--email <email>', 'Figma 登入 email (.fig 下載)')
+    .option('--password-file <path>', 'Figma 登入密碼檔案 (.fig 下載，預設讀取環境變數 FIGMA_PASSWORD)')
+    .option('--dropbox', '啟用 Dropbox (token 讀取環境變數 DROPBOX_TOKEN)')
+    .option('--dropbox-token-file <path>', '啟用 Dropbox 並從檔案讀取 token')
+    .option('--dropbox-folder <path>', 'Dropbox 資料夾')
+    .option('--notion-token-file <path>', 'Notion token 檔案 (預設讀取環境變數 NOTION_TOKEN)')
+    .option('--notion-database <id>', '啟用 Notion 並設定資料庫 ID')
+    .option('--obsidian-vault <path>', '啟用 Obsidian 並設定知識庫路徑')
+    .action(action(setupCommand));
+
+  const config = program
+    .command('config')
+    .description('管理配置檔案');
+
+  config
+    .command('init')
+    .description('從範本建立配置檔案')
+    .option('--force', '覆寫已存在的配置檔案')
+    .action(action(configInitCommand));
+
+  config
+    .command('show')
+    .description('顯示合併預設值後的配置 (隱藏密鑰)')
+    .action(action(configShowCommand));
+
+  config
+    .command('validate')
+    .description('驗證配置檔案')
+    .action(action(configValidateCommand));
+
+  // 子命令也使用相同的錯誤處理
+  program.commands.concat(config.commands).forEach(command => command.exitOverride());
+
+  return program;
+}
+
+// 主執行函數
+async function main(argv = process.argv) {
+  const program = createProgram();
+
+  try {
+    await program.parseAsync(argv);
+  } catch (error) {
+    if (error instanceof CommanderError) {
+      // --help 與 --version 正常結束，其餘為用法錯誤
+      process.exitCode = error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+      return;
+    }
+
+    console.error(chalk.red('\n❌ 執行失敗:'), error.message);
+    process.exitCode = EXIT_CODES.FAILURE;
+  }
+}
+
+// 如果直接執行此檔案
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, createProgram, EXIT_CODES };
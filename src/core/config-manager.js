@@ -1,23 +1,164 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const dotenv = require('dotenv');
+const Ajv = require('ajv');
+
+const CronExpression = require('../utils/cron-expression');
+
+const CONFIG_SCHEMA = require('../templates/backup-config.schema.json');
+
+const SECRET_KEYS = ['token', 'password', 'passphrase', 'secret', 'apiKey', 'webhook'];
+// 只標示 token 類型的公開前綴 (Figma、Dropbox、Notion)，隱藏時可保留
+const SECRET_PREFIXES = ['figd_', 'sl.', 'secret_', 'ntn_'];
+const ENV_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const FILE_SUFFIX = '_file';
+const CONFIG_VERSION = 2;
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 舊版的 snake_case 鍵名與其對應的 camelCase 鍵名
+ * Legacy snake_case keys and their camelCase replacements
+ */
+const LEGACY_ALIASES = {
+  backup: { output_dir: 'outputDir', create_timestamp_folder: 'createTimestampFolder' },
+  dropbox: { app_folder: 'appFolder' },
+  notion: { database_id: 'databaseId' },
+  obsidian: { vault_path: 'vaultPath' }
+};
+
+/**
+ * 配置檔案遷移，以遷移前的版本為鍵
+ * Config file migrations, keyed by the version they migrate from
+ */
+const MIGRATIONS = {
+  // v1 → v2: 只保留 camelCase 鍵名 (舊版同時使用 outputDir 與 output_dir 時以後者為準)
+  1: config => {
+    Object.entries(LEGACY_ALIASES).forEach(([section, aliases]) => {
+      if (!isPlainObject(config[section])) return;
+
+      Object.entries(aliases).forEach(([legacy, canonical]) => {
+        if (!(legacy in config[section])) return;
+        config[section][canonical] = config[section][legacy];
+        delete config[section][legacy];
+      });
+    });
+    return config;
+  }
+};
+
+const validateSchema = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true }).compile(CONFIG_SCHEMA);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 找出與打錯的鍵名最接近的有效鍵名
+ * Find the valid key closest to a mistyped one
+ */
+function suggestKey(key, candidates) {
+  const normalize = k => k.toLowerCase().replace(/[_-]/g, '');
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  return candidates
+    .map(candidate => ({ candidate, score: distance(normalize(key), normalize(candidate)) }))
+    .filter(({ score }) => score <= 2)
+    .sort((a, b) => a.score - b.score)
+    .map(({ candidate }) => candidate)[0] || null;
+}
+
+/**
+ * 將 JSON Schema 驗證錯誤轉為含設定路徑的訊息
+ * Turn a JSON Schema validation error into a message with the setting path
+ */
+function formatSchemaError(error) {
+  const location = error.instancePath.split('/').slice(1)
+    .reduce((keyPath, segment) => (/^\d+$/.test(segment) ? `${keyPath}[${segment}]` : keyPath ? `${keyPath}.${segment}` : segment), '');
+  const { params } = error;
+
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const keyPath = location ? `${location}.${params.additionalProperty}` : params.additionalProperty;
+      const suggestion = suggestKey(params.additionalProperty, Object.keys(error.parentSchema.properties || {}));
+      return `${keyPath}: 未知的設定${suggestion ? ` (是否為 ${suggestion}?)` : ''}`;
+    }
+    case 'enum':
+      return `${location}: 必須是 ${params.allowedValues.join(', ')} 其中之一`;
+    case 'type':
+      return `${location}: 必須是 ${[].concat(params.type).join(' 或 ')}`;
+    case 'minimum':
+    case 'maximum':
+    case 'exclusiveMinimum':
+      return `${location}: 必須 ${params.comparison} ${params.limit}`;
+    case 'minLength':
+      return `${location}: 不可為空`;
+    case 'uniqueItems':
+      return `${location}: 不可有重複的值`;
+    default:
+      return `${location || '(root)'}: ${error.message}`;
+  }
+}
+
+/**
+ * 配置值為空時使用的環境變數 (與 Playwright 流程的 .env 相同)
+ * Environment variables used when a configuration value is empty (same as the Playwright flow's .env)
+ */
+const ENV_FALLBACKS = {
+  'figma.token': 'FIGMA_ACCESS_TOKEN',
+  'figma.email': 'FIGMA_EMAIL',
+  'figma.password': 'FIGMA_PASSWORD',
+  'dropbox.token': 'DROPBOX_TOKEN',
+  's3.accessKeyId': 'AWS_ACCESS_KEY_ID',
+  's3.secretAccessKey': 'AWS_SECRET_ACCESS_KEY',
+  's3.sessionToken': 'AWS_SESSION_TOKEN',
+  'notion.token': 'NOTION_TOKEN'
+};
 
 /**
  * 配置管理器 - 處理配置檔案的載入、驗證、預設值設定
  * Configuration Manager - Handles config file loading, validation, and default settings
  */
 class ConfigManager {
-  constructor(configPath = './backup-config.json') {
+  /**
+   * options.profile 指定要套用的 profile
+   * options.profile selects the profile to apply
+   */
+  constructor(configPath = './backup-config.json', options = {}) {
     this.configPath = path.resolve(configPath);
+    this.localConfigPath = this.configPath.replace(/(\.json)?$/, '.local.json');
+    this.profile = options.profile || null;
+    this.profiles = [];
     this.config = null;
+    this.secretSources = {};
     this.defaultConfig = this.getDefaultConfig();
   }
 
   /**
    * 載入配置檔案
    * Load configuration file
+   *
+   * 依序疊加: 預設值 → backup-config.json → backup-config.local.json → profiles.<profile>
+   * Layers, in order: defaults → backup-config.json → backup-config.local.json → profiles.<profile>
+   *
+   * options.validate 為 false 時不驗證 (由呼叫端套用覆寫後再驗證)，options.quiet 時不輸出訊息。
+   * With options.validate false, validation is left to the caller (after applying overrides); options.quiet suppresses output.
    */
-  async loadConfig() {
+  async loadConfig(options = {}) {
+    const { validate = true, quiet = false } = options;
+
     try {
       // 檢查配置檔案是否存在
       if (!await fs.pathExists(this.configPath)) {
@@ -26,31 +167,311 @@ class ConfigManager {
         return this.defaultConfig;
       }
 
-      // 讀取配置檔案
-      const configData = await fs.readJson(this.configPath);
-      
-      // 合併預設配置與使用者配置
-      this.config = this.mergeConfigs(this.defaultConfig, configData);
-      
+      // 讀取配置檔案與本機覆寫檔
+      const { profiles = {}, ...userConfig } = await this.readLayers(quiet);
+      this.profiles = this.checkProfiles(profiles);
+
+      // 載入配置檔案旁的 .env (不覆寫既有的環境變數)
+      dotenv.config({ path: path.join(path.dirname(this.configPath), '.env') });
+
+      // 合併預設配置、使用者配置與 profile，再解析密鑰
+      const configData = this.profile ? this.mergeConfigs(userConfig, this.getProfile(profiles)) : userConfig;
+      this.config = await this.resolveSecrets(this.mergeConfigs(this.defaultConfig, configData));
+
       // 驗證配置
-      const validation = this.validateConfig(this.config);
-      if (!validation.isValid) {
-        throw new Error(`配置驗證失敗: ${validation.errors.join(', ')}`);
+      if (validate) {
+        this.assertValid(this.config);
       }
 
-      console.log(chalk.green('✅ 配置檔案載入成功'));
+      if (!quiet) {
+        console.log(chalk.green('✅ 配置檔案載入成功'));
+      }
       return this.config;
     } catch (error) {
       throw new Error(`載入配置檔案失敗: ${error.message}`);
     }
   }
 
+  /**
+   * 讀取配置檔案並疊加本機覆寫檔 (兩者皆會遷移舊版格式)
+   * Read the config file and overlay the local override file (both are migrated from old versions)
+   */
+  async readLayers(quiet = false) {
+    let userConfig = await this.migrateConfigFile(this.configPath, await fs.readJson(this.configPath), quiet);
+
+    if (await fs.pathExists(this.localConfigPath)) {
+      const localConfig = await this.migrateConfigFile(this.localConfigPath, await fs.readJson(this.localConfigPath), quiet);
+      userConfig = this.mergeConfigs(userConfig, localConfig);
+    }
+
+    return userConfig;
+  }
+
+  /**
+   * 列出配置檔案中的 profile
+   * List profiles defined in the config files
+   */
+  async listProfiles() {
+    const { profiles = {} } = await this.readLayers(true);
+    return this.checkProfiles(profiles);
+  }
+
+  /**
+   * 檢查 profile 名稱並回傳名稱清單
+   * Check profile names and return the list of names
+   */
+  checkProfiles(profiles) {
+    if (!isPlainObject(profiles)) {
+      throw new Error('profiles 必須是物件');
+    }
+
+    const names = Object.keys(profiles);
+    const invalid = names.filter(name => !PROFILE_NAME_PATTERN.test(name));
+    if (invalid.length > 0) {
+      throw new Error(`profile 名稱只能包含英數字、- 與 _: ${invalid.join(', ')}`);
+    }
+
+    return names;
+  }
+
+  /**
+   * 取得目前 profile 的覆寫設定
+   * Get the overlay for the current profile
+   */
+  getProfile(profiles) {
+    const overlay = profiles[this.profile];
+
+    if (!isPlainObject(overlay)) {
+      const available = Object.keys(profiles);
+      throw new Error(`找不到 profile "${this.profile}"${available.length > 0 ? ` (可用: ${available.join(', ')})` : ' (配置檔案中沒有定義 profiles)'}`);
+    }
+
+    const forbidden = ['profiles', 'configVersion', '$schema'].filter(key => key in overlay);
+    if (forbidden.length > 0) {
+      throw new Error(`profiles.${this.profile} 中不可設定 ${forbidden.join(', ')}`);
+    }
+
+    return overlay;
+  }
+
+  /**
+   * 將使用者配置遷移到目前版本
+   * Migrate a user configuration to the current version
+   */
+  migrate(userConfig) {
+    const from = userConfig.configVersion || 1;
+
+    if (!Number.isInteger(from) || from > CONFIG_VERSION) {
+      throw new Error(`不支援的配置版本 ${from} (此版本支援到 ${CONFIG_VERSION})，請更新 figma-backup`);
+    }
+
+    let config = JSON.parse(JSON.stringify(userConfig));
+    for (let version = from; version < CONFIG_VERSION; version++) {
+      config = MIGRATIONS[version](config);
+    }
+
+    // configVersion 放在 $schema 之後的第一個欄位
+    const { $schema } = config;
+    delete config.$schema;
+    delete config.configVersion;
+
+    return {
+      from,
+      config: { ...($schema ? { $schema } : {}), configVersion: CONFIG_VERSION, ...config }
+    };
+  }
+
+  /**
+   * 遷移舊版配置檔案，並將原檔案保留為 .v<版本>.bak
+   * Migrate an old config file, keeping the original as .v<version>.bak
+   */
+  async migrateConfigFile(filePath, userConfig, quiet = false) {
+    const { from, config } = this.migrate(userConfig);
+
+    if (from === CONFIG_VERSION) {
+      return config;
+    }
+
+    const backupPath = `${filePath}.v${from}.bak`;
+    try {
+      await fs.copy(filePath, backupPath);
+      await fs.writeJson(filePath, config, { spaces: 2 });
+      if (!quiet) {
+        console.log(chalk.blue(`🔄 ${path.basename(filePath)} 已從版本 ${from} 遷移到 ${CONFIG_VERSION}，原檔案保留為 ${path.basename(backupPath)}`));
+      }
+    } catch (error) {
+      // 唯讀的配置檔案 (例如容器掛載) 只在記憶體中遷移
+      if (!quiet) {
+        console.log(chalk.yellow(`⚠️  無法寫入遷移後的配置檔案: ${error.message}`));
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * 解析配置中的密鑰：${VAR} 插值、*_file 檔案與環境變數備援
+   * Resolve secrets in a configuration: ${VAR} interpolation, *_file indirection and environment fallbacks
+   */
+  async resolveSecrets(config) {
+    this.secretSources = {};
+    const resolved = await this.resolveValue(config, []);
+
+    Object.entries(ENV_FALLBACKS).forEach(([keyPath, envName]) => {
+      const [section, key] = keyPath.split('.');
+      if (!resolved[section] || resolved[section][key] || !process.env[envName]) return;
+
+      resolved[section][key] = process.env[envName];
+      this.secretSources[keyPath] = { type: 'fallback', ref: envName, raw: '', value: process.env[envName] };
+    });
+
+    return resolved;
+  }
+
+  /**
+   * 遞迴解析配置值
+   * Recursively resolve a configuration value
+   */
+  async resolveValue(value, keys) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map((item, index) => this.resolveValue(item, [...keys, index])));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return typeof value === 'string' ? this.interpolate(value, keys.join('.')) : value;
+    }
+
+    const resolved = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      if (key.endsWith(FILE_SUFFIX) && typeof item === 'string') {
+        if (!item) continue;
+
+        // token_file 等欄位從檔案讀取密鑰 (Docker / Kubernetes secrets)
+        const target = key.slice(0, -FILE_SUFFIX.length);
+        const filePath = path.resolve(path.dirname(this.configPath), this.interpolate(item, null));
+        let secret;
+        try {
+          secret = (await fs.readFile(filePath, 'utf8')).trim();
+        } catch (error) {
+          throw new Error(`無法讀取密鑰檔案 ${[...keys, key].join('.')}: ${error.message}`);
+        }
+
+        resolved[target] = secret;
+        this.secretSources[[...keys, target].join('.')] = { type: 'file', ref: filePath, raw: item, value: secret };
+        continue;
+      }
+
+      // *_file 優先於同名欄位
+      if (value[`${key}${FILE_SUFFIX}`]) continue;
+
+      resolved[key] = await this.resolveValue(item, [...keys, key]);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 以環境變數取代字串中的 ${VAR} 與 ${VAR:-預設值}
+   * Replace ${VAR} and ${VAR:-default} in a string with environment variables
+   */
+  interpolate(value, keyPath) {
+    const refs = [];
+    const result = value.replace(ENV_PATTERN, (match, name, fallback) => {
+      refs.push(name);
+      return process.env[name] || fallback || '';
+    });
+
+    if (keyPath && refs.length > 0) {
+      this.secretSources[keyPath] = { type: 'env', ref: refs.join(', '), raw: value, value: result };
+    }
+
+    return result;
+  }
+
+  /**
+   * 還原密鑰參照，避免解析後的密鑰以明文寫回配置檔案
+   * Restore secret references so resolved secrets are never written back to the config file in plaintext
+   */
+  toStorable(config) {
+    const storable = JSON.parse(JSON.stringify(config));
+    const parentOf = keyPath => {
+      const keys = keyPath.split('.');
+      const key = keys.pop();
+      return [keys.reduce((obj, k) => (obj && typeof obj === 'object' ? obj[k] : undefined), storable), key];
+    };
+
+    Object.entries(this.secretSources).forEach(([keyPath, source]) => {
+      const [parent, key] = parentOf(keyPath);
+      // 呼叫端已修改的值維持不變
+      if (!parent || parent[key] !== source.value) return;
+
+      if (source.type === 'file') {
+        delete parent[key];
+        parent[`${key}${FILE_SUFFIX}`] = source.raw;
+      } else {
+        parent[key] = source.raw;
+      }
+    });
+
+    // 與環境變數相同的明文值改寫為參照
+    Object.entries(ENV_FALLBACKS).forEach(([keyPath, envName]) => {
+      const [parent, key] = parentOf(keyPath);
+      if (parent && parent[key] && parent[key] === process.env[envName]) {
+        parent[key] = `\${${envName}}`;
+      }
+    });
+
+    return storable;
+  }
+
+  /**
+   * 列出配置中的密鑰 (已隱藏) 與其來源
+   * List secrets in the configuration (masked) and where each one came from
+   */
+  describeSecrets(config = this.config) {
+    const paths = new Set(Object.keys(ENV_FALLBACKS));
+    const collect = (value, keys) => {
+      if (!value || typeof value !== 'object') return;
+      Object.entries(value).forEach(([key, item]) => {
+        const keyPath = [...keys, key].join('.');
+        if (typeof item === 'string' && ConfigManager.isSecretKey(key)) paths.add(keyPath);
+        collect(item, [...keys, key]);
+      });
+    };
+    collect(config, []);
+
+    return [...paths].map(keyPath => {
+      const value = keyPath.split('.').reduce((obj, k) => (obj && typeof obj === 'object' ? obj[k] : undefined), config) || '';
+      const source = this.secretSources[keyPath];
+
+      return {
+        path: keyPath,
+        value: value ? ConfigManager.maskSecret(value) : '',
+        source: !value ? 'unset' : source ? source.type : 'plaintext',
+        ref: value && source ? source.ref : null
+      };
+    });
+  }
+
+  /**
+   * 驗證配置，失敗時拋出錯誤
+   * Validate configuration, throwing on failure
+   */
+  assertValid(config) {
+    const validation = this.validateConfig(config);
+    if (!validation.isValid) {
+      throw new Error(`配置驗證失敗: ${validation.errors.join(', ')}`);
+    }
+  }
+
   /**
    * 取得預設配置
    * Get default configuration
    */
   getDefaultConfig() {
     return {
+      configVersion: CONFIG_VERSION,
       figma: {
         token: "",
         email: "",
@@ -62,28 +483,100 @@ class ConfigManager {
         outputDir: "./figma-backups",
         createTimestampFolder: true,
         autoOpenFolder: true,
-        output_dir: "./figma-backups",
-        create_timestamp_folder: true
+        incremental: true,
+        exportMode: "fig",
+        rest: {
+          formats: ["png"],
+          scale: 1
+        },
+        versionHistory: {
+          enabled: true,
+          exportNamedVersions: false
+        },
+        comments: {
+          enabled: true,
+          markdown: true
+        },
+        tokens: {
+          enabled: false,
+          files: []
+        },
+        storage: {
+          layout: "plain",
+          link: "hardlink"
+        }
       },
       dropbox: {
         token: "",
-        app_folder: "/figma-backups",
+        appFolder: "/figma-backups",
+        enabled: false
+      },
+      s3: {
+        endpoint: "",
+        region: "us-east-1",
+        bucket: "",
+        prefix: "figma-backups/",
+        accessKeyId: "",
+        secretAccessKey: "",
+        storageClass: "",
+        serverSideEncryption: "",
+        partSize: 16,
+        enabled: false
+      },
+      git: {
+        repoPath: "./figma-history",
+        branch: "main",
+        remote: "",
+        lfsPatterns: ["*.fig"],
         enabled: false
       },
       notion: {
         token: "",
-        database_id: "",
+        databaseId: "",
+        runsDatabaseId: "",
+        parentPageId: "",
         enabled: false
       },
       obsidian: {
-        vault_path: "",
+        vaultPath: "",
+        folder: "Figma",
+        downloadThumbnails: true,
         enabled: false
       },
+      schedule: {
+        cron: "",
+        jitter: 0,
+        catchUp: "once",
+        statusFile: "./daemon-status.json"
+      },
+      retention: {
+        enabled: false,
+        keepLast: 7,
+        daily: 14,
+        weekly: 8,
+        monthly: 12,
+        pruneReports: true,
+        pruneRemote: true
+      },
+      encryption: {
+        enabled: false,
+        keyFile: "",
+        passphraseEnv: "FIGMA_BACKUP_PASSPHRASE",
+        removePlaintext: true
+      },
       advanced: {
         concurrency: 3,
         retryAttempts: 3,
         timeout: 30000,
         validateBackup: true,
+        lockFile: "./.figma-backup.lock",
+        rateLimit: {
+          api: 120,
+          downloads: 6
+        },
+        validation: {
+          sizeTolerance: 0.5
+        },
         logLevel: "info"
       },
       notifications: {
@@ -103,27 +596,33 @@ class ConfigManager {
     try {
       await fs.writeJson(this.configPath, this.defaultConfig, { spaces: 2 });
       console.log(chalk.blue('📄 已建立預設配置檔案:'), this.configPath);
-      console.log(chalk.yellow('⚠️  請編輯配置檔案中的必要設定後重新執行'));
+      console.log(chalk.yellow('⚠️  請執行 npm run setup 或編輯配置檔案中的必要設定後重新執行'));
     } catch (error) {
       throw new Error(`建立預設配置檔案失敗: ${error.message}`);
     }
   }
 
   /**
-   * 合併配置
-   * Merge configurations
+   * 深層合併配置 (陣列整個取代)
+   * Deep-merge configurations (arrays are replaced as a whole)
    */
   mergeConfigs(defaultConfig, userConfig) {
     const merged = JSON.parse(JSON.stringify(defaultConfig));
-    
+
     for (const key in userConfig) {
-      if (typeof userConfig[key] === 'object' && !Array.isArray(userConfig[key])) {
-        merged[key] = { ...merged[key], ...userConfig[key] };
-      } else {
-        merged[key] = userConfig[key];
+      const value = userConfig[key];
+
+      // 上層的 token 與 token_file 會取代下層的另一種寫法
+      const counterpart = key.endsWith(FILE_SUFFIX) ? key.slice(0, -FILE_SUFFIX.length) : `${key}${FILE_SUFFIX}`;
+      if (!(counterpart in userConfig)) {
+        delete merged[counterpart];
       }
+
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+        ? this.mergeConfigs(merged[key], value)
+        : JSON.parse(JSON.stringify(value ?? null));
     }
-    
+
     return merged;
   }
 
@@ -132,33 +631,60 @@ class ConfigManager {
    * Validate configuration
    */
   validateConfig(config) {
-    const errors = [];
+    // 結構、型別與數值範圍由 JSON Schema 驗證
+    const errors = validateSchema(config) ? [] : validateSchema.errors.map(formatSchemaError);
 
     // 驗證 Figma 配置
-    if (!config.figma.token) {
-      errors.push('Figma token 為必填項目');
+    if (!config.figma || !config.figma.token) {
+      errors.push('Figma token 為必填項目 (可設定環境變數 FIGMA_ACCESS_TOKEN)');
     }
 
     // 驗證備份目標
-    if (!config.backup.targets || config.backup.targets.length === 0) {
+    if (!config.backup || !config.backup.targets || config.backup.targets.length === 0) {
       errors.push('至少需要一個備份目標');
     }
 
-    // 驗證輸出目錄
-    if (!config.backup.outputDir && !config.backup.output_dir) {
-      errors.push('輸出目錄為必填項目');
+    const backup = config.backup || {};
+
+    // 驗證排程
+    const schedules = [{ path: 'schedule.cron', cron: config.schedule && config.schedule.cron }]
+      .concat((backup.targets || []).map((target, index) => ({ path: `backup.targets[${index}].schedule`, cron: target && target.schedule })));
+    schedules.filter(s => s.cron && !CronExpression.isValid(s.cron)).forEach(s => {
+      errors.push(`${s.path}: 無效的 cron 表達式 "${s.cron}"`);
+    });
+
+    // 驗證去重儲存
+    if (backup.storage && backup.storage.layout === 'dedup' && !backup.createTimestampFolder) {
+      errors.push('去重儲存需要啟用 backup.createTimestampFolder');
     }
 
-    // 驗證進階設定
-    if (config.advanced && config.advanced.concurrency) {
-      if (config.advanced.concurrency < 1 || config.advanced.concurrency > 10) {
-        errors.push('並發數量必須在 1-10 之間');
+    // 驗證加密設定
+    if (config.encryption && config.encryption.enabled) {
+      if (!backup.createTimestampFolder) {
+        errors.push('加密需要啟用 backup.createTimestampFolder');
+      }
+      if (backup.storage && backup.storage.layout === 'dedup') {
+        errors.push('加密無法與去重儲存 (backup.storage.layout: dedup) 同時使用');
       }
     }
 
-    if (config.advanced && config.advanced.timeout) {
-      if (config.advanced.timeout < 5000) {
-        errors.push('超時時間不能少於 5 秒');
+    // 驗證 Notion 設定
+    if (config.notion && config.notion.enabled && !config.notion.databaseId && !config.notion.parentPageId) {
+      errors.push('啟用 Notion 時需要設定 notion.databaseId 或 notion.parentPageId');
+    }
+
+    // 驗證 Obsidian 設定
+    if (config.obsidian && config.obsidian.enabled && !config.obsidian.vaultPath) {
+      errors.push('啟用 Obsidian 時 obsidian.vaultPath 為必填項目');
+    }
+
+    // 驗證 S3 設定
+    if (config.s3 && config.s3.enabled) {
+      if (!config.s3.bucket) {
+        errors.push('啟用 S3 時 s3.bucket 為必填項目');
+      }
+      if (config.s3.kmsKeyId && config.s3.serverSideEncryption !== 'aws:kms') {
+        errors.push('s3.kmsKeyId 需要搭配 s3.serverSideEncryption: aws:kms');
       }
     }
 
@@ -174,6 +700,11 @@ class ConfigManager {
    */
   async updateConfig(updates) {
     try {
+      // 避免將 profile 或本機覆寫檔的設定寫入共用的配置檔案
+      if (this.profile || await fs.pathExists(this.localConfigPath)) {
+        throw new Error('使用 profile 或本機覆寫檔時無法更新配置檔案');
+      }
+
       if (!this.config) {
         await this.loadConfig();
       }
@@ -182,13 +713,10 @@ class ConfigManager {
       this.config = this.mergeConfigs(this.config, updates);
       
       // 驗證更新後的配置
-      const validation = this.validateConfig(this.config);
-      if (!validation.isValid) {
-        throw new Error(`配置驗證失敗: ${validation.errors.join(', ')}`);
-      }
+      this.assertValid(this.config);
 
-      // 儲存配置
-      await fs.writeJson(this.configPath, this.config, { spaces: 2 });
+      // 儲存配置 (保留密鑰參照)
+      await fs.writeJson(this.configPath, this.toStorable(this.config), { spaces: 2 });
       console.log(chalk.green('✅ 配置已更新並儲存'));
       
       return this.config;
@@ -272,20 +800,82 @@ class ConfigManager {
     console.log(chalk.blue('\n📋 配置摘要 | Configuration Summary'));
     console.log(chalk.gray('─'.repeat(50)));
     
+    if (this.profiles.length > 0) {
+      console.log(`👤 Profile: ${this.profile ? chalk.blue(this.profile) : chalk.gray('(基本配置)')} ${chalk.gray(`(可用: ${this.profiles.join(', ')})`)}`);
+    }
     console.log(`🎯 備份模式: ${this.config.backup.mode}`);
-    console.log(`📁 輸出目錄: ${this.config.backup.outputDir || this.config.backup.output_dir}`);
+    console.log(`📁 輸出目錄: ${this.config.backup.outputDir}`);
     console.log(`🎯 目標數量: ${this.config.backup.targets.length}`);
     
     // 服務狀態
-    const services = ['dropbox', 'notion', 'obsidian'];
+    const services = ['dropbox', 's3', 'git', 'notion', 'obsidian'];
     services.forEach(service => {
       const enabled = this.isServiceEnabled(service);
       const status = enabled ? chalk.green('✅ 啟用') : chalk.gray('⚪ 停用');
       console.log(`${service.charAt(0).toUpperCase() + service.slice(1)}: ${status}`);
     });
+
+    // 密鑰來源
+    const sourceLabels = {
+      env: ref => `環境變數 ${ref}`,
+      fallback: ref => `環境變數 ${ref} (備援)`,
+      file: ref => `檔案 ${ref}`,
+      plaintext: () => chalk.yellow('配置檔案 (明文)'),
+      unset: () => '未設定'
+    };
+
+    const secrets = this.describeSecrets();
+    const width = Math.max(...secrets.map(secret => secret.path.length));
+
+    console.log('🔑 密鑰來源:');
+    secrets.forEach(secret => {
+      console.log(`   ${secret.path.padEnd(width)} ${(secret.value || '-').padEnd(12)} ${chalk.gray(sourceLabels[secret.source](secret.ref))}`);
+    });
     
     console.log(chalk.gray('─'.repeat(50)));
   }
+
+  /**
+   * 是否為密鑰欄位
+   * Whether a key holds a secret
+   */
+  static isSecretKey(key) {
+    // passphraseEnv 等欄位只是環境變數名稱
+    if (/Env$/.test(key)) return false;
+    return SECRET_KEYS.some(secret => String(key).toLowerCase().includes(secret.toLowerCase()));
+  }
+
+  /**
+   * 隱藏單一密鑰
+   * Mask a single secret
+   */
+  static maskSecret(value) {
+    // 不顯示任何密鑰字元，只保留已知的 token 類型前綴
+    const prefix = SECRET_PREFIXES.find(candidate => String(value).startsWith(candidate)) || '';
+    return `${prefix}${'*'.repeat(8)}`;
+  }
+
+  /**
+   * 隱藏配置中的密鑰
+   * Mask secrets in a configuration
+   */
+  static maskSecrets(value, key = '') {
+    if (Array.isArray(value)) {
+      return value.map(item => ConfigManager.maskSecrets(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, ConfigManager.maskSecrets(v, k)]));
+    }
+
+    if (typeof value === 'string' && value && ConfigManager.isSecretKey(key)) {
+      return ConfigManager.maskSecret(value);
+    }
+
+    return value;
+  }
 }
 
+ConfigManager.CONFIG_VERSION = CONFIG_VERSION;
+
 module.exports = ConfigManager;
\ No newline at end of file
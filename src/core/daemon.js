@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const moment = require('moment');
+
+const ConfigManager = require('./config-manager');
+const BackupScheduler = require('./backup-scheduler');
+const RunLock = require('../utils/run-lock');
+const Logger = require('../utils/logger');
+
+const RESULT_COLORS = {
+  success: chalk.green,
+  partial: chalk.yellow,
+  skipped: chalk.yellow,
+  failure: chalk.red
+};
+
+/**
+ * 格式化時間 (含相對時間)
+ * Format a time (with relative time)
+ */
+function formatTime(value) {
+  if (!value) return chalk.gray('-');
+  return `${moment(value).format('YYYY-MM-DD HH:mm')} ${chalk.gray(`(${moment(value).fromNow()})`)}`;
+}
+
+/**
+ * 顯示排程狀態
+ * Display scheduler status
+ */
+function displayStatus(status, running) {
+  console.log(chalk.blue('\n⏰ 排程狀態'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(`Daemon: ${running ? chalk.green(`執行中 (PID ${status.pid})`) : chalk.gray('未執行')}`);
+
+  Object.entries(status.jobs || {}).forEach(([id, job]) => {
+    const color = RESULT_COLORS[job.last_result] || chalk.gray;
+
+    console.log(`\n${chalk.cyan(id)} ${chalk.gray(job.cron)}${job.running ? chalk.yellow(' ⏳ 備份中') : ''}`);
+    if (job.targets) console.log(`   目標: ${job.targets.join(', ')}`);
+    console.log(`   上次執行: ${formatTime(job.last_run)} ${color(job.last_result || '')}`);
+    if (job.last_error) console.log(`   錯誤: ${chalk.red(job.last_error)}`);
+    console.log(`   下次執行: ${formatTime(job.next_run)}`);
+  });
+
+  console.log(chalk.gray('─'.repeat(50)));
+}
+
+/**
+ * 顯示狀態檔內容 (figma-backup daemon --status)
+ * Show the status file (figma-backup daemon --status)
+ */
+async function statusCommand(options) {
+  const config = await new ConfigManager(options.config).loadConfig({ validate: false, quiet: true });
+  const statusFile = path.resolve(options.statusFile || config.schedule.statusFile);
+
+  if (!await fs.pathExists(statusFile)) {
+    throw new Error(`找不到排程狀態檔: ${statusFile} (daemon 是否曾經啟動?)`);
+  }
+
+  const status = await fs.readJson(statusFile);
+  const lock = new RunLock(`${statusFile}.lock`, { staleAfter: Infinity });
+  const owner = await lock.read();
+  const running = Boolean(owner) && !lock.isStale(owner);
+
+  if (options.json) {
+    console.log(JSON.stringify({ running, ...status }, null, 2));
+  } else {
+    displayStatus(status, running);
+  }
+
+  return true;
+}
+
+/**
+ * 以 daemon 模式依排程執行備份 (figma-backup daemon)
+ * Run backups on schedule in daemon mode (figma-backup daemon)
+ */
+async function daemonCommand(options) {
+  if (options.status) {
+    return statusCommand(options);
+  }
+
+  const logger = new Logger({ level: 'info', logDir: './logs' });
+  const scheduler = new BackupScheduler({
+    configPath: options.config,
+    profile: options.profile,
+    statusFile: options.statusFile,
+    quiet: true
+  }, logger);
+
+  const jobs = await scheduler.start();
+
+  console.log(chalk.blue('\n⏰ 備份排程已啟動'));
+  jobs.forEach(job => {
+    console.log(`   ${chalk.cyan(job.id)} ${chalk.gray(job.cron.expression)} → 下次執行 ${formatTime(job.nextRun)}`);
+  });
+  console.log(chalk.gray(`   狀態檔: ${scheduler.statusFile}`));
+  console.log(chalk.gray('   按 Ctrl+C 停止 (再按一次強制結束)\n'));
+
+  // 收到第一個訊號時等待執行中的備份完成，第二個訊號立即結束
+  await new Promise(resolve => {
+    let stopping = false;
+
+    const shutdown = signal => {
+      if (stopping) {
+        logger.warn('強制結束 daemon', { signal });
+        process.exit(1);
+      }
+
+      stopping = true;
+      logger.info('停止備份排程', { signal, waiting: Boolean(scheduler.current) });
+      scheduler.stop().then(resolve, error => {
+        logger.error('停止備份排程失敗', { error: error.message });
+        resolve();
+      });
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  });
+
+  logger.close();
+  return true;
+}
+
+module.exports = { daemonCommand, displayStatus };
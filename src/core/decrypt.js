@@ -0,0 +1,32 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+
+const ConfigManager = require('./config-manager');
+const BackupEncryptor = require('./backup-encryptor');
+
+/**
+ * 解密加密的備份封存檔並還原原始資料夾 (figma-backup decrypt)
+ * Decrypt an encrypted backup artifact and restore the original folder (figma-backup decrypt)
+ */
+async function decryptCommand(artifact, options) {
+  // 配置檔案為選用，只用於取得金鑰設定
+  const encryption = await fs.pathExists(options.config)
+    ? (await new ConfigManager(options.config, { profile: options.profile }).loadConfig({ validate: false, quiet: true })).encryption || {}
+    : {};
+
+  const encryptor = new BackupEncryptor({
+    ...encryption,
+    keyFile: options.keyFile || encryption.keyFile
+  });
+  const result = await encryptor.decryptArtifact(artifact, options.output);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(chalk.green(`\n✅ 已還原 ${result.files} 個檔案到 ${result.output_dir}`));
+  }
+
+  return true;
+}
+
+module.exports = { decryptCommand };
@@ -0,0 +1,258 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { hashFile } = require('../utils/checksum');
+
+const BLOBS_DIRNAME = '.blobs';
+const SNAPSHOT_FILENAME = 'snapshot.json';
+const RUN_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/;
+
+/**
+ * 內容定址去重儲存 - 以 SHA-256 儲存檔案一次，備份資料夾只保留清單與連結
+ * Content-Addressed Dedup Store - Stores each blob once by SHA-256; run folders keep only a manifest and links
+ */
+class DedupStore {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      outputDir: options.outputDir || './figma-backups',
+      link: options.link || 'hardlink'
+    };
+    this.logger = logger;
+    this.outputDir = path.resolve(this.options.outputDir);
+    this.blobsDir = path.join(this.outputDir, BLOBS_DIRNAME);
+
+    if (!['hardlink', 'symlink'].includes(this.options.link)) {
+      throw new Error(`不支援的連結類型: ${this.options.link} (可用: hardlink, symlink)`);
+    }
+  }
+
+  /**
+   * 取得 blob 路徑
+   * Get blob path
+   */
+  blobPath(hash) {
+    return path.join(this.blobsDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * 建立指向 blob 的連結 (硬連結失敗時改用符號連結)
+   * Link a blob into place (falls back to a symlink when hardlinking fails)
+   */
+  async linkBlob(hash, targetPath) {
+    const blobPath = this.blobPath(hash);
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.remove(targetPath);
+
+    if (this.options.link === 'hardlink') {
+      try {
+        await fs.link(blobPath, targetPath);
+        return 'hardlink';
+      } catch (error) {
+        if (!['EXDEV', 'EPERM', 'EMLINK'].includes(error.code)) throw error;
+        if (this.logger) this.logger.debug(`無法建立硬連結，改用符號連結: ${targetPath}`, { code: error.code });
+      }
+    }
+
+    await fs.symlink(path.relative(path.dirname(targetPath), blobPath), targetPath);
+    return 'symlink';
+  }
+
+  /**
+   * 確保檔案內容已存入 blob (不修改原檔案)
+   * Ensure a file's content is stored as a blob (leaves the file untouched)
+   */
+  async ensureBlob(filePath) {
+    const stats = await fs.lstat(filePath);
+
+    // 已經是指向 blob 的符號連結
+    if (stats.isSymbolicLink()) {
+      const target = path.resolve(path.dirname(filePath), await fs.readlink(filePath));
+      if (target.startsWith(this.blobsDir + path.sep)) {
+        return { hash: path.basename(target), size: (await fs.stat(target)).size, stored: false, linked: true };
+      }
+    }
+
+    const hash = await hashFile(filePath);
+    const blobPath = this.blobPath(hash);
+
+    if (await fs.pathExists(blobPath)) {
+      const blobStats = await fs.stat(blobPath);
+      return { hash, size: blobStats.size, stored: false, linked: stats.isFile() && blobStats.ino === stats.ino };
+    }
+
+    await fs.ensureDir(path.dirname(blobPath));
+    await fs.copy(filePath, blobPath, { dereference: true });
+    return { hash, size: (await fs.stat(blobPath)).size, stored: true, linked: false };
+  }
+
+  /**
+   * 將檔案存入 blob 並以連結取代
+   * Store a file as a blob and replace it with a link
+   */
+  async storeFile(filePath) {
+    const result = await this.ensureBlob(filePath);
+
+    if (!result.linked) {
+      await this.linkBlob(result.hash, filePath);
+    }
+
+    return result;
+  }
+
+  /**
+   * 遞迴列出資料夾中的檔案 (包含符號連結)
+   * Recursively list files in a folder (including symlinks)
+   */
+  async walk(dir) {
+    const files = [];
+
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(entryPath));
+      } else if (entry.isFile() || entry.isSymbolicLink()) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 取得檔案在備份資料夾中的相對路徑
+   * Get a file's path relative to its run folder
+   */
+  relativeToRun(filePath) {
+    const segments = path.relative(this.outputDir, path.resolve(filePath)).split(path.sep);
+
+    if (segments.length < 2 || !RUN_FOLDER_PATTERN.test(segments[0])) {
+      return null;
+    }
+
+    return { run: segments[0], relativePath: segments.slice(1).join(path.sep) };
+  }
+
+  /**
+   * 將未變更的檔案 (及其附屬檔案) 從先前的備份連結到本次備份
+   * Link unchanged files (and their side files) from a previous run into this run
+   */
+  async carryOver(runPath, skippedFiles) {
+    const carried = [];
+
+    for (const file of skippedFiles) {
+      const location = file.path && this.relativeToRun(file.path);
+      if (!location || !await fs.pathExists(file.path)) continue;
+
+      const sourceDir = path.dirname(file.path);
+      const baseName = path.basename(file.path, path.extname(file.path));
+
+      for (const entry of await fs.readdir(sourceDir)) {
+        if (entry !== baseName && !entry.startsWith(`${baseName}.`)) continue;
+
+        const sourcePath = path.join(sourceDir, entry);
+        const sources = (await fs.stat(sourcePath)).isDirectory() ? await this.walk(sourcePath) : [sourcePath];
+
+        for (const source of sources) {
+          const relativePath = path.relative(path.join(this.outputDir, location.run), source);
+          const targetPath = path.join(runPath, relativePath);
+
+          if (await fs.pathExists(targetPath)) continue;
+
+          const { hash } = await this.ensureBlob(source);
+          await this.linkBlob(hash, targetPath);
+
+          if (source === file.path) {
+            carried.push({ key: file.key, path: targetPath });
+          }
+        }
+      }
+    }
+
+    return carried;
+  }
+
+  /**
+   * 將整個備份資料夾轉為去重格式並寫入清單
+   * Convert a run folder to the dedup layout and write its manifest
+   */
+  async snapshotRun(runPath, skippedFiles = []) {
+    const resolvedRun = path.resolve(runPath);
+
+    if (!this.relativeToRun(path.join(resolvedRun, SNAPSHOT_FILENAME))) {
+      throw new Error(`去重儲存需要時間戳記備份資料夾: ${runPath}`);
+    }
+
+    const carried = await this.carryOver(resolvedRun, skippedFiles);
+    const entries = [];
+    let storedBytes = 0;
+    let dedupedBytes = 0;
+
+    for (const filePath of await this.walk(resolvedRun)) {
+      if (path.basename(filePath) === SNAPSHOT_FILENAME) continue;
+
+      const { hash, size, stored } = await this.storeFile(filePath);
+      entries.push({ path: path.relative(resolvedRun, filePath), sha256: hash, size });
+
+      if (stored) {
+        storedBytes += size;
+      } else {
+        dedupedBytes += size;
+      }
+    }
+
+    const manifest = {
+      created_at: new Date().toISOString(),
+      link: this.options.link,
+      files: entries.sort((a, b) => a.path.localeCompare(b.path))
+    };
+
+    await fs.writeJson(path.join(resolvedRun, SNAPSHOT_FILENAME), manifest, { spaces: 2 });
+
+    return {
+      files: entries.length,
+      carried,
+      stored_bytes: storedBytes,
+      deduped_bytes: dedupedBytes
+    };
+  }
+
+  /**
+   * 刪除沒有任何備份清單引用的 blob
+   * Delete blobs no longer referenced by any run manifest
+   */
+  async gc({ dryRun = false } = {}) {
+    if (!await fs.pathExists(this.blobsDir)) {
+      return { removed: 0, freed_bytes: 0 };
+    }
+
+    const referenced = new Set();
+
+    for (const entry of await fs.readdir(this.outputDir)) {
+      const snapshotPath = path.join(this.outputDir, entry, SNAPSHOT_FILENAME);
+      if (!RUN_FOLDER_PATTERN.test(entry) || !await fs.pathExists(snapshotPath)) continue;
+
+      const snapshot = await fs.readJson(snapshotPath);
+      snapshot.files.forEach(file => referenced.add(file.sha256));
+    }
+
+    let removed = 0;
+    let freedBytes = 0;
+
+    for (const blobPath of await this.walk(this.blobsDir)) {
+      if (referenced.has(path.basename(blobPath))) continue;
+
+      freedBytes += (await fs.stat(blobPath)).size;
+      removed++;
+
+      if (!dryRun) {
+        await fs.remove(blobPath);
+      }
+    }
+
+    return { removed, freed_bytes: freedBytes };
+  }
+}
+
+module.exports = DedupStore;
@@ -9,27 +9,60 @@ const moment = require('moment');
 
 // 引入自定義模組
 const FigmaApiWrapper = require('../integrations/figma-api-wrapper');
-const DropboxSync = require('../integrations/dropbox-sync');
-const NotionUpdater = require('../integrations/notion-updater');
-const ObsidianSync = require('../integrations/obsidian-sync');
+const VersionHistory = require('../integrations/version-history');
+const TokenExporter = require('../integrations/token-exporter');
+const CommentsArchiver = require('../integrations/comments-archiver');
 const Logger = require('../utils/logger');
 const NotificationService = require('../utils/notification-service');
 const ConfigManager = require('./config-manager');
+const StateManifest = require('./state-manifest');
+const RetentionManager = require('./retention-manager');
+const DedupStore = require('./dedup-store');
+const BackupValidator = require('./backup-validator');
+const BackupEncryptor = require('./backup-encryptor');
+const RunLock = require('../utils/run-lock');
+const JobQueue = require('../utils/job-queue');
+const RunJournal = require('./run-journal');
 
 /**
  * Figma 自動化備份系統主類別
  * Main Figma Automated Backup System Class
  */
 class FigmaBackupSystem {
-  constructor() {
-    this.executionId = uuidv4();
+  /**
+   * options 可覆寫配置檔案: configPath、profile、outputDir、mode、targets、only；quiet 時不輸出結果摘要
+   * options override the config file: configPath, profile, outputDir, mode, targets, only; quiet suppresses the result summary
+   *
+   * allProfiles 時 run() 依序執行配置檔案中的每個 profile。
+   * With allProfiles, run() runs every profile in the config file in sequence.
+   *
+   * resume 為中斷執行的 ID 時，沿用其設定並略過執行日誌中已完成的檔案。
+   * When resume is the ID of an interrupted run, its settings are reused and files completed in its journal are skipped.
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      configPath: options.configPath || './backup-config.json',
+      profile: options.profile || null,
+      allProfiles: Boolean(options.allProfiles),
+      outputDir: options.outputDir || null,
+      mode: options.mode || null,
+      targets: options.targets || null,
+      only: options.only || [],
+      resume: options.resume || null
+    };
+    this.executionId = this.options.resume || uuidv4();
     this.startTime = Date.now();
     this.config = null;
     this.logger = null;
     this.notificationService = null;
     this.services = {};
+    this.stateManifest = null;
+    this.runLock = null;
+    this.journal = null;
     this.results = {
       execution_id: this.executionId,
+      profile: this.options.profile,
       start_time: this.startTime,
       end_time: null,
       duration: null,
@@ -37,7 +70,12 @@ class FigmaBackupSystem {
       targets: [],
       downloads: [],
       uploads: [],
+      exports: [],
       syncs: [],
+      validation: null,
+      storage: null,
+      encryption: null,
+      retention: null,
       errors: [],
       summary: {}
     };
@@ -49,16 +87,20 @@ class FigmaBackupSystem {
    */
   async initialize() {
     try {
-      console.log(chalk.blue('🚀 初始化 Figma 自動化備份系統...'));
+      if (!this.options.quiet) {
+        console.log(chalk.blue('🚀 初始化 Figma 自動化備份系統...'));
+      }
       
-      // 載入配置
-      const configManager = new ConfigManager();
-      this.config = await configManager.loadConfig();
+      // 載入配置並套用命令列覆寫
+      const configManager = new ConfigManager(this.options.configPath, { profile: this.options.profile });
+      this.config = this.applyOverrides(await configManager.loadConfig({ validate: false, quiet: this.options.quiet }));
+      configManager.assertValid(this.config);
       
       // 初始化日誌系統
       this.logger = new Logger({
         level: this.config.advanced.logLevel || 'info',
-        logDir: './logs'
+        logDir: './logs',
+        enableConsole: !this.options.quiet
       });
       
       // 初始化通知服務
@@ -79,6 +121,26 @@ class FigmaBackupSystem {
     }
   }
 
+  /**
+   * 套用命令列覆寫
+   * Apply command line overrides
+   */
+  applyOverrides(config) {
+    if (this.options.outputDir) {
+      config.backup.outputDir = this.options.outputDir;
+    }
+
+    if (this.options.mode) {
+      config.backup.exportMode = this.options.mode;
+    }
+
+    if (this.options.targets) {
+      config.backup.targets = this.options.targets;
+    }
+
+    return config;
+  }
+
   /**
    * 初始化所有服務
    * Initialize all services
@@ -86,20 +148,76 @@ class FigmaBackupSystem {
   async initializeServices() {
     try {
       // Figma API 包裝器
-      this.services.figma = new FigmaApiWrapper(this.config.figma, this.logger);
+      this.services.figma = new FigmaApiWrapper({
+        ...this.config.figma,
+        timeout: this.config.advanced.timeout,
+        retryAttempts: this.config.advanced.retryAttempts,
+        concurrency: this.config.advanced.concurrency,
+        rateLimit: this.config.advanced.rateLimit
+      }, this.logger);
       
+      // 版本歷史擷取
+      // 加密時具名版本寫入本次執行的資料夾，才會一起加密
+      const versionHistory = this.config.backup.versionHistory;
+      if (versionHistory && versionHistory.enabled) {
+        const encrypted = Boolean(this.config.encryption && this.config.encryption.enabled);
+        this.services.versionHistory = new VersionHistory(this.services.figma, {
+          ...versionHistory,
+          archiveDir: encrypted
+            ? path.join(this.getRunOutputPath(), '_versions')
+            : versionHistory.archiveDir || path.join(this.config.backup.outputDir, '_versions')
+        }, this.logger);
+      }
+      
+      // 評論封存
+      if (this.config.backup.comments && this.config.backup.comments.enabled) {
+        this.services.comments = new CommentsArchiver(this.services.figma, this.config.backup.comments, this.logger);
+      }
+      
+      // 設計 Token 匯出
+      if (this.config.backup.tokens && this.config.backup.tokens.enabled) {
+        this.services.tokens = new TokenExporter(this.services.figma, this.config.backup.tokens, this.logger);
+      }
+      
+      // 選用的整合服務只在啟用時載入
+      // Optional integrations are only loaded when enabled
+
       // Dropbox 同步服務
       if (this.config.dropbox && this.config.dropbox.enabled) {
-        this.services.dropbox = new DropboxSync(this.config.dropbox, this.logger);
+        const DropboxSync = require('../integrations/dropbox-sync');
+        this.services.dropbox = new DropboxSync({
+          ...this.config.dropbox,
+          outputDir: this.config.backup.outputDir
+        }, this.logger);
+      }
+      
+      // S3 同步服務
+      if (this.config.s3 && this.config.s3.enabled) {
+        const S3Sync = require('../integrations/s3-sync');
+        this.services.s3 = new S3Sync({
+          ...this.config.s3,
+          outputDir: this.config.backup.outputDir
+        }, this.logger);
+      }
+      
+      // Git 快照服務
+      if (this.config.git && this.config.git.enabled) {
+        const GitSnapshot = require('../integrations/git-snapshot');
+        this.services.git = new GitSnapshot({
+          ...this.config.git,
+          outputDir: this.config.backup.outputDir
+        }, this.logger);
       }
       
       // Notion 更新服務
       if (this.config.notion && this.config.notion.enabled) {
+        const NotionUpdater = require('../integrations/notion-updater');
         this.services.notion = new NotionUpdater(this.config.notion, this.logger);
       }
       
       // Obsidian 同步服務
       if (this.config.obsidian && this.config.obsidian.enabled) {
+        const ObsidianSync = require('../integrations/obsidian-sync');
         this.services.obsidian = new ObsidianSync(this.config.obsidian, this.logger);
       }
       
@@ -127,6 +245,18 @@ class FigmaBackupSystem {
         validations.push({ service: 'Dropbox', ...dropboxValidation });
       }
       
+      // 驗證 S3
+      if (this.services.s3) {
+        const s3Validation = await this.services.s3.validateConnection();
+        validations.push({ service: 'S3', ...s3Validation });
+      }
+      
+      // 驗證 Git
+      if (this.services.git) {
+        const gitValidation = await this.services.git.validateRepository();
+        validations.push({ service: 'Git', ...gitValidation });
+      }
+      
       // 驗證 Notion
       if (this.services.notion) {
         const notionValidation = await this.services.notion.validateConnection();
@@ -160,8 +290,23 @@ class FigmaBackupSystem {
    * Execute main backup process
    */
   async run() {
+    if (this.options.allProfiles) {
+      return this.runProfiles();
+    }
+
     try {
+      // 續傳時沿用中斷執行的 profile 與命令列覆寫
+      if (this.options.resume) {
+        await this.loadResumeJournal();
+      }
+
       await this.initialize();
+
+      // 避免與其他備份 (例如排程或外部 cron) 重疊執行
+      this.runLock = new RunLock(this.config.advanced.lockFile, {}, this.logger);
+      await this.runLock.acquire({ execution_id: this.executionId, profile: this.options.profile });
+
+      await this.openJournal();
       
       // 發送開始通知
       await this.notificationService.notifyBackupStart(this.config.backup.targets);
@@ -173,12 +318,55 @@ class FigmaBackupSystem {
       }
       
       // 執行備份
-      this.results.targets = this.config.backup.targets;
+      this.results.targets = this.config.backup.targets.map(t => (t && t.projects ? t.label : t));
       this.results.downloads = await this.downloadFigmaFiles(this.config.backup.targets);
       
-      // 上傳到 Dropbox
+      // 驗證備份
+      if (this.config.advanced.validateBackup) {
+        this.results.validation = await this.validateDownloads(this.results.downloads);
+      }
+      
+      // 擷取版本歷史
+      if (this.services.versionHistory) {
+        this.results.exports.push(await this.captureVersionHistory(this.results.downloads));
+      }
+      
+      // 封存評論
+      if (this.services.comments) {
+        this.results.exports.push(await this.archiveComments(this.results.downloads));
+      }
+      
+      // 匯出設計 Token
+      if (this.services.tokens) {
+        this.results.exports.push(await this.exportDesignTokens(this.results.downloads));
+      }
+      
+      // 提交到 Git 儲存庫
+      if (this.services.git) {
+        this.results.syncs.push(await this.commitToGit(this.results.downloads));
+      }
+      
+      // 轉為去重儲存格式
+      if (this.config.backup.storage && this.config.backup.storage.layout === 'dedup') {
+        this.results.storage = await this.deduplicateRun(this.results.downloads);
+      }
+      
+      // 加密備份
+      if (this.config.encryption && this.config.encryption.enabled) {
+        this.results.encryption = await this.encryptRun(this.results.downloads);
+      }
+      
+      // 上傳到 Dropbox 與 S3 (已加密時只上傳加密封存檔)
+      const uploadSources = this.results.encryption
+        ? [{ success: this.results.encryption.success, output_path: this.results.encryption.artifact }]
+        : this.results.downloads;
+
       if (this.services.dropbox) {
-        this.results.uploads = await this.uploadToDropbox(this.results.downloads);
+        this.results.uploads.push(...await this.uploadToDropbox(uploadSources));
+      }
+
+      if (this.services.s3) {
+        this.results.uploads.push(...await this.uploadToS3(uploadSources));
       }
       
       // 更新 Notion
@@ -191,6 +379,11 @@ class FigmaBackupSystem {
         this.results.syncs.push(await this.syncObsidianVault(this.results));
       }
       
+      // 套用保留策略
+      if (this.config.retention && this.config.retention.enabled) {
+        this.results.retention = await this.applyRetention();
+      }
+      
       // 完成處理
       this.results.end_time = Date.now();
       this.results.duration = this.results.end_time - this.results.start_time;
@@ -199,9 +392,14 @@ class FigmaBackupSystem {
       
       // 儲存執行報告
       await this.saveExecutionReport();
+
+      // 執行已完成，不再需要續傳
+      await this.journal.remove();
       
       // 顯示結果
-      this.displayResults();
+      if (!this.options.quiet) {
+        this.displayResults();
+      }
       
       // 發送完成通知
       await this.notificationService.notifyBackupComplete(this.results.downloads);
@@ -210,11 +408,127 @@ class FigmaBackupSystem {
     } catch (error) {
       this.results.success = false;
       this.results.errors.push(error.message);
-      this.logger.error('備份執行失敗', { error: error.message });
-      
-      await this.notificationService.notifyBackupError(error);
+
+      // 初始化失敗時尚未建立日誌與通知服務
+      if (this.logger) {
+        this.logger.error('備份執行失敗', { error: error.message });
+      }
+      // 執行鎖被其他備份持有時不算失敗，由呼叫端決定是否通知 (排程會改發略過通知)
+      if (this.notificationService && error.code !== 'ELOCKED') {
+        await this.notificationService.notifyBackupError(error);
+      }
+      if (this.journal && !this.options.quiet) {
+        console.log(chalk.yellow(`💡 可使用 backup --resume ${this.executionId} 從中斷處繼續`));
+      }
       throw error;
+    } finally {
+      if (this.runLock) {
+        await this.runLock.release();
+      }
+    }
+  }
+
+  /**
+   * 載入中斷執行的日誌並套用當時的設定
+   * Load an interrupted run's journal and apply its settings
+   */
+  async loadResumeJournal() {
+    const journal = new RunJournal(RunJournal.pathFor(this.executionId));
+
+    if (!await journal.exists()) {
+      throw new Error(`找不到執行 ${this.executionId} 的執行日誌 (${journal.journalPath})，該執行可能已經完成`);
+    }
+
+    await journal.load();
+
+    // 命令列明確指定的值優先
+    const previous = journal.header.options || {};
+    this.options = {
+      ...this.options,
+      profile: this.options.profile || journal.header.profile || null,
+      targets: this.options.targets || previous.targets || null,
+      outputDir: this.options.outputDir || previous.outputDir || null,
+      mode: this.options.mode || previous.mode || null,
+      only: this.options.only && this.options.only.length > 0 ? this.options.only : previous.only || []
+    };
+    this.results.profile = this.options.profile;
+    this.results.resumed = true;
+    this.journal = journal;
+  }
+
+  /**
+   * 開啟執行日誌 (續傳時沿用原本的時間戳記資料夾)
+   * Open the run journal (reusing the original timestamp folder when resuming)
+   */
+  async openJournal() {
+    if (this.journal) {
+      this.services.figma.runTimestamp = this.journal.header.run_timestamp;
+      this.logger.info(`續傳執行 ${this.executionId}`, { completed: this.journal.entries.size });
+      return;
+    }
+
+    this.journal = await new RunJournal(RunJournal.pathFor(this.executionId)).start({
+      execution_id: this.executionId,
+      profile: this.options.profile,
+      started_at: new Date(this.startTime).toISOString(),
+      run_timestamp: this.services.figma.runTimestamp,
+      options: {
+        targets: this.options.targets,
+        outputDir: this.options.outputDir,
+        mode: this.options.mode,
+        only: this.options.only
+      }
+    });
+  }
+
+  /**
+   * 依序執行所有 profile，每個 profile 各自產生執行報告
+   * Run every profile in sequence, each with its own execution report
+   */
+  async runProfiles() {
+    const profiles = await new ConfigManager(this.options.configPath).listProfiles();
+
+    if (profiles.length === 0) {
+      throw new Error('配置檔案中沒有定義任何 profile');
+    }
+
+    // 先驗證所有 profile，避免執行到一半才發現配置錯誤
+    for (const profile of profiles) {
+      const configManager = new ConfigManager(this.options.configPath, { profile });
+      const config = this.applyOverrides(await configManager.loadConfig({ validate: false, quiet: true }));
+      const validation = configManager.validateConfig(config);
+
+      if (!validation.isValid) {
+        throw new Error(`profile "${profile}" 配置驗證失敗: ${validation.errors.join(', ')}`);
+      }
     }
+
+    const results = [];
+
+    for (const profile of profiles) {
+      if (!this.options.quiet) {
+        console.log(chalk.blue(`\n👤 Profile: ${profile} (${results.length + 1}/${profiles.length})`));
+      }
+
+      const system = new FigmaBackupSystem({ ...this.options, allProfiles: false, profile });
+
+      // 單一 profile 失敗時繼續執行其餘 profile
+      try {
+        results.push(await system.run());
+      } catch {
+        results.push(system.results);
+      }
+    }
+
+    return {
+      success: results.every(r => r.success),
+      profiles: results,
+      downloads: results.flatMap(r => r.downloads),
+      errors: results.flatMap(r => r.errors.map(error => `[${r.profile}] ${error}`)),
+      summary: {
+        profiles: results.map(r => ({ profile: r.profile, success: r.success, ...r.summary, errors: r.errors }))
+      }
+    };
   }
 
   /**
@@ -222,77 +536,571 @@ class FigmaBackupSystem {
    * Download Figma files
    */
   async downloadFigmaFiles(urls) {
-    const downloads = [];
+    const outputDir = this.config.backup.outputDir;
     
     this.logger.info(`開始下載 ${urls.length} 個 Figma 目標`);
 
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      const spinner = ora(`📥 下載 Figma 檔案 (${i + 1}/${urls.length})`).start();
+    // 增量備份：載入上次執行的狀態清單
+    let manifest = null;
+    if (this.config.backup.incremental) {
+      manifest = await new StateManifest(this.config.backup.stateFile || StateManifest.defaultPath(outputDir)).load();
+      this.stateManifest = manifest;
+    }
+
+    // 目標依 advanced.concurrency 並行處理，API 請求與瀏覽器下載另有各自的速率限制
+    const queue = new JobQueue({ concurrency: this.config.advanced.concurrency });
+    const spinner = ora(`📥 下載 Figma 檔案 (0/${urls.length})`).start();
+    let finished = 0;
+
+    const downloads = await queue.map(urls, async entry => {
+      // 目標可以是網址字串、{ url, mode } 或已解析的 { projects, label } (files.json)
+      const target = typeof entry === 'string' ? { url: entry } : entry;
+      const url = target.url || target.label;
+      let download;
 
       try {
-        const result = await this.services.figma.downloadFromUrl(url, {
-          outputDir: this.config.backup.output_dir || this.config.backup.outputDir,
-          createTimestampFolder: this.config.backup.create_timestamp_folder || this.config.backup.createTimestampFolder
-        });
+        const downloadOptions = {
+          outputDir,
+          createTimestampFolder: this.config.backup.createTimestampFolder,
+          manifest,
+          mode: target.mode || this.config.backup.exportMode,
+          rest: this.config.backup.rest,
+          only: target.only || this.options.only,
+          journal: this.journal,
+          label: url
+        };
+        const result = target.projects
+          ? await this.services.figma.downloadProjects(target.projects, downloadOptions)
+          : await this.services.figma.downloadFromUrl(url, downloadOptions);
 
-        downloads.push({
+        download = {
           url,
           success: true,
           files: result.files,
+          skipped: result.skipped || [],
           output_path: result.outputPath,
           timestamp: new Date().toISOString()
-        });
+        };
 
-        spinner.succeed(`✅ 成功下載: ${result.files.length} 個檔案`);
-        this.logger.success(`下載完成: ${url}`, { filesCount: result.files.length });
+        const skippedCount = (result.skipped || []).length;
+        spinner.stopAndPersist({
+          symbol: '✅',
+          text: `成功下載: ${result.files.length} 個檔案${skippedCount ? `，略過 ${skippedCount} 個未變更檔案` : ''} (${url})`
+        });
+        this.logger.success(`下載完成: ${url}`, { filesCount: result.files.length, skippedCount });
       } catch (error) {
-        downloads.push({
+        download = {
           url,
           success: false,
           error: error.message,
           timestamp: new Date().toISOString()
-        });
+        };
 
-        spinner.fail(`❌ 下載失敗: ${error.message}`);
+        spinner.stopAndPersist({ symbol: '❌', text: `下載失敗: ${error.message} (${url})` });
         this.logger.error(`下載失敗: ${url}`, { error: error.message });
       }
-    }
+
+      finished++;
+      if (finished < urls.length) {
+        spinner.start(`📥 下載 Figma 檔案 (${finished}/${urls.length})`);
+      }
+
+      return download;
+    });
+
+    if (spinner.isSpinning) spinner.stop();
 
     return downloads;
   }
 
+  /**
+   * 列出將被下載與略過的檔案，不實際下載
+   * List files that would be downloaded or skipped, without downloading
+   */
+  async planDownloads() {
+    const outputDir = this.config.backup.outputDir;
+    const figma = this.services.figma;
+    const plans = [];
+
+    const manifest = this.config.backup.incremental
+      ? await new StateManifest(this.config.backup.stateFile || StateManifest.defaultPath(outputDir)).load()
+      : null;
+
+    for (const entry of this.config.backup.targets) {
+      const target = typeof entry === 'string' ? { url: entry } : entry;
+      const url = target.url || target.label;
+
+      try {
+        const only = target.only || this.options.only;
+        const resolved = await figma.resolveEditorTypes(target.projects || await figma.resolveTarget(url), only);
+        const projects = figma.filterProjects(resolved, only);
+        const { changedProjects, skipped } = manifest
+          ? await figma.partitionByManifest(projects, manifest)
+          : { changedProjects: projects, skipped: [] };
+
+        plans.push({
+          url,
+          success: true,
+          mode: figma.normalizeMode(target.mode || this.config.backup.exportMode),
+          projects: changedProjects,
+          skipped
+        });
+      } catch (error) {
+        plans.push({ url, success: false, error: error.message });
+      }
+    }
+
+    return plans;
+  }
+
+  /**
+   * 驗證下載的檔案
+   * Validate downloaded files
+   */
+  async validateDownloads(figmaDownloads) {
+    const spinner = ora('🔍 驗證備份檔案...').start();
+
+    try {
+      const validator = new BackupValidator({
+        ...this.config.advanced.validation,
+        outputDir: this.config.backup.outputDir
+      }, this.logger);
+      const result = await validator.validateRun(figmaDownloads, this.getRunOutputPath(), {
+        execution_id: this.executionId
+      });
+
+      // 驗證失敗的檔案從狀態清單移除，下次執行會重新下載
+      if (this.stateManifest && result.invalid.length > 0) {
+        result.invalid.forEach(file => this.stateManifest.remove(file.key));
+        await this.stateManifest.save();
+      }
+
+      if (result.invalid.length > 0) {
+        spinner.warn(`⚠️ 驗證完成: ${result.invalid.length}/${result.checked} 個檔案驗證失敗`);
+      } else {
+        spinner.succeed(`✅ 驗證完成: ${result.valid}/${result.checked} 個檔案通過`);
+      }
+
+      return {
+        success: result.invalid.length === 0,
+        manifest_path: result.manifest_path,
+        checked: result.checked,
+        valid: result.valid,
+        invalid: result.invalid.map(f => ({ key: f.key, name: f.name, error: f.error })),
+        warnings: result.warnings
+      };
+    } catch (error) {
+      spinner.fail(`❌ 驗證失敗: ${error.message}`);
+      this.logger.error('備份驗證失敗', { error: error.message });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 擷取版本歷史
+   * Capture version history
+   */
+  async captureVersionHistory(figmaDownloads) {
+    const spinner = ora('🕘 擷取版本歷史...').start();
+
+    try {
+      const files = figmaDownloads.filter(d => d.success).flatMap(d => d.files || []);
+
+      // 已匯出的具名版本記錄在狀態清單中，不必每次重新下載整份文件
+      const manifest = this.stateManifest || await new StateManifest(
+        this.config.backup.stateFile || StateManifest.defaultPath(this.config.backup.outputDir)
+      ).load();
+      const captures = await this.services.versionHistory.captureAll(files, manifest);
+      await manifest.save();
+
+      const succeeded = captures.filter(c => c.success);
+      const counts = {
+        files: succeeded.length,
+        versions: succeeded.reduce((sum, c) => sum + c.count, 0),
+        named_versions: succeeded.reduce((sum, c) => sum + c.named, 0),
+        exported_versions: succeeded.reduce((sum, c) => sum + c.exported.length, 0)
+      };
+
+      spinner.succeed(`✅ 版本歷史擷取完成: ${counts.versions} 個版本`);
+
+      return {
+        type: 'versions',
+        success: succeeded.length === captures.length,
+        details: `${counts.files} 個檔案，${counts.versions} 個版本，匯出 ${counts.exported_versions} 個具名版本`,
+        counts,
+        timestamp: new Date().toISOString(),
+        error: succeeded.length === captures.length ? undefined : `${captures.length - succeeded.length} 個檔案擷取失敗`
+      };
+    } catch (error) {
+      spinner.fail(`❌ 版本歷史擷取失敗: ${error.message}`);
+      this.logger.error('版本歷史擷取失敗', { error: error.message });
+
+      return {
+        type: 'versions',
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 封存評論
+   * Archive comments
+   */
+  async archiveComments(figmaDownloads) {
+    const spinner = ora('💬 封存評論...').start();
+
+    try {
+      const files = figmaDownloads.filter(d => d.success).flatMap(d => d.files || []);
+      const outputDir = path.resolve(this.config.backup.outputDir);
+      const runPath = path.resolve(this.getRunOutputPath());
+
+      // 未變更的檔案仍可能有新評論。先前的備份不可修改 (去重格式中是共用 blob 的連結)，
+      // 因此寫入本次執行中與先前備份相同的位置
+      for (const file of figmaDownloads.flatMap(d => d.skipped || [])) {
+        const segments = file.path ? path.relative(outputDir, path.resolve(file.path)).split(path.sep) : [];
+        if (segments.length < 2 || segments[0] === '..') continue;
+
+        const target = this.config.backup.createTimestampFolder
+          ? path.join(runPath, ...segments.slice(1))
+          : path.resolve(file.path);
+        files.push({ ...file, path: target, success: true });
+      }
+
+      const archives = await this.services.comments.archiveAll(files);
+      const succeeded = archives.filter(a => a.success);
+      const counts = {
+        files: succeeded.length,
+        threads: succeeded.reduce((sum, a) => sum + a.threads, 0),
+        comments: succeeded.reduce((sum, a) => sum + a.comments, 0),
+        resolved_threads: succeeded.reduce((sum, a) => sum + a.resolved, 0)
+      };
+
+      spinner.succeed(`✅ 評論封存完成: ${counts.comments} 則評論`);
+
+      return {
+        type: 'comments',
+        success: succeeded.length === archives.length,
+        details: `${counts.files} 個檔案，${counts.threads} 個討論串，${counts.comments} 則評論`,
+        counts,
+        timestamp: new Date().toISOString(),
+        error: succeeded.length === archives.length ? undefined : `${archives.length - succeeded.length} 個檔案封存失敗`
+      };
+    } catch (error) {
+      spinner.fail(`❌ 評論封存失敗: ${error.message}`);
+      this.logger.error('評論封存失敗', { error: error.message });
+
+      return {
+        type: 'comments',
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 匯出設計 Token
+   * Export design tokens
+   */
+  async exportDesignTokens(figmaDownloads) {
+    const spinner = ora('🎨 匯出設計 Token...').start();
+
+    try {
+      const files = figmaDownloads.filter(d => d.success).flatMap(d => d.files || []).filter(f => f.success);
+      const exports = await this.services.tokens.exportAll(files, this.getRunOutputPath());
+      const succeeded = exports.filter(e => e.success);
+      const counts = {
+        files: succeeded.length,
+        variables: succeeded.reduce((sum, e) => sum + e.counts.variables, 0),
+        styles: succeeded.reduce((sum, e) => sum + e.counts.styles, 0),
+        components: succeeded.reduce((sum, e) => sum + e.counts.components, 0)
+      };
+
+      spinner.succeed(`✅ 設計 Token 匯出完成: ${counts.files} 個檔案`);
+
+      return {
+        type: 'tokens',
+        success: succeeded.length === exports.length,
+        details: `${counts.files} 個檔案，${counts.variables} 個變數，${counts.styles} 個樣式，${counts.components} 個元件`,
+        counts,
+        outputs: succeeded.map(e => ({ key: e.key, ...e.paths })),
+        timestamp: new Date().toISOString(),
+        error: succeeded.length === exports.length ? undefined : `${exports.length - succeeded.length} 個檔案匯出失敗`
+      };
+    } catch (error) {
+      spinner.fail(`❌ 設計 Token 匯出失敗: ${error.message}`);
+      this.logger.error('設計 Token 匯出失敗', { error: error.message });
+
+      return {
+        type: 'tokens',
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 取得本次執行的輸出路徑
+   * Get this run's output path
+   */
+  getRunOutputPath() {
+    return this.services.figma.getOutputPath(
+      this.config.backup.outputDir,
+      this.config.backup.createTimestampFolder
+    );
+  }
+
+  /**
+   * 將本次備份提交到 Git 儲存庫
+   * Commit this run to the git repository
+   */
+  async commitToGit(figmaDownloads) {
+    const spinner = ora('🗃️ 提交到 Git 儲存庫...').start();
+
+    try {
+      const runPath = this.getRunOutputPath();
+      if (!figmaDownloads.some(d => d.success) || !await fs.pathExists(runPath)) {
+        throw new Error('沒有可提交的備份');
+      }
+
+      // 部分目標失敗或只備份部分檔案時，缺少的檔案不代表已被刪除
+      const partial = figmaDownloads.some(d => !d.success)
+        || Boolean(this.options.only && this.options.only.length > 0)
+        || this.config.backup.targets.some(target => target && target.only);
+
+      // 下載或驗證失敗的檔案保留上次提交的版本，不記錄為刪除
+      const result = await this.services.git.commitRun(runPath, {
+        skipped: figmaDownloads.flatMap(d => d.skipped || []),
+        failed: figmaDownloads.flatMap(d => d.files || []).filter(f => !f.success && f.key).map(f => f.key),
+        prune: !partial,
+        message: changes => this.buildGitCommitMessage(changes)
+      });
+
+      const counts = `新增 ${result.added.length}、變更 ${result.changed.length}、刪除 ${result.removed.length} 個檔案`;
+      const details = result.committed
+        ? `${result.commit.slice(0, 7)}: ${counts}${result.pushed ? '，已推送' : ''}`
+        : `沒有變更${result.pushed ? '，已推送' : ''}`;
+
+      spinner.succeed(`✅ Git 快照完成: ${details}`);
+
+      return {
+        type: 'git',
+        success: true,
+        commit: result.commit,
+        added: result.added.length,
+        changed: result.changed.length,
+        removed: result.removed.length,
+        pushed: result.pushed,
+        details,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      spinner.fail(`❌ Git 快照失敗: ${error.message}`);
+      this.logger.error('Git 快照失敗', { error: error.message });
+
+      return {
+        type: 'git',
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * 依執行摘要與變更產生 Git 提交訊息
+   * Build the git commit message from the run summary and the changes
+   */
+  buildGitCommitMessage(changes) {
+    const summary = this.generateSummary();
+    const lines = [
+      `Figma 備份 ${moment().format('YYYY-MM-DD HH:mm')}: 新增 ${changes.added.length}、變更 ${changes.changed.length}、刪除 ${changes.removed.length} 個檔案`,
+      '',
+      `執行 ID: ${summary.execution_id}`,
+      `目標: ${summary.successful_downloads}/${summary.total_targets} 成功`,
+      `下載: ${summary.total_files} 個檔案，略過 ${summary.skipped_files} 個未變更檔案`
+    ];
+
+    Object.entries(summary.exports).forEach(([type, status]) => {
+      lines.push(`匯出 ${type}: ${status.success ? '成功' : `失敗 (${status.error})`}${status.details ? ` - ${status.details}` : ''}`);
+    });
+
+    [['新增', changes.added], ['變更', changes.changed], ['刪除', changes.removed]]
+      .filter(([, files]) => files.length > 0)
+      .forEach(([label, files]) => {
+        lines.push('', `${label}:`, ...files.map(file => `  ${file}`));
+      });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 轉為內容定址去重儲存
+   * Convert this run to the content-addressed dedup layout
+   */
+  async deduplicateRun(figmaDownloads) {
+    const spinner = ora('🗄️ 建立去重快照...').start();
+
+    try {
+      const store = new DedupStore({
+        ...this.config.backup.storage,
+        outputDir: this.config.backup.outputDir
+      }, this.logger);
+      const skipped = figmaDownloads.flatMap(d => d.skipped || []);
+      const result = await store.snapshotRun(this.getRunOutputPath(), skipped);
+
+      // 未變更的檔案現在也存在於本次備份中，更新狀態清單避免舊備份被清理後重新下載
+      if (this.stateManifest && result.carried.length > 0) {
+        result.carried.forEach(({ key, path: carriedPath }) => this.stateManifest.record(key, { path: carriedPath }));
+        await this.stateManifest.save();
+      }
+
+      spinner.succeed(`✅ 去重快照完成: ${result.files} 個檔案，新增 ${(result.stored_bytes / 1024 / 1024).toFixed(1)} MB`);
+
+      return {
+        success: true,
+        layout: 'dedup',
+        files: result.files,
+        carried_count: result.carried.length,
+        stored_bytes: result.stored_bytes,
+        deduped_bytes: result.deduped_bytes
+      };
+    } catch (error) {
+      spinner.fail(`❌ 去重快照失敗: ${error.message}`);
+      this.logger.error('去重快照失敗', { error: error.message });
+
+      return { success: false, layout: 'dedup', error: error.message };
+    }
+  }
+
+  /**
+   * 將探索時下載到執行資料夾外的縮圖複製到 _thumbnails，讓它們一起加密
+   * Copy thumbnails downloaded outside the run folder by discovery into _thumbnails so they are encrypted too
+   *
+   * 回傳已複製的原始縮圖路徑。
+   * Returns the source paths of the copied thumbnails.
+   */
+  async copyThumbnailsIntoRun(figmaDownloads, runPath) {
+    const sources = new Set(figmaDownloads
+      .flatMap(d => [...(d.files || []), ...(d.skipped || [])])
+      .map(f => f.thumbnail_path)
+      .filter(thumbnail => thumbnail && !path.resolve(thumbnail).startsWith(runPath + path.sep)));
+    const copied = [];
+
+    for (const source of sources) {
+      if (!await fs.pathExists(source)) continue;
+
+      await fs.copy(source, path.join(runPath, '_thumbnails', path.basename(source)));
+      copied.push(path.resolve(source));
+    }
+
+    return copied;
+  }
+
+  /**
+   * 加密本次備份
+   * Encrypt this run
+   */
+  async encryptRun(figmaDownloads) {
+    const spinner = ora('🔐 加密備份...').start();
+
+    try {
+      const runPath = path.resolve(this.getRunOutputPath());
+      const encryptor = new BackupEncryptor(this.config.encryption, this.logger);
+      const thumbnails = await this.copyThumbnailsIntoRun(figmaDownloads, runPath);
+      const result = await encryptor.encryptRun(runPath);
+
+      if (result.plaintext_removed) {
+        await Promise.all(thumbnails.map(thumbnail => fs.remove(thumbnail)));
+      }
+
+      // 明文已刪除時，狀態清單改為指向加密封存檔，避免下次重新下載
+      if (this.stateManifest) {
+        figmaDownloads
+          .flatMap(d => d.files || [])
+          .filter(f => f.success && f.path && path.resolve(f.path).startsWith(runPath + path.sep))
+          .forEach(file => this.stateManifest.record(file.key, { archive: result.artifact }));
+        await this.stateManifest.save();
+      }
+
+      spinner.succeed(`✅ 加密完成: ${path.basename(result.artifact)} (${(result.size / 1024 / 1024).toFixed(1)} MB)`);
+
+      return { success: true, ...result };
+    } catch (error) {
+      spinner.fail(`❌ 加密失敗: ${error.message}`);
+      this.logger.error('加密失敗', { error: error.message });
+
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * 上傳到 Dropbox
    * Upload to Dropbox
    */
   async uploadToDropbox(figmaDownloads) {
+    return this.uploadToRemote('dropbox', 'Dropbox', figmaDownloads);
+  }
+
+  /**
+   * 上傳到 S3 相容的物件儲存
+   * Upload to S3-compatible object storage
+   */
+  async uploadToS3(figmaDownloads) {
+    return this.uploadToRemote('s3', 'S3', figmaDownloads);
+  }
+
+  /**
+   * 以指定的同步服務上傳備份結果
+   * Upload backup results with the given sync service
+   */
+  async uploadToRemote(service, label, figmaDownloads) {
     const uploads = [];
-    const spinner = ora('☁️ 上傳到 Dropbox...').start();
+    const spinner = ora(`☁️ 上傳到 ${label}...`).start();
 
     try {
-      for (const download of figmaDownloads) {
-        if (download.success && download.output_path) {
-          const result = await this.services.dropbox.syncBackupResults([download]);
-          uploads.push({
-            source: download.output_path,
-            success: result.success,
-            remoteFolder: result.remoteFolder,
-            timestamp: new Date().toISOString(),
-            error: result.error
-          });
-        }
+      // 多個目標通常共用同一個輸出資料夾，只上傳一次
+      const sources = [...new Set(figmaDownloads.filter(d => d.success && d.output_path).map(d => d.output_path))];
+
+      for (const source of sources) {
+        const result = await this.services[service].syncBackupResults([{ success: true, output_path: source }]);
+        uploads.push({
+          service,
+          source,
+          success: result.success,
+          remoteFolder: result.remoteFolder,
+          files_uploaded: result.files_uploaded || 0,
+          files_skipped: result.files_skipped || 0,
+          bytes_uploaded: result.bytes_uploaded || 0,
+          failed: result.failed || [],
+          timestamp: new Date().toISOString(),
+          error: result.error
+        });
       }
 
-      const successCount = uploads.filter(u => u.success).length;
-      spinner.succeed(`✅ Dropbox 上傳完成: ${successCount}/${uploads.length}`);
+      const uploaded = uploads.reduce((sum, u) => sum + u.files_uploaded, 0);
+      const skipped = uploads.reduce((sum, u) => sum + u.files_skipped, 0);
+      const bytes = uploads.reduce((sum, u) => sum + u.bytes_uploaded, 0);
+      const message = `${label} 上傳完成: ${uploaded} 個檔案 (${(bytes / 1024 / 1024).toFixed(1)} MB)，略過 ${skipped} 個未變更檔案`;
+
+      if (uploads.every(u => u.success)) {
+        spinner.succeed(`✅ ${message}`);
+      } else {
+        spinner.warn(`⚠️ ${message}，${uploads.filter(u => !u.success).map(u => u.error).join('; ')}`);
+      }
+      this.logger.info(message, { uploaded, skipped, bytes });
       
       return uploads;
     } catch (error) {
-      spinner.fail(`❌ Dropbox 上傳失敗: ${error.message}`);
-      this.logger.error('Dropbox 上傳失敗', { error: error.message });
+      spinner.fail(`❌ ${label} 上傳失敗: ${error.message}`);
+      this.logger.error(`${label} 上傳失敗`, { error: error.message });
       
       return [{
+        service,
         success: false,
         error: error.message,
         timestamp: new Date().toISOString()
@@ -300,6 +1108,28 @@ class FigmaBackupSystem {
     }
   }
 
+  /**
+   * 建立提供給 Notion 與 Obsidian 的執行記錄 (每個檔案一筆)
+   * Build the run record given to Notion and Obsidian (one entry per file)
+   */
+  buildSyncRun(results) {
+    // 未加密時 Dropbox 鏡像本機資料夾，可以直接對應每個檔案的遠端路徑
+    const dropbox = this.services.dropbox && !results.encryption ? this.services.dropbox : null;
+    const downloads = results.downloads.filter(d => d.success);
+
+    return {
+      execution_id: results.execution_id,
+      profile: results.profile,
+      started_at: new Date(results.start_time).toISOString(),
+      files: downloads.flatMap(d => d.files || []).map(file => ({
+        ...file,
+        dropbox_path: dropbox && file.success && file.path ? dropbox.remotePathFor(file.path) : undefined
+      })),
+      skipped: downloads.flatMap(d => d.skipped || []),
+      failed_targets: results.downloads.length - downloads.length
+    };
+  }
+
   /**
    * 更新 Notion 資料庫
    * Update Notion database
@@ -308,14 +1138,20 @@ class FigmaBackupSystem {
     const spinner = ora('📊 更新 Notion 資料庫...').start();
 
     try {
-      const syncResult = await this.services.notion.syncBackupResults([results]);
-      
-      spinner.succeed('✅ Notion 資料庫更新完成');
+      const syncResult = await this.services.notion.syncBackupResults(this.buildSyncRun(results));
+
+      const details = `新增 ${syncResult.created} 列，更新 ${syncResult.updated} 列`;
+      if (syncResult.success) {
+        spinner.succeed(`✅ Notion 資料庫更新完成: ${details}`);
+      } else {
+        spinner.warn(`⚠️ Notion 資料庫更新完成: ${details}，${syncResult.error}`);
+      }
       
       return {
         type: 'notion',
         success: syncResult.success,
-        details: `更新了 ${syncResult.results?.length || 0} 筆記錄`,
+        details,
+        error: syncResult.error,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -339,14 +1175,20 @@ class FigmaBackupSystem {
     const spinner = ora('📝 同步 Obsidian 知識庫...').start();
 
     try {
-      const syncResult = await this.services.obsidian.syncBackupResults([results]);
-      
-      spinner.succeed('✅ Obsidian 知識庫同步完成');
+      const syncResult = await this.services.obsidian.syncBackupResults(this.buildSyncRun(results));
+      const details = `${syncResult.created} 則新筆記，更新 ${syncResult.updated} 則筆記與 ${syncResult.projects} 個專案索引`;
+
+      if (syncResult.success) {
+        spinner.succeed(`✅ Obsidian 知識庫同步完成: ${details}`);
+      } else {
+        spinner.warn(`⚠️ Obsidian 知識庫同步完成: ${details}，${syncResult.error}`);
+      }
       
       return {
         type: 'obsidian',
         success: syncResult.success,
-        details: `同步了 ${syncResult.results?.length || 0} 個檔案`,
+        details,
+        error: syncResult.error,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -362,6 +1204,34 @@ class FigmaBackupSystem {
     }
   }
 
+  /**
+   * 套用保留策略
+   * Apply retention policy
+   */
+  async applyRetention() {
+    const spinner = ora('🧹 套用保留策略...').start();
+
+    try {
+      const result = await RetentionManager.fromConfig(this.config, this.logger).prune();
+
+      spinner.succeed(`✅ 保留策略套用完成: 刪除 ${result.pruned.length} 份舊備份`);
+
+      return {
+        success: result.errors.length === 0,
+        kept_count: result.kept.length,
+        pruned: result.pruned,
+        reports: result.reports,
+        remote: result.remote,
+        error: result.errors.length > 0 ? result.errors.join('; ') : undefined
+      };
+    } catch (error) {
+      spinner.fail(`❌ 保留策略套用失敗: ${error.message}`);
+      this.logger.error('保留策略套用失敗', { error: error.message });
+
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * 生成執行摘要
    * Generate execution summary
@@ -373,12 +1243,24 @@ class FigmaBackupSystem {
       successful_downloads: this.results.downloads.filter(d => d.success).length,
       failed_downloads: this.results.downloads.filter(d => !d.success).length,
       total_files: this.results.downloads.reduce((sum, d) => sum + (d.files?.length || 0), 0),
+      skipped_files: this.results.downloads.reduce((sum, d) => sum + (d.skipped?.length || 0), 0),
       duration: moment.duration(this.results.duration).humanize(),
       duration_ms: this.results.duration,
+      exports: {},
       services: {},
       errors: this.results.errors
     };
 
+    // 附加匯出狀態
+    this.results.exports.forEach(exp => {
+      summary.exports[exp.type] = {
+        success: exp.success,
+        details: exp.details,
+        counts: exp.counts,
+        error: exp.error
+      };
+    });
+
     // 服務同步狀態
     this.results.syncs.forEach(sync => {
       summary.services[sync.type] = {
@@ -388,12 +1270,59 @@ class FigmaBackupSystem {
       };
     });
 
-    // Dropbox 上傳狀態
-    if (this.results.uploads.length > 0) {
-      summary.services.dropbox = {
-        success: this.results.uploads.some(u => u.success),
-        uploaded_count: this.results.uploads.filter(u => u.success).length,
-        total_count: this.results.uploads.length
+    // 驗證狀態
+    if (this.results.validation) {
+      summary.validation = {
+        success: this.results.validation.success,
+        checked: this.results.validation.checked,
+        valid: this.results.validation.valid,
+        invalid: (this.results.validation.invalid || []).length,
+        warnings: this.results.validation.warnings,
+        error: this.results.validation.error
+      };
+    }
+
+    // 去重儲存狀態
+    if (this.results.storage) {
+      summary.storage = this.results.storage;
+    }
+
+    // 加密狀態
+    if (this.results.encryption) {
+      summary.encryption = {
+        success: this.results.encryption.success,
+        artifact: this.results.encryption.artifact,
+        size: this.results.encryption.size,
+        error: this.results.encryption.error
+      };
+    }
+
+    // 保留策略狀態
+    if (this.results.retention) {
+      summary.retention = {
+        success: this.results.retention.success,
+        pruned_count: (this.results.retention.pruned || []).length,
+        kept_count: this.results.retention.kept_count,
+        error: this.results.retention.error
+      };
+    }
+
+    // Dropbox 與 S3 上傳狀態
+    for (const service of [...new Set(this.results.uploads.map(u => u.service))]) {
+      const uploads = this.results.uploads.filter(u => u.service === service);
+      const filesUploaded = uploads.reduce((sum, u) => sum + (u.files_uploaded || 0), 0);
+      const filesSkipped = uploads.reduce((sum, u) => sum + (u.files_skipped || 0), 0);
+      const bytesUploaded = uploads.reduce((sum, u) => sum + (u.bytes_uploaded || 0), 0);
+
+      summary.services[service] = {
+        success: uploads.every(u => u.success),
+        uploaded_count: uploads.filter(u => u.success).length,
+        total_count: uploads.length,
+        files_uploaded: filesUploaded,
+        files_skipped: filesSkipped,
+        bytes_uploaded: bytesUploaded,
+        details: `${filesUploaded} 個檔案 (${(bytesUploaded / 1024 / 1024).toFixed(1)} MB)，略過 ${filesSkipped} 個未變更檔案`,
+        error: uploads.filter(u => u.error).map(u => u.error).join('; ') || undefined
       };
     }
 
@@ -410,7 +1339,8 @@ class FigmaBackupSystem {
       await fs.ensureDir(reportsDir);
       
       const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
-      const reportPath = path.join(reportsDir, `backup-report-${timestamp}.json`);
+      const suffix = this.options.profile ? `-${this.options.profile}` : '';
+      const reportPath = path.join(reportsDir, `backup-report-${timestamp}${suffix}.json`);
       
       const report = {
         ...this.results,
@@ -450,6 +1380,9 @@ class FigmaBackupSystem {
     // 基本資訊
     console.log(chalk.cyan('\n🔍 執行資訊:'));
     console.log(`   執行 ID: ${chalk.yellow(this.executionId)}`);
+    if (this.options.profile) {
+      console.log(`   Profile: ${chalk.blue(this.options.profile)}`);
+    }
     console.log(`   開始時間: ${chalk.gray(moment(this.results.start_time).format('YYYY-MM-DD HH:mm:ss'))}`);
     console.log(`   結束時間: ${chalk.gray(moment(this.results.end_time).format('YYYY-MM-DD HH:mm:ss'))}`);
     console.log(`   執行時間: ${chalk.green(summary.duration)}`);
@@ -461,6 +1394,28 @@ class FigmaBackupSystem {
     console.log(`   成功下載: ${chalk.green(summary.successful_downloads)}`);
     console.log(`   失敗下載: ${chalk.red(summary.failed_downloads)}`);
     console.log(`   總檔案數: ${chalk.blue(summary.total_files)}`);
+    console.log(`   略過未變更: ${chalk.gray(summary.skipped_files)}`);
+    if (summary.validation) {
+      console.log(`   驗證通過: ${chalk.green(summary.validation.valid || 0)}/${summary.validation.checked || 0}`);
+    }
+    if (summary.encryption) {
+      const status = summary.encryption.success
+        ? chalk.green(`✅ ${path.basename(summary.encryption.artifact)}`)
+        : chalk.red(`❌ ${summary.encryption.error}`);
+      console.log(`   加密封存: ${status}`);
+    }
+    
+    // 附加匯出狀態
+    if (Object.keys(summary.exports).length > 0) {
+      console.log(chalk.cyan('\n📦 附加匯出:'));
+      Object.entries(summary.exports).forEach(([type, status]) => {
+        const icon = status.success ? '✅' : '❌';
+        console.log(`   ${type}: ${icon} ${status.details || (status.success ? '成功' : '失敗')}`);
+        if (status.error) {
+          console.log(`     ${chalk.red('錯誤:')} ${status.error}`);
+        }
+      });
+    }
     
     // 服務同步狀態
     console.log(chalk.cyan('\n🔄 服務同步狀態:'));
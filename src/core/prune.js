@@ -0,0 +1,55 @@
+const chalk = require('chalk');
+
+const ConfigManager = require('./config-manager');
+const RetentionManager = require('./retention-manager');
+
+/**
+ * 顯示清理結果
+ * Display pruning result
+ */
+function displayPruneResult(result) {
+  const title = result.dry_run ? '🔍 清理預覽 (dry run)' : '🧹 清理結果';
+  console.log(chalk.blue(`\n${title}`));
+  console.log(chalk.gray('─'.repeat(50)));
+
+  result.kept.forEach(run => {
+    console.log(`${chalk.green('保留')} ${run.name} ${chalk.gray(`(${run.reasons.join(', ')})`)}`);
+  });
+
+  result.pruned.forEach(name => {
+    console.log(`${chalk.red(result.dry_run ? '將刪除' : '已刪除')} ${name}`);
+  });
+
+  result.reports.forEach(name => {
+    console.log(`${chalk.red(result.dry_run ? '將刪除報告' : '已刪除報告')} ${name}`);
+  });
+
+  result.errors.forEach(error => console.log(`${chalk.red('錯誤:')} ${error}`));
+
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(`保留 ${chalk.green(result.kept.length)} 份，${result.dry_run ? '將刪除' : '已刪除'} ${chalk.red(result.pruned.length)} 份備份`);
+}
+
+/**
+ * 依保留策略清理舊的備份 (figma-backup prune)
+ * Prune old backups by the retention policy (figma-backup prune)
+ */
+async function pruneCommand(options) {
+  const config = await new ConfigManager(options.config, { profile: options.profile }).loadConfig({ quiet: options.json });
+
+  if (options.backupDir) {
+    config.backup.outputDir = options.backupDir;
+  }
+
+  const result = await RetentionManager.fromConfig(config).prune({ dryRun: Boolean(options.dryRun) });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    displayPruneResult(result);
+  }
+
+  return result.errors.length === 0;
+}
+
+module.exports = { pruneCommand, displayPruneResult };
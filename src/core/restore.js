@@ -0,0 +1,138 @@
+const chalk = require('chalk');
+const moment = require('moment');
+
+const ConfigManager = require('./config-manager');
+const BackupCatalog = require('./backup-catalog');
+
+/**
+ * 格式化檔案大小
+ * Format a file size
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * 顯示檔案與其所有快照
+ * Display files and all their snapshots
+ */
+function displayFiles(files) {
+  if (files.length === 0) {
+    console.log(chalk.yellow('\n找不到符合的備份檔案'));
+    return;
+  }
+
+  let project = null;
+
+  files.forEach(file => {
+    if (file.project_name !== project) {
+      project = file.project_name;
+      console.log(chalk.blue(`\n📁 ${project || '(未知專案)'} ${chalk.gray(`(${file.project_id || '-'})`)}`));
+    }
+
+    const editor = file.editor_type ? chalk.gray(` [${file.editor_type}]`) : '';
+    console.log(`  ${chalk.white(file.name || file.key)} ${chalk.gray(`(${file.key})`)}${editor}`);
+
+    file.snapshots.forEach(snapshot => {
+      const formats = snapshot.files.map(f => f.format).join(', ');
+      const lock = snapshot.encrypted ? chalk.yellow(' 🔐') : '';
+      console.log(`    ${chalk.green(snapshot.run)}  ${formatSize(snapshot.size).padStart(9)}  ${chalk.gray(formats)}${lock}`);
+    });
+  });
+
+  const snapshotCount = files.reduce((sum, f) => sum + f.snapshots.length, 0);
+  console.log(chalk.gray(`\n共 ${files.length} 個檔案，${snapshotCount} 份快照`));
+}
+
+/**
+ * 載入配置與備份目錄索引
+ * Load configuration and the backup catalog
+ */
+async function loadCatalog(options) {
+  const config = await new ConfigManager(options.config, { profile: options.profile }).loadConfig({ validate: false, quiet: options.json });
+
+  if (options.backupDir) {
+    config.backup.outputDir = options.backupDir;
+  }
+
+  return BackupCatalog.fromConfig(config).load();
+}
+
+/**
+ * 列出備份檔案
+ * List backed-up files
+ */
+async function listCommand(query, options) {
+  const catalog = await loadCatalog(options);
+  const files = catalog.search(query, { project: options.project });
+
+  if (options.json) {
+    console.log(JSON.stringify(files, null, 2));
+  } else {
+    displayFiles(files);
+  }
+}
+
+/**
+ * 還原檔案或專案的快照
+ * Restore a snapshot of a file or project
+ */
+async function restoreCommand(query, options) {
+  const catalog = await loadCatalog(options);
+  let files = catalog.search(options.project ? '' : query, { project: options.project ? query : null });
+
+  if (!options.project) {
+    // 完全符合 key 時優先使用，避免名稱相似的檔案造成混淆
+    const exact = files.filter(f => f.key === query);
+    files = exact.length > 0 ? exact : files;
+
+    if (files.length > 1) {
+      displayFiles(files);
+      throw new Error(`"${query}" 符合多個檔案，請改用檔案 key`);
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error(`找不到符合 "${query}" 的備份檔案`);
+  }
+
+  // 專案還原預設使用包含該專案的最新一次備份
+  const run = options.run || (options.project
+    ? files.flatMap(f => f.snapshots.map(s => s.run)).sort().reverse()[0]
+    : null);
+
+  const resolved = files.map(entry => ({ entry, snapshot: catalog.findSnapshot(entry, run) }));
+  const items = resolved.filter(item => item.snapshot);
+  const missing = resolved.filter(item => !item.snapshot).map(item => item.entry);
+
+  if (items.length === 0) {
+    throw new Error(`備份 ${run} 中沒有符合 "${query}" 的檔案`);
+  }
+
+  // 在指定備份之後才建立的檔案無法還原，逐一列出而不是略過
+  missing.forEach(entry => {
+    console.warn(chalk.yellow(`⚠️  ${entry.name || entry.key} (${entry.key}) 在 ${run} 之前沒有備份，未還原`));
+  });
+
+  const restored = await catalog.restore(items, options.output);
+
+  if (options.json) {
+    console.log(JSON.stringify(restored, null, 2));
+    return;
+  }
+
+  restored.forEach(file => {
+    console.log(`${chalk.green('已還原')} ${file.name} ${chalk.gray(`(${file.run})`)} → ${file.path}`);
+  });
+
+  const date = moment(items[0].snapshot.date).format('YYYY-MM-DD HH:mm');
+  console.log(chalk.green(`\n✅ 已還原 ${restored.length} 個檔案 (${items.length > 1 ? `${items.length} 個 Figma 檔案` : date})`));
+
+  if (missing.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${missing.length} 個檔案在 ${run} 之前沒有備份`));
+  }
+}
+
+module.exports = { displayFiles, listCommand, restoreCommand };
@@ -0,0 +1,331 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+const DedupStore = require('./dedup-store');
+const StateManifest = require('./state-manifest');
+
+const RUN_FOLDER_FORMAT = 'YYYY-MM-DD_HH-mm-ss';
+const RUN_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/;
+const ENCRYPTED_RUN_PATTERN = /^(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})\.tar\.gz\.enc$/;
+
+/**
+ * 保留策略管理器 - 以祖父-父-子輪替清理舊的時間戳記備份資料夾
+ * Retention Manager - Prunes old timestamped backup folders with grandfather-father-son rotation
+ */
+class RetentionManager {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      outputDir: options.outputDir || './figma-backups',
+      reportsDir: options.reportsDir || './reports',
+      keepLast: options.keepLast ?? 7,
+      daily: options.daily ?? 14,
+      weekly: options.weekly ?? 8,
+      monthly: options.monthly ?? 12,
+      pruneReports: options.pruneReports !== false,
+      remotes: options.remotes || [],
+      dedupStore: options.dedupStore || null,
+      stateFile: options.stateFile || null
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * 列出所有時間戳記備份 (資料夾或加密封存檔，由新到舊)
+   * List all timestamped runs (folders or encrypted artifacts, newest first)
+   *
+   * 同一時間戳記的資料夾與加密封存檔視為同一份備份，entries 為其檔名。
+   * A folder and an encrypted artifact with the same timestamp are one run; entries holds their names.
+   */
+  async listRuns() {
+    const outputDir = path.resolve(this.options.outputDir);
+
+    if (!await fs.pathExists(outputDir)) {
+      return [];
+    }
+
+    const runs = new Map();
+
+    for (const entry of await fs.readdir(outputDir, { withFileTypes: true })) {
+      let name = null;
+
+      if (entry.isDirectory() && RUN_FOLDER_PATTERN.test(entry.name)) {
+        name = entry.name;
+      } else if (entry.isFile() && ENCRYPTED_RUN_PATTERN.test(entry.name)) {
+        name = entry.name.match(ENCRYPTED_RUN_PATTERN)[1];
+      }
+
+      if (!name) continue;
+
+      if (!runs.has(name)) {
+        runs.set(name, {
+          name,
+          path: path.join(outputDir, name),
+          entries: [],
+          date: moment(name, RUN_FOLDER_FORMAT, true)
+        });
+      }
+
+      runs.get(name).entries.push(entry.name);
+    }
+
+    return [...runs.values()]
+      .filter(run => run.date.isValid())
+      .sort((a, b) => b.date.valueOf() - a.date.valueOf());
+  }
+
+  /**
+   * 找出狀態清單仍指向的備份 (增量備份略過的檔案只存在於較舊的備份中)
+   * Find runs the state manifest still points to (files skipped by incremental runs only exist in older runs)
+   */
+  async referencedRuns() {
+    const outputDir = path.resolve(this.options.outputDir);
+    const manifestPath = this.options.stateFile || StateManifest.defaultPath(outputDir);
+    const referenced = new Set();
+
+    if (!await fs.pathExists(manifestPath)) {
+      return referenced;
+    }
+
+    const manifest = await new StateManifest(manifestPath).load();
+
+    for (const entry of Object.values(manifest.state.files)) {
+      for (const filePath of [entry.path, entry.archive].filter(Boolean)) {
+        const [name] = path.relative(outputDir, path.resolve(filePath)).split(path.sep);
+        const match = name && (name.match(ENCRYPTED_RUN_PATTERN) || name.match(RUN_FOLDER_PATTERN));
+
+        if (match) referenced.add(match[1] || match[0]);
+      }
+    }
+
+    return referenced;
+  }
+
+  /**
+   * 依祖父-父-子規則計算要保留與刪除的備份
+   * Compute runs to keep and prune using grandfather-father-son rules
+   *
+   * 每日/每週/每月規則會保留最近 N 個「有備份的」期間中最新的一份；referenced 中的備份一律保留。
+   * Daily/weekly/monthly rules keep the newest run of the last N periods that have runs; runs in referenced are always kept.
+   */
+  plan(runs, referenced = new Set()) {
+    const { keepLast, daily, weekly, monthly } = this.options;
+    const reasons = new Map(runs.map(run => [run.name, []]));
+
+    runs.slice(0, keepLast).forEach(run => reasons.get(run.name).push('last'));
+    runs.filter(run => referenced.has(run.name)).forEach(run => reasons.get(run.name).push('referenced'));
+
+    const rules = [
+      { name: 'daily', limit: daily, bucket: date => date.format('YYYY-MM-DD') },
+      { name: 'weekly', limit: weekly, bucket: date => date.format('GGGG-[W]WW') },
+      { name: 'monthly', limit: monthly, bucket: date => date.format('YYYY-MM') }
+    ];
+
+    rules.forEach(rule => {
+      const seen = new Set();
+
+      for (const run of runs) {
+        if (seen.size >= rule.limit) break;
+
+        const bucket = rule.bucket(run.date);
+        if (!seen.has(bucket)) {
+          seen.add(bucket);
+          reasons.get(run.name).push(rule.name);
+        }
+      }
+    });
+
+    // 永遠保留最新的一份備份
+    if (runs.length > 0 && reasons.get(runs[0].name).length === 0) {
+      reasons.get(runs[0].name).push('latest');
+    }
+
+    return {
+      keep: runs.filter(run => reasons.get(run.name).length > 0)
+        .map(run => ({ ...run, reasons: reasons.get(run.name) })),
+      prune: runs.filter(run => reasons.get(run.name).length === 0)
+    };
+  }
+
+  /**
+   * 尋找與備份資料夾對應的執行報告
+   * Find execution reports matching pruned run folders
+   */
+  async findReports(runs) {
+    const reportsDir = path.resolve(this.options.reportsDir);
+
+    if (runs.length === 0 || !await fs.pathExists(reportsDir)) {
+      return [];
+    }
+
+    const runPaths = new Set(runs.map(run => run.path));
+    const reports = [];
+
+    for (const name of await fs.readdir(reportsDir)) {
+      if (!/^backup-report-.*\.json$/.test(name)) continue;
+
+      const reportPath = path.join(reportsDir, name);
+
+      try {
+        const report = await fs.readJson(reportPath);
+        const outputPaths = (report.downloads || [])
+          .map(d => d.output_path)
+          .filter(Boolean)
+          .map(p => path.resolve(p));
+
+        if (outputPaths.length > 0 && outputPaths.every(p => runPaths.has(p))) {
+          reports.push(reportPath);
+        }
+      } catch (error) {
+        if (this.logger) this.logger.warn(`無法讀取執行報告: ${name}`, { error: error.message });
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * 執行清理
+   * Run pruning
+   *
+   * dryRun 時只回傳計畫，不刪除任何檔案。
+   * With dryRun, only the plan is returned and nothing is deleted.
+   */
+  async prune({ dryRun = false } = {}) {
+    const runs = await this.listRuns();
+    const { keep, prune } = this.plan(runs, await this.referencedRuns());
+    const reports = this.options.pruneReports ? await this.findReports(prune) : [];
+    const result = {
+      dry_run: dryRun,
+      kept: keep.map(run => ({ name: run.name, reasons: run.reasons })),
+      pruned: prune.map(run => run.name),
+      reports: reports.map(r => path.basename(r)),
+      remote: [],
+      blobs: null,
+      errors: []
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    for (const run of prune) {
+      for (const entry of run.entries) {
+        const entryPath = path.join(path.dirname(run.path), entry);
+
+        try {
+          await fs.remove(entryPath);
+          if (this.logger) this.logger.fileOperation('DELETE', entryPath, true, { type: 'retention' });
+        } catch (error) {
+          result.errors.push(`${entry}: ${error.message}`);
+          if (this.logger) this.logger.fileOperation('DELETE', entryPath, false, { error: error.message });
+        }
+      }
+    }
+
+    // 去重儲存：刪除不再被任何備份引用的 blob
+    if (this.options.dedupStore) {
+      try {
+        result.blobs = await this.options.dedupStore.gc();
+      } catch (error) {
+        result.errors.push(`blobs: ${error.message}`);
+      }
+    }
+
+    for (const reportPath of reports) {
+      try {
+        await fs.remove(reportPath);
+      } catch (error) {
+        result.errors.push(`${path.basename(reportPath)}: ${error.message}`);
+      }
+    }
+
+    for (const remote of this.options.remotes) {
+      for (const entry of prune.flatMap(run => run.entries)) {
+        try {
+          await remote.deleteRunEntry(entry);
+          result.remote.push(`${remote.name}:${entry}`);
+        } catch (error) {
+          result.errors.push(`${remote.name}:${entry}: ${error.message}`);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * 建立 Dropbox 遠端清理目標
+ * Create a Dropbox remote pruning target
+ */
+function createDropboxRemote(dropboxConfig) {
+  const DropboxSync = require('../integrations/dropbox-sync');
+  const client = DropboxSync.createClient(dropboxConfig);
+  const appFolder = DropboxSync.normalizeFolder(dropboxConfig.appFolder || '/figma-backups');
+
+  return {
+    name: 'dropbox',
+    async deleteRunEntry(name) {
+      try {
+        await client.filesDeleteV2({ path: `${appFolder}/${name}` });
+      } catch (error) {
+        // 遠端不存在的資料夾或封存檔視為已刪除
+        const summary = error.error && error.error.error_summary;
+        if (!summary || !summary.startsWith('path_lookup/not_found')) {
+          throw new Error(summary || error.message);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 建立 S3 遠端清理目標
+ * Create an S3 remote pruning target
+ */
+function createS3Remote(s3Config) {
+  const S3Sync = require('../integrations/s3-sync');
+  const s3 = new S3Sync(s3Config);
+
+  return {
+    name: 's3',
+    deleteRunEntry: name => s3.deleteRunEntry(name)
+  };
+}
+
+/**
+ * 依設定建立保留策略管理器
+ * Create a retention manager from configuration
+ */
+function fromConfig(config, logger = null) {
+  const retention = config.retention || {};
+  const remotes = [];
+
+  if (retention.pruneRemote && config.dropbox && config.dropbox.enabled) {
+    remotes.push(createDropboxRemote(config.dropbox));
+  }
+
+  if (retention.pruneRemote && config.s3 && config.s3.enabled) {
+    remotes.push(createS3Remote(config.s3));
+  }
+
+  const outputDir = config.backup.outputDir;
+  const storage = config.backup.storage || {};
+  const dedupStore = storage.layout === 'dedup' ? new DedupStore({ ...storage, outputDir }, logger) : null;
+
+  return new RetentionManager({
+    ...retention,
+    outputDir,
+    stateFile: config.backup.stateFile,
+    remotes,
+    dedupStore
+  }, logger);
+}
+
+RetentionManager.createDropboxRemote = createDropboxRemote;
+RetentionManager.createS3Remote = createS3Remote;
+RetentionManager.fromConfig = fromConfig;
+
+module.exports = RetentionManager;
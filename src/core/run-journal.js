@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_DIR = './reports/journal';
+
+/**
+ * 執行日誌 - 每完成一個檔案就寫入一行檢查點，讓中斷的執行可以從中斷處繼續
+ * Run Journal - Appends a checkpoint line as each file completes so an interrupted run can resume
+ *
+ * 第一行為執行資訊 (type: run)，其後每行為一個完成的檔案 (type: file)。
+ * The first line describes the run (type: run); each following line is a completed file (type: file).
+ */
+class RunJournal {
+  constructor(journalPath) {
+    this.journalPath = path.resolve(journalPath);
+    this.header = null;
+    this.entries = new Map();
+  }
+
+  /**
+   * 取得執行 ID 對應的日誌路徑
+   * Get the journal path for an execution ID
+   */
+  static pathFor(executionId, journalDir = DEFAULT_DIR) {
+    return path.join(path.resolve(journalDir), `${executionId}.jsonl`);
+  }
+
+  /**
+   * 日誌是否存在
+   * Whether the journal exists
+   */
+  exists() {
+    return fs.pathExists(this.journalPath);
+  }
+
+  /**
+   * 建立新的日誌
+   * Start a new journal
+   */
+  async start(header) {
+    this.header = { type: 'run', ...header };
+    this.entries = new Map();
+
+    await fs.ensureDir(path.dirname(this.journalPath));
+    await fs.writeFile(this.journalPath, `${JSON.stringify(this.header)}\n`);
+    return this;
+  }
+
+  /**
+   * 載入日誌 (略過中斷時寫到一半的最後一行)
+   * Load the journal (ignoring a last line cut off by the interruption)
+   */
+  async load() {
+    const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n').filter(Boolean);
+
+    this.entries = new Map();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      if (entry.type === 'run') {
+        this.header = entry;
+      } else if (entry.type === 'file') {
+        this.entries.set(`${entry.kind}:${entry.key}`, entry);
+      }
+    }
+
+    if (!this.header) {
+      throw new Error(`無效的執行日誌: ${this.journalPath}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * 記錄完成的檔案 (kind 為 fig 或 rest)
+   * Record a completed file (kind is fig or rest)
+   */
+  async record(kind, file) {
+    const entry = { type: 'file', kind, key: file.key, recorded_at: new Date().toISOString(), file };
+
+    this.entries.set(`${kind}:${file.key}`, entry);
+    await fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * 取得已成功完成的檔案記錄
+   * Get the record of a successfully completed file
+   */
+  getCompleted(kind, fileKey) {
+    const entry = this.entries.get(`${kind}:${fileKey}`);
+    return entry && entry.file.success ? entry.file : null;
+  }
+
+  /**
+   * 執行完成後移除日誌
+   * Remove the journal once the run has finished
+   */
+  async remove() {
+    await fs.remove(this.journalPath);
+  }
+}
+
+module.exports = RunJournal;
@@ -0,0 +1,409 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+
+const ConfigManager = require('./config-manager');
+const FigmaApiWrapper = require('../integrations/figma-api-wrapper');
+
+const TEAM_URL = 'https://www.figma.com/files/team';
+const PROJECT_URL = 'https://www.figma.com/files/project';
+
+/**
+ * 解析以逗號或空白分隔的 ID 清單
+ * Parse a comma or whitespace separated list of IDs
+ */
+function parseIds(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(/[\s,]+/))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 驗證 Figma token，成功時回傳使用者資訊
+ * Validate a Figma token, returning the user on success
+ */
+async function validateToken(token) {
+  const result = await new FigmaApiWrapper({ token }).validateToken();
+
+  if (!result.valid) {
+    throw new Error(`Figma token 無效: ${result.error || '驗證失敗'}`);
+  }
+
+  return result;
+}
+
+/**
+ * 依設定精靈的答案建立配置
+ * Build a configuration from the wizard answers
+ */
+function buildConfig(baseConfig, answers) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+
+  config.figma = {
+    ...config.figma,
+    token: answers.token,
+    email: answers.email ?? config.figma.email,
+    password: answers.password ?? config.figma.password
+  };
+
+  config.backup = {
+    ...config.backup,
+    targets: answers.targets,
+    exportMode: answers.exportMode || config.backup.exportMode,
+    outputDir: answers.outputDir,
+    createTimestampFolder: answers.createTimestampFolder
+  };
+
+  const integrations = answers.integrations || [];
+
+  config.dropbox = {
+    ...config.dropbox,
+    enabled: integrations.includes('dropbox'),
+    ...(answers.dropbox || {})
+  };
+
+  config.notion = {
+    ...config.notion,
+    enabled: integrations.includes('notion'),
+    ...(answers.notion || {})
+  };
+
+  config.obsidian = {
+    ...config.obsidian,
+    enabled: integrations.includes('obsidian'),
+    ...(answers.obsidian || {})
+  };
+
+  return config;
+}
+
+/**
+ * 取得團隊專案並讓使用者勾選備份目標
+ * Fetch team projects and let the user check backup targets
+ */
+async function promptTargets(teamProjects, currentTargets) {
+  const choices = [];
+  const teamOfProject = new Map();
+
+  for (const [teamId, projects] of teamProjects) {
+    const teamUrl = `${TEAM_URL}/${teamId}`;
+
+    choices.push(new inquirer.Separator(chalk.blue(`── 團隊 ${teamId} (${projects.length} 個專案)`)));
+    choices.push({ name: `整個團隊 (包含日後新增的專案)`, value: teamUrl, checked: currentTargets.includes(teamUrl) });
+
+    projects.forEach(project => {
+      const projectUrl = `${PROJECT_URL}/${project.id}`;
+      teamOfProject.set(projectUrl, teamUrl);
+      choices.push({ name: `${project.name} (${project.id})`, value: projectUrl, checked: currentTargets.includes(projectUrl) });
+    });
+  }
+
+  const { targets } = await inquirer.prompt([{
+    type: 'checkbox',
+    name: 'targets',
+    message: '選擇要備份的團隊或專案:',
+    choices,
+    pageSize: 20,
+    validate: selected => selected.length > 0 || '至少需要選擇一個備份目標'
+  }]);
+
+  // 已選整個團隊時，不需要再個別備份其專案
+  return targets.filter(target => !targets.includes(teamOfProject.get(target)));
+}
+
+/**
+ * 互動式設定精靈
+ * Interactive setup wizard
+ */
+async function runWizard(baseConfig) {
+  console.log(chalk.blue.bold('\n🧙 Figma 備份設定精靈\n'));
+
+  // 1. Figma token (即時驗證)
+  let user = null;
+  const { token } = await inquirer.prompt([{
+    type: 'password',
+    name: 'token',
+    mask: '*',
+    message: 'Figma 個人存取 token (figd_...):',
+    default: baseConfig.figma.token || process.env.FIGMA_ACCESS_TOKEN || undefined,
+    validate: async value => {
+      if (!value) return 'Figma token 為必填項目';
+      try {
+        user = await validateToken(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }]);
+
+  console.log(chalk.green(`✅ 已驗證 Figma 帳號: ${user.user} ${user.email ? `<${user.email}>` : ''}`));
+  const figma = new FigmaApiWrapper({ token });
+
+  // 2. 團隊與專案
+  const currentTargets = (baseConfig.backup.targets || []).map(t => (typeof t === 'string' ? t : t.url));
+  const currentTeams = currentTargets
+    .map(url => (String(url).match(/\/team\/(\d+)/) || [])[1])
+    .filter(Boolean);
+
+  const teamProjects = new Map();
+  await inquirer.prompt([{
+    type: 'input',
+    name: 'teamIds',
+    message: '團隊 ID (以逗號或空白分隔，可在團隊連結 /files/team/<ID> 中找到):',
+    default: currentTeams.join(', ') || undefined,
+    validate: async value => {
+      const ids = parseIds(value);
+      if (ids.length === 0) return '至少需要一個團隊 ID';
+      if (ids.some(id => !/^\d+$/.test(id))) return '團隊 ID 必須是數字';
+
+      try {
+        teamProjects.clear();
+        for (const id of ids) {
+          teamProjects.set(id, (await figma.getProjects(id)).projects);
+        }
+        return true;
+      } catch (error) {
+        return `無法讀取團隊專案: ${error.message}`;
+      }
+    }
+  }]);
+
+  const targets = await promptTargets(teamProjects, currentTargets);
+
+  // 3. 輸出與匯出模式
+  const output = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'outputDir',
+      message: '備份輸出資料夾:',
+      default: baseConfig.backup.outputDir
+    },
+    {
+      type: 'confirm',
+      name: 'createTimestampFolder',
+      message: '每次備份建立時間戳記資料夾?',
+      default: baseConfig.backup.createTimestampFolder
+    },
+    {
+      type: 'list',
+      name: 'exportMode',
+      message: '匯出模式:',
+      default: baseConfig.backup.exportMode,
+      choices: [
+        { name: '.fig 原始檔 (透過 Playwright 登入下載，需要編輯權限)', value: 'fig' },
+        { name: 'REST API (JSON 與畫框圖片，僅需檢視權限)', value: 'rest' },
+        { name: '兩者皆是', value: 'both' }
+      ]
+    }
+  ]);
+
+  // .fig 下載需要登入 Figma
+  let credentials = {};
+  if (output.exportMode !== 'rest') {
+    credentials = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'email',
+        message: 'Figma 登入 email (留空則使用 .env):',
+        default: baseConfig.figma.email || undefined
+      },
+      {
+        type: 'password',
+        name: 'password',
+        mask: '*',
+        message: 'Figma 登入密碼 (留空則使用 .env):',
+        default: baseConfig.figma.password || undefined
+      }
+    ]);
+  }
+
+  // 4. 選用的整合服務
+  const { integrations } = await inquirer.prompt([{
+    type: 'checkbox',
+    name: 'integrations',
+    message: '啟用的整合服務:',
+    choices: [
+      { name: 'Dropbox (上傳備份)', value: 'dropbox', checked: Boolean(baseConfig.dropbox.enabled) },
+      { name: 'Notion (更新備份資料庫)', value: 'notion', checked: Boolean(baseConfig.notion.enabled) },
+      { name: 'Obsidian (同步備份筆記)', value: 'obsidian', checked: Boolean(baseConfig.obsidian.enabled) }
+    ]
+  }]);
+
+  const answers = { token, targets, integrations, ...output, ...credentials };
+
+  if (integrations.includes('dropbox')) {
+    answers.dropbox = await inquirer.prompt([
+      { type: 'password', name: 'token', mask: '*', message: 'Dropbox 存取 token:', default: baseConfig.dropbox.token || undefined, validate: v => Boolean(v) || 'Dropbox token 為必填項目' },
+      { type: 'input', name: 'appFolder', message: 'Dropbox 資料夾:', default: baseConfig.dropbox.appFolder }
+    ]);
+  }
+
+  if (integrations.includes('notion')) {
+    answers.notion = await inquirer.prompt([
+      { type: 'password', name: 'token', mask: '*', message: 'Notion 整合 token:', default: baseConfig.notion.token || undefined, validate: v => Boolean(v) || 'Notion token 為必填項目' },
+      { type: 'input', name: 'databaseId', message: 'Notion 資料庫 ID:', default: baseConfig.notion.databaseId || undefined, validate: v => Boolean(v) || '資料庫 ID 為必填項目' }
+    ]);
+  }
+
+  if (integrations.includes('obsidian')) {
+    answers.obsidian = await inquirer.prompt([{
+      type: 'input',
+      name: 'vaultPath',
+      message: 'Obsidian 知識庫路徑:',
+      default: baseConfig.obsidian.vaultPath || undefined,
+      validate: async v => (v && await fs.pathExists(path.resolve(v))) || '找不到知識庫資料夾'
+    }]);
+  }
+
+  return answers;
+}
+
+/**
+ * 讀取 --*-file 選項指向的密鑰，並記錄來源讓配置檔案只寫入 *_file 參照
+ * Read the secret a --*-file option points to, recording its source so the config file only gets a *_file reference
+ */
+async function readSecretFile(configManager, keyPath, filePath) {
+  if (!filePath) return undefined;
+
+  const resolved = path.resolve(filePath);
+  let secret;
+  try {
+    secret = (await fs.readFile(resolved, 'utf8')).trim();
+  } catch (error) {
+    throw new Error(`無法讀取密鑰檔案 ${filePath}: ${error.message}`);
+  }
+
+  // *_file 以配置檔案所在資料夾為基準解析
+  configManager.secretSources[keyPath] = {
+    type: 'file',
+    ref: resolved,
+    raw: path.relative(path.dirname(configManager.configPath), resolved),
+    value: secret
+  };
+
+  return secret;
+}
+
+/**
+ * 從命令列選項取得答案 (非互動模式)
+ * Get answers from command line options (non-interactive mode)
+ *
+ * 密鑰不接受命令列參數 (會留在 shell 歷史與程序清單中)，只從 --*-file 檔案或環境變數讀取。
+ * Secrets are never taken as arguments (they would stay in the shell history and process list), only from --*-file files or environment variables.
+ */
+async function answersFromOptions(baseConfig, options, configManager) {
+  const token = await readSecretFile(configManager, 'figma.token', options.tokenFile) ||
+    baseConfig.figma.token || process.env.FIGMA_ACCESS_TOKEN;
+
+  if (!token) {
+    throw new Error('非互動模式需要 --token-file 或環境變數 FIGMA_ACCESS_TOKEN');
+  }
+
+  if (options.verify !== false) {
+    const user = await validateToken(token);
+    console.log(chalk.green(`✅ 已驗證 Figma 帳號: ${user.user}`));
+  }
+
+  const targets = [
+    ...parseIds(options.team).map(id => `${TEAM_URL}/${id}`),
+    ...parseIds(options.project).map(id => `${PROJECT_URL}/${id}`),
+    ...[].concat(options.target || [])
+  ];
+
+  const integrations = [];
+  const answers = {
+    token,
+    targets: targets.length > 0 ? targets : baseConfig.backup.targets,
+    outputDir: options.output || baseConfig.backup.outputDir,
+    createTimestampFolder: options.timestampFolder ?? baseConfig.backup.createTimestampFolder,
+    exportMode: options.mode,
+    email: options.email,
+    password: await readSecretFile(configManager, 'figma.password', options.passwordFile)
+  };
+
+  if (options.dropbox || options.dropboxTokenFile) {
+    const dropboxToken = await readSecretFile(configManager, 'dropbox.token', options.dropboxTokenFile) ||
+      baseConfig.dropbox.token || process.env.DROPBOX_TOKEN;
+
+    if (!dropboxToken) {
+      throw new Error('啟用 Dropbox 需要 --dropbox-token-file 或環境變數 DROPBOX_TOKEN');
+    }
+
+    integrations.push('dropbox');
+    answers.dropbox = { token: dropboxToken, ...(options.dropboxFolder ? { appFolder: options.dropboxFolder } : {}) };
+  }
+
+  if (options.notionTokenFile || options.notionDatabase) {
+    const notionToken = await readSecretFile(configManager, 'notion.token', options.notionTokenFile) ||
+      baseConfig.notion.token || process.env.NOTION_TOKEN;
+
+    integrations.push('notion');
+    answers.notion = { token: notionToken, databaseId: options.notionDatabase || baseConfig.notion.databaseId };
+  }
+
+  if (options.obsidianVault) {
+    integrations.push('obsidian');
+    answers.obsidian = { vaultPath: options.obsidianVault };
+  }
+
+  // 未指定的整合服務維持原設定
+  ['dropbox', 'notion', 'obsidian'].forEach(service => {
+    if (!integrations.includes(service) && baseConfig[service].enabled) integrations.push(service);
+  });
+  answers.integrations = integrations;
+
+  return answers;
+}
+
+/**
+ * 設定精靈 (figma-backup setup)
+ * Setup wizard (figma-backup setup)
+ */
+async function setupCommand(options) {
+  const configManager = new ConfigManager(options.config);
+  const exists = await fs.pathExists(configManager.configPath);
+  const interactive = !options.yes && process.stdin.isTTY;
+
+  // 以現有配置作為預設值
+  const baseConfig = exists
+    ? await configManager.loadConfig({ validate: false, quiet: true })
+    : configManager.getDefaultConfig();
+
+  if (exists && !options.force) {
+    if (!interactive) {
+      throw new Error(`${configManager.configPath} 已存在 (使用 --force 覆寫)`);
+    }
+
+    const { overwrite } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'overwrite',
+      message: `${configManager.configPath} 已存在，要以目前設定為預設值重新設定嗎?`,
+      default: true
+    }]);
+
+    if (!overwrite) {
+      console.log(chalk.gray('已取消'));
+      return true;
+    }
+  }
+
+  const answers = interactive ? await runWizard(baseConfig) : await answersFromOptions(baseConfig, options, configManager);
+  const config = buildConfig(baseConfig, answers);
+
+  configManager.assertValid(config);
+  await fs.ensureDir(path.dirname(configManager.configPath));
+  // 來自環境變數或密鑰檔案的值以參照寫入，不寫入明文
+  await fs.writeJson(configManager.configPath, configManager.toStorable(config), { spaces: 2 });
+
+  console.log(chalk.green(`\n✅ 已寫入 ${configManager.configPath}`));
+  console.log(`   備份目標: ${chalk.blue(config.backup.targets.length)}`);
+  console.log(`   輸出資料夾: ${chalk.blue(config.backup.outputDir)}`);
+  console.log(chalk.gray('\n接下來可執行 npm run dry-run 確認要備份的檔案，再執行 npm run backup'));
+
+  return true;
+}
+
+module.exports = { setupCommand, buildConfig, parseIds };
@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_FILENAME = '.figma-backup-state.json';
+
+/**
+ * 備份狀態清單 - 記錄每個檔案最後一次備份的版本，用於增量備份
+ * Backup State Manifest - Records the last backed-up version of each file for incremental backups
+ */
+class StateManifest {
+  constructor(manifestPath) {
+    this.manifestPath = path.resolve(manifestPath);
+    this.state = this.createEmptyState();
+    this.saving = null;
+  }
+
+  /**
+   * 取得備份目錄中的預設清單路徑
+   * Get default manifest path inside a backup directory
+   */
+  static defaultPath(outputDir) {
+    return path.join(path.resolve(outputDir || './figma-backups'), DEFAULT_FILENAME);
+  }
+
+  /**
+   * 建立空白狀態
+   * Create empty state
+   */
+  createEmptyState() {
+    return {
+      version: MANIFEST_VERSION,
+      updated_at: null,
+      files: {},
+      versions: {}
+    };
+  }
+
+  /**
+   * 載入清單
+   * Load manifest
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.manifestPath)) {
+        const data = await fs.readJson(this.manifestPath);
+        this.state = { ...this.createEmptyState(), ...data };
+      } else {
+        this.state = this.createEmptyState();
+      }
+    } catch (error) {
+      throw new Error(`載入備份狀態清單失敗: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * 儲存清單 (並行的目標依序寫入同一個檔案)
+   * Save manifest (saves from concurrent targets are written one after another)
+   */
+  save() {
+    const previous = this.saving || Promise.resolve();
+    this.saving = previous.catch(() => {}).then(() => this.write());
+    return this.saving;
+  }
+
+  /**
+   * 寫入清單檔案
+   * Write the manifest file
+   */
+  async write() {
+    try {
+      this.state.updated_at = new Date().toISOString();
+      await fs.ensureDir(path.dirname(this.manifestPath));
+
+      // 先寫入暫存檔再改名，避免中斷時留下損毀的清單
+      const tempPath = `${this.manifestPath}.tmp`;
+      await fs.writeJson(tempPath, this.state, { spaces: 2 });
+      await fs.move(tempPath, this.manifestPath, { overwrite: true });
+    } catch (error) {
+      throw new Error(`儲存備份狀態清單失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 取得檔案記錄
+   * Get file entry
+   */
+  get(fileKey) {
+    return this.state.files[fileKey] || null;
+  }
+
+  /**
+   * 檢查檔案自上次備份後是否未變更
+   * Check whether a file is unchanged since the last backup
+   */
+  async isUnchanged(file) {
+    const entry = this.get(file.key);
+
+    if (!entry || !entry.last_modified || !file.last_modified) {
+      return false;
+    }
+
+    if (entry.last_modified !== file.last_modified) {
+      return false;
+    }
+
+    // 本機檔案被刪除時需要重新下載 (已加密的備份以加密封存檔為準)
+    if (entry.path && await fs.pathExists(entry.path)) {
+      return true;
+    }
+
+    return Boolean(entry.archive) && fs.pathExists(entry.archive);
+  }
+
+  /**
+   * 記錄檔案備份結果
+   * Record a file backup
+   */
+  record(fileKey, entry) {
+    this.state.files[fileKey] = {
+      ...this.state.files[fileKey],
+      ...entry,
+      backed_up_at: new Date().toISOString()
+    };
+
+    return this.state.files[fileKey];
+  }
+
+  /**
+   * 移除檔案記錄 (下次執行會重新下載)
+   * Remove a file entry (it will be downloaded again next run)
+   */
+  remove(fileKey) {
+    delete this.state.files[fileKey];
+  }
+
+  /**
+   * 取得已匯出的具名版本 ID
+   * Get the IDs of named versions already exported
+   */
+  getExportedVersions(fileKey) {
+    return this.state.versions[fileKey] || [];
+  }
+
+  /**
+   * 記錄已匯出的具名版本 (與檔案記錄分開，重新下載檔案時不會遺失)
+   * Record an exported named version (kept apart from file entries so it survives re-downloads)
+   */
+  recordExportedVersion(fileKey, versionId) {
+    const exported = this.getExportedVersions(fileKey);
+    if (!exported.includes(versionId)) {
+      this.state.versions[fileKey] = [...exported, versionId];
+    }
+  }
+
+  /**
+   * 重新載入後記錄並儲存 (供多個行程共用同一清單)
+   * Reload, record and save (for manifests shared across processes)
+   */
+  async update(fileKey, entry) {
+    await this.load();
+    const recorded = this.record(fileKey, entry);
+    await this.save();
+    return recorded;
+  }
+}
+
+module.exports = StateManifest;
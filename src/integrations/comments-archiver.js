@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+/**
+ * 評論封存 - 保存每個檔案的討論串為 JSON 與 Markdown
+ * Comments Archiver - Stores each file's discussion threads as JSON and Markdown
+ */
+class CommentsArchiver {
+  constructor(figmaApi, options = {}, logger = null) {
+    this.figmaApi = figmaApi;
+    this.logger = logger;
+    this.options = {
+      ...options,
+      markdown: options.markdown !== false
+    };
+  }
+
+  /**
+   * 取得檔案的所有評論
+   * Get all comments of a file
+   */
+  async getComments(fileKey) {
+    const data = await this.figmaApi.request(`/files/${fileKey}/comments`);
+    return data.comments || [];
+  }
+
+  /**
+   * 正規化單一評論
+   * Normalize a single comment
+   */
+  normalizeComment(comment) {
+    const meta = comment.client_meta || null;
+
+    return {
+      id: comment.id,
+      message: comment.message,
+      user: comment.user ? { id: comment.user.id, handle: comment.user.handle } : null,
+      created_at: comment.created_at,
+      resolved_at: comment.resolved_at || null,
+      order_id: comment.order_id || null,
+      anchor: meta
+        ? {
+          node_id: meta.node_id || null,
+          node_offset: meta.node_offset || null,
+          x: meta.x ?? null,
+          y: meta.y ?? null
+        }
+        : null,
+      reactions: (comment.reactions || []).map(reaction => ({
+        emoji: reaction.emoji,
+        user: reaction.user ? reaction.user.handle : null,
+        created_at: reaction.created_at
+      }))
+    };
+  }
+
+  /**
+   * 將評論整理為討論串
+   * Group comments into threads
+   */
+  buildThreads(comments) {
+    const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+    const roots = comments.filter(c => !c.parent_id).sort(byCreated);
+
+    return roots.map(root => ({
+      ...this.normalizeComment(root),
+      resolved: Boolean(root.resolved_at),
+      replies: comments
+        .filter(c => c.parent_id === root.id)
+        .sort(byCreated)
+        .map(reply => this.normalizeComment(reply))
+    }));
+  }
+
+  /**
+   * 產生可閱讀的 Markdown 逐字稿
+   * Generate a readable Markdown transcript
+   */
+  buildMarkdown(file, threads) {
+    const formatDate = date => moment(date).format('YYYY-MM-DD HH:mm');
+    const formatReactions = reactions => {
+      if (reactions.length === 0) return '';
+      const counts = {};
+      reactions.forEach(r => { counts[r.emoji] = (counts[r.emoji] || 0) + 1; });
+      return ` — ${Object.entries(counts).map(([emoji, count]) => `${emoji} ${count}`).join(' ')}`;
+    };
+    const quote = text => String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+
+    const lines = [
+      `# ${file.name} — Comments`,
+      '',
+      `File key: \`${file.key}\`  `,
+      `Archived: ${formatDate(new Date())}  `,
+      `Threads: ${threads.length} (${threads.filter(t => t.resolved).length} resolved)`,
+      ''
+    ];
+
+    threads.forEach((thread, index) => {
+      const status = thread.resolved ? `✅ Resolved ${formatDate(thread.resolved_at)}` : '💬 Open';
+      const anchor = thread.anchor && thread.anchor.node_id ? ` · node \`${thread.anchor.node_id}\`` : '';
+
+      lines.push(`## ${index + 1}. ${status}${anchor}`, '');
+      lines.push(`**${thread.user ? thread.user.handle : 'Unknown'}** · ${formatDate(thread.created_at)}${formatReactions(thread.reactions)}`, '');
+      lines.push(quote(thread.message), '');
+
+      thread.replies.forEach(reply => {
+        lines.push(`- **${reply.user ? reply.user.handle : 'Unknown'}** · ${formatDate(reply.created_at)}${formatReactions(reply.reactions)}`);
+        lines.push(`  ${String(reply.message || '').split('\n').join('\n  ')}`);
+      });
+
+      if (thread.replies.length > 0) lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 取得封存檔案的路徑前綴 (與下載檔案並列)
+   * Get the archive path prefix (next to the downloaded file)
+   */
+  getArchiveBase(filePath) {
+    return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+  }
+
+  /**
+   * 封存單一檔案的評論
+   * Archive comments of a single file
+   */
+  async archiveFile(file) {
+    const comments = await this.getComments(file.key);
+    const threads = this.buildThreads(comments);
+    const base = this.getArchiveBase(file.path);
+    const paths = { json: `${base}.comments.json` };
+
+    // 先移除既有檔案，避免透過硬連結或符號連結改寫共用的 blob
+    await fs.ensureDir(path.dirname(base));
+    await fs.remove(paths.json);
+    await fs.writeJson(paths.json, {
+      file_key: file.key,
+      file_name: file.name,
+      archived_at: new Date().toISOString(),
+      threads
+    }, { spaces: 2 });
+
+    if (this.options.markdown) {
+      paths.markdown = `${base}.comments.md`;
+      await fs.remove(paths.markdown);
+      await fs.writeFile(paths.markdown, this.buildMarkdown(file, threads));
+    }
+
+    return {
+      paths,
+      threads: threads.length,
+      comments: comments.length,
+      resolved: threads.filter(t => t.resolved).length
+    };
+  }
+
+  /**
+   * 封存所有成功下載檔案的評論
+   * Archive comments of all successfully downloaded files
+   */
+  async archiveAll(files) {
+    const results = [];
+
+    for (const file of files.filter(f => f.success && f.path)) {
+      try {
+        file.comments = await this.archiveFile(file);
+        results.push({ key: file.key, success: true, ...file.comments });
+      } catch (error) {
+        results.push({ key: file.key, success: false, error: error.message });
+
+        if (this.logger) {
+          this.logger.warn(`評論封存失敗: ${file.name}`, { error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = CommentsArchiver;
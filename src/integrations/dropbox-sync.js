@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Dropbox } = require('dropbox');
+
+const { dropboxContentHash } = require('../utils/checksum');
+
+// 超過此大小改用分段上傳 (單次上傳上限為 150 MB)
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Dropbox 同步 - 將備份上傳到 Dropbox，鏡像本機資料夾結構
+ * Dropbox Sync - Uploads backups to Dropbox, mirroring the local folder structure
+ *
+ * 遠端 content_hash 與本機相同的檔案會略過；大型檔案使用上傳工作階段分段上傳。
+ * Files whose remote content_hash matches are skipped; large files are uploaded in chunks through upload sessions.
+ */
+class DropboxSync {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      token: options.token,
+      appFolder: options.appFolder || '/figma-backups',
+      outputDir: options.outputDir || './figma-backups',
+      apiBaseUrl: options.apiBaseUrl || null,
+      chunkSize: options.chunkSize || CHUNK_SIZE
+    };
+    this.logger = logger;
+    this.appFolder = DropboxSync.normalizeFolder(this.options.appFolder);
+    this.client = DropboxSync.createClient(this.options);
+  }
+
+  /**
+   * 建立 Dropbox 用戶端 (apiBaseUrl 可指向本機測試伺服器)
+   * Create a Dropbox client (apiBaseUrl may point to a local stand-in server)
+   */
+  static createClient(options = {}) {
+    const clientOptions = { accessToken: options.token };
+
+    if (options.apiBaseUrl) {
+      // SDK 固定使用 https://api.dropboxapi.com 與 content.dropboxapi.com，改寫為指定的網址
+      const baseUrl = options.apiBaseUrl.replace(/\/+$/, '');
+      clientOptions.fetch = (url, init) => fetch(url.replace(/^https:\/\/[^/]+/, baseUrl), init);
+    }
+
+    return new Dropbox(clientOptions);
+  }
+
+  /**
+   * 正規化遠端資料夾路徑 (開頭有 /，結尾沒有 /)
+   * Normalize a remote folder path (leading slash, no trailing slash)
+   */
+  static normalizeFolder(folder) {
+    return `/${String(folder).replace(/^\/+|\/+$/g, '')}`.replace(/\/$/, '');
+  }
+
+  /**
+   * 取得 Dropbox 錯誤摘要
+   * Get a Dropbox error summary
+   */
+  static errorSummary(error) {
+    return (error.error && error.error.error_summary) || error.message;
+  }
+
+  /**
+   * 驗證連線
+   * Validate connection
+   */
+  async validateConnection() {
+    if (!this.options.token) {
+      return { valid: false, error: '未設定 Dropbox token' };
+    }
+
+    try {
+      const { result } = await this.client.usersGetCurrentAccount();
+      return { valid: true, user: result.name.display_name, email: result.email };
+    } catch (error) {
+      return { valid: false, error: DropboxSync.errorSummary(error) };
+    }
+  }
+
+  /**
+   * 取得本機路徑對應的遠端路徑
+   * Get the remote path of a local path
+   */
+  remotePathFor(localPath) {
+    const relative = path.relative(path.resolve(this.options.outputDir), path.resolve(localPath));
+
+    // 備份資料夾以外的路徑只保留檔名
+    const segments = relative.startsWith('..') || path.isAbsolute(relative)
+      ? [path.basename(localPath)]
+      : relative.split(path.sep).filter(Boolean);
+
+    return [this.appFolder, ...segments].join('/') || '/';
+  }
+
+  /**
+   * 列出本機要上傳的檔案 (略過狀態清單、去重區塊等隱藏檔)
+   * List local files to upload (skipping hidden files such as the state manifest and dedup blobs)
+   */
+  async listLocalFiles(sourcePath) {
+    const stats = await fs.stat(sourcePath);
+
+    if (stats.isFile()) {
+      return [{ localPath: sourcePath, size: stats.size }];
+    }
+
+    const files = [];
+
+    for (const entry of await fs.readdir(sourcePath)) {
+      if (entry.startsWith('.')) continue;
+      files.push(...await this.listLocalFiles(path.join(sourcePath, entry)));
+    }
+
+    return files;
+  }
+
+  /**
+   * 列出遠端資料夾中所有檔案的 content_hash
+   * List the content_hash of every file in a remote folder
+   */
+  async listRemoteHashes(remotePath) {
+    const hashes = new Map();
+
+    try {
+      // Dropbox 以空字串表示根目錄
+      let { result } = await this.client.filesListFolder({ path: remotePath === '/' ? '' : remotePath, recursive: true });
+
+      for (;;) {
+        result.entries
+          .filter(entry => entry['.tag'] === 'file')
+          .forEach(entry => hashes.set(entry.path_lower, entry.content_hash));
+
+        if (!result.has_more) break;
+        ({ result } = await this.client.filesListFolderContinue({ cursor: result.cursor }));
+      }
+    } catch (error) {
+      // 遠端資料夾不存在時全部都要上傳
+      if (!DropboxSync.errorSummary(error).startsWith('path/not_found')) {
+        throw error;
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * 讀取檔案的一個區段
+   * Read one chunk of a file
+   */
+  async readChunk(handle, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  /**
+   * 上傳單一檔案 (大型檔案使用上傳工作階段)
+   * Upload a single file (large files use an upload session)
+   */
+  async uploadFile(localPath, remotePath, size) {
+    const commit = { path: remotePath, mode: { '.tag': 'overwrite' }, mute: true };
+    const { chunkSize } = this.options;
+
+    if (size <= chunkSize) {
+      await this.client.filesUpload({ ...commit, contents: await fs.readFile(localPath) });
+      return;
+    }
+
+    const handle = await fs.promises.open(localPath, 'r');
+
+    try {
+      const { result } = await this.client.filesUploadSessionStart({
+        close: false,
+        contents: await this.readChunk(handle, 0, chunkSize)
+      });
+      let offset = chunkSize;
+
+      while (size - offset > chunkSize) {
+        await this.client.filesUploadSessionAppendV2({
+          cursor: { session_id: result.session_id, offset },
+          close: false,
+          contents: await this.readChunk(handle, offset, chunkSize)
+        });
+        offset += chunkSize;
+      }
+
+      await this.client.filesUploadSessionFinish({
+        cursor: { session_id: result.session_id, offset },
+        commit,
+        contents: await this.readChunk(handle, offset, size - offset)
+      });
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 將一個本機資料夾或檔案同步到 Dropbox
+   * Sync one local folder or file to Dropbox
+   */
+  async syncPath(sourcePath) {
+    const remoteFolder = this.remotePathFor(sourcePath);
+    const localFiles = await this.listLocalFiles(sourcePath);
+    const remoteHashes = await this.listRemoteHashes(remoteFolder);
+    const result = { source: sourcePath, remoteFolder, uploaded: 0, skipped: 0, failed: [], bytes: 0 };
+
+    for (const { localPath, size } of localFiles) {
+      const remotePath = this.remotePathFor(localPath);
+
+      try {
+        const remoteHash = remoteHashes.get(remotePath.toLowerCase());
+        if (remoteHash && remoteHash === await dropboxContentHash(localPath)) {
+          result.skipped++;
+          continue;
+        }
+
+        await this.uploadFile(localPath, remotePath, size);
+        result.uploaded++;
+        result.bytes += size;
+
+        if (this.logger) this.logger.fileOperation('UPLOAD', remotePath, true, { size });
+      } catch (error) {
+        const message = DropboxSync.errorSummary(error);
+        result.failed.push({ path: localPath, error: message });
+
+        if (this.logger) this.logger.fileOperation('UPLOAD', remotePath, false, { error: message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 上傳備份結果 (相同的輸出資料夾只同步一次)
+   * Upload backup results (each output folder is synced once)
+   */
+  async syncBackupResults(downloads) {
+    const sources = [...new Set(downloads.filter(d => d.success && d.output_path).map(d => d.output_path))];
+    const results = [];
+
+    try {
+      for (const source of sources) {
+        results.push(await this.syncPath(source));
+      }
+    } catch (error) {
+      return { success: false, error: DropboxSync.errorSummary(error), paths: results };
+    }
+
+    const failed = results.flatMap(r => r.failed);
+
+    return {
+      success: failed.length === 0,
+      remoteFolder: results.length === 1 ? results[0].remoteFolder : this.appFolder,
+      files_uploaded: results.reduce((sum, r) => sum + r.uploaded, 0),
+      files_skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+      bytes_uploaded: results.reduce((sum, r) => sum + r.bytes, 0),
+      failed,
+      error: failed.length > 0 ? `${failed.length} 個檔案上傳失敗` : undefined,
+      paths: results
+    };
+  }
+}
+
+module.exports = DropboxSync;
@@ -0,0 +1,608 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const moment = require('moment');
+
+const PlaywrightDownloader = require('./playwright-downloader');
+const RestExporter = require('./rest-exporter');
+const JobQueue = require('../utils/job-queue');
+const RateLimiter = require('../utils/rate-limiter');
+const RetryPolicy = require('../utils/retry-policy');
+
+const FIGMA_API_BASE = 'https://api.figma.com/v1';
+const EXPORT_MODES = ['fig', 'rest', 'both'];
+
+// 檔案 /meta 回傳的編輯器類型，可作為 --only 篩選條件
+const EDITOR_TYPES = ['figma', 'figjam', 'slides'];
+
+// 429 時最多重新嘗試的次數
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+/**
+ * Figma API 包裝器 - 解析備份目標網址並展開為檔案清單
+ * Figma API Wrapper - Resolves backup target URLs into file lists
+ */
+class FigmaApiWrapper {
+  constructor(config = {}, logger = null) {
+    this.config = config;
+    this.logger = logger;
+    this.runTimestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
+
+    this.client = axios.create({
+      baseURL: config.apiBaseUrl || FIGMA_API_BASE,
+      timeout: config.timeout || 30000,
+      headers: {
+        'X-FIGMA-TOKEN': config.token
+      }
+    });
+
+    // 所有 API 請求共用同一個佇列與速率限制
+    const rateLimit = { api: 120, downloads: 6, ...config.rateLimit };
+    this.rateLimiter = new RateLimiter({ perMinute: rateLimit.api });
+    this.queue = new JobQueue({ concurrency: config.concurrency || 3, rateLimiter: this.rateLimiter });
+    this.retryPolicy = new RetryPolicy({ attempts: config.retryAttempts }, logger);
+
+    this.downloader = new PlaywrightDownloader({
+      token: config.token,
+      email: config.email,
+      password: config.password,
+      downloadsPerMinute: rateLimit.downloads,
+      retryPolicy: this.retryPolicy,
+      getFileMeta: key => this.getFileMeta(key)
+    }, logger);
+  }
+
+  /**
+   * 發送 API 請求 (經由佇列與速率限制，429 時依 Retry-After 等待後重試)
+   * Send API request (through the queue and rate limiter, waiting for Retry-After on 429)
+   */
+  async request(endpoint, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.queue.add(() => this.send(endpoint, params));
+      } catch (error) {
+        if (error.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) throw error;
+
+        const wait = RateLimiter.parseRetryAfter(error.retryAfter);
+        this.rateLimiter.pause(wait);
+
+        if (this.logger) {
+          this.logger.warn(`Figma API 速率限制，${Math.ceil(wait / 1000)} 秒後重試`, { endpoint, attempt: attempt + 1 });
+        }
+      }
+    }
+  }
+
+  /**
+   * 發送單一 API 請求
+   * Send a single API request
+   */
+  async send(endpoint, params = {}) {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.client.get(endpoint, { params });
+
+      if (this.logger) {
+        this.logger.apiCall('GET', endpoint, response.status, Date.now() - startTime);
+      }
+
+      return response.data;
+    } catch (error) {
+      const status = error.response ? error.response.status : 0;
+      const data = error.response ? error.response.data : null;
+      const message = (data && (data.err || data.message)) || error.message;
+
+      if (this.logger) {
+        this.logger.apiCall('GET', endpoint, status, Date.now() - startTime, { error: message });
+      }
+
+      const apiError = new Error(`Figma API 請求失敗 (${endpoint}): ${message}`);
+      apiError.status = status;
+      apiError.retryAfter = error.response ? error.response.headers['retry-after'] : undefined;
+      throw apiError;
+    }
+  }
+
+  /**
+   * 驗證存取權杖
+   * Validate access token
+   */
+  async validateToken() {
+    if (!this.config.token) {
+      return { valid: false, error: '未設定 Figma token' };
+    }
+
+    try {
+      const user = await this.request('/me');
+      return {
+        valid: true,
+        user: user.handle,
+        email: user.email
+      };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 取得團隊專案清單
+   * Get team projects
+   */
+  async getProjects(teamId) {
+    return this.request(`/teams/${teamId}/projects`);
+  }
+
+  /**
+   * 取得專案檔案清單
+   * Get project files
+   */
+  async getProjectFiles(projectId, params = {}) {
+    return this.request(`/projects/${projectId}/files`, params);
+  }
+
+  /**
+   * 取得檔案內容
+   * Get file content
+   */
+  async getFile(fileKey, params = {}) {
+    return this.request(`/files/${fileKey}`, params);
+  }
+
+  /**
+   * 取得檔案中繼資料
+   * Get file metadata
+   */
+  async getFileMeta(fileKey) {
+    const data = await this.request(`/files/${fileKey}/meta`);
+    return data.file || data;
+  }
+
+  /**
+   * 解析 Figma 網址
+   * Parse Figma URL
+   *
+   * 支援團隊、專案、草稿、單一檔案與分支網址。
+   * Supports team, project, drafts, single file and branch URLs.
+   */
+  parseUrl(url) {
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`無效的 Figma 網址: ${url}`);
+    }
+
+    if (!/(^|\.)figma\.com$/.test(parsed.hostname)) {
+      throw new Error(`不是 Figma 網址: ${url}`);
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+
+    // 分支: /design/:key/branch/:branchKey/...
+    const branchIndex = segments.indexOf('branch');
+    if (branchIndex > 1 && segments[branchIndex + 1]) {
+      return {
+        type: 'branch',
+        fileKey: segments[branchIndex - 1],
+        branchKey: segments[branchIndex + 1]
+      };
+    }
+
+    // 單一檔案: /file/:key, /design/:key, /board/:key, /slides/:key, /proto/:key
+    if (['file', 'design', 'board', 'slides', 'proto'].includes(segments[0]) && segments[1]) {
+      return { type: 'file', fileKey: segments[1] };
+    }
+
+    if (segments[0] === 'files') {
+      // 草稿: /files/drafts/:projectId 或 /files/drafts?project_id=:projectId
+      if (segments.includes('drafts')) {
+        const afterDrafts = segments.slice(segments.indexOf('drafts') + 1).find(s => /^\d+$/.test(s));
+        const projectId = afterDrafts || parsed.searchParams.get('project_id');
+
+        if (!projectId) {
+          throw new Error(`草稿網址需要包含草稿專案 ID: ${url}`);
+        }
+
+        return { type: 'drafts', projectId };
+      }
+
+      // 專案: /files/project/:id 或 /files/:orgId/project/:id
+      const projectIndex = segments.indexOf('project');
+      if (projectIndex !== -1 && segments[projectIndex + 1]) {
+        return { type: 'project', projectId: segments[projectIndex + 1] };
+      }
+
+      // 團隊: /files/team/:id 或 /files/:orgId/team/:id
+      const teamIndex = segments.indexOf('team');
+      if (teamIndex !== -1 && segments[teamIndex + 1]) {
+        return { type: 'team', teamId: segments[teamIndex + 1] };
+      }
+    }
+
+    throw new Error(`無法辨識的 Figma 網址格式: ${url}`);
+  }
+
+  /**
+   * 將目標網址展開為專案與檔案清單 (與 files.json 相同結構)
+   * Expand a target URL into projects and files (same structure as files.json)
+   */
+  async resolveTarget(url) {
+    const target = this.parseUrl(url);
+
+    switch (target.type) {
+      case 'team':
+        return this.resolveTeam(target.teamId);
+
+      case 'project':
+        return [await this.resolveProject(target.projectId)];
+
+      case 'drafts': {
+        const project = await this.resolveProject(target.projectId);
+        project.name = project.name || 'Drafts';
+        return [project];
+      }
+
+      case 'file': {
+        const file = await this.getFile(target.fileKey, { depth: 1 });
+        return [{
+          name: 'Files',
+          id: 'files',
+          files: [{
+            key: target.fileKey,
+            name: file.name,
+            last_modified: file.lastModified,
+            thumbnail_url: file.thumbnailUrl,
+            editor_type: file.editorType
+          }]
+        }];
+      }
+
+      case 'branch': {
+        const file = await this.getFile(target.fileKey, { depth: 1, branch_data: true });
+        const branch = (file.branches || []).find(b => b.key === target.branchKey);
+
+        if (!branch) {
+          throw new Error(`找不到分支 ${target.branchKey} (${file.name})`);
+        }
+
+        return [{
+          name: 'Branches',
+          id: 'branches',
+          files: [{
+            key: branch.key,
+            name: `${file.name} - ${branch.name}`,
+            last_modified: branch.last_modified,
+            thumbnail_url: branch.thumbnail_url,
+            editor_type: file.editorType,
+            main_file_key: target.fileKey
+          }]
+        }];
+      }
+
+      default:
+        throw new Error(`不支援的目標類型: ${target.type}`);
+    }
+  }
+
+  /**
+   * 解析團隊中的所有專案
+   * Resolve all projects of a team
+   */
+  async resolveTeam(teamId) {
+    const { name, projects } = await this.getProjects(teamId);
+
+    // 請求會經由佇列限制並行數與速率
+    return Promise.all(projects.map(project => this.resolveProject(project.id, teamId, name)));
+  }
+
+  /**
+   * 解析單一專案
+   * Resolve a single project
+   */
+  async resolveProject(projectId, teamId = null, teamName = null) {
+    const data = await this.getProjectFiles(projectId, { branch_data: true });
+    const project = {
+      name: data.name,
+      id: String(projectId),
+      files: data.files || []
+    };
+
+    if (teamId) {
+      project.team_id = String(teamId);
+    }
+
+    if (teamName) {
+      project.team_name = teamName;
+    }
+
+    return project;
+  }
+
+  /**
+   * 取得輸出路徑
+   * Get output path
+   */
+  getOutputPath(outputDir, createTimestampFolder) {
+    const baseDir = path.resolve(outputDir || './figma-backups');
+    return createTimestampFolder ? path.join(baseDir, this.runTimestamp) : baseDir;
+  }
+
+  /**
+   * 依狀態清單分出需要下載與可略過的檔案
+   * Split files into changed and skipped using the state manifest
+   */
+  async partitionByManifest(projects, manifest) {
+    const changedProjects = [];
+    const skipped = [];
+
+    for (const project of projects) {
+      const changedFiles = [];
+
+      for (const file of project.files) {
+        if (await manifest.isUnchanged(file)) {
+          const entry = manifest.get(file.key);
+          skipped.push({
+            key: file.key,
+            name: file.name,
+            project_id: project.id,
+            project_name: project.name || 'Drafts',
+            team_name: project.team_name || null,
+            editor_type: file.editor_type || null,
+            last_modified: file.last_modified,
+            thumbnail_path: file.thumbnail_path || null,
+            version: entry.version || null,
+            path: entry.path,
+            reason: 'unchanged'
+          });
+        } else {
+          changedFiles.push(file);
+        }
+      }
+
+      if (changedFiles.length > 0) {
+        changedProjects.push({ ...project, files: changedFiles });
+      }
+    }
+
+    return { changedProjects, skipped };
+  }
+
+  /**
+   * 將成功下載的檔案記錄到狀態清單
+   * Record successful downloads in the state manifest
+   */
+  async recordDownloads(files, manifest) {
+    await Promise.all(files.filter(f => f.success).map(async file => {
+      let version = null;
+
+      try {
+        const meta = await this.getFileMeta(file.key);
+        version = meta.version || null;
+      } catch (error) {
+        if (this.logger) this.logger.warn(`無法取得檔案版本: ${file.name}`, { error: error.message });
+      }
+
+      file.version = version;
+      manifest.record(file.key, {
+        name: file.name,
+        project_id: file.project_id,
+        project_name: file.project_name,
+        team_id: file.team_id,
+        last_modified: file.last_modified,
+        version,
+        path: file.path
+      });
+    }));
+
+    await manifest.save();
+  }
+
+  /**
+   * 正規化匯出模式 ('.fig' 視為 'fig')
+   * Normalize export mode ('.fig' is treated as 'fig')
+   */
+  normalizeMode(mode) {
+    const normalized = String(mode || 'fig').replace(/^\./, '').toLowerCase();
+
+    if (!EXPORT_MODES.includes(normalized)) {
+      throw new Error(`不支援的匯出模式: ${mode} (可用: .fig, rest, both)`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 合併 .fig 下載與 REST 匯出結果，任一成功即視為已備份
+   * Merge .fig download and REST export results; either succeeding counts as backed up
+   */
+  mergeExportResults(figFiles, restFiles) {
+    const restByKey = new Map(restFiles.map(f => [f.key, f]));
+
+    return figFiles.map(figFile => {
+      const restFile = restByKey.get(figFile.key) || {};
+      const success = figFile.success || Boolean(restFile.success);
+
+      return {
+        ...figFile,
+        success,
+        path: figFile.path || restFile.path || null,
+        size: (figFile.size || 0) + (restFile.size || 0),
+        rest: restFile.rest,
+        error: success ? undefined : [figFile.error, restFile.error].filter(Boolean).join('; '),
+        modes: {
+          fig: { success: figFile.success, path: figFile.path, error: figFile.error },
+          rest: { success: Boolean(restFile.success), path: restFile.path || null, error: restFile.error }
+        }
+      };
+    });
+  }
+
+  /**
+   * 略過執行日誌中已完成的檔案，只匯出其餘的檔案
+   * Skip files already completed in the run journal and export the rest
+   */
+  async exportResumable(kind, projects, journal, exporter) {
+    if (!journal) {
+      return exporter(projects);
+    }
+
+    const completed = [];
+    const remaining = projects
+      .map(project => ({
+        ...project,
+        files: project.files.filter(file => {
+          const done = journal.getCompleted(kind, file.key);
+          if (done) completed.push(done);
+          return !done;
+        })
+      }))
+      .filter(project => project.files.length > 0);
+
+    if (completed.length > 0 && this.logger) {
+      this.logger.info(`續傳: 略過 ${completed.length} 個已完成的檔案 (${kind})`);
+    }
+
+    return [...completed, ...(remaining.length > 0 ? await exporter(remaining) : [])];
+  }
+
+  /**
+   * 依匯出模式下載或匯出檔案 (提供 journal 時可從中斷處繼續)
+   * Download or export files according to the export mode (resumable when a journal is given)
+   */
+  async exportProjects(projects, outputPath, mode, restOptions = {}, journal = null) {
+    const exportFig = () => this.exportResumable('fig', projects, journal,
+      remaining => this.downloader.download(remaining, outputPath, journal));
+
+    if (mode === 'fig') {
+      return exportFig();
+    }
+
+    const restExporter = new RestExporter(this, { ...restOptions, retryPolicy: this.retryPolicy }, this.logger);
+    const exportRest = () => this.exportResumable('rest', projects, journal,
+      remaining => restExporter.export(remaining, outputPath, journal));
+
+    if (mode === 'rest') {
+      return exportRest();
+    }
+
+    const figFiles = await exportFig();
+    const restFiles = await exportRest();
+    return this.mergeExportResults(figFiles, restFiles);
+  }
+
+  /**
+   * 只保留符合篩選條件的檔案
+   * Keep only files matching the filters
+   *
+   * 篩選條件可為檔案 key、專案 ID、編輯器類型 (完全符合) 或檔案、專案、團隊名稱 (部分符合，不分大小寫)。
+   * A filter may be a file key, project ID or editor type (exact match) or part of a file, project or team name (case-insensitive).
+   */
+  filterProjects(projects, only = []) {
+    const filters = [].concat(only || []).map(f => String(f).toLowerCase()).filter(Boolean);
+
+    if (filters.length === 0) {
+      return projects;
+    }
+
+    const matches = (ids, names) => filters.some(filter =>
+      ids.some(id => String(id || '').toLowerCase() === filter) ||
+      names.some(name => (name || '').toLowerCase().includes(filter)));
+
+    return projects
+      .map(project => matches([project.id], [project.name, project.team_name])
+        ? project
+        : { ...project, files: project.files.filter(file => matches([file.key, file.editor_type], [file.name])) })
+      .filter(project => project.files.length > 0);
+  }
+
+  /**
+   * 篩選條件包含編輯器類型時，為缺少 editor_type 的檔案補上 (專案檔案清單不含編輯器類型)
+   * Fill in editor_type for files lacking it when a filter is an editor type (project file lists do not include it)
+   */
+  async resolveEditorTypes(projects, only = []) {
+    const filters = [].concat(only || []).map(f => String(f).toLowerCase());
+
+    if (!filters.some(filter => EDITOR_TYPES.includes(filter))) {
+      return projects;
+    }
+
+    // 請求會經由佇列限制並行數與速率
+    return Promise.all(projects.map(async project => ({
+      ...project,
+      files: await Promise.all(project.files.map(async file => {
+        if (file.editor_type) return file;
+
+        try {
+          const meta = await this.getFileMeta(file.key);
+          return { ...file, editor_type: meta.editorType || null };
+        } catch (error) {
+          if (this.logger) this.logger.warn(`無法取得檔案編輯器類型: ${file.name}`, { key: file.key, error: error.message });
+          return file;
+        }
+      }))
+    })));
+  }
+
+  /**
+   * 下載已解析的專案清單 (files.json 結構)
+   * Download a resolved project list (files.json structure)
+   *
+   * 提供 options.manifest 時只下載新增或變更的檔案，options.only 可篩選檔案。
+   * options.mode 可為 'fig' (預設)、'rest' 或 'both'。options.journal 會略過已完成的檔案並記錄新完成的檔案。
+   * When options.manifest is given, only new or changed files are downloaded; options.only filters files.
+   * options.mode may be 'fig' (default), 'rest' or 'both'. options.journal skips completed files and records new ones.
+   */
+  async downloadProjects(resolvedProjects, options = {}) {
+    const mode = this.normalizeMode(options.mode);
+    const label = options.label || 'files.json';
+    const projects = this.filterProjects(await this.resolveEditorTypes(resolvedProjects, options.only), options.only);
+    const outputPath = this.getOutputPath(options.outputDir, options.createTimestampFolder);
+    const { manifest } = options;
+
+    let toDownload = projects;
+    let skipped = [];
+
+    if (manifest) {
+      ({ changedProjects: toDownload, skipped } = await this.partitionByManifest(projects, manifest));
+    }
+
+    const fileCount = toDownload.reduce((sum, p) => sum + p.files.length, 0);
+
+    await fs.ensureDir(outputPath);
+
+    if (fileCount === 0) {
+      if (this.logger) this.logger.info(`目標沒有需要下載的檔案: ${label}`, { skipped: skipped.length });
+      return { files: [], skipped, outputPath };
+    }
+
+    if (this.logger) {
+      this.logger.info(`解析完成: ${label}`, { projects: toDownload.length, files: fileCount, skipped: skipped.length });
+    }
+
+    const files = await this.exportProjects(toDownload, outputPath, mode, options.rest, options.journal);
+    const failed = files.filter(f => !f.success);
+
+    if (manifest) {
+      await this.recordDownloads(files, manifest);
+    }
+
+    if (failed.length === files.length) {
+      throw new Error(`所有檔案下載失敗 (${failed.length} 個)`);
+    }
+
+    return { files, skipped, outputPath };
+  }
+
+  /**
+   * 從目標網址下載所有檔案
+   * Download all files from a target URL
+   */
+  async downloadFromUrl(url, options = {}) {
+    const projects = await this.resolveTarget(url);
+    return this.downloadProjects(projects, { ...options, label: url });
+  }
+}
+
+module.exports = FigmaApiWrapper;
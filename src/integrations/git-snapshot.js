@@ -0,0 +1,336 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { hashFile } = require('../utils/checksum');
+
+const RUN_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/;
+const MESSAGE_FILENAME = 'FIGMA_BACKUP_MSG';
+
+/**
+ * 將簡單的 glob (*、?) 轉為正規表示式，不含 / 的樣式比對檔名
+ * Convert a simple glob (*, ?) to a regular expression; patterns without / match the file name
+ */
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  return new RegExp(pattern.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+}
+
+/**
+ * Git 快照 - 將每次備份提交到本機 Git 儲存庫，讓 git log 成為設計的版本歷史
+ * Git Snapshot - Commits every backup into a local git repository so git log becomes the design history
+ *
+ * .fig 等二進位檔以 Git LFS 指標提交，物件存放在 .git/lfs/objects (不需要安裝 git-lfs)；JSON 匯出以純文字提交。
+ * Binaries such as .fig are committed as Git LFS pointers with objects in .git/lfs/objects (git-lfs is not required); JSON exports are committed as plain text.
+ */
+class GitSnapshot {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      repoPath: options.repoPath || './figma-history',
+      branch: options.branch || 'main',
+      remote: options.remote || '',
+      lfsPatterns: options.lfsPatterns || ['*.fig'],
+      authorName: options.authorName || 'Figma Backup',
+      authorEmail: options.authorEmail || 'figma-backup@localhost',
+      outputDir: options.outputDir || './figma-backups'
+    };
+    this.logger = logger;
+    this.repoPath = path.resolve(this.options.repoPath);
+    this.lfsMatchers = this.options.lfsPatterns.map(globToRegExp);
+  }
+
+  /**
+   * 建立 Git LFS 指標檔內容
+   * Build the contents of a Git LFS pointer file
+   */
+  static lfsPointer(oid, size) {
+    return `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${size}\n`;
+  }
+
+  /**
+   * 執行 git 命令
+   * Run a git command
+   */
+  git(args, cwd = this.repoPath) {
+    const identity = ['-c', `user.name=${this.options.authorName}`, '-c', `user.email=${this.options.authorEmail}`];
+
+    return new Promise((resolve, reject) => {
+      execFile('git', [...identity, ...args], { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          const message = (stderr || '').trim() || error.message;
+          reject(new Error(`git ${args[0]} 失敗: ${message}`));
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  /**
+   * 驗證儲存庫設定 (git 可用，且儲存庫不在備份資料夾內)
+   * Validate the repository settings (git is available and the repository is outside the backup folder)
+   */
+  async validateRepository() {
+    const relative = path.relative(path.resolve(this.options.outputDir), this.repoPath);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return { valid: false, error: `Git 儲存庫不能位於備份資料夾內: ${this.repoPath}` };
+    }
+
+    try {
+      const version = (await this.git(['--version'], process.cwd())).trim();
+      return { valid: true, repoPath: this.repoPath, version };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 確保儲存庫存在並設定 LFS 追蹤樣式
+   * Make sure the repository exists and the LFS tracking patterns are set
+   */
+  async ensureRepository() {
+    if (!await fs.pathExists(path.join(this.repoPath, '.git'))) {
+      await fs.ensureDir(this.repoPath);
+      await this.git(['init', '-q', '-b', this.options.branch]);
+      if (this.logger) this.logger.info(`已建立 Git 儲存庫: ${this.repoPath}`);
+    }
+
+    const attributes = this.options.lfsPatterns.map(pattern => `${pattern} filter=lfs diff=lfs merge=lfs -text\n`).join('');
+    const attributesPath = path.join(this.repoPath, '.gitattributes');
+    const current = await fs.pathExists(attributesPath) ? await fs.readFile(attributesPath, 'utf8') : '';
+
+    if (current !== attributes) {
+      await fs.writeFile(attributesPath, attributes);
+    }
+  }
+
+  /**
+   * 是否以 LFS 指標提交
+   * Whether a path is committed as an LFS pointer
+   */
+  isLfsPath(relativePath) {
+    return this.lfsMatchers.some(matcher => matcher.test(relativePath));
+  }
+
+  /**
+   * 取得 LFS 物件在儲存庫中的路徑
+   * Get the path of an LFS object inside a repository's lfs folder
+   */
+  static lfsObjectPath(lfsDir, oid) {
+    return path.join(lfsDir, 'objects', oid.slice(0, 2), oid.slice(2, 4), oid);
+  }
+
+  /**
+   * 遞迴列出資料夾中的檔案 (略過狀態清單、去重區塊等隱藏檔)
+   * Recursively list files in a folder (skipping hidden files such as the state manifest and dedup blobs)
+   */
+  async walk(dir) {
+    const files = [];
+
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(entryPath));
+      } else {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 檢查路徑是否屬於下載或驗證失敗的檔案 (檔名包含 "(key)")
+   * Check whether a path belongs to a file that failed to download or validate (its name contains "(key)")
+   */
+  static isFailedPath(relativePath, failedKeys) {
+    return failedKeys.some(key => relativePath.includes(`(${key})`));
+  }
+
+  /**
+   * 將本次備份寫入工作目錄，回傳寫入的相對路徑 (失敗的檔案不寫入，保留上次提交的版本)
+   * Write this run into the working tree, returning the relative paths written (failed files are not written, keeping the last committed version)
+   */
+  async writeSnapshot(runPath, failedKeys = []) {
+    const written = new Set();
+    const lfsDir = path.join(this.repoPath, '.git', 'lfs');
+
+    for (const source of await this.walk(runPath)) {
+      const relativePath = path.relative(runPath, source).split(path.sep).join('/');
+      if (GitSnapshot.isFailedPath(relativePath, failedKeys)) continue;
+
+      const target = path.join(this.repoPath, relativePath);
+
+      await fs.ensureDir(path.dirname(target));
+
+      if (this.isLfsPath(relativePath)) {
+        const oid = await hashFile(source);
+        const { size } = await fs.stat(source);
+        const objectPath = GitSnapshot.lfsObjectPath(lfsDir, oid);
+
+        if (!await fs.pathExists(objectPath)) {
+          await fs.ensureDir(path.dirname(objectPath));
+          await fs.copyFile(source, objectPath);
+        }
+
+        await fs.writeFile(target, GitSnapshot.lfsPointer(oid, size));
+      } else {
+        await fs.copyFile(source, target);
+      }
+
+      written.add(relativePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * 取得略過檔案在備份資料夾中的相對路徑 (去除時間戳記資料夾)
+   * Get a skipped file's path relative to its run folder (without the timestamp folder)
+   */
+  relativeToRun(filePath) {
+    const segments = path.relative(path.resolve(this.options.outputDir), path.resolve(filePath)).split(path.sep);
+    return (RUN_FOLDER_PATTERN.test(segments[0]) ? segments.slice(1) : segments).join('/');
+  }
+
+  /**
+   * 刪除本次備份中已不存在的檔案 (增量備份略過的檔案、失敗的檔案及其附屬檔案保留)
+   * Delete files no longer in this run (files skipped by an incremental run, failed files and their side files are kept)
+   */
+  async removeMissing(written, skippedFiles, failedKeys = []) {
+    const kept = skippedFiles.filter(file => file.path).map(file => {
+      const relativePath = this.relativeToRun(file.path);
+      return {
+        dir: path.posix.dirname(relativePath),
+        base: path.posix.basename(relativePath, path.posix.extname(relativePath))
+      };
+    });
+    const isKept = trackedPath => kept.some(({ dir, base }) => {
+      const prefix = dir === '.' ? '' : `${dir}/`;
+      if (!trackedPath.startsWith(prefix)) return false;
+
+      const rest = trackedPath.slice(prefix.length);
+      return rest === base || rest.startsWith(`${base}.`) || rest.startsWith(`${base}/`);
+    });
+
+    const tracked = (await this.git(['ls-files', '-z'])).split('\0').filter(Boolean);
+    const removed = tracked.filter(p => p !== '.gitattributes' && !written.has(p) && !isKept(p)
+      && !GitSnapshot.isFailedPath(p, failedKeys));
+
+    for (const trackedPath of removed) {
+      await fs.remove(path.join(this.repoPath, trackedPath));
+    }
+
+    return removed;
+  }
+
+  /**
+   * 取得已暫存的變更
+   * Get the staged changes
+   */
+  async stagedChanges() {
+    const output = await this.git(['diff', '--cached', '--name-status', '--no-renames', '-z']);
+    const fields = output.split('\0').filter(Boolean);
+    const changes = { added: [], changed: [], removed: [] };
+
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+      const list = { A: changes.added, D: changes.removed }[fields[i]] || changes.changed;
+      list.push(fields[i + 1]);
+    }
+
+    return changes;
+  }
+
+  /**
+   * 將 LFS 物件複製到本機路徑的遠端 (一般或 bare 儲存庫)，其他遠端交給 git lfs push
+   * Copy LFS objects to a remote on a local path (regular or bare repository); other remotes go through git lfs push
+   */
+  async pushLfsObjects(oids) {
+    const { remote } = this.options;
+    const localRemote = remote.startsWith('file://') ? new URL(remote).pathname : remote;
+
+    if (/^[\w+-]+:\/\//.test(localRemote) || /^[^/]+@[^:]+:/.test(localRemote)) {
+      await this.git(['lfs', 'push', remote, 'HEAD']);
+      return;
+    }
+
+    const remotePath = path.resolve(this.repoPath, localRemote);
+    const gitDir = await fs.pathExists(path.join(remotePath, '.git')) ? path.join(remotePath, '.git') : remotePath;
+    const lfsDir = path.join(this.repoPath, '.git', 'lfs');
+
+    for (const oid of new Set(oids)) {
+      const target = GitSnapshot.lfsObjectPath(path.join(gitDir, 'lfs'), oid);
+      if (await fs.pathExists(target)) continue;
+
+      await fs.ensureDir(path.dirname(target));
+      await fs.copyFile(GitSnapshot.lfsObjectPath(lfsDir, oid), target);
+    }
+  }
+
+  /**
+   * 推送到遠端 (先推送 LFS 物件，再推送分支)
+   * Push to the remote (LFS objects first, then the branch)
+   */
+  async push() {
+    const pointers = (await this.git(['ls-files', '-z'])).split('\0').filter(p => p && this.isLfsPath(p));
+    const oids = [];
+
+    for (const pointer of pointers) {
+      const match = /^oid sha256:([0-9a-f]{64})$/m.exec(await fs.readFile(path.join(this.repoPath, pointer), 'utf8'));
+      if (match) oids.push(match[1]);
+    }
+
+    await this.pushLfsObjects(oids);
+    await this.git(['push', '-q', this.options.remote, `HEAD:refs/heads/${this.options.branch}`]);
+  }
+
+  /**
+   * 將一次備份提交到儲存庫
+   * Commit one backup run to the repository
+   *
+   * prune 為 false 時 (部分目標失敗或只備份部分檔案) 不刪除舊檔案；message 依變更產生提交訊息。
+   * When prune is false (some targets failed or only some files were backed up) old files are not deleted; message builds the commit message from the changes.
+   * failed 為下載或驗證失敗的檔案 key，這些檔案保留上次提交的版本。
+   * failed holds the keys of files that failed to download or validate; they keep their last committed version.
+   */
+  async commitRun(runPath, { skipped = [], failed = [], prune = true, message }) {
+    await this.ensureRepository();
+
+    const written = await this.writeSnapshot(path.resolve(runPath), failed);
+    if (prune) {
+      await this.removeMissing(written, skipped, failed);
+    }
+
+    await this.git(['add', '-A']);
+    const changes = await this.stagedChanges();
+    const total = changes.added.length + changes.changed.length + changes.removed.length;
+
+    let commit = null;
+    if (total > 0) {
+      const messagePath = path.join(this.repoPath, '.git', MESSAGE_FILENAME);
+      await fs.writeFile(messagePath, message(changes));
+      try {
+        await this.git(['commit', '-q', '--no-verify', '-F', messagePath]);
+      } finally {
+        await fs.remove(messagePath);
+      }
+
+      commit = (await this.git(['rev-parse', 'HEAD'])).trim();
+      if (this.logger) this.logger.info(`已提交 Git 快照: ${commit.slice(0, 7)}`, { added: changes.added.length, changed: changes.changed.length, removed: changes.removed.length });
+    }
+
+    // 沒有新提交時也推送，補上先前推送失敗的提交
+    const hasCommits = await this.git(['rev-parse', '-q', '--verify', 'HEAD']).then(() => true, () => false);
+    const pushed = Boolean(this.options.remote) && hasCommits;
+    if (pushed) {
+      await this.push();
+    }
+
+    return { committed: total > 0, commit, pushed, ...changes };
+  }
+}
+
+module.exports = GitSnapshot;
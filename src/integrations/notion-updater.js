@@ -0,0 +1,435 @@
+const { Client, LogLevel } = require('@notionhq/client');
+
+const RateLimiter = require('../utils/rate-limiter');
+
+// Notion API 平均每秒約 3 個請求
+const REQUESTS_PER_MINUTE = 150;
+// 關聯屬性每次最多寫入 100 個頁面
+const MAX_RELATIONS = 100;
+const MAX_TEXT_LENGTH = 2000;
+
+const FILES_TITLE = 'Figma files';
+const RUNS_TITLE = 'Backup runs';
+
+const STATUS_OPTIONS = [
+  { name: 'Backed up', color: 'green' },
+  { name: 'Unchanged', color: 'gray' },
+  { name: 'Failed', color: 'red' }
+];
+const RUN_STATUS_OPTIONS = [
+  { name: 'Success', color: 'green' },
+  { name: 'Partial', color: 'yellow' },
+  { name: 'Failed', color: 'red' }
+];
+
+/**
+ * Notion 更新器 - 在 Notion 資料庫中為每個 Figma 檔案維護一列 (以檔案 key 更新或新增)，並記錄每次備份
+ * Notion Updater - Maintains one Notion database row per Figma file (upserted by file key) and records every backup run
+ *
+ * 檔案資料庫與「Backup runs」資料庫的欄位會在第一次執行時自動建立或補齊。
+ * The columns of the files database and the "Backup runs" database are created or completed on the first run.
+ */
+class NotionUpdater {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      token: options.token,
+      databaseId: options.databaseId || '',
+      runsDatabaseId: options.runsDatabaseId || '',
+      parentPageId: options.parentPageId || '',
+      apiBaseUrl: options.apiBaseUrl || null
+    };
+    this.logger = logger;
+    this.client = new Client({
+      auth: this.options.token,
+      // 失敗的請求會以錯誤回報，不另外輸出警告
+      logLevel: LogLevel.ERROR,
+      ...(this.options.apiBaseUrl ? { baseUrl: this.options.apiBaseUrl.replace(/\/+$/, '') } : {})
+    });
+    this.rateLimiter = new RateLimiter({ perMinute: REQUESTS_PER_MINUTE, burst: 3 });
+    this.schemas = new Map();
+  }
+
+  /**
+   * 檔案資料庫的欄位
+   * Columns of the files database
+   */
+  static fileProperties(runsDatabaseId) {
+    return {
+      'File key': { rich_text: {} },
+      Project: { rich_text: {} },
+      Team: { rich_text: {} },
+      'Last modified': { date: {} },
+      'Last backup': { date: {} },
+      Status: { select: { options: STATUS_OPTIONS } },
+      'Size (MB)': { number: { format: 'number' } },
+      'Local path': { rich_text: {} },
+      'Dropbox path': { rich_text: {} },
+      Thumbnail: { url: {} },
+      'Figma URL': { url: {} },
+      'Last run': { relation: { database_id: runsDatabaseId, type: 'single_property', single_property: {} } }
+    };
+  }
+
+  /**
+   * 備份記錄資料庫的欄位
+   * Columns of the backup runs database
+   */
+  static runProperties(filesDatabaseId) {
+    return {
+      'Execution ID': { rich_text: {} },
+      Profile: { rich_text: {} },
+      Started: { date: {} },
+      Status: { select: { options: RUN_STATUS_OPTIONS } },
+      'Backed up': { number: { format: 'number' } },
+      Unchanged: { number: { format: 'number' } },
+      Failed: { number: { format: 'number' } },
+      'Size (MB)': { number: { format: 'number' } },
+      Files: { relation: { database_id: filesDatabaseId, type: 'single_property', single_property: {} } }
+    };
+  }
+
+  /**
+   * 建立 rich_text 屬性值
+   * Build a rich_text property value
+   */
+  static text(value) {
+    return value ? [{ type: 'text', text: { content: String(value).slice(0, MAX_TEXT_LENGTH) } }] : [];
+  }
+
+  /**
+   * 呼叫 Notion API (受速率限制)
+   * Call the Notion API (rate limited)
+   */
+  async call(fn) {
+    await this.rateLimiter.acquire();
+    return fn(this.client);
+  }
+
+  /**
+   * 驗證連線
+   * Validate connection
+   */
+  async validateConnection() {
+    if (!this.options.token) {
+      return { valid: false, error: '未設定 Notion token' };
+    }
+
+    if (!this.options.databaseId && !this.options.parentPageId) {
+      return { valid: false, error: '需要設定 notion.databaseId 或 notion.parentPageId' };
+    }
+
+    try {
+      const user = await this.call(client => client.users.me({}));
+
+      if (this.options.databaseId) {
+        await this.call(client => client.databases.retrieve({ database_id: this.options.databaseId }));
+      } else {
+        await this.call(client => client.pages.retrieve({ page_id: this.options.parentPageId }));
+      }
+
+      return { valid: true, user: user.name, databaseId: this.options.databaseId || null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 在頁面中尋找指定標題的子資料庫
+   * Find a child database with the given title on a page
+   */
+  async findChildDatabase(pageId, title) {
+    let cursor;
+
+    do {
+      const response = await this.call(client => client.blocks.children.list({ block_id: pageId, start_cursor: cursor }));
+      const match = response.results.find(block => block.type === 'child_database' && block.child_database.title === title);
+      if (match) return match.id;
+
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    return null;
+  }
+
+  /**
+   * 在頁面中尋找或建立資料庫 (只有標題欄位，其他欄位由 ensureSchema 補齊)
+   * Find or create a database on a page (title column only; ensureSchema adds the rest)
+   */
+  async findOrCreateDatabase(pageId, title) {
+    const existing = await this.findChildDatabase(pageId, title);
+    if (existing) return existing;
+
+    const database = await this.call(client => client.databases.create({
+      parent: { type: 'page_id', page_id: pageId },
+      title: NotionUpdater.text(title),
+      properties: { Name: { title: {} } }
+    }));
+
+    if (this.logger) this.logger.info(`已建立 Notion 資料庫: ${title}`, { id: database.id });
+    return database.id;
+  }
+
+  /**
+   * 補齊資料庫缺少的欄位，回傳欄位名稱與型別
+   * Add the columns a database is missing, returning the column names and types
+   */
+  async ensureSchema(databaseId, wanted) {
+    const database = await this.call(client => client.databases.retrieve({ database_id: databaseId }));
+    const missing = Object.fromEntries(Object.entries(wanted).filter(([name]) => !database.properties[name]));
+    let properties = database.properties;
+
+    if (Object.keys(missing).length > 0) {
+      ({ properties } = await this.call(client => client.databases.update({ database_id: databaseId, properties: missing })));
+      if (this.logger) this.logger.info('已補齊 Notion 資料庫欄位', { databaseId, properties: Object.keys(missing) });
+    }
+
+    // 同名但型別不同的欄位不寫入
+    Object.entries(wanted)
+      .filter(([name, config]) => properties[name] && !config[properties[name].type])
+      .forEach(([name]) => {
+        if (this.logger) this.logger.warn(`Notion 欄位型別不符，略過: ${name}`, { type: properties[name].type });
+      });
+
+    const schema = {
+      parent: database.parent,
+      title: Object.keys(properties).find(name => properties[name].type === 'title'),
+      types: Object.fromEntries(Object.entries(properties).map(([name, config]) => [name, config.type]))
+    };
+    this.schemas.set(databaseId, schema);
+
+    return schema;
+  }
+
+  /**
+   * 確保檔案與備份記錄資料庫存在且欄位完整
+   * Make sure the files and backup runs databases exist with all their columns
+   */
+  async ensureDatabases() {
+    const filesDatabaseId = this.options.databaseId
+      || await this.findOrCreateDatabase(this.options.parentPageId, FILES_TITLE);
+    const filesDatabase = await this.call(client => client.databases.retrieve({ database_id: filesDatabaseId }));
+
+    let runsDatabaseId = this.options.runsDatabaseId;
+    if (!runsDatabaseId) {
+      // 備份記錄資料庫建立在檔案資料庫所在的頁面
+      const pageId = this.options.parentPageId || (filesDatabase.parent.type === 'page_id' && filesDatabase.parent.page_id);
+      if (!pageId) {
+        throw new Error('檔案資料庫不在頁面中，請設定 notion.runsDatabaseId 或 notion.parentPageId');
+      }
+      runsDatabaseId = await this.findOrCreateDatabase(pageId, RUNS_TITLE);
+    }
+
+    await this.ensureSchema(runsDatabaseId, NotionUpdater.runProperties(filesDatabaseId));
+    await this.ensureSchema(filesDatabaseId, NotionUpdater.fileProperties(runsDatabaseId));
+
+    this.filesDatabaseId = filesDatabaseId;
+    this.runsDatabaseId = runsDatabaseId;
+  }
+
+  /**
+   * 依欄位型別建立頁面屬性 (略過資料庫中不存在或型別不符的欄位)
+   * Build page properties by column type (skipping columns that are missing or of another type)
+   */
+  buildProperties(databaseId, title, values) {
+    const schema = this.schemas.get(databaseId);
+    const properties = { [schema.title]: { title: NotionUpdater.text(title) } };
+
+    for (const [name, { type, value }] of Object.entries(values)) {
+      if (value === undefined || schema.types[name] !== type) continue;
+
+      switch (type) {
+        case 'rich_text':
+          properties[name] = { rich_text: NotionUpdater.text(value) };
+          break;
+        case 'date':
+          properties[name] = { date: value ? { start: new Date(value).toISOString() } : null };
+          break;
+        case 'select':
+          properties[name] = { select: value ? { name: value } : null };
+          break;
+        case 'relation':
+          properties[name] = { relation: value.map(id => ({ id })) };
+          break;
+        default:
+          properties[name] = { [type]: value === '' ? null : value };
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * 載入檔案資料庫中所有列，以檔案 key 索引
+   * Load every row of the files database, keyed by file key
+   */
+  async loadFileRows() {
+    const rows = new Map();
+    let cursor;
+
+    do {
+      const response = await this.call(client => client.databases.query({
+        database_id: this.filesDatabaseId,
+        start_cursor: cursor,
+        page_size: 100
+      }));
+
+      response.results.forEach(page => {
+        const key = page.properties['File key'] && page.properties['File key'].rich_text.map(t => t.plain_text).join('');
+        if (key) rows.set(key, page.id);
+      });
+
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    return rows;
+  }
+
+  /**
+   * 合併同一檔案的多筆記錄 (both 模式會有 .fig 與 REST 兩筆)
+   * Merge the records of the same file (both mode has a .fig and a REST record)
+   */
+  static mergeFiles(files) {
+    const merged = new Map();
+
+    for (const file of files) {
+      const existing = merged.get(file.key);
+
+      if (!existing) {
+        merged.set(file.key, { ...file });
+        continue;
+      }
+
+      existing.success = existing.success && file.success;
+      existing.size = (existing.size || 0) + (file.size || 0);
+      existing.error = existing.error || file.error;
+      // 優先顯示 .fig 的路徑
+      if (file.path && (!existing.path || !file.rest)) {
+        existing.path = file.path;
+        existing.dropbox_path = file.dropbox_path || existing.dropbox_path;
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * 更新或新增一個檔案列
+   * Upsert one file row
+   */
+  async upsertFile(rows, file, runPageId) {
+    const status = file.status || (file.success ? 'Backed up' : 'Failed');
+    const backedUp = status === 'Backed up';
+    const properties = this.buildProperties(this.filesDatabaseId, file.name || file.key, {
+      'File key': { type: 'rich_text', value: file.key },
+      Project: { type: 'rich_text', value: file.project_name },
+      Team: { type: 'rich_text', value: file.team_name || (file.team_id ? String(file.team_id) : undefined) },
+      'Last modified': { type: 'date', value: file.last_modified || undefined },
+      'Last backup': { type: 'date', value: backedUp ? file.backed_up_at : undefined },
+      Status: { type: 'select', value: status },
+      'Size (MB)': { type: 'number', value: backedUp ? Math.round(file.size / 1024 / 1024 * 100) / 100 : undefined },
+      'Local path': { type: 'rich_text', value: backedUp ? file.path : undefined },
+      'Dropbox path': { type: 'rich_text', value: backedUp ? file.dropbox_path || '' : undefined },
+      Thumbnail: { type: 'url', value: file.thumbnail_url || undefined },
+      'Figma URL': { type: 'url', value: `https://www.figma.com/file/${file.key}` },
+      'Last run': { type: 'relation', value: runPageId ? [runPageId] : undefined }
+    });
+    const cover = file.thumbnail_url ? { type: 'external', external: { url: file.thumbnail_url } } : undefined;
+    const pageId = rows.get(file.key);
+
+    if (pageId) {
+      await this.call(client => client.pages.update({ page_id: pageId, properties, ...(cover ? { cover } : {}) }));
+      return { key: file.key, pageId, created: false, status };
+    }
+
+    const page = await this.call(client => client.pages.create({
+      parent: { database_id: this.filesDatabaseId },
+      properties,
+      ...(cover ? { cover } : {})
+    }));
+    rows.set(file.key, page.id);
+
+    return { key: file.key, pageId: page.id, created: true, status };
+  }
+
+  /**
+   * 同步一次備份的結果
+   * Sync the results of a backup run
+   *
+   * run 包含 execution_id、profile、started_at、files (本次處理的檔案)、skipped (增量備份略過的檔案) 與 failed_targets。
+   * run has execution_id, profile, started_at, files (files processed in this run), skipped (files skipped by an incremental run) and failed_targets.
+   */
+  async syncBackupResults(run) {
+    await this.ensureDatabases();
+
+    const backedUpAt = new Date().toISOString();
+    const files = NotionUpdater.mergeFiles(run.files || []).map(file => ({ ...file, backed_up_at: backedUpAt }));
+    const skipped = NotionUpdater.mergeFiles(run.skipped || [])
+      .filter(file => !files.some(f => f.key === file.key))
+      .map(file => ({ ...file, status: 'Unchanged' }));
+
+    const failedCount = files.filter(f => !f.success).length;
+    const backedUpCount = files.length - failedCount;
+    const runStatus = failedCount === 0 && !run.failed_targets
+      ? 'Success'
+      : backedUpCount > 0 ? 'Partial' : 'Failed';
+    const runValues = {
+      'Execution ID': { type: 'rich_text', value: run.execution_id },
+      Profile: { type: 'rich_text', value: run.profile || '' },
+      Started: { type: 'date', value: run.started_at },
+      Status: { type: 'select', value: runStatus },
+      'Backed up': { type: 'number', value: backedUpCount },
+      Unchanged: { type: 'number', value: skipped.length },
+      Failed: { type: 'number', value: failedCount },
+      'Size (MB)': { type: 'number', value: Math.round(files.reduce((sum, f) => sum + (f.success ? f.size || 0 : 0), 0) / 1024 / 1024 * 100) / 100 }
+    };
+    const runTitle = `${new Date(run.started_at || backedUpAt).toISOString().slice(0, 16).replace('T', ' ')}${run.profile ? ` (${run.profile})` : ''}`;
+
+    const runPage = await this.call(client => client.pages.create({
+      parent: { database_id: this.runsDatabaseId },
+      properties: this.buildProperties(this.runsDatabaseId, runTitle, runValues)
+    }));
+
+    // 關聯屬性一次最多寫入 100 個頁面，且每次寫入都會取代整個值，超過的檔案列不關聯到本次備份
+    const linkedKeys = new Set(files.slice(0, MAX_RELATIONS).map(file => file.key));
+    if (files.length > MAX_RELATIONS && this.logger) {
+      this.logger.warn(`本次備份處理 ${files.length} 個檔案，Notion 只關聯前 ${MAX_RELATIONS} 個`, { unlinked: files.length - MAX_RELATIONS });
+    }
+
+    const rows = await this.loadFileRows();
+    const results = [];
+
+    // 略過的檔案列保留原本的 Last run，讓兩邊的關聯一致
+    for (const file of [...files, ...skipped]) {
+      try {
+        results.push(await this.upsertFile(rows, file, linkedKeys.has(file.key) ? runPage.id : null));
+      } catch (error) {
+        results.push({ key: file.key, status: 'error', error: error.message });
+        if (this.logger) this.logger.warn(`Notion 更新失敗: ${file.name || file.key}`, { error: error.message });
+      }
+    }
+
+    // 備份記錄關聯到本次處理的檔案列
+    const linked = results.filter(r => r.pageId && linkedKeys.has(r.key)).map(r => r.pageId);
+    if (linked.length > 0) {
+      await this.call(client => client.pages.update({
+        page_id: runPage.id,
+        properties: this.buildProperties(this.runsDatabaseId, runTitle, { Files: { type: 'relation', value: linked } })
+      }));
+    }
+
+    const errors = results.filter(r => r.error);
+
+    return {
+      success: errors.length === 0,
+      runPageId: runPage.id,
+      created: results.filter(r => r.created).length,
+      updated: results.filter(r => r.pageId && !r.created).length,
+      unlinked: files.length - linkedKeys.size,
+      results,
+      error: errors.length > 0 ? `${errors.length} 個檔案列更新失敗` : undefined
+    };
+  }
+}
+
+module.exports = NotionUpdater;
@@ -0,0 +1,528 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const moment = require('moment');
+
+// 標記行以下為使用者自己的內容，更新筆記時保留
+const MARKER = '%% figma-backup:end — content below this line is kept when the note is updated %%';
+const MARKER_PREFIX = '%% figma-backup:end';
+const HISTORY_LIMIT = 100;
+const RUN_LOG_LIMIT = 200;
+
+/**
+ * Obsidian 同步 - 在 Obsidian 知識庫中為每個 Figma 檔案產生一則筆記，並產生專案索引與備份記錄，彼此以 wiki 連結串連
+ * Obsidian Sync - Writes one note per Figma file into an Obsidian vault, plus project indexes and a run log, all wiki-linked together
+ *
+ * 筆記中標記行以上的內容由備份產生；標記行以下與使用者自行加入的 frontmatter 欄位會保留。
+ * Content above the marker line is generated; content below it and frontmatter properties added by the user are kept.
+ */
+class ObsidianSync {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      vaultPath: options.vaultPath || '',
+      folder: options.folder || 'Figma',
+      downloadThumbnails: options.downloadThumbnails !== undefined ? options.downloadThumbnails : true
+    };
+    this.logger = logger;
+    this.vaultPath = path.resolve(this.options.vaultPath);
+    this.root = path.join(this.vaultPath, this.options.folder);
+    this.filesDir = path.join(this.root, 'Files');
+    this.projectsDir = path.join(this.root, 'Projects');
+    this.attachmentsDir = path.join(this.root, 'Attachments');
+    this.runLogPath = path.join(this.root, 'Backup log.md');
+  }
+
+  /**
+   * 移除檔名中不能使用或會破壞 wiki 連結的字元
+   * Remove characters that are not allowed in file names or break wiki links
+   */
+  static sanitize(name) {
+    return String(name || '').replace(/[\\/:*?"<>|#^[\]]/g, '-').replace(/\s+/g, ' ').trim() || 'Untitled';
+  }
+
+  /**
+   * 跳脫表格儲存格內容
+   * Escape table cell content
+   */
+  static cell(value) {
+    return String(value === undefined || value === null || value === '' ? '-' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * 將值轉為 YAML (字串使用 JSON 的雙引號格式)
+   * Convert a value to YAML (strings use JSON double-quoted form)
+   */
+  static yaml(key, value) {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? [`${key}:`, ...value.map(item => `  - ${JSON.stringify(String(item))}`)].join('\n') : `${key}: []`;
+    }
+    if (value === undefined || value === null || value === '') {
+      return `${key}: null`;
+    }
+    return `${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`;
+  }
+
+  /**
+   * 拆分筆記為 frontmatter、產生的內容與使用者內容
+   * Split a note into frontmatter, generated content and user content
+   */
+  static splitNote(content) {
+    let frontmatter = '';
+    let body = content;
+
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content);
+    if (match) {
+      frontmatter = match[1];
+      body = content.slice(match[0].length);
+    }
+
+    const lines = body.split('\n');
+    const markerIndex = lines.findIndex(line => line.startsWith(MARKER_PREFIX));
+
+    // 沒有標記的筆記 (例如使用者自己建立的同名筆記) 全部視為使用者內容
+    if (markerIndex === -1) {
+      return { frontmatter, generated: '', user: body };
+    }
+
+    return {
+      frontmatter,
+      generated: lines.slice(0, markerIndex).join('\n'),
+      user: lines.slice(markerIndex + 1).join('\n')
+    };
+  }
+
+  /**
+   * 將 frontmatter 拆成頂層欄位區塊
+   * Split frontmatter into top-level property blocks
+   */
+  static frontmatterBlocks(frontmatter) {
+    const blocks = [];
+
+    for (const line of frontmatter.split('\n')) {
+      const key = /^([^\s#:-][^:]*):/.exec(line);
+      if (key || blocks.length === 0) {
+        blocks.push({ key: key ? key[1].trim() : null, lines: [line] });
+      } else {
+        blocks[blocks.length - 1].lines.push(line);
+      }
+    }
+
+    return blocks.filter(block => block.lines.some(line => line.trim()));
+  }
+
+  /**
+   * 解析 frontmatter 的純量與清單欄位
+   * Parse scalar and list properties from frontmatter
+   */
+  static parseFrontmatter(frontmatter) {
+    const parse = raw => {
+      const value = raw.trim();
+      if (value === '' || value === 'null') return null;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    };
+
+    return Object.fromEntries(ObsidianSync.frontmatterBlocks(frontmatter).filter(block => block.key).map(block => {
+      const [first, ...rest] = block.lines;
+      const items = rest.filter(line => /^\s*- /.test(line)).map(line => parse(line.replace(/^\s*- /, '')));
+      return [block.key, items.length > 0 ? items : parse(first.slice(first.indexOf(':') + 1))];
+    }));
+  }
+
+  /**
+   * 取得標題下表格的資料列
+   * Get the data rows of the table under a heading
+   */
+  static tableRows(content, heading) {
+    const lines = content.split('\n');
+    const start = lines.indexOf(heading);
+    if (start === -1) return [];
+
+    const table = [];
+    for (const line of lines.slice(start + 1)) {
+      if (line.startsWith('|')) {
+        table.push(line);
+      } else if (table.length > 0) {
+        break;
+      }
+    }
+
+    // 去除表頭與分隔列
+    return table.slice(2);
+  }
+
+  /**
+   * 建立 wiki 連結 (以知識庫中的完整路徑連結，避免同名筆記混淆)
+   * Build a wiki link (using the full path inside the vault so notes with the same name are not confused)
+   */
+  link(notePath, alias) {
+    const target = path.relative(this.vaultPath, notePath).split(path.sep).join('/').replace(/\.md$/, '');
+    return `[[${target}|${String(alias).replace(/[[\]|]/g, '-')}]]`;
+  }
+
+  /**
+   * 驗證知識庫
+   * Validate vault
+   */
+  async validateVault() {
+    if (!this.options.vaultPath) {
+      return { valid: false, error: '未設定 Obsidian vaultPath' };
+    }
+
+    try {
+      const stats = await fs.stat(this.vaultPath);
+      if (!stats.isDirectory()) {
+        return { valid: false, error: `Obsidian vaultPath 不是資料夾: ${this.vaultPath}` };
+      }
+    } catch {
+      return { valid: false, error: `找不到 Obsidian 知識庫: ${this.vaultPath}` };
+    }
+
+    const isVault = await fs.pathExists(path.join(this.vaultPath, '.obsidian'));
+    if (!isVault && this.logger) {
+      this.logger.warn(`資料夾中沒有 .obsidian 設定，可能不是 Obsidian 知識庫: ${this.vaultPath}`);
+    }
+
+    return { valid: true, vaultPath: this.vaultPath, isVault };
+  }
+
+  /**
+   * 寫入筆記，保留使用者內容與使用者加入的 frontmatter 欄位
+   * Write a note, keeping user content and frontmatter properties added by the user
+   */
+  async writeNote(notePath, properties, body) {
+    const exists = await fs.pathExists(notePath);
+    const current = exists ? await fs.readFile(notePath, 'utf8') : null;
+    const { frontmatter, user } = current !== null
+      ? ObsidianSync.splitNote(current)
+      : { frontmatter: '', user: '\n## Notes\n\n' };
+
+    const kept = ObsidianSync.frontmatterBlocks(frontmatter)
+      .filter(block => !block.key || !(block.key in properties))
+      .map(block => block.lines.join('\n'));
+    const yaml = [...Object.entries(properties).map(([key, value]) => ObsidianSync.yaml(key, value)), ...kept].join('\n');
+    const content = `---\n${yaml}\n---\n${body}\n\n${MARKER}\n${user}`;
+
+    if (content === current) {
+      return 'unchanged';
+    }
+
+    await fs.ensureDir(path.dirname(notePath));
+    await fs.writeFile(notePath, content);
+    return exists ? 'updated' : 'created';
+  }
+
+  /**
+   * 遞迴列出資料夾中的筆記
+   * Recursively list notes in a folder
+   */
+  async listNotes(dir) {
+    if (!await fs.pathExists(dir)) return [];
+
+    const notes = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        notes.push(...await this.listNotes(entryPath));
+      } else if (entry.name.endsWith('.md')) {
+        notes.push(entryPath);
+      }
+    }
+
+    return notes;
+  }
+
+  /**
+   * 讀取所有檔案筆記，以檔案 key 索引
+   * Read every file note, keyed by file key
+   */
+  async scanFileNotes() {
+    const notes = new Map();
+
+    for (const notePath of await this.listNotes(this.filesDir)) {
+      const { frontmatter } = ObsidianSync.splitNote(await fs.readFile(notePath, 'utf8'));
+      const properties = ObsidianSync.parseFrontmatter(frontmatter);
+
+      if (properties.key) {
+        notes.set(String(properties.key), { path: notePath, properties });
+      }
+    }
+
+    return notes;
+  }
+
+  /**
+   * 下載縮圖到知識庫，失敗時回傳 null
+   * Download a thumbnail into the vault, returning null on failure
+   */
+  async downloadThumbnail(key, url, localPath = null) {
+    const target = path.join(this.attachmentsDir, `${ObsidianSync.sanitize(key)}.png`);
+
+    try {
+      // 探索時已下載到備份資料夾的縮圖直接複製
+      if (localPath && await fs.pathExists(localPath)) {
+        await fs.copy(localPath, target);
+        return target;
+      }
+
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+      await fs.ensureDir(this.attachmentsDir);
+      await fs.writeFile(target, Buffer.from(response.data));
+      return target;
+    } catch (error) {
+      if (this.logger) this.logger.warn(`無法下載縮圖: ${key}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 取得檔案筆記的路徑 (與其他檔案同名時加上 key)
+   * Get the path of a file note (adding the key when another file has the same name)
+   */
+  notePathFor(notes, key, projectName, name) {
+    const dir = path.join(this.filesDir, ObsidianSync.sanitize(projectName));
+    const notePath = path.join(dir, `${ObsidianSync.sanitize(name)}.md`);
+    const taken = [...notes].some(([otherKey, note]) => otherKey !== key && note.path === notePath);
+
+    return taken ? path.join(dir, `${ObsidianSync.sanitize(name)} (${ObsidianSync.sanitize(key)}).md`) : notePath;
+  }
+
+  /**
+   * 寫入一個 Figma 檔案的筆記 (records 為同一檔案的 .fig 與 REST 記錄)
+   * Write the note of one Figma file (records are the .fig and REST records of the same file)
+   */
+  async writeFileNote(notes, key, records, run, status = null) {
+    const primary = records.find(r => !r.rest) || records[0];
+    const success = records.every(r => r.success);
+    const noteStatus = status || (success ? 'Backed up' : 'Failed');
+    const projectName = primary.project_name || 'Drafts';
+    const name = primary.name || key;
+
+    const notePath = this.notePathFor(notes, key, projectName, name);
+    const existing = notes.get(key);
+
+    // 檔案改名或移到其他專案時搬移筆記，保留使用者內容
+    if (existing && existing.path !== notePath && !await fs.pathExists(notePath)) {
+      await fs.move(existing.path, notePath);
+    }
+
+    const current = await fs.pathExists(notePath) ? await fs.readFile(notePath, 'utf8') : '';
+    const previous = existing ? existing.properties : {};
+    const backedUp = noteStatus === 'Backed up';
+
+    const paths = backedUp
+      ? [
+        ...records.filter(r => r.success && r.path).map(r => r.path),
+        ...records.filter(r => r.success && r.dropbox_path).map(r => `dropbox:${r.dropbox_path}`)
+      ]
+      : [].concat(previous.backup_paths || (primary.path ? [primary.path] : []));
+    const size = records.filter(r => r.success).reduce((sum, r) => sum + (r.size || 0), 0);
+
+    let thumbnail = path.join(this.attachmentsDir, `${ObsidianSync.sanitize(key)}.png`);
+    if (this.options.downloadThumbnails && (primary.thumbnail_url || primary.thumbnail_path)) {
+      thumbnail = await this.downloadThumbnail(key, primary.thumbnail_url, primary.thumbnail_path) || thumbnail;
+    }
+    const embed = await fs.pathExists(thumbnail)
+      ? `![[${path.relative(this.vaultPath, thumbnail).split(path.sep).join('/')}]]`
+      : primary.thumbnail_url ? `![${ObsidianSync.cell(name)}](${primary.thumbnail_url})` : '';
+
+    const failure = records.map(r => r.error).filter(Boolean).join('; ');
+    const row = `| ${[
+      moment(run.started_at).format('YYYY-MM-DD HH:mm'),
+      String(run.execution_id || '').slice(0, 8),
+      failure ? `${noteStatus}: ${failure}` : noteStatus,
+      size > 0 ? `${(size / 1024 / 1024).toFixed(1)} MB` : '',
+      paths.map(p => `\`${p}\``).join('<br>')
+    ].map(ObsidianSync.cell).join(' | ')} |`;
+    const history = [row, ...ObsidianSync.tableRows(current, '## Backup history')].slice(0, HISTORY_LIMIT);
+
+    const team = primary.team_name || primary.team_id || previous.team || null;
+    const editorType = primary.editor_type || previous.editor_type || null;
+    const body = [
+      `# ${name}`,
+      '',
+      ...(embed ? [embed, ''] : []),
+      `- Project: ${this.link(this.projectPathFor(projectName), projectName)}`,
+      ...(team ? [`- Team: ${team}`] : []),
+      ...(editorType ? [`- Editor: ${editorType}`] : []),
+      `- Figma: [Open in Figma](https://www.figma.com/file/${key})`,
+      `- Last modified: ${primary.last_modified ? moment(primary.last_modified).format('YYYY-MM-DD HH:mm') : '-'}`,
+      `- Backup log: ${this.link(this.runLogPath, 'Backup log')}`,
+      '',
+      '## Backup history',
+      '',
+      '| Date | Run | Status | Size | Paths |',
+      '| --- | --- | --- | --- | --- |',
+      ...history
+    ].join('\n');
+
+    const result = await this.writeNote(notePath, {
+      key,
+      name,
+      project: projectName,
+      team,
+      editor_type: editorType,
+      last_modified: primary.last_modified || null,
+      last_backup: backedUp ? run.started_at : previous.last_backup || null,
+      status: noteStatus,
+      backup_paths: paths,
+      figma_url: `https://www.figma.com/file/${key}`
+    }, body);
+
+    notes.set(key, { path: notePath, properties: { key, name, project: projectName } });
+    return { key, path: notePath, status: noteStatus, result };
+  }
+
+  /**
+   * 取得專案索引筆記的路徑
+   * Get the path of a project index note
+   */
+  projectPathFor(projectName) {
+    return path.join(this.projectsDir, `${ObsidianSync.sanitize(projectName)}.md`);
+  }
+
+  /**
+   * 重新產生所有專案索引筆記
+   * Regenerate every project index note
+   */
+  async writeProjectIndexes() {
+    const projects = new Map();
+
+    for (const [, note] of await this.scanFileNotes()) {
+      const projectName = note.properties.project || 'Drafts';
+      if (!projects.has(projectName)) projects.set(projectName, []);
+      projects.get(projectName).push(note);
+    }
+
+    for (const [projectName, notes] of projects) {
+      const rows = notes
+        .sort((a, b) => String(a.properties.name).localeCompare(String(b.properties.name)))
+        .map(({ path: notePath, properties }) => `| ${[
+          this.link(notePath, properties.name || properties.key),
+          properties.status,
+          properties.last_modified ? moment(properties.last_modified).format('YYYY-MM-DD HH:mm') : '',
+          properties.last_backup ? moment(properties.last_backup).format('YYYY-MM-DD HH:mm') : ''
+        ].map(ObsidianSync.cell).join(' | ')} |`);
+      const team = notes.map(n => n.properties.team).find(Boolean);
+
+      await this.writeNote(this.projectPathFor(projectName), {
+        project: projectName,
+        team: team || null,
+        file_count: notes.length
+      }, [
+        `# ${projectName}`,
+        '',
+        ...(team ? [`- Team: ${team}`] : []),
+        `- Backup log: ${this.link(this.runLogPath, 'Backup log')}`,
+        '',
+        '## Files',
+        '',
+        '| File | Status | Last modified | Last backup |',
+        '| --- | --- | --- | --- |',
+        ...rows
+      ].join('\n'));
+    }
+
+    return projects.size;
+  }
+
+  /**
+   * 在備份記錄筆記中加入本次執行
+   * Add this run to the run log note
+   */
+  async writeRunLog(run, counts, projectNames) {
+    const current = await fs.pathExists(this.runLogPath) ? await fs.readFile(this.runLogPath, 'utf8') : '';
+    const status = counts.failed === 0 && !run.failed_targets
+      ? 'Success'
+      : counts.backed_up > 0 ? 'Partial' : 'Failed';
+    const row = `| ${[
+      moment(run.started_at).format('YYYY-MM-DD HH:mm'),
+      String(run.execution_id || '').slice(0, 8),
+      run.profile || '',
+      status,
+      counts.backed_up,
+      counts.unchanged,
+      counts.failed,
+      [...projectNames].sort().map(name => this.link(this.projectPathFor(name), name)).join(', ')
+    ].map(ObsidianSync.cell).join(' | ')} |`;
+    const rows = [row, ...ObsidianSync.tableRows(current, '## Runs')].slice(0, RUN_LOG_LIMIT);
+
+    await this.writeNote(this.runLogPath, {
+      last_run: run.started_at,
+      last_status: status
+    }, [
+      '# Backup log',
+      '',
+      '## Runs',
+      '',
+      '| Date | Run | Profile | Status | Backed up | Unchanged | Failed | Projects |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...rows
+    ].join('\n'));
+  }
+
+  /**
+   * 同步一次備份的結果
+   * Sync the results of a backup run
+   *
+   * run 包含 execution_id、profile、started_at、files (本次處理的檔案)、skipped (增量備份略過的檔案) 與 failed_targets。
+   * run has execution_id, profile, started_at, files (files processed in this run), skipped (files skipped by an incremental run) and failed_targets.
+   */
+  async syncBackupResults(run) {
+    const group = records => records.reduce((groups, record) => {
+      groups.set(record.key, [...(groups.get(record.key) || []), record]);
+      return groups;
+    }, new Map());
+
+    const files = group(run.files || []);
+    const skipped = group((run.skipped || []).filter(file => !files.has(file.key)));
+    const notes = await this.scanFileNotes();
+    const results = [];
+
+    for (const [key, records] of files) {
+      try {
+        results.push(await this.writeFileNote(notes, key, records, run));
+      } catch (error) {
+        results.push({ key, status: 'error', error: error.message });
+        if (this.logger) this.logger.warn(`Obsidian 筆記寫入失敗: ${records[0].name || key}`, { error: error.message });
+      }
+    }
+
+    // 未變更的檔案只在還沒有筆記時建立
+    for (const [key, records] of skipped) {
+      if (notes.has(key)) continue;
+
+      try {
+        results.push(await this.writeFileNote(notes, key, records, run, 'Unchanged'));
+      } catch (error) {
+        results.push({ key, status: 'error', error: error.message });
+      }
+    }
+
+    const projects = await this.writeProjectIndexes();
+    const failed = results.filter(r => r.status === 'Failed').length;
+
+    await this.writeRunLog(run, {
+      backed_up: results.filter(r => r.status === 'Backed up').length,
+      unchanged: skipped.size,
+      failed
+    }, new Set([...files.values(), ...skipped.values()].map(records => records[0].project_name || 'Drafts')));
+
+    const errors = results.filter(r => r.error);
+
+    return {
+      success: errors.length === 0,
+      created: results.filter(r => r.result === 'created').length,
+      updated: results.filter(r => r.result === 'updated').length,
+      projects,
+      results,
+      error: errors.length > 0 ? `${errors.length} 則筆記寫入失敗` : undefined
+    };
+  }
+}
+
+module.exports = ObsidianSync;
@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+
+const JobQueue = require('../utils/job-queue');
+const RetryPolicy = require('../utils/retry-policy');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const FIG_EXTENSIONS = ['.fig', '.jam', '.deck'];
+
+/**
+ * Playwright 下載器 - 透過 automations/download.spec.ts 下載 .fig 檔案
+ * Playwright Downloader - Downloads .fig files via automations/download.spec.ts
+ */
+class PlaywrightDownloader {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      token: options.token,
+      email: options.email,
+      password: options.password,
+      cwd: options.cwd || PROJECT_ROOT,
+      downloadsPerMinute: options.downloadsPerMinute || 6
+    };
+    this.logger = logger;
+    this.retryPolicy = this.options.retryPolicy || new RetryPolicy({}, logger);
+
+    // 同一時間只開一個瀏覽器 (共用登入狀態，也避免觸發 Figma 的反自動化機制)
+    this.queue = new JobQueue({ concurrency: 1 });
+  }
+
+  /**
+   * 建立 Playwright 執行環境變數
+   * Build Playwright environment variables
+   */
+  buildEnv(filesJsonPath, outputPath, journal = null) {
+    const env = {
+      ...process.env,
+      FILES_JSON: filesJsonPath,
+      DOWNLOAD_PATH: outputPath,
+      // 增量比對已由呼叫端處理
+      INCREMENTAL: 'false'
+    };
+
+    // 只在有設定時覆寫，否則沿用 .env
+    if (this.options.token) env.FIGMA_ACCESS_TOKEN = this.options.token;
+    if (this.options.email) env.FIGMA_EMAIL = this.options.email;
+    if (this.options.password) env.FIGMA_PASSWORD = this.options.password;
+
+    // download.spec.ts 每下載完一個檔案就寫入檢查點
+    if (journal) {
+      env.JOURNAL_FILE = journal.journalPath;
+    }
+
+    // 每次下載後的等待時間，控制瀏覽器下載的速率
+    if (!process.env.WAIT_TIMEOUT) {
+      env.WAIT_TIMEOUT = String(Math.ceil(60000 / this.options.downloadsPerMinute));
+    }
+
+    return env;
+  }
+
+  /**
+   * 執行 Playwright 測試
+   * Run Playwright tests
+   */
+  runPlaywright(env) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('npx', ['playwright', 'test', '--project=download'], {
+        cwd: this.options.cwd,
+        env,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const forward = (chunk) => {
+        if (!this.logger) return;
+        chunk.toString().split('\n').filter(Boolean).forEach(line => this.logger.debug(line));
+      };
+
+      child.stdout.on('data', forward);
+      child.stderr.on('data', forward);
+      child.on('error', reject);
+      child.on('close', code => resolve(code));
+    });
+  }
+
+  /**
+   * 取得專案的輸出資料夾 (與 download.spec.ts 一致)
+   * Get a project's output folder (matches download.spec.ts)
+   */
+  getProjectDir(project, outputPath) {
+    const projectName = project.name || 'Drafts';
+    const segments = [outputPath];
+
+    if (project.team_id) {
+      segments.push(String(project.team_id));
+    }
+
+    segments.push(`${projectName} (${project.id})`);
+    return path.join(...segments);
+  }
+
+  /**
+   * 尋找已下載的檔案
+   * Find a downloaded file
+   */
+  async findDownloadedFile(projectDir, fileKey, since = 0) {
+    if (!await fs.pathExists(projectDir)) {
+      return null;
+    }
+
+    const entries = await fs.readdir(projectDir);
+
+    for (const entry of entries) {
+      if (!FIG_EXTENSIONS.some(ext => entry.endsWith(`(${fileKey})${ext}`))) continue;
+
+      // 忽略本次執行前就存在的舊檔案
+      const filePath = path.join(projectDir, entry);
+      const stats = await fs.stat(filePath);
+      if (stats.mtimeMs >= since) {
+        return filePath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 下載專案清單中的所有檔案，失敗的檔案以指數退避重新下載
+   * Download all files in the project list, retrying failed files with exponential backoff
+   */
+  async download(projects, outputPath, journal = null) {
+    return this.queue.add(async () => {
+      let files = await this.classifyFailures(await this.runDownload(projects, outputPath, journal));
+
+      for (let attempt = 1; attempt <= this.retryPolicy.options.attempts; attempt++) {
+        const failed = new Set(files.filter(f => !f.success && !f.permanent).map(f => f.key));
+        if (failed.size === 0) break;
+
+        const wait = this.retryPolicy.delay(attempt);
+        if (this.logger) {
+          this.logger.warn(`${failed.size} 個檔案下載失敗，${Math.ceil(wait / 1000)} 秒後重試 (${attempt}/${this.retryPolicy.options.attempts})`);
+        }
+        await RetryPolicy.sleep(wait);
+
+        const retryProjects = projects
+          .map(project => ({ ...project, files: project.files.filter(file => failed.has(file.key)) }))
+          .filter(project => project.files.length > 0);
+        const retried = new Map((await this.runDownload(retryProjects, outputPath, journal)).map(f => [f.key, f]));
+
+        files = files.map(file => (retried.has(file.key) ? { ...retried.get(file.key), attempts: attempt + 1 } : file));
+        files = await this.classifyFailures(files);
+      }
+
+      return files;
+    });
+  }
+
+  /**
+   * 以 API 查詢下載失敗的檔案，無權限或已刪除的檔案標記為永久失敗
+   * Check failed files against the API, marking files without access or deleted ones as permanent failures
+   *
+   * 瀏覽器只會回報找不到下載的檔案，需由 /files/:key/meta 的狀態碼判斷原因。
+   * The browser only reports a missing download, so the cause comes from the /files/:key/meta status.
+   */
+  async classifyFailures(files) {
+    const { getFileMeta } = this.options;
+    if (!getFileMeta) return files;
+
+    return Promise.all(files.map(async file => {
+      if (file.success || file.permanent) return file;
+
+      try {
+        await getFileMeta(file.key);
+        return file;
+      } catch (error) {
+        if (!RetryPolicy.isPermanent(error)) return file;
+
+        if (this.logger) {
+          this.logger.warn(`檔案無法存取，不再重試: ${file.name}`, { key: file.key, status: error.status });
+        }
+        return { ...file, error: error.message, permanent: true };
+      }
+    }));
+  }
+
+  /**
+   * 執行一次 Playwright 下載
+   * Run a single Playwright download
+   */
+  async runDownload(projects, outputPath, journal = null) {
+    const filesJsonPath = path.join(os.tmpdir(), `figma-backup-${uuidv4()}.json`);
+    const startTime = Date.now();
+
+    await fs.writeJson(filesJsonPath, projects);
+
+    let exitCode;
+    try {
+      exitCode = await this.runPlaywright(this.buildEnv(filesJsonPath, outputPath, journal));
+    } finally {
+      await fs.remove(filesJsonPath);
+    }
+
+    if (exitCode !== 0 && this.logger) {
+      this.logger.warn(`Playwright 結束代碼 ${exitCode}，部分檔案可能下載失敗`);
+    }
+
+    const files = [];
+
+    for (const project of projects) {
+      const projectDir = this.getProjectDir(project, outputPath);
+
+      for (const file of project.files) {
+        const localPath = await this.findDownloadedFile(projectDir, file.key, startTime);
+        const stats = localPath ? await fs.stat(localPath) : null;
+
+        files.push({
+          key: file.key,
+          name: file.name,
+          project_id: project.id,
+          project_name: project.name || 'Drafts',
+          team_id: project.team_id || null,
+          team_name: project.team_name || null,
+          editor_type: file.editor_type || null,
+          last_modified: file.last_modified || null,
+          thumbnail_url: file.thumbnail_url || null,
+          thumbnail_path: file.thumbnail_path || null,
+          success: Boolean(localPath),
+          path: localPath,
+          size: stats ? stats.size : 0,
+          error: localPath ? undefined : '找不到下載的檔案'
+        });
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = PlaywrightDownloader;
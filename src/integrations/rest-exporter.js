@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+
+const RetryPolicy = require('../utils/retry-policy');
+
+const FRAME_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET'];
+const SUPPORTED_FORMATS = ['png', 'svg', 'pdf', 'jpg'];
+const IDS_PER_REQUEST = 50;
+
+/**
+ * REST 匯出器 - 透過 REST API 匯出文件 JSON 與畫框圖檔，適用無編輯權限的檔案
+ * REST Exporter - Exports document JSON and frame renders via the REST API, for files without editor access
+ */
+class RestExporter {
+  constructor(figmaApi, options = {}, logger = null) {
+    this.figmaApi = figmaApi;
+    this.logger = logger;
+    this.options = {
+      ...options,
+      formats: options.formats || ['png'],
+      scale: options.scale || 1,
+      timeout: options.timeout || 60000
+    };
+    this.retryPolicy = this.options.retryPolicy || new RetryPolicy({}, logger);
+
+    const unsupported = this.options.formats.filter(f => !SUPPORTED_FORMATS.includes(f));
+    if (unsupported.length > 0) {
+      throw new Error(`不支援的匯出格式: ${unsupported.join(', ')}`);
+    }
+  }
+
+  /**
+   * 清理檔名中的非法字元
+   * Sanitize illegal filename characters
+   */
+  sanitize(name) {
+    return String(name).replace(/[/\\:*?"<>|]/g, '_').trim() || 'Untitled';
+  }
+
+  /**
+   * 取得專案的輸出資料夾 (與 .fig 下載一致)
+   * Get a project's output folder (matches .fig downloads)
+   */
+  getProjectDir(project, outputPath) {
+    const segments = [outputPath];
+
+    if (project.team_id) {
+      segments.push(String(project.team_id));
+    }
+
+    segments.push(`${project.name || 'Drafts'} (${project.id})`);
+    return path.join(...segments);
+  }
+
+  /**
+   * 收集每個頁面的頂層畫框
+   * Collect top-level frames of every page
+   */
+  collectFrames(document) {
+    const frames = [];
+
+    for (const page of document.children || []) {
+      for (const node of page.children || []) {
+        if (FRAME_TYPES.includes(node.type)) {
+          frames.push({ id: node.id, name: node.name, page: page.name });
+        }
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * 取得畫框圖檔網址
+   * Get frame image URLs
+   */
+  async getImageUrls(fileKey, ids, format) {
+    const images = {};
+
+    for (let i = 0; i < ids.length; i += IDS_PER_REQUEST) {
+      const batch = ids.slice(i, i + IDS_PER_REQUEST);
+      const data = await this.figmaApi.request(`/images/${fileKey}`, {
+        ids: batch.join(','),
+        format,
+        scale: format === 'png' || format === 'jpg' ? this.options.scale : undefined
+      });
+
+      if (data.err) {
+        throw new Error(data.err);
+      }
+
+      Object.assign(images, data.images);
+    }
+
+    return images;
+  }
+
+  /**
+   * 下載圖檔
+   * Download image
+   */
+  async downloadImage(url, targetPath) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: this.options.timeout
+    });
+
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.writeFile(targetPath, Buffer.from(response.data));
+  }
+
+  /**
+   * 匯出單一檔案
+   * Export a single file
+   */
+  async exportFile(file, projectDir) {
+    const baseName = `${this.sanitize(file.name)} (${file.key})`;
+    const jsonPath = path.join(projectDir, `${baseName}.json`);
+    const rendersDir = path.join(projectDir, baseName);
+
+    const document = await this.figmaApi.getFile(file.key);
+    await fs.ensureDir(projectDir);
+    await fs.writeJson(jsonPath, document, { spaces: 2 });
+
+    const frames = this.collectFrames(document.document || {});
+    const renders = [];
+    const renderErrors = [];
+
+    for (const format of this.options.formats) {
+      let urls = {};
+
+      try {
+        urls = await this.getImageUrls(file.key, frames.map(f => f.id), format);
+      } catch (error) {
+        renderErrors.push(`${format}: ${error.message}`);
+        continue;
+      }
+
+      for (const frame of frames) {
+        const url = urls[frame.id];
+        if (!url) continue;
+
+        const nodeId = frame.id.replace(/:/g, '-');
+        const renderPath = path.join(
+          rendersDir,
+          this.sanitize(frame.page),
+          `${this.sanitize(frame.name)} (${nodeId}).${format}`
+        );
+
+        try {
+          await this.retryPolicy.run(() => this.downloadImage(url, renderPath), `${frame.name} (${format})`);
+          renders.push(renderPath);
+        } catch (error) {
+          renderErrors.push(`${frame.name} (${format}): ${error.message}`);
+        }
+      }
+    }
+
+    return {
+      json_path: jsonPath,
+      renders,
+      frames: frames.length,
+      version: document.version || null,
+      errors: renderErrors
+    };
+  }
+
+  /**
+   * 匯出專案清單中的所有檔案 (提供 journal 時每完成一個檔案就寫入檢查點)
+   * Export all files in the project list (writing a checkpoint per file when a journal is given)
+   */
+  async export(projects, outputPath, journal = null) {
+    const files = [];
+
+    for (const project of projects) {
+      const projectDir = this.getProjectDir(project, outputPath);
+
+      for (const file of project.files) {
+        const record = {
+          key: file.key,
+          name: file.name,
+          project_id: project.id,
+          project_name: project.name || 'Drafts',
+          team_id: project.team_id || null,
+          team_name: project.team_name || null,
+          editor_type: file.editor_type || null,
+          last_modified: file.last_modified || null,
+          thumbnail_url: file.thumbnail_url || null,
+          thumbnail_path: file.thumbnail_path || null
+        };
+
+        try {
+          const result = await this.retryPolicy.run(() => this.exportFile(file, projectDir), file.name);
+          const stats = await fs.stat(result.json_path);
+          const exported = {
+            ...record,
+            success: true,
+            path: result.json_path,
+            size: stats.size,
+            rest: result
+          };
+
+          files.push(exported);
+
+          if (journal) {
+            await journal.record('rest', exported);
+          }
+
+          if (this.logger) {
+            this.logger.fileOperation('EXPORT', result.json_path, true, { renders: result.renders.length });
+          }
+        } catch (error) {
+          files.push({
+            ...record,
+            success: false,
+            path: null,
+            size: 0,
+            error: error.message,
+            permanent: Boolean(error.permanent),
+            attempts: error.attempts
+          });
+
+          if (this.logger) {
+            this.logger.fileOperation('EXPORT', file.name, false, { error: error.message, permanent: Boolean(error.permanent) });
+          }
+        }
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = RestExporter;
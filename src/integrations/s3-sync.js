@@ -0,0 +1,440 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const { hashFile } = require('../utils/checksum');
+
+// S3 分段上傳每段最小 5 MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 16;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * 依 RFC 3986 編碼 (SigV4 要求的編碼方式)
+ * Encode per RFC 3986 (as SigV4 requires)
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * 解碼 XML 實體
+ * Decode XML entities
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 取得 XML 中所有指定標籤的內容
+ * Get the contents of every given tag in an XML document
+ */
+function xmlValues(xml, tag) {
+  return [...String(xml).matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => decodeXml(m[1]));
+}
+
+/**
+ * S3 同步 - 以 AWS SigV4 將備份上傳到 S3 相容的物件儲存 (AWS、MinIO 等)
+ * S3 Sync - Uploads backups to S3-compatible object storage (AWS, MinIO, ...) with AWS SigV4
+ *
+ * 物件鍵鏡像本機資料夾結構；SHA-256 (x-amz-meta-sha256) 或 ETag 相同的物件會略過。
+ * Object keys mirror the local folder structure; objects whose SHA-256 (x-amz-meta-sha256) or ETag matches are skipped.
+ */
+class S3Sync {
+  constructor(options = {}, logger = null) {
+    this.options = {
+      ...options,
+      endpoint: options.endpoint || '',
+      region: options.region || 'us-east-1',
+      bucket: options.bucket,
+      prefix: options.prefix || '',
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      sessionToken: options.sessionToken || '',
+      storageClass: options.storageClass || '',
+      serverSideEncryption: options.serverSideEncryption || '',
+      kmsKeyId: options.kmsKeyId || '',
+      partSize: options.partSize || DEFAULT_PART_SIZE,
+      outputDir: options.outputDir || './figma-backups',
+      timeout: options.timeout || 120000
+    };
+    this.logger = logger;
+    // 前綴不以 / 開頭，非空時以 / 結尾 ("figma-backups" 與 "/figma-backups/" 相同)
+    this.prefix = String(this.options.prefix || '').replace(/^\/+/, '').replace(/\/*$/, '/').replace(/^\/$/, '');
+    this.partSize = Math.max(MIN_PART_SIZE, this.options.partSize * 1024 * 1024);
+
+    // 自訂端點 (MinIO 等) 預設使用路徑樣式
+    this.pathStyle = this.options.forcePathStyle !== undefined ? this.options.forcePathStyle : Boolean(this.options.endpoint);
+  }
+
+  /**
+   * 取得物件的網址
+   * Get an object URL
+   */
+  objectUrl(key = '') {
+    const { endpoint, region, bucket } = this.options;
+    const base = endpoint
+      ? endpoint.replace(/\/+$/, '')
+      : `https://${this.pathStyle ? '' : `${bucket}.`}s3.${region}.amazonaws.com`;
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+    if (this.pathStyle) {
+      return new URL(`${base}/${bucket}${key ? `/${encodedKey}` : ''}`);
+    }
+
+    const url = new URL(`${base}/${encodedKey}`);
+    if (endpoint) url.hostname = `${bucket}.${url.hostname}`;
+    return url;
+  }
+
+  /**
+   * 以 AWS SigV4 簽署請求，回傳要送出的標頭
+   * Sign a request with AWS SigV4, returning the headers to send
+   */
+  sign(method, url, query = {}, headers = {}, payloadHash = sha256(''), date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.options.region}/s3/aws4_request`;
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash
+    };
+    if (this.options.sessionToken) signed['x-amz-security-token'] = this.options.sessionToken;
+
+    const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      names.map(name => `${name}:${lowered[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac,
+      hmac(hmac(`AWS4${this.options.secretAccessKey}`, day), this.options.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.options.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * 發送已簽署的請求
+   * Send a signed request
+   */
+  async request(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const url = this.objectUrl(key);
+    const payload = body || Buffer.alloc(0);
+    const signedHeaders = this.sign(method, url, query, headers, sha256(payload));
+    const queryString = Object.keys(query).map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`).join('&');
+
+    const response = await axios({
+      method,
+      url: `${url.origin}${url.pathname}${queryString ? `?${queryString}` : ''}`,
+      headers: { ...signedHeaders, 'content-type': 'application/octet-stream' },
+      data: payload,
+      timeout: this.options.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 300 && !(method === 'HEAD' && response.status === 404)) {
+      const code = xmlValues(response.data, 'Code')[0] || `HTTP ${response.status}`;
+      const message = xmlValues(response.data, 'Message')[0] || '';
+      const error = new Error(`S3 ${method} ${key || this.options.bucket} 失敗: ${code}${message ? ` - ${message}` : ''}`);
+      error.status = response.status;
+      error.code = code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * 上傳時附加的標頭 (伺服器端加密與儲存類別)
+   * Headers added to uploads (server-side encryption and storage class)
+   */
+  uploadHeaders(sha) {
+    const headers = { 'x-amz-meta-sha256': sha };
+    const { serverSideEncryption, kmsKeyId, storageClass } = this.options;
+
+    if (serverSideEncryption) headers['x-amz-server-side-encryption'] = serverSideEncryption;
+    if (serverSideEncryption === 'aws:kms' && kmsKeyId) headers['x-amz-server-side-encryption-aws-kms-key-id'] = kmsKeyId;
+    if (storageClass) headers['x-amz-storage-class'] = storageClass;
+
+    return headers;
+  }
+
+  /**
+   * 驗證連線 (檢查 bucket 是否存在且可存取)
+   * Validate connection (checks the bucket exists and is accessible)
+   */
+  async validateConnection() {
+    if (!this.options.bucket) {
+      return { valid: false, error: '未設定 S3 bucket' };
+    }
+
+    if (!this.options.accessKeyId || !this.options.secretAccessKey) {
+      return { valid: false, error: '未設定 S3 accessKeyId 或 secretAccessKey' };
+    }
+
+    try {
+      const response = await this.request('HEAD', '');
+      if (response.status === 404) {
+        return { valid: false, error: `找不到 bucket: ${this.options.bucket}` };
+      }
+      return { valid: true, bucket: this.options.bucket };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 取得本機路徑對應的物件鍵
+   * Get the object key of a local path
+   */
+  keyFor(localPath) {
+    const relative = path.relative(path.resolve(this.options.outputDir), path.resolve(localPath));
+    const segments = relative.startsWith('..') || path.isAbsolute(relative)
+      ? [path.basename(localPath)]
+      : relative.split(path.sep).filter(Boolean);
+
+    return `${this.prefix}${segments.join('/')}`;
+  }
+
+  /**
+   * 列出本機要上傳的檔案 (略過狀態清單、去重區塊等隱藏檔)
+   * List local files to upload (skipping hidden files such as the state manifest and dedup blobs)
+   */
+  async listLocalFiles(sourcePath) {
+    const stats = await fs.stat(sourcePath);
+
+    if (stats.isFile()) {
+      return [{ localPath: sourcePath, size: stats.size }];
+    }
+
+    const files = [];
+
+    for (const entry of await fs.readdir(sourcePath)) {
+      if (entry.startsWith('.')) continue;
+      files.push(...await this.listLocalFiles(path.join(sourcePath, entry)));
+    }
+
+    return files;
+  }
+
+  /**
+   * 計算與 S3 相同的 ETag (單次上傳為 MD5，分段上傳為各段 MD5 的 MD5 加上段數)
+   * Compute the ETag S3 would report (MD5 for single uploads, MD5 of part MD5s plus the part count for multipart)
+   */
+  async localEtag(localPath, size) {
+    if (size <= this.partSize) {
+      return hashFile(localPath, 'md5');
+    }
+
+    const handle = await fs.promises.open(localPath, 'r');
+    const digests = [];
+
+    try {
+      for (let offset = 0; offset < size; offset += this.partSize) {
+        digests.push(crypto.createHash('md5').update(await this.readPart(handle, offset, size)).digest());
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return `${crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex')}-${digests.length}`;
+  }
+
+  /**
+   * 檢查遠端物件是否與本機檔案相同
+   * Check whether the remote object matches the local file
+   */
+  async isUnchanged(key, localPath, size, sha) {
+    const response = await this.request('HEAD', key);
+    if (response.status === 404) return false;
+
+    const remoteSha = response.headers['x-amz-meta-sha256'];
+    if (remoteSha) return remoteSha === sha;
+
+    const etag = String(response.headers.etag || '').replace(/"/g, '');
+    return Boolean(etag) && etag === await this.localEtag(localPath, size);
+  }
+
+  /**
+   * 讀取檔案的一段
+   * Read one part of a file
+   */
+  async readPart(handle, offset, size) {
+    const length = Math.min(this.partSize, size - offset);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, offset);
+    return buffer;
+  }
+
+  /**
+   * 上傳單一檔案 (超過分段大小時使用分段上傳)
+   * Upload a single file (multipart when larger than the part size)
+   */
+  async uploadFile(localPath, key, size, sha) {
+    const headers = this.uploadHeaders(sha);
+
+    if (size <= this.partSize) {
+      await this.request('PUT', key, { headers, body: await fs.readFile(localPath) });
+      return;
+    }
+
+    const created = await this.request('POST', key, { query: { uploads: '' }, headers });
+    const uploadId = xmlValues(created.data, 'UploadId')[0];
+    const handle = await fs.promises.open(localPath, 'r');
+    const parts = [];
+
+    try {
+      for (let offset = 0, partNumber = 1; offset < size; offset += this.partSize, partNumber++) {
+        const response = await this.request('PUT', key, {
+          query: { partNumber: String(partNumber), uploadId },
+          body: await this.readPart(handle, offset, size)
+        });
+        parts.push({ partNumber, etag: response.headers.etag });
+      }
+
+      const body = Buffer.from(`<CompleteMultipartUpload>${parts
+        .map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+        .join('')}</CompleteMultipartUpload>`);
+      const completed = await this.request('POST', key, { query: { uploadId }, body });
+
+      // CompleteMultipartUpload 可能在 200 回應中回傳錯誤
+      if (xmlValues(completed.data, 'Code').length > 0) {
+        throw new Error(`S3 分段上傳失敗: ${xmlValues(completed.data, 'Code')[0]}`);
+      }
+    } catch (error) {
+      // 中止未完成的分段上傳，避免留下佔用空間的片段
+      await this.request('DELETE', key, { query: { uploadId } }).catch(() => {});
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 將一個本機資料夾或檔案同步到 S3
+   * Sync one local folder or file to S3
+   */
+  async syncPath(sourcePath) {
+    const localFiles = await this.listLocalFiles(sourcePath);
+    const result = { source: sourcePath, prefix: this.keyFor(sourcePath), uploaded: 0, skipped: 0, failed: [], bytes: 0 };
+
+    for (const { localPath, size } of localFiles) {
+      const key = this.keyFor(localPath);
+
+      try {
+        const sha = await hashFile(localPath);
+
+        if (await this.isUnchanged(key, localPath, size, sha)) {
+          result.skipped++;
+          continue;
+        }
+
+        await this.uploadFile(localPath, key, size, sha);
+        result.uploaded++;
+        result.bytes += size;
+
+        if (this.logger) this.logger.fileOperation('UPLOAD', `s3://${this.options.bucket}/${key}`, true, { size });
+      } catch (error) {
+        result.failed.push({ path: localPath, error: error.message });
+
+        if (this.logger) this.logger.fileOperation('UPLOAD', `s3://${this.options.bucket}/${key}`, false, { error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 上傳備份結果 (相同的輸出資料夾只同步一次)
+   * Upload backup results (each output folder is synced once)
+   */
+  async syncBackupResults(downloads) {
+    const sources = [...new Set(downloads.filter(d => d.success && d.output_path).map(d => d.output_path))];
+    const results = [];
+
+    try {
+      for (const source of sources) {
+        results.push(await this.syncPath(source));
+      }
+    } catch (error) {
+      return { success: false, error: error.message, paths: results };
+    }
+
+    const failed = results.flatMap(r => r.failed);
+
+    return {
+      success: failed.length === 0,
+      remoteFolder: `s3://${this.options.bucket}/${results.length === 1 ? results[0].prefix : this.prefix}`,
+      files_uploaded: results.reduce((sum, r) => sum + r.uploaded, 0),
+      files_skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+      bytes_uploaded: results.reduce((sum, r) => sum + r.bytes, 0),
+      failed,
+      error: failed.length > 0 ? `${failed.length} 個檔案上傳失敗` : undefined,
+      paths: results
+    };
+  }
+
+  /**
+   * 列出前綴下的所有物件鍵
+   * List every object key under a prefix
+   */
+  async listKeys(prefix) {
+    const keys = [];
+    let token = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (token) query['continuation-token'] = token;
+
+      const { data } = await this.request('GET', '', { query });
+      keys.push(...xmlValues(data, 'Key'));
+      token = /<IsTruncated>true<\/IsTruncated>/.test(data) ? xmlValues(data, 'NextContinuationToken')[0] : null;
+    } while (token);
+
+    return keys;
+  }
+
+  /**
+   * 刪除一次備份 (時間戳記資料夾或加密封存檔) 的所有物件，供保留策略使用
+   * Delete every object of a backup run (timestamp folder or encrypted artifact), used by retention
+   */
+  async deleteRunEntry(name) {
+    const base = `${this.prefix}${name}`;
+    const keys = (await this.listKeys(base)).filter(key => key === base || key.startsWith(`${base}/`));
+
+    for (const key of keys) {
+      await this.request('DELETE', key);
+    }
+  }
+}
+
+module.exports = S3Sync;
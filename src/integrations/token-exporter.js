@@ -0,0 +1,556 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const IDS_PER_REQUEST = 50;
+const UNITLESS_SCOPES = ['OPACITY', 'FONT_WEIGHT'];
+
+/**
+ * 設計 Token 匯出器 - 將樣式、元件與本地變數匯出為 DTCG JSON、CSS 與 JS
+ * Design Token Exporter - Exports styles, components and local variables as DTCG JSON, CSS and JS
+ */
+class TokenExporter {
+  constructor(figmaApi, options = {}, logger = null) {
+    this.figmaApi = figmaApi;
+    this.logger = logger;
+    this.options = {
+      ...options,
+      files: options.files || []
+    };
+  }
+
+  /**
+   * 清理檔名中的非法字元
+   * Sanitize illegal filename characters
+   */
+  sanitize(name) {
+    return String(name).replace(/[/\\:*?"<>|]/g, '_').trim() || 'Untitled';
+  }
+
+  /**
+   * 將名稱轉為 kebab-case
+   * Convert a name to kebab-case
+   */
+  toKebab(name) {
+    return String(name)
+      .trim()
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * 將 Token 路徑轉為 CSS 變數名稱
+   * Convert a token path to a CSS variable name
+   */
+  toCssName(tokenPath) {
+    return tokenPath.map(segment => this.toKebab(segment)).filter(Boolean).join('-');
+  }
+
+  /**
+   * 將 Figma 顏色轉為十六進位
+   * Convert a Figma color to hex
+   */
+  colorToHex({ r, g, b, a = 1 }, opacity = 1) {
+    const toHex = value => Math.round(value * 255).toString(16).padStart(2, '0');
+    const alpha = a * opacity;
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha < 1 ? toHex(alpha) : ''}`;
+  }
+
+  /**
+   * 取得本地變數 (非 Enterprise 方案會回傳 403)
+   * Get local variables (returns 403 on non-Enterprise plans)
+   */
+  async getLocalVariables(fileKey) {
+    try {
+      const data = await this.figmaApi.request(`/files/${fileKey}/variables/local`);
+      return data.meta || { variables: {}, variableCollections: {} };
+    } catch (error) {
+      if (error.status === 403 || error.status === 404) {
+        if (this.logger) this.logger.warn(`無法讀取本地變數，略過: ${fileKey}`, { error: error.message });
+        return { variables: {}, variableCollections: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 取得已發佈樣式及其節點內容
+   * Get published styles and their node contents
+   */
+  async getStyles(fileKey) {
+    const data = await this.figmaApi.request(`/files/${fileKey}/styles`);
+    const styles = (data.meta && data.meta.styles) || [];
+    const nodes = {};
+    const ids = styles.map(style => style.node_id);
+
+    for (let i = 0; i < ids.length; i += IDS_PER_REQUEST) {
+      const batch = ids.slice(i, i + IDS_PER_REQUEST);
+      const nodeData = await this.figmaApi.request(`/files/${fileKey}/nodes`, { ids: batch.join(',') });
+
+      Object.entries(nodeData.nodes || {}).forEach(([id, node]) => {
+        if (node && node.document) nodes[id] = node.document;
+      });
+    }
+
+    return styles.map(style => ({ ...style, node: nodes[style.node_id] || null }));
+  }
+
+  /**
+   * 取得已發佈元件
+   * Get published components
+   */
+  async getComponents(fileKey) {
+    const data = await this.figmaApi.request(`/files/${fileKey}/components`);
+    return ((data.meta && data.meta.components) || []).map(component => ({
+      key: component.key,
+      name: component.name,
+      description: component.description || '',
+      node_id: component.node_id,
+      containing_frame: component.containing_frame ? component.containing_frame.name : null
+    }));
+  }
+
+  /**
+   * 將變數轉為 Token 清單
+   * Convert variables into tokens
+   */
+  buildVariableTokens({ variables, variableCollections }) {
+    const tokens = [];
+    const pathsById = {};
+
+    Object.values(variables).forEach(variable => {
+      const collection = variableCollections[variable.variableCollectionId];
+      if (!collection) return;
+      pathsById[variable.id] = [collection.name, ...variable.name.split('/')];
+    });
+
+    Object.values(variables).forEach(variable => {
+      const collection = variableCollections[variable.variableCollectionId];
+      if (!collection) return;
+
+      const modes = {};
+      collection.modes.forEach(mode => {
+        const raw = variable.valuesByMode[mode.modeId];
+        if (raw === undefined) return;
+
+        if (raw && raw.type === 'VARIABLE_ALIAS') {
+          // 指向未知變數的別名無法輸出
+          if (pathsById[raw.id]) modes[mode.name] = { alias: pathsById[raw.id] };
+          return;
+        }
+
+        modes[mode.name] = { value: raw };
+      });
+
+      const defaultMode = collection.modes.find(m => m.modeId === collection.defaultModeId) || collection.modes[0];
+
+      tokens.push({
+        path: pathsById[variable.id],
+        source: 'variable',
+        collection: collection.name,
+        resolvedType: variable.resolvedType,
+        unitless: (variable.scopes || []).some(scope => UNITLESS_SCOPES.includes(scope)),
+        description: variable.description || '',
+        defaultMode: defaultMode ? defaultMode.name : null,
+        modes
+      });
+    });
+
+    return tokens;
+  }
+
+  /**
+   * 將樣式轉為 Token 清單
+   * Convert styles into tokens
+   */
+  buildStyleTokens(styles) {
+    const tokens = [];
+
+    styles.forEach(style => {
+      const node = style.node;
+      if (!node) return;
+
+      const base = {
+        source: 'style',
+        description: style.description || '',
+        defaultMode: 'default'
+      };
+
+      if (style.style_type === 'FILL') {
+        const fill = (node.fills || []).find(f => f.type === 'SOLID' && f.visible !== false);
+        if (!fill) return;
+
+        tokens.push({
+          ...base,
+          path: ['color', ...style.name.split('/')],
+          resolvedType: 'COLOR',
+          modes: { default: { value: { ...fill.color, a: (fill.color.a ?? 1) * (fill.opacity ?? 1) } } }
+        });
+      }
+
+      if (style.style_type === 'TEXT' && node.style) {
+        const text = node.style;
+        tokens.push({
+          ...base,
+          path: ['typography', ...style.name.split('/')],
+          resolvedType: 'TYPOGRAPHY',
+          modes: {
+            default: {
+              value: {
+                fontFamily: text.fontFamily,
+                fontWeight: text.fontWeight,
+                fontSize: text.fontSize,
+                lineHeight: text.lineHeightPx && text.fontSize
+                  ? Number((text.lineHeightPx / text.fontSize).toFixed(3))
+                  : null,
+                letterSpacing: text.letterSpacing || 0
+              }
+            }
+          }
+        });
+      }
+
+      if (style.style_type === 'EFFECT') {
+        const shadows = (node.effects || [])
+          .filter(e => (e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') && e.visible !== false);
+        if (shadows.length === 0) return;
+
+        tokens.push({
+          ...base,
+          path: ['shadow', ...style.name.split('/')],
+          resolvedType: 'SHADOW',
+          modes: {
+            default: {
+              value: shadows.map(e => ({
+                color: e.color,
+                offsetX: e.offset ? e.offset.x : 0,
+                offsetY: e.offset ? e.offset.y : 0,
+                blur: e.radius || 0,
+                spread: e.spread || 0,
+                inset: e.type === 'INNER_SHADOW'
+              }))
+            }
+          }
+        });
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * 轉換為 DTCG 值
+   * Convert to a DTCG value
+   */
+  toDtcgValue(token, entry) {
+    if (entry.alias) {
+      return `{${entry.alias.join('.')}}`;
+    }
+
+    const value = entry.value;
+
+    switch (token.resolvedType) {
+      case 'COLOR':
+        return this.colorToHex(value);
+      case 'FLOAT':
+        return token.unitless ? value : `${value}px`;
+      case 'TYPOGRAPHY':
+        return {
+          fontFamily: value.fontFamily,
+          fontWeight: value.fontWeight,
+          fontSize: `${value.fontSize}px`,
+          lineHeight: value.lineHeight,
+          letterSpacing: `${value.letterSpacing}px`
+        };
+      case 'SHADOW':
+        return value.map(shadow => ({
+          color: this.colorToHex(shadow.color),
+          offsetX: `${shadow.offsetX}px`,
+          offsetY: `${shadow.offsetY}px`,
+          blur: `${shadow.blur}px`,
+          spread: `${shadow.spread}px`,
+          inset: shadow.inset
+        }));
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * 取得 DTCG 類型
+   * Get DTCG type
+   */
+  toDtcgType(token) {
+    const types = {
+      COLOR: 'color',
+      FLOAT: token.unitless ? 'number' : 'dimension',
+      STRING: 'string',
+      BOOLEAN: 'boolean',
+      TYPOGRAPHY: 'typography',
+      SHADOW: 'shadow'
+    };
+    return types[token.resolvedType] || 'string';
+  }
+
+  /**
+   * 建立 W3C Design Tokens (DTCG) 文件
+   * Build a W3C Design Tokens (DTCG) document
+   */
+  buildDtcg(tokens, components, file) {
+    const root = {
+      $extensions: {
+        'com.figma': {
+          file_key: file.key,
+          file_name: file.name,
+          exported_at: new Date().toISOString(),
+          components
+        }
+      }
+    };
+
+    tokens.forEach(token => {
+      let group = root;
+      token.path.slice(0, -1).forEach(segment => {
+        group[segment] = group[segment] || {};
+        group = group[segment];
+      });
+
+      const defaultEntry = token.modes[token.defaultMode] || Object.values(token.modes)[0];
+      if (!defaultEntry) return;
+
+      const dtcgToken = {
+        $type: this.toDtcgType(token),
+        $value: this.toDtcgValue(token, defaultEntry)
+      };
+
+      if (token.description) {
+        dtcgToken.$description = token.description;
+      }
+
+      const modeNames = Object.keys(token.modes);
+      if (modeNames.length > 1) {
+        dtcgToken.$extensions = {
+          'com.figma': {
+            modes: Object.fromEntries(modeNames.map(name => [name, this.toDtcgValue(token, token.modes[name])]))
+          }
+        };
+      }
+
+      group[token.path[token.path.length - 1]] = dtcgToken;
+    });
+
+    return root;
+  }
+
+  /**
+   * 轉換為 CSS 值
+   * Convert to a CSS value
+   */
+  toCssValue(token, entry) {
+    if (entry.alias) {
+      return `var(--${this.toCssName(entry.alias)})`;
+    }
+
+    const value = entry.value;
+
+    switch (token.resolvedType) {
+      case 'COLOR':
+        return this.colorToHex(value);
+      case 'FLOAT':
+        return token.unitless ? String(value) : `${value}px`;
+      case 'STRING':
+        return JSON.stringify(value);
+      case 'SHADOW':
+        return value.map(shadow =>
+          `${shadow.inset ? 'inset ' : ''}${shadow.offsetX}px ${shadow.offsetY}px ${shadow.blur}px ${shadow.spread}px ${this.colorToHex(shadow.color)}`
+        ).join(', ');
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * 將 Token 展開為 CSS 宣告 (字體樣式拆成多個屬性)
+   * Expand a token into CSS declarations (typography is split into properties)
+   */
+  toCssDeclarations(token, entry) {
+    const name = this.toCssName(token.path);
+
+    if (token.resolvedType === 'TYPOGRAPHY' && !entry.alias) {
+      const value = entry.value;
+      return [
+        [`${name}-font-family`, JSON.stringify(value.fontFamily)],
+        [`${name}-font-weight`, String(value.fontWeight)],
+        [`${name}-font-size`, `${value.fontSize}px`],
+        [`${name}-line-height`, value.lineHeight === null ? 'normal' : String(value.lineHeight)],
+        [`${name}-letter-spacing`, `${value.letterSpacing}px`]
+      ];
+    }
+
+    return [[name, this.toCssValue(token, entry)]];
+  }
+
+  /**
+   * 建立 CSS 自訂屬性
+   * Build CSS custom properties
+   */
+  buildCss(tokens, file) {
+    const blocks = { ':root': [] };
+
+    tokens.forEach(token => {
+      Object.entries(token.modes).forEach(([modeName, entry]) => {
+        const selector = modeName === token.defaultMode
+          ? ':root'
+          : `[data-${this.toKebab(token.collection)}="${this.toKebab(modeName)}"]`;
+
+        blocks[selector] = blocks[selector] || [];
+        this.toCssDeclarations(token, entry).forEach(([name, value]) => {
+          blocks[selector].push(`  --${name}: ${value};`);
+        });
+      });
+    });
+
+    const header = `/* ${file.name} (${file.key}) - generated by figma-backup */`;
+    const body = Object.entries(blocks)
+      .filter(([, lines]) => lines.length > 0)
+      .map(([selector, lines]) => `${selector} {\n${lines.join('\n')}\n}`)
+      .join('\n\n');
+
+    return `${header}\n\n${body}\n`;
+  }
+
+  /**
+   * 解析別名為最終值 (預設模式)
+   * Resolve aliases to final values (default mode)
+   */
+  resolveEntry(entry, tokensByPath, depth = 0) {
+    if (!entry || !entry.alias) return entry;
+    if (depth > 10) return null;
+
+    const target = tokensByPath.get(entry.alias.join('/'));
+    if (!target) return null;
+
+    const targetEntry = target.modes[target.defaultMode] || Object.values(target.modes)[0];
+    return this.resolveEntry(targetEntry, tokensByPath, depth + 1);
+  }
+
+  /**
+   * 建立扁平 JS 模組
+   * Build a flat JS module
+   */
+  buildJs(tokens, file) {
+    const tokensByPath = new Map(tokens.map(token => [token.path.join('/'), token]));
+    const flat = {};
+
+    tokens.forEach(token => {
+      const entry = this.resolveEntry(token.modes[token.defaultMode] || Object.values(token.modes)[0], tokensByPath);
+      if (!entry) return;
+
+      this.toCssDeclarations(token, entry).forEach(([name, value]) => {
+        // 還原 CSS 中加上的引號與數字
+        if (/^".*"$/.test(value)) {
+          flat[name] = JSON.parse(value);
+        } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+          flat[name] = Number(value);
+        } else {
+          flat[name] = value;
+        }
+      });
+    });
+
+    return `// ${file.name} (${file.key}) - generated by figma-backup\nmodule.exports = ${JSON.stringify(flat, null, 2)};\n`;
+  }
+
+  /**
+   * 匯出單一檔案的設計 Token
+   * Export design tokens of a single file
+   */
+  async exportFile(file, outputDir) {
+    const [variables, styles, components] = await Promise.all([
+      this.getLocalVariables(file.key),
+      this.getStyles(file.key),
+      this.getComponents(file.key)
+    ]);
+
+    const tokens = [
+      ...this.buildVariableTokens(variables),
+      ...this.buildStyleTokens(styles)
+    ];
+
+    const tokensDir = path.join(outputDir, 'tokens', `${this.sanitize(file.name)} (${file.key})`);
+    const paths = {
+      dtcg: path.join(tokensDir, 'tokens.json'),
+      css: path.join(tokensDir, 'tokens.css'),
+      js: path.join(tokensDir, 'tokens.js')
+    };
+
+    await fs.ensureDir(tokensDir);
+    await fs.writeJson(paths.dtcg, this.buildDtcg(tokens, components, file), { spaces: 2 });
+    await fs.writeFile(paths.css, this.buildCss(tokens, file));
+    await fs.writeFile(paths.js, this.buildJs(tokens, file));
+
+    return {
+      paths,
+      counts: {
+        variables: tokens.filter(t => t.source === 'variable').length,
+        collections: Object.keys(variables.variableCollections || {}).length,
+        styles: tokens.filter(t => t.source === 'style').length,
+        components: components.length
+      }
+    };
+  }
+
+  /**
+   * 匯出多個檔案的設計 Token
+   * Export design tokens of multiple files
+   *
+   * 設定 options.files 時只匯出指定的檔案 key 或網址。
+   * When options.files is set, only the listed file keys or URLs are exported.
+   */
+  async exportAll(files, outputDir) {
+    const selected = this.selectFiles(files);
+    const results = [];
+
+    for (const file of selected) {
+      try {
+        const result = await this.exportFile(file, outputDir);
+        file.tokens = result;
+        results.push({ key: file.key, success: true, ...result });
+
+        if (this.logger) {
+          this.logger.fileOperation('EXPORT', result.paths.dtcg, true, result.counts);
+        }
+      } catch (error) {
+        results.push({ key: file.key, success: false, error: error.message });
+
+        if (this.logger) {
+          this.logger.fileOperation('EXPORT', `${file.name} tokens`, false, { error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 依設定選出要匯出的檔案
+   * Select files to export according to options
+   */
+  selectFiles(files) {
+    if (this.options.files.length === 0) {
+      return files;
+    }
+
+    const selected = [];
+    this.options.files.forEach(entry => {
+      const key = /figma\.com/.test(entry) ? this.figmaApi.parseUrl(entry).fileKey : entry;
+      const file = files.find(f => f.key === key);
+      selected.push(file || { key, name: key });
+    });
+
+    return selected;
+  }
+}
+
+module.exports = TokenExporter;
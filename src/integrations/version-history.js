@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const PAGE_SIZE = 50;
+const MAX_PAGES = 100;
+
+/**
+ * 版本歷史擷取 - 透過 /v1/files/:key/versions 保存每個檔案的版本清單
+ * Version History Capture - Stores each file's version list via /v1/files/:key/versions
+ */
+class VersionHistory {
+  constructor(figmaApi, options = {}, logger = null) {
+    this.figmaApi = figmaApi;
+    this.logger = logger;
+    this.options = {
+      ...options,
+      exportNamedVersions: options.exportNamedVersions === true,
+      archiveDir: options.archiveDir || './figma-backups/_versions'
+    };
+  }
+
+  /**
+   * 清理檔名中的非法字元
+   * Sanitize illegal filename characters
+   */
+  sanitize(name) {
+    return String(name).replace(/[/\\:*?"<>|]/g, '_').trim() || 'Untitled';
+  }
+
+  /**
+   * 取得檔案的完整版本清單 (處理分頁)
+   * Get a file's full version list (handles pagination)
+   */
+  async getVersions(fileKey) {
+    const versions = [];
+    let before;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const params = { page_size: PAGE_SIZE };
+      if (before) params.before = before;
+
+      const data = await this.figmaApi.request(`/files/${fileKey}/versions`, params);
+      const batch = data.versions || [];
+      versions.push(...batch);
+
+      if (batch.length < PAGE_SIZE || !(data.pagination && data.pagination.next_page)) {
+        break;
+      }
+
+      before = batch[batch.length - 1].id;
+    }
+
+    return versions.map(version => ({
+      id: version.id,
+      label: version.label || null,
+      description: version.description || null,
+      user: version.user ? { id: version.user.id, handle: version.user.handle } : null,
+      created_at: version.created_at
+    }));
+  }
+
+  /**
+   * 取得版本清單的儲存路徑 (與下載檔案並列)
+   * Get the version list path (next to the downloaded file)
+   */
+  getVersionsPath(filePath) {
+    const dir = path.dirname(filePath);
+    return path.join(dir, `${path.basename(filePath, path.extname(filePath))}.versions.json`);
+  }
+
+  /**
+   * 匯出尚未封存的具名版本文件
+   * Export named versions that are not archived yet
+   *
+   * 提供狀態清單時，也略過清單記錄為已匯出的版本 (加密時封存資料夾每次執行都是新的)。
+   * With a state manifest, versions it records as exported are skipped too (the archive folder is new every run when encrypting).
+   */
+  async exportNamedVersions(file, versions, manifest = null) {
+    const fileDir = path.join(path.resolve(this.options.archiveDir), `${this.sanitize(file.name)} (${file.key})`);
+    await fs.ensureDir(fileDir);
+
+    const existing = await fs.readdir(fileDir);
+    const exported = [];
+
+    for (const version of versions.filter(v => v.label)) {
+      const archived = existing.some(entry => entry.startsWith(`${version.id} - `)) ||
+        (manifest && manifest.getExportedVersions(file.key).includes(version.id));
+      if (archived) {
+        continue;
+      }
+
+      const document = await this.figmaApi.getFile(file.key, { version: version.id });
+      const versionPath = path.join(fileDir, `${version.id} - ${this.sanitize(version.label)}.json`);
+
+      await fs.writeJson(versionPath, { version, document }, { spaces: 2 });
+      exported.push(versionPath);
+      if (manifest) manifest.recordExportedVersion(file.key, version.id);
+
+      if (this.logger) {
+        this.logger.fileOperation('EXPORT', versionPath, true, { fileKey: file.key, versionId: version.id });
+      }
+    }
+
+    return exported;
+  }
+
+  /**
+   * 擷取單一檔案的版本歷史
+   * Capture version history of a single file
+   */
+  async captureFile(file, manifest = null) {
+    const versions = await this.getVersions(file.key);
+    const versionsPath = this.getVersionsPath(file.path);
+
+    await fs.writeJson(versionsPath, {
+      file_key: file.key,
+      file_name: file.name,
+      captured_at: new Date().toISOString(),
+      versions
+    }, { spaces: 2 });
+
+    const exported = this.options.exportNamedVersions
+      ? await this.exportNamedVersions(file, versions, manifest)
+      : [];
+
+    return {
+      path: versionsPath,
+      count: versions.length,
+      named: versions.filter(v => v.label).length,
+      exported
+    };
+  }
+
+  /**
+   * 擷取所有成功下載檔案的版本歷史
+   * Capture version history of all successfully downloaded files
+   */
+  async captureAll(files, manifest = null) {
+    const results = [];
+
+    for (const file of files.filter(f => f.success && f.path)) {
+      try {
+        file.versions = await this.captureFile(file, manifest);
+        results.push({ key: file.key, success: true, ...file.versions });
+      } catch (error) {
+        results.push({ key: file.key, success: false, error: error.message });
+
+        if (this.logger) {
+          this.logger.warn(`版本歷史擷取失敗: ${file.name}`, { error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = VersionHistory;
@@ -0,0 +1,56 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+/**
+ * 計算檔案雜湊值 (串流讀取，適用大型檔案)
+ * Compute a file hash (streamed, suitable for large files)
+ */
+function hashFile(filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Dropbox content_hash 以 4 MB 為一個區塊
+const DROPBOX_BLOCK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 計算 Dropbox content_hash (每 4 MB 區塊的 SHA-256 串接後再做 SHA-256)
+ * Compute a Dropbox content_hash (SHA-256 of the concatenated SHA-256 of each 4 MB block)
+ */
+function dropboxContentHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const overall = crypto.createHash('sha256');
+    let block = crypto.createHash('sha256');
+    let blockSize = 0;
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => {
+        let offset = 0;
+
+        while (offset < chunk.length) {
+          const take = Math.min(DROPBOX_BLOCK_SIZE - blockSize, chunk.length - offset);
+          block.update(chunk.subarray(offset, offset + take));
+          blockSize += take;
+          offset += take;
+
+          if (blockSize === DROPBOX_BLOCK_SIZE) {
+            overall.update(block.digest());
+            block = crypto.createHash('sha256');
+            blockSize = 0;
+          }
+        }
+      })
+      .on('end', () => {
+        if (blockSize > 0) overall.update(block.digest());
+        resolve(overall.digest('hex'));
+      });
+  });
+}
+
+module.exports = { hashFile, dropboxContentHash };
@@ -0,0 +1,164 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// 找不到符合的時間 (例如 2 月 30 日) 時的搜尋上限
+const SEARCH_YEARS = 5;
+
+/**
+ * Cron 表達式 - 解析標準 5 欄位 cron 並計算下一次執行時間 (本地時間)
+ * Cron Expression - Parses standard 5-field cron and computes the next run time (local time)
+ */
+class CronExpression {
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+
+    const source = MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`無效的 cron 表達式 "${this.expression}": 需要 ${FIELDS.length} 個欄位 (分 時 日 月 星期)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => this.parseField(part, FIELDS[index]));
+    Object.assign(this, { minutes, hours, daysOfMonth, months, daysOfWeek });
+
+    // 日與星期都有限制時，符合其一即可 (與 cron 相同)
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  /**
+   * 解析單一欄位為允許值的集合
+   * Parse a single field into the set of allowed values
+   */
+  parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`無效的 cron 表達式 "${this.expression}": ${field.name} 的間隔 "${stepText}" 不正確`);
+      }
+
+      let start;
+      let end;
+
+      if (range === '*') {
+        [start, end] = [field.min, field.max];
+      } else if (range.includes('-')) {
+        [start, end] = range.split('-').map(value => this.parseValue(value, field));
+      } else {
+        start = this.parseValue(range, field);
+        end = stepText === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`無效的 cron 表達式 "${this.expression}": ${field.name} 的範圍 "${range}" 不正確`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        // 星期的 7 與 0 都代表星期日
+        values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * 解析數值或英文縮寫 (jan、mon 等)
+   * Parse a number or an English abbreviation (jan, mon, ...)
+   */
+  parseValue(text, field) {
+    const nameIndex = field.names ? field.names.indexOf(String(text).toLowerCase()) : -1;
+    const value = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(text);
+
+    if (!/^\d+$/.test(text) && nameIndex < 0) {
+      throw new Error(`無效的 cron 表達式 "${this.expression}": 無法解析 ${field.name} 的 "${text}"`);
+    }
+
+    if (value < field.min || value > field.max) {
+      throw new Error(`無效的 cron 表達式 "${this.expression}": ${field.name} 必須在 ${field.min}-${field.max} 之間`);
+    }
+
+    return value;
+  }
+
+  /**
+   * 檢查日期是否符合日與星期欄位
+   * Check whether a date matches the day-of-month and day-of-week fields
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * 計算指定時間之後的下一次執行時間
+   * Compute the next run time after the given date
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (date <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`cron 表達式 "${this.expression}" 在 ${SEARCH_YEARS} 年內沒有符合的時間`);
+  }
+
+  /**
+   * 檢查 cron 表達式是否有效
+   * Check whether a cron expression is valid
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression).next();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = CronExpression;
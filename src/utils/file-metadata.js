@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+
+const JobQueue = require('./job-queue');
+
+// 縮圖網址指向 CDN，不佔用 Figma API 速率
+const THUMBNAIL_CONCURRENCY = 4;
+
+/**
+ * 取得檔案縮圖的本機路徑
+ * Get the local path of a file thumbnail
+ */
+function thumbnailPathFor(thumbnailsDir, key) {
+  return path.join(path.resolve(thumbnailsDir), `${String(key).replace(/[/\\:*?"<>|]/g, '_')}.png`);
+}
+
+/**
+ * 下載縮圖 (本機檔案不比 lastModified 舊時略過)
+ * Download a thumbnail (skipped when the local file is not older than lastModified)
+ */
+async function downloadThumbnail(url, targetPath, lastModified = null) {
+  const stats = await fs.stat(targetPath).catch(() => null);
+
+  if (stats && lastModified && stats.mtime >= new Date(lastModified)) {
+    return { path: targetPath, downloaded: false };
+  }
+
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+  await fs.ensureDir(path.dirname(targetPath));
+  await fs.writeFile(targetPath, Buffer.from(response.data));
+
+  return { path: targetPath, downloaded: true };
+}
+
+/**
+ * 補充 files.json 的檔案中繼資料並下載縮圖
+ * Enrich files.json with file metadata and download thumbnails
+ *
+ * options.getFileMeta(key) 提供編輯器類型；options.thumbnailsDir 為空時不下載縮圖。
+ * options.getFileMeta(key) provides the editor type; no thumbnails are downloaded when options.thumbnailsDir is empty.
+ */
+async function enrichProjects(projects, options = {}) {
+  const { getFileMeta, thumbnailsDir, logger } = options;
+  const thumbnails = new JobQueue({ concurrency: THUMBNAIL_CONCURRENCY });
+  const warn = (message, meta) => logger && logger.warn(message, meta);
+  const stats = { files: 0, thumbnails: 0, failed: 0 };
+
+  const enrichFile = async (project, file) => {
+    const enriched = {
+      ...file,
+      project_id: String(project.id),
+      project_name: project.name || 'Drafts',
+      team_id: project.team_id || null,
+      team_name: project.team_name || null
+    };
+
+    // 專案檔案清單沒有編輯器類型 (design、figjam、slides)
+    if (!enriched.editor_type && getFileMeta) {
+      try {
+        const meta = await getFileMeta(file.key);
+        enriched.editor_type = meta.editorType || meta.editor_type || null;
+        enriched.last_modified = enriched.last_modified || meta.last_touched_at || null;
+        enriched.thumbnail_url = enriched.thumbnail_url || meta.thumbnail_url || null;
+      } catch (error) {
+        stats.failed++;
+        warn(`無法取得檔案中繼資料: ${file.name}`, { key: file.key, error: error.message });
+      }
+    }
+
+    if (Array.isArray(file.branches)) {
+      enriched.branches = file.branches.map(branch => ({
+        key: branch.key,
+        name: branch.name,
+        last_modified: branch.last_modified || null,
+        thumbnail_url: branch.thumbnail_url || null
+      }));
+    }
+
+    if (thumbnailsDir && enriched.thumbnail_url) {
+      try {
+        const target = thumbnailPathFor(thumbnailsDir, file.key);
+        const result = await thumbnails.add(() => downloadThumbnail(enriched.thumbnail_url, target, enriched.last_modified));
+        enriched.thumbnail_path = result.path;
+        if (result.downloaded) stats.thumbnails++;
+      } catch (error) {
+        stats.failed++;
+        warn(`無法下載縮圖: ${file.name}`, { key: file.key, error: error.message });
+      }
+    }
+
+    stats.files++;
+    return enriched;
+  };
+
+  const enriched = await Promise.all(projects.map(async project => ({
+    ...project,
+    files: await Promise.all(project.files.map(file => enrichFile(project, file)))
+  })));
+
+  return { projects: enriched, stats };
+}
+
+module.exports = { thumbnailPathFor, downloadThumbnail, enrichProjects };
@@ -0,0 +1,64 @@
+/**
+ * 工作佇列 - 限制同時執行的工作數，可搭配速率限制器
+ * Job Queue - Limits how many jobs run at once, optionally behind a rate limiter
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      concurrency: options.concurrency ?? 1,
+      rateLimiter: options.rateLimiter ?? null
+    };
+    this.running = 0;
+    this.pending = [];
+  }
+
+  /**
+   * 加入工作，回傳工作完成時的結果
+   * Add a job and resolve with its result
+   */
+  add(job) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ job, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * 對每個項目執行工作，結果順序與輸入相同
+   * Run a job for every item, keeping results in input order
+   */
+  map(items, fn) {
+    return Promise.all(items.map((item, index) => this.add(() => fn(item, index))));
+  }
+
+  /**
+   * 在有空位時開始下一個工作
+   * Start the next job when a slot is free
+   */
+  next() {
+    while (this.running < this.options.concurrency && this.pending.length > 0) {
+      const { job, resolve, reject } = this.pending.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(() => this.options.rateLimiter && this.options.rateLimiter.acquire())
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * 等待中與執行中的工作數
+   * Number of pending and running jobs
+   */
+  get size() {
+    return this.pending.length + this.running;
+  }
+}
+
+module.exports = JobQueue;
@@ -26,10 +26,10 @@ class Logger {
    * 設定 Winston Logger
    * Setup Winston Logger
    */
-  async setupLogger() {
-    // 確保日誌目錄存在
+  setupLogger() {
+    // 確保日誌目錄存在 (同步建立，建構後即可立即記錄)
     if (this.options.enableFile) {
-      await fs.ensureDir(this.options.logDir);
+      fs.ensureDirSync(this.options.logDir);
     }
 
     // 定義日誌格式
@@ -272,6 +272,14 @@ class Logger {
     this.options.level = level;
   }
 
+  /**
+   * 關閉日誌傳輸器 (長時間執行的程序在每次備份後呼叫)
+   * Close log transports (called after each backup by long-running processes)
+   */
+  close() {
+    this.winston.close();
+  }
+
   /**
    * 清理舊日誌檔案
    * Clean old log files
@@ -1,7 +1,6 @@
 const notifier = require('node-notifier');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
-const path = require('path');
 
 /**
  * 通知服務 - 支援系統通知、聲音提醒等功能
@@ -73,7 +72,7 @@ class NotificationService {
       `;
       
       execSync(`osascript -e '${script}'`, { stdio: 'ignore' });
-    } catch (error) {
+    } catch {
       // 如果 AppleScript 失敗，回退到 node-notifier
       notifier.notify(options);
     }
@@ -241,7 +240,7 @@ class NotificationService {
         // Windows 系統聲音
         execSync(`powershell -c (New-Object Media.SoundPlayer "C:\\Windows\\Media\\${soundName}.wav").PlaySync()`, { stdio: 'ignore' });
       }
-    } catch (error) {
+    } catch {
       // 忽略聲音播放錯誤
     }
   }
@@ -311,7 +310,7 @@ class NotificationService {
         // macOS 清理通知中心
         execSync('killall NotificationCenter', { stdio: 'ignore' });
       }
-    } catch (error) {
+    } catch {
       // 忽略清理錯誤
     }
   }
@@ -0,0 +1,85 @@
+/**
+ * 速率限制器 - 以 token bucket 限制每分鐘的請求數
+ * Rate Limiter - Limits requests per minute with a token bucket
+ *
+ * 收到 429 時可用 pause() 讓所有等待中的請求一起暫停到 Retry-After 之後。
+ * On a 429, pause() holds every waiting request until after Retry-After.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    const perMinute = options.perMinute ?? 60;
+    this.options = {
+      ...options,
+      perMinute,
+      burst: options.burst ?? Math.max(1, Math.ceil(perMinute / 6))
+    };
+    this.tokens = this.options.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * 依經過時間補充 token
+   * Refill tokens by elapsed time
+   */
+  refill() {
+    const now = Date.now();
+    const rate = this.options.perMinute / 60000;
+
+    this.tokens = Math.min(this.options.burst, this.tokens + (now - this.lastRefill) * rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 等待直到取得一個 token
+   * Wait until a token is available
+   */
+  async acquire() {
+    for (;;) {
+      const pause = this.pausedUntil - Date.now();
+
+      if (pause > 0) {
+        await sleep(pause);
+        continue;
+      }
+
+      this.refill();
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil((1 - this.tokens) * 60000 / this.options.perMinute));
+    }
+  }
+
+  /**
+   * 暫停所有請求 (例如 429 Retry-After)
+   * Pause all requests (e.g. 429 Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  /**
+   * 解析 Retry-After 標頭 (秒數或 HTTP 日期) 為毫秒
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  static parseRetryAfter(value, fallback = 60000) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? fallback : Math.max(0, date - Date.now());
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,77 @@
+// 重試也不會成功的狀態碼 (無權限、檔案已刪除等)
+const PERMANENT_STATUSES = [400, 401, 403, 404, 410];
+
+/**
+ * 重試策略 - 以指數退避加上隨機延遲重試暫時性錯誤
+ * Retry Policy - Retries transient errors with exponential backoff and jitter
+ *
+ * 永久性錯誤 (無權限、檔案已刪除) 不重試，並在錯誤上標記 permanent。
+ * Permanent errors (no access, deleted file) are not retried and are marked as permanent.
+ */
+class RetryPolicy {
+  constructor(options = {}, logger = null) {
+    // 先展開再套用預設值，避免 { attempts: undefined } 覆蓋預設
+    this.options = {
+      ...options,
+      attempts: options.attempts ?? 3,
+      baseDelay: options.baseDelay ?? 2000,
+      maxDelay: options.maxDelay ?? 60000
+    };
+    this.logger = logger;
+  }
+
+  /**
+   * 第 attempt 次重試前的等待時間 (上限的一半加上隨機的另一半)
+   * Wait before the given retry (half of the capped backoff plus a random other half)
+   */
+  delay(attempt) {
+    const cap = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (attempt - 1));
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+  }
+
+  /**
+   * 執行工作，暫時性錯誤時重試
+   * Run a job, retrying on transient errors
+   */
+  async run(job, label = '工作') {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await job(attempt);
+      } catch (error) {
+        error.attempts = attempt + 1;
+
+        if (RetryPolicy.isPermanent(error)) {
+          error.permanent = true;
+          throw error;
+        }
+
+        if (attempt >= this.options.attempts) {
+          throw error;
+        }
+
+        const wait = this.delay(attempt + 1);
+        if (this.logger) {
+          this.logger.warn(`${label} 失敗，${Math.ceil(wait / 1000)} 秒後重試 (${attempt + 1}/${this.options.attempts})`, {
+            error: error.message
+          });
+        }
+        await RetryPolicy.sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * 判斷是否為永久性錯誤
+   * Check whether an error is permanent
+   */
+  static isPermanent(error) {
+    const status = error.status || (error.response && error.response.status);
+    return Boolean(error.permanent) || PERMANENT_STATUSES.includes(status);
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,131 @@
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 執行鎖 - 以鎖定檔避免兩個備份同時執行
+ * Run Lock - Uses a lockfile so two backups never run at the same time
+ *
+ * 持有者的程序已結束 (同一台主機) 或鎖定超過 staleAfter 毫秒時視為過期。
+ * A lock is stale when its owner process has exited (same host) or it is older than staleAfter ms.
+ */
+class RunLock {
+  constructor(lockPath, options = {}, logger = null) {
+    this.lockPath = path.resolve(lockPath || './.figma-backup.lock');
+    this.options = {
+      ...options,
+      staleAfter: options.staleAfter || 24 * 60 * 60 * 1000
+    };
+    this.logger = logger;
+    this.acquired = false;
+  }
+
+  /**
+   * 讀取目前的鎖定資訊
+   * Read the current lock owner
+   */
+  async read() {
+    try {
+      return await fs.readJson(this.lockPath);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 檢查鎖定是否已過期
+   * Check whether a lock is stale
+   */
+  isStale(owner) {
+    if (!owner || !owner.pid) return true;
+
+    if (Date.now() - new Date(owner.started_at).getTime() > this.options.staleAfter) {
+      return true;
+    }
+
+    if (owner.hostname !== os.hostname()) {
+      return false;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * 檢查鎖定檔是否已過期 (內容無法讀取時視為持有中，直到修改時間超過 staleAfter)
+   * Check whether the lockfile is stale (unreadable content counts as held until its mtime is older than staleAfter)
+   */
+  async isStaleFile(owner) {
+    if (owner) return this.isStale(owner);
+
+    const stats = await fs.stat(this.lockPath).catch(() => null);
+    return !stats || Date.now() - stats.mtimeMs > this.options.staleAfter;
+  }
+
+  /**
+   * 取得鎖定，已被其他執行持有時拋出 code 為 ELOCKED 的錯誤
+   * Acquire the lock, throwing an error with code ELOCKED when another run holds it
+   */
+  async acquire(meta = {}) {
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      started_at: new Date().toISOString(),
+      ...meta
+    };
+
+    await fs.ensureDir(path.dirname(this.lockPath));
+
+    // 先寫入暫存檔再以硬連結放到定位：鎖定檔一出現就有完整內容，
+    // 其他程序不會讀到空檔案而誤判為過期；已存在時 link 以 EEXIST 失敗
+    const tempPath = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(owner, null, 2));
+
+    try {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.link(tempPath, this.lockPath);
+          this.acquired = true;
+          return owner;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+
+        const current = await this.read();
+        if (attempt > 0 || !await this.isStaleFile(current)) {
+          const since = current && current.started_at ? `，開始於 ${current.started_at}` : '';
+          const lockError = new Error(`另一個備份正在執行中 (PID ${current ? current.pid : '?'}${since})，鎖定檔: ${this.lockPath}`);
+          lockError.code = 'ELOCKED';
+          lockError.owner = current;
+          throw lockError;
+        }
+
+        if (this.logger) this.logger.warn('移除過期的鎖定檔', { lockPath: this.lockPath, owner: current });
+        await fs.remove(this.lockPath);
+      }
+    } finally {
+      await fs.remove(tempPath);
+    }
+  }
+
+  /**
+   * 釋放鎖定 (只移除自己建立的鎖定檔)
+   * Release the lock (only removes a lockfile this process created)
+   */
+  async release() {
+    if (!this.acquired) return;
+
+    const current = await this.read();
+    if (current && current.pid === process.pid && current.hostname === os.hostname()) {
+      await fs.remove(this.lockPath);
+    }
+    this.acquired = false;
+  }
+}
+
+module.exports = RunLock;
@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Writable } = require('stream');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * 讀取 tar 標頭中的字串欄位
+ * Read a string field from a tar header
+ */
+function readString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+/**
+ * 讀取 tar 標頭中的八進位數字欄位
+ * Read an octal number field from a tar header
+ */
+function readOctal(block, start, length) {
+  if (block[start] & 0x80) {
+    throw new Error('不支援 base-256 編碼的 tar 欄位 (檔案超過 8 GB)');
+  }
+
+  const value = readString(block, start, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+/**
+ * 解析 PAX 擴充標頭
+ * Parse PAX extended header records
+ */
+function parsePax(buffer) {
+  const records = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    if (space === -1) break;
+
+    const length = parseInt(buffer.toString('utf8', offset, space), 10);
+    if (!length) break;
+
+    const record = buffer.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    records[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+
+  return records;
+}
+
+/**
+ * 串流 tar 解壓縮器 - 將 ustar/PAX/GNU tar 解開到指定資料夾
+ * Streaming tar extractor - Unpacks ustar/PAX/GNU tar streams into a folder
+ */
+class TarExtractor extends Writable {
+  constructor(targetDir) {
+    super();
+    this.targetDir = path.resolve(targetDir);
+    this.buffer = Buffer.alloc(0);
+    this.entry = null;
+    this.remaining = 0;
+    this.padding = 0;
+    this.overrides = {};
+    this.ended = false;
+    this.files = 0;
+  }
+
+  /**
+   * 取得安全的輸出路徑 (拒絕路徑穿越)
+   * Get a safe output path (rejects path traversal)
+   */
+  resolveTarget(name) {
+    const target = path.resolve(this.targetDir, name);
+
+    if (target !== this.targetDir && !target.startsWith(this.targetDir + path.sep)) {
+      throw new Error(`tar 項目路徑不安全: ${name}`);
+    }
+
+    return target;
+  }
+
+  /**
+   * 處理標頭區塊
+   * Handle a header block
+   */
+  async handleHeader(block) {
+    if (block.every(byte => byte === 0)) {
+      this.ended = true;
+      return;
+    }
+
+    const prefix = readString(block, 345, 155);
+    const rawName = readString(block, 0, 100);
+    const type = String.fromCharCode(block[156] || 48);
+    const size = readOctal(block, 124, 12);
+    const name = this.overrides.path || (prefix ? `${prefix}/${rawName}` : rawName);
+
+    this.remaining = size;
+    this.padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+    // PAX 與 GNU 長檔名標頭：內容套用到下一個項目
+    if (type === 'x' || type === 'L' || type === 'g') {
+      this.entry = { type, chunks: [] };
+      return;
+    }
+
+    this.overrides = {};
+
+    if (type === '5') {
+      await fs.ensureDir(this.resolveTarget(name));
+      this.entry = { type, skip: true };
+      return;
+    }
+
+    if (type !== '0' && type !== '7') {
+      // 連結與特殊檔案不還原
+      this.entry = { type, skip: true };
+      return;
+    }
+
+    const target = this.resolveTarget(name);
+    await fs.ensureDir(path.dirname(target));
+    this.entry = { type, stream: fs.createWriteStream(target) };
+    this.files++;
+
+    if (size === 0) {
+      await this.finishEntry();
+    }
+  }
+
+  /**
+   * 寫入項目內容
+   * Write entry data
+   */
+  async handleData(data) {
+    if (this.entry.chunks) {
+      this.entry.chunks.push(data);
+    } else if (this.entry.stream && !this.entry.stream.write(data)) {
+      await new Promise(resolve => this.entry.stream.once('drain', resolve));
+    }
+  }
+
+  /**
+   * 結束目前的項目
+   * Finish the current entry
+   */
+  async finishEntry() {
+    const entry = this.entry;
+    this.entry = null;
+
+    if (!entry) return;
+
+    if (entry.chunks) {
+      const content = Buffer.concat(entry.chunks);
+      if (entry.type === 'x') {
+        this.overrides = parsePax(content);
+      } else if (entry.type === 'L') {
+        this.overrides = { path: content.toString('utf8').replace(/\0+$/, '') };
+      }
+    }
+
+    if (entry.stream) {
+      await new Promise((resolve, reject) => {
+        entry.stream.on('error', reject);
+        entry.stream.end(resolve);
+      });
+    }
+  }
+
+  /**
+   * 處理緩衝區中的資料
+   * Process buffered data
+   */
+  async process() {
+    while (!this.ended) {
+      if (this.entry && this.remaining > 0) {
+        if (this.buffer.length === 0) return;
+
+        const data = this.buffer.subarray(0, Math.min(this.remaining, this.buffer.length));
+        this.buffer = this.buffer.subarray(data.length);
+        this.remaining -= data.length;
+        await this.handleData(data);
+
+        if (this.remaining === 0) {
+          await this.finishEntry();
+        }
+        continue;
+      }
+
+      if (this.padding > 0) {
+        if (this.buffer.length === 0) return;
+
+        const skip = Math.min(this.padding, this.buffer.length);
+        this.buffer = this.buffer.subarray(skip);
+        this.padding -= skip;
+        continue;
+      }
+
+      if (this.entry && this.remaining === 0) {
+        await this.finishEntry();
+      }
+
+      if (this.buffer.length < BLOCK_SIZE) return;
+
+      const block = this.buffer.subarray(0, BLOCK_SIZE);
+      this.buffer = this.buffer.subarray(BLOCK_SIZE);
+      await this.handleHeader(block);
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this.process().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    this.finishEntry().then(() => callback(), callback);
+  }
+}
+
+module.exports = TarExtractor;
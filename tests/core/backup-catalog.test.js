@@ -0,0 +1,57 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const BackupCatalog = require('../../src/core/backup-catalog');
+
+describe('BackupCatalog', () => {
+  let tmpDir;
+  let outputDir;
+
+  const writeFile = (run, name, contents) => fs.outputFile(path.join(outputDir, run, 'Web (1)', name), contents);
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+    outputDir = path.join(tmpDir, 'backups');
+
+    // 增量備份: 每次只下載變更的檔案
+    await writeFile('2026-10-01_10-00-00', 'Home (a).fig', 'home v1');
+    await writeFile('2026-10-01_10-00-00', 'Spec (b).fig', 'spec v1');
+    await writeFile('2026-10-02_10-00-00', 'Home (a).fig', 'home v2');
+    await writeFile('2026-10-03_10-00-00', 'Board (c).fig', 'board v1');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  const load = () => new BackupCatalog({ outputDir, reportsDir: path.join(tmpDir, 'reports') }).load();
+
+  test('resolves each file to its newest snapshot at or before a run', async () => {
+    const catalog = await load();
+    const snapshotRun = (key, run) => {
+      const snapshot = catalog.findSnapshot(catalog.files.get(key), run);
+      return snapshot ? snapshot.run : null;
+    };
+
+    expect(snapshotRun('a', null)).toBe('2026-10-02_10-00-00');
+    expect(snapshotRun('a', '2026-10-03_10-00-00')).toBe('2026-10-02_10-00-00');
+    expect(snapshotRun('a', '2026-10-01_10-00-00')).toBe('2026-10-01_10-00-00');
+    expect(snapshotRun('b', '2026-10-02_10-00-00')).toBe('2026-10-01_10-00-00');
+    expect(snapshotRun('c', '2026-10-02_10-00-00')).toBeNull();
+  });
+
+  test('restores a whole project as of a run from several incremental runs', async () => {
+    const catalog = await load();
+    const items = catalog.search('', { project: 'Web' })
+      .map(entry => ({ entry, snapshot: catalog.findSnapshot(entry, '2026-10-02_10-00-00') }))
+      .filter(item => item.snapshot);
+    const target = path.join(tmpDir, 'restored');
+
+    const restored = await catalog.restore(items, target);
+
+    expect(restored.map(file => file.key).sort()).toEqual(['a', 'b']);
+    expect(await fs.readFile(path.join(target, 'Web (1)', 'Home (a).fig'), 'utf8')).toBe('home v2');
+    expect(await fs.readFile(path.join(target, 'Web (1)', 'Spec (b).fig'), 'utf8')).toBe('spec v1');
+  });
+});
@@ -0,0 +1,39 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const BackupEncryptor = require('../../src/core/backup-encryptor');
+
+describe('BackupEncryptor', () => {
+  let tmpDir;
+  let keyFile;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-encryptor-'));
+    keyFile = path.join(tmpDir, 'backup.key');
+    await fs.writeFile(keyFile, crypto.randomBytes(32).toString('hex'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('encrypts a run folder and restores it with the same key', async () => {
+    const runPath = path.join(tmpDir, '2026-10-19_10-00-00');
+    await fs.outputFile(path.join(runPath, 'Web (P1)', 'Home (a).fig'), crypto.randomBytes(256 * 1024));
+    await fs.outputFile(path.join(runPath, '_versions', 'Home (a)', '1 - Launch.json'), '{"version":{}}');
+    const original = await fs.readFile(path.join(runPath, 'Web (P1)', 'Home (a).fig'));
+
+    const result = await new BackupEncryptor({ keyFile }).encryptRun(runPath);
+
+    expect(result).toMatchObject({ artifact: `${runPath}.tar.gz.enc`, files: 2, plaintext_removed: true });
+    expect(await fs.pathExists(runPath)).toBe(false);
+
+    const restored = path.join(tmpDir, 'restored');
+    await new BackupEncryptor({ keyFile }).decryptArtifact(result.artifact, restored);
+
+    expect((await fs.readFile(path.join(restored, 'Web (P1)', 'Home (a).fig'))).equals(original)).toBe(true);
+    expect(await fs.readFile(path.join(restored, '_versions', 'Home (a)', '1 - Launch.json'), 'utf8')).toBe('{"version":{}}');
+  });
+});
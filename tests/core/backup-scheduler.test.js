@@ -0,0 +1,34 @@
+const BackupScheduler = require('../../src/core/backup-scheduler');
+
+describe('BackupScheduler', () => {
+  test('logs errors outside a backup instead of leaving an unhandled rejection', async () => {
+    const logger = { error: jest.fn() };
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+
+    const scheduler = new BackupScheduler({ quiet: true }, logger);
+    const job = { id: 'default', nextRun: new Date(Date.now() - 1000) };
+    scheduler.jobs = [job];
+
+    // 例如寫入狀態檔時磁碟已滿
+    const finished = new Promise(resolve => {
+      scheduler.runJob = async () => {
+        job.nextRun = new Date(Date.now() + 60 * 60 * 1000);
+        setImmediate(resolve);
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      };
+    });
+
+    try {
+      scheduler.scheduleTick();
+      await finished;
+      await scheduler.stop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(logger.error).toHaveBeenCalledWith('排程檢查失敗', { error: 'ENOSPC: no space left on device' });
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+  });
+});
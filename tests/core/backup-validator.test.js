@@ -0,0 +1,165 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const BackupValidator = require('../../src/core/backup-validator');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 建立未壓縮的 ZIP (zip64 時以 ZIP64 結尾記錄描述中央目錄)
+ * Build an uncompressed ZIP (with zip64, the central directory is described by a ZIP64 end record)
+ */
+function buildZip(entries, { zip64 = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(entries)) {
+    const data = Buffer.from(content);
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const count = Object.keys(entries).length;
+  const tail = [];
+
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE(45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(directory.length), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+    locator.writeUInt32LE(1, 16);
+
+    tail.push(record, locator);
+  }
+
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(zip64 ? 0xffff : count, 8);
+  eocd.writeUInt16LE(zip64 ? 0xffff : count, 10);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : directory.length, 12);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+  tail.push(eocd);
+
+  return Buffer.concat([...locals, directory, ...tail]);
+}
+
+describe('BackupValidator', () => {
+  let tmpDir;
+  let validator;
+
+  const FIG_ENTRIES = { 'canvas.fig': 'fig-kiwi canvas', 'meta.json': '{"file_name":"Home"}', 'images/abc': 'png' };
+
+  const writeFixture = async (name, contents) => {
+    const filePath = path.join(tmpDir, name);
+    await fs.outputFile(filePath, contents);
+    return filePath;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-validator-'));
+    validator = new BackupValidator({ outputDir: tmpDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('accepts a .fig ZIP with canvas.fig and reads its central directory', async () => {
+    const filePath = await writeFixture('Home (a).fig', buildZip(FIG_ENTRIES));
+
+    const result = await validator.validateFile(filePath);
+
+    expect(result).toMatchObject({ valid: true, errors: [], format: 'zip', entries: 3 });
+    expect(result.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(await validator.readZipEntries(filePath, result.size)).toEqual(Object.keys(FIG_ENTRIES));
+  });
+
+  test('reads the central directory of a ZIP64 archive', async () => {
+    const filePath = await writeFixture('Board (b).jam', buildZip(FIG_ENTRIES, { zip64: true }));
+
+    const result = await validator.validateFile(filePath);
+
+    expect(result).toMatchObject({ valid: true, format: 'zip', entries: 3 });
+    expect(await validator.readZipEntries(filePath, result.size)).toEqual(Object.keys(FIG_ENTRIES));
+  });
+
+  test('rejects a ZIP cut off before its end record', async () => {
+    const zip = buildZip(FIG_ENTRIES);
+    const filePath = await writeFixture('Home (a).fig', zip.subarray(0, zip.length - 40));
+
+    const result = await validator.validateFile(filePath);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['找不到 ZIP 結尾記錄，檔案可能不完整']);
+  });
+
+  test('rejects a ZIP whose central directory points past the end of the file', async () => {
+    const zip = buildZip(FIG_ENTRIES);
+    // 少了中間的資料，但結尾記錄仍在
+    const filePath = await writeFixture('Home (a).fig', Buffer.concat([zip.subarray(0, 40), zip.subarray(80)]));
+
+    const result = await validator.validateFile(filePath);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['ZIP 中央目錄超出檔案範圍，檔案可能被截斷']);
+  });
+
+  test('rejects a ZIP without canvas.fig', async () => {
+    const filePath = await writeFixture('Home (a).fig', buildZip({ 'meta.json': '{}', 'thumbnail.png': 'png' }));
+
+    const result = await validator.validateFile(filePath);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['封存檔缺少必要項目: canvas.fig']);
+  });
+
+  test('accepts legacy kiwi files and rejects HTML error pages', async () => {
+    const kiwi = await writeFixture('Old (c).fig', 'fig-kiwi\u0000\u0000binary');
+    const html = await writeFixture('Error (d).fig', '<!DOCTYPE html><html><head></head></html>');
+
+    expect(await validator.validateFile(kiwi)).toMatchObject({ valid: true, format: 'kiwi' });
+    expect((await validator.validateFile(html)).errors).toEqual(['檔案是 HTML 頁面而非 Figma 檔案 (可能是錯誤頁面)']);
+  });
+});
@@ -0,0 +1,149 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { main, EXIT_CODES } = require('../../src/core/cli');
+const FigmaBackupSystem = require('../../src/core/figma-backup');
+const BackupValidator = require('../../src/core/backup-validator');
+
+describe('cli exit codes', () => {
+  let tmpDir;
+  let configPath;
+  let run;
+
+  const cli = async (...args) => {
+    process.exitCode = undefined;
+    await main(['node', 'figma-backup', '--config', configPath, ...args]);
+    return process.exitCode;
+  };
+  const download = (success, files = []) => ({ url: 'https://www.figma.com/files/team/1', success, files });
+  const file = (key, success) => ({ key, name: key, success });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    configPath = path.join(tmpDir, 'backup-config.json');
+    await fs.writeJson(configPath, {
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], outputDir: path.join(tmpDir, 'backups') }
+    });
+
+    run = jest.spyOn(FigmaBackupSystem.prototype, 'run');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(async () => {
+    process.exitCode = undefined;
+    await fs.remove(tmpDir);
+  });
+
+  test('exit codes keep their documented values', () => {
+    expect(EXIT_CODES).toEqual({ SUCCESS: 0, FAILURE: 1, USAGE: 2, PARTIAL: 3 });
+  });
+
+  describe('backup', () => {
+    test.each([
+      ['every file succeeded', [download(true, [file('a', true)])], EXIT_CODES.SUCCESS],
+      ['some files failed', [download(true, [file('a', true), file('b', false)])], EXIT_CODES.PARTIAL],
+      ['one of the targets failed', [download(true), download(false)], EXIT_CODES.PARTIAL],
+      ['every target failed', [download(false), download(false)], EXIT_CODES.FAILURE]
+    ])('maps a run where %s', async (_, downloads, code) => {
+      run.mockResolvedValue({ success: code === EXIT_CODES.SUCCESS, downloads, summary: {} });
+
+      expect(await cli('backup')).toBe(code);
+    });
+
+    test('combines the profiles of --all-profiles', async () => {
+      run.mockResolvedValue({
+        profiles: [
+          { profile: 'a', downloads: [download(true)], errors: [] },
+          { profile: 'b', downloads: [], errors: ['配置驗證失敗'] }
+        ],
+        downloads: [],
+        summary: {}
+      });
+
+      expect(await cli('backup', '--all-profiles')).toBe(EXIT_CODES.PARTIAL);
+      expect(run.mock.contexts[0].options.allProfiles).toBe(true);
+    });
+
+    test('fails when the run throws', async () => {
+      run.mockRejectedValue(new Error('無法取得執行鎖'));
+
+      expect(await cli('backup')).toBe(EXIT_CODES.FAILURE);
+      expect(console.error).toHaveBeenCalledWith(expect.anything(), '無法取得執行鎖');
+    });
+
+    test('reports usage errors', async () => {
+      expect(await cli('backup', '--no-such-option')).toBe(EXIT_CODES.USAGE);
+      expect(await cli('backup', '--all-profiles', '--resume', 'abc')).toBe(EXIT_CODES.USAGE);
+      expect(await cli('no-such-command')).toBe(EXIT_CODES.USAGE);
+      expect(run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validate', () => {
+    let runPath;
+    let filePath;
+
+    beforeEach(async () => {
+      runPath = path.join(tmpDir, 'backups', '2026-10-19_10-00-00');
+      filePath = path.join(runPath, 'Web (P1)', 'Home (a).json');
+      await fs.outputJson(filePath, { document: {} });
+      await new BackupValidator({ outputDir: path.join(tmpDir, 'backups') })
+        .validateRun([download(true, [{ ...file('a', true), path: filePath }])], runPath);
+    });
+
+    test('succeeds when every file matches the manifest', async () => {
+      expect(await cli('validate')).toBe(EXIT_CODES.SUCCESS);
+      expect(await cli('validate', '2026-10-19_10-00-00')).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test('fails when a file no longer matches the manifest', async () => {
+      await fs.outputJson(filePath, { document: { changed: true } });
+
+      expect(await cli('validate')).toBe(EXIT_CODES.FAILURE);
+    });
+
+    test('fails when the run does not exist', async () => {
+      expect(await cli('validate', '2020-01-01_00-00-00')).toBe(EXIT_CODES.FAILURE);
+      expect(console.error).toHaveBeenCalledWith(expect.anything(), '找不到備份: 2020-01-01_00-00-00');
+    });
+  });
+
+  describe('retry', () => {
+    let reportPath;
+
+    const writeReport = downloads => fs.outputJson(reportPath, { profile: null, downloads });
+
+    beforeEach(() => {
+      reportPath = path.join(tmpDir, 'reports', 'backup-report-2026-10-19_10-00-00.json');
+    });
+
+    test('succeeds without running when nothing failed', async () => {
+      await writeReport([download(true, [file('a', true)])]);
+
+      expect(await cli('retry', '--report', reportPath)).toBe(EXIT_CODES.SUCCESS);
+      expect(run).not.toHaveBeenCalled();
+    });
+
+    test('retries only the failed files and maps the result', async () => {
+      await writeReport([download(true, [file('a', true), file('b', false), { ...file('c', false), permanent: true }])]);
+      run.mockResolvedValueOnce({ downloads: [download(true, [file('b', true)])], summary: {} });
+      run.mockResolvedValueOnce({ downloads: [download(true, [file('b', false)])], summary: {} });
+      run.mockResolvedValueOnce({ downloads: [download(false)], summary: {} });
+
+      expect(await cli('retry', '--report', reportPath)).toBe(EXIT_CODES.SUCCESS);
+      expect(run.mock.contexts[0].options.targets).toEqual([{ url: 'https://www.figma.com/files/team/1', only: ['b'] }]);
+      expect(await cli('retry', '--report', reportPath)).toBe(EXIT_CODES.PARTIAL);
+      expect(await cli('retry', '--report', reportPath)).toBe(EXIT_CODES.FAILURE);
+    });
+
+    test('fails without a report', async () => {
+      expect(await cli('retry', '--report', path.join(tmpDir, 'missing.json'))).toBe(EXIT_CODES.FAILURE);
+      expect(console.error).toHaveBeenCalledWith(expect.anything(), '找不到執行報告，無法重試');
+    });
+  });
+});
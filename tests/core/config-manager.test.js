@@ -0,0 +1,163 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const ConfigManager = require('../../src/core/config-manager');
+
+describe('ConfigManager', () => {
+  let tmpDir;
+  let configPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-manager-'));
+    configPath = path.join(tmpDir, 'backup-config.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  const load = config => fs.writeJson(configPath, config).then(() => new ConfigManager(configPath).loadConfig({ quiet: true }));
+
+  test('masks secrets without showing any of their characters', () => {
+    expect(ConfigManager.maskSecret('hunter2')).toBe('********');
+    expect(ConfigManager.maskSecret('abc')).toBe('********');
+    expect(ConfigManager.maskSecret('figd_abcdefghijklmnop')).toBe('figd_********');
+    expect(ConfigManager.maskSecret('sl.dropbox-token')).toBe('sl.********');
+  });
+
+  test('masks only secret keys of a configuration', () => {
+    const masked = ConfigManager.maskSecrets({
+      figma: { token: 'figd_abcdefghijklmnop', email: 'ana@example.com' },
+      encryption: { passphraseEnv: 'FIGMA_BACKUP_PASSPHRASE' },
+      notifications: { slack: { webhook: 'https://hooks.slack.com/services/T0/B0/x' } }
+    });
+
+    expect(masked).toEqual({
+      figma: { token: 'figd_********', email: 'ana@example.com' },
+      encryption: { passphraseEnv: 'FIGMA_BACKUP_PASSPHRASE' },
+      notifications: { slack: { webhook: '********' } }
+    });
+  });
+
+  test('reports every schema error with its setting path', async () => {
+    const error = await load({
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], outptDir: './out', exportMode: 'pdf' },
+      advanced: { concurrency: 'three' }
+    }).catch(e => e);
+
+    expect(error.message).toMatch(/^載入配置檔案失敗: 配置驗證失敗: /);
+    expect(error.message).toContain('backup.outptDir: 未知的設定 (是否為 outputDir?)');
+    expect(error.message).toContain('backup.exportMode: 必須是 fig, .fig, rest, both 其中之一');
+    expect(error.message).toContain('advanced.concurrency: 必須是 integer');
+  });
+
+  test('deep-merges the defaults under the user settings, replacing arrays', async () => {
+    const config = await load({
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], rest: { formats: ['svg'] } },
+      advanced: { rateLimit: { api: 30 } }
+    });
+
+    expect(config.backup.rest).toEqual({ formats: ['svg'], scale: 1 });
+    expect(config.backup.outputDir).toBe('./figma-backups');
+    expect(config.backup.storage).toEqual({ layout: 'plain', link: 'hardlink' });
+    expect(config.advanced.rateLimit).toEqual({ api: 30, downloads: 6 });
+    expect(config.advanced.concurrency).toBe(3);
+  });
+
+  test('migrates a v1 config file to v2 and keeps the original as .v1.bak', async () => {
+    const v1 = {
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], output_dir: './legacy', create_timestamp_folder: false },
+      dropbox: { app_folder: '/legacy' }
+    };
+
+    const config = await load(v1);
+
+    expect(config.backup).toMatchObject({ outputDir: './legacy', createTimestampFolder: false });
+    expect(config.dropbox.appFolder).toBe('/legacy');
+    expect(await fs.readJson(`${configPath}.v1.bak`)).toEqual(v1);
+
+    const migrated = await fs.readJson(configPath);
+    expect(Object.keys(migrated)[0]).toBe('configVersion');
+    expect(migrated).toEqual({
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], outputDir: './legacy', createTimestampFolder: false },
+      dropbox: { appFolder: '/legacy' }
+    });
+
+    // 已遷移的檔案不會再改寫
+    const { mtimeMs } = await fs.stat(configPath);
+    await new ConfigManager(configPath).loadConfig({ quiet: true });
+    expect((await fs.stat(configPath)).mtimeMs).toBe(mtimeMs);
+  });
+
+  test('rejects a config from a newer version', async () => {
+    await expect(load({ configVersion: 3, figma: { token: 'figd_test' } }))
+      .rejects.toThrow('不支援的配置版本 3');
+  });
+
+  describe('profiles', () => {
+    const base = {
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'], outputDir: './shared', rest: { formats: ['png'], scale: 2 } },
+      profiles: {
+        'client-a': { backup: { outputDir: './client-a', rest: { formats: ['svg'] } } },
+        'client-b': { backup: { targets: ['https://www.figma.com/files/team/2'] } }
+      }
+    };
+    const loadProfile = (profile, options = {}) => new ConfigManager(configPath, { profile }).loadConfig({ quiet: true, ...options });
+
+    beforeEach(async () => {
+      await fs.writeJson(configPath, base);
+    });
+
+    test('applies the selected profile over the base config', async () => {
+      const config = await loadProfile('client-a');
+
+      expect(config.backup.outputDir).toBe('./client-a');
+      expect(config.backup.rest).toEqual({ formats: ['svg'], scale: 2 });
+      expect(config.backup.targets).toEqual(['https://www.figma.com/files/team/1']);
+      expect(config.profiles).toBeUndefined();
+
+      expect((await loadProfile('client-b')).backup.outputDir).toBe('./shared');
+      expect((await loadProfile(null)).backup.outputDir).toBe('./shared');
+    });
+
+    test('rejects unknown profiles and profile-only keys', async () => {
+      await expect(loadProfile('client-c')).rejects.toThrow('找不到 profile "client-c" (可用: client-a, client-b)');
+
+      await fs.writeJson(configPath, { ...base, profiles: { nested: { profiles: {} } } });
+      await expect(loadProfile('nested')).rejects.toThrow('profiles.nested 中不可設定 profiles');
+
+      await fs.writeJson(configPath, { ...base, profiles: { 'client a': {} } });
+      await expect(new ConfigManager(configPath).listProfiles()).rejects.toThrow('profile 名稱只能包含英數字、- 與 _: client a');
+    });
+
+    test('overlays backup-config.local.json before the profile', async () => {
+      await fs.writeJson(path.join(tmpDir, 'backup-config.local.json'), {
+        configVersion: 2,
+        figma: { token: 'figd_local' },
+        backup: { outputDir: './local' },
+        profiles: { 'client-c': { backup: { exportMode: 'rest' } } }
+      });
+
+      const local = await loadProfile(null);
+      expect(local.figma.token).toBe('figd_local');
+      expect(local.backup.outputDir).toBe('./local');
+
+      const profiled = await loadProfile('client-a');
+      expect(profiled.figma.token).toBe('figd_local');
+      expect(profiled.backup.outputDir).toBe('./client-a');
+
+      expect(await new ConfigManager(configPath).listProfiles()).toEqual(['client-a', 'client-b', 'client-c']);
+      expect((await loadProfile('client-c')).backup).toMatchObject({ outputDir: './local', exportMode: 'rest' });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const DedupStore = require('../../src/core/dedup-store');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('DedupStore', () => {
+  let tmpDir;
+  let store;
+
+  const writeRun = async (name, files) => {
+    const runPath = path.join(tmpDir, name);
+    for (const [relativePath, contents] of Object.entries(files)) {
+      await fs.outputFile(path.join(runPath, relativePath), contents);
+    }
+    return runPath;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedup-store-'));
+    store = new DedupStore({ outputDir: tmpDir });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  test('keeps the defaults when options are passed as undefined', () => {
+    expect(new DedupStore({ outputDir: tmpDir, link: undefined }).options.link).toBe('hardlink');
+    expect(() => new DedupStore({ outputDir: tmpDir, link: 'copy' })).toThrow('不支援的連結類型');
+  });
+
+  test('stores identical content once and links it from every run', async () => {
+    const first = await writeRun('2026-10-19_10-00-00', { 'Web (P1)/Home (a).fig': 'home', 'Web (P1)/Copy (b).fig': 'home' });
+    const firstResult = await store.snapshotRun(first);
+
+    const second = await writeRun('2026-10-20_10-00-00', { 'Web (P1)/Home (a).fig': 'home' });
+    const secondResult = await store.snapshotRun(second);
+
+    expect(firstResult).toMatchObject({ files: 2, stored_bytes: 4, deduped_bytes: 4 });
+    expect(secondResult).toMatchObject({ files: 1, stored_bytes: 0, deduped_bytes: 4 });
+
+    const blob = store.blobPath(sha256('home'));
+    const inode = (await fs.stat(blob)).ino;
+    expect((await fs.stat(path.join(first, 'Web (P1)', 'Copy (b).fig'))).ino).toBe(inode);
+    expect((await fs.stat(path.join(second, 'Web (P1)', 'Home (a).fig'))).ino).toBe(inode);
+
+    const snapshot = await fs.readJson(path.join(second, 'snapshot.json'));
+    expect(snapshot).toMatchObject({ link: 'hardlink', files: [{ path: path.join('Web (P1)', 'Home (a).fig'), sha256: sha256('home'), size: 4 }] });
+  });
+
+  test('carries unchanged files and their side files over from the previous run', async () => {
+    const first = await writeRun('2026-10-19_10-00-00', {
+      'Web (P1)/Spec (b).fig': 'spec',
+      'Web (P1)/Spec (b).versions.json': '[]',
+      'Web (P1)/Spec (bb).fig': 'other file'
+    });
+    await store.snapshotRun(first);
+
+    const second = await writeRun('2026-10-20_10-00-00', { 'Web (P1)/Home (a).fig': 'home' });
+    const result = await store.snapshotRun(second, [
+      { key: 'b', path: path.join(first, 'Web (P1)', 'Spec (b).fig') },
+      { key: 'gone', path: path.join(tmpDir, '2026-10-18_10-00-00', 'Web (P1)', 'Gone (c).fig') }
+    ]);
+
+    expect(result.carried).toEqual([{ key: 'b', path: path.join(second, 'Web (P1)', 'Spec (b).fig') }]);
+    expect(result.files).toBe(3);
+    expect(await fs.readFile(path.join(second, 'Web (P1)', 'Spec (b).versions.json'), 'utf8')).toBe('[]');
+    expect(await fs.pathExists(path.join(second, 'Web (P1)', 'Spec (bb).fig'))).toBe(false);
+  });
+
+  test('falls back to symlinks when hardlinks are not possible', async () => {
+    jest.spyOn(fs, 'link').mockRejectedValue(Object.assign(new Error('cross-device link'), { code: 'EXDEV' }));
+    const run = await writeRun('2026-10-19_10-00-00', { 'Web (P1)/Home (a).fig': 'home' });
+
+    await store.snapshotRun(run);
+
+    const filePath = path.join(run, 'Web (P1)', 'Home (a).fig');
+    expect((await fs.lstat(filePath)).isSymbolicLink()).toBe(true);
+    expect(path.resolve(path.dirname(filePath), await fs.readlink(filePath))).toBe(store.blobPath(sha256('home')));
+    expect(await fs.readFile(filePath, 'utf8')).toBe('home');
+  });
+
+  test('rejects run folders without a timestamp', async () => {
+    await expect(store.snapshotRun(await writeRun('latest', { 'a.fig': 'a' }))).rejects.toThrow('時間戳記');
+  });
+
+  test('collects blobs that no run references', async () => {
+    const first = await writeRun('2026-10-19_10-00-00', { 'Web (P1)/Home (a).fig': 'home v1' });
+    const second = await writeRun('2026-10-20_10-00-00', { 'Web (P1)/Home (a).fig': 'home v2' });
+    await store.snapshotRun(first);
+    await store.snapshotRun(second);
+    await fs.remove(first);
+
+    expect(await store.gc({ dryRun: true })).toEqual({ removed: 1, freed_bytes: 7 });
+    expect(await fs.pathExists(store.blobPath(sha256('home v1')))).toBe(true);
+
+    expect(await store.gc()).toEqual({ removed: 1, freed_bytes: 7 });
+    expect(await fs.pathExists(store.blobPath(sha256('home v1')))).toBe(false);
+    expect(await fs.pathExists(store.blobPath(sha256('home v2')))).toBe(true);
+  });
+});
@@ -0,0 +1,175 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const FigmaBackupSystem = require('../../src/core/figma-backup');
+const CommentsArchiver = require('../../src/integrations/comments-archiver');
+const BackupEncryptor = require('../../src/core/backup-encryptor');
+const DedupStore = require('../../src/core/dedup-store');
+const NotificationService = require('../../src/utils/notification-service');
+
+describe('FigmaBackupSystem', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-backup-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('archives comments of unchanged files into the current run without touching deduplicated earlier runs', async () => {
+    const outputDir = path.join(tmpDir, 'backups');
+    const firstRun = path.join(outputDir, '2026-10-19_10-00-00');
+    const secondRun = path.join(outputDir, '2026-10-20_10-00-00');
+    const store = new DedupStore({ outputDir });
+    let message = 'First review';
+
+    const figma = {
+      getOutputPath: () => secondRun,
+      request: async endpoint => ({
+        comments: [{ id: endpoint, message, created_at: '2026-10-19T10:00:00Z', user: { id: '1', handle: 'ana' } }]
+      })
+    };
+    const backup = new FigmaBackupSystem({ quiet: true });
+    backup.config = { backup: { outputDir, createTimestampFolder: true } };
+    backup.services.figma = figma;
+    backup.services.comments = new CommentsArchiver(figma);
+
+    // 第一次執行下載並封存評論，再轉為去重格式
+    const spec = path.join(firstRun, 'Web (P1)', 'Spec (b).fig');
+    await fs.outputFile(spec, 'spec');
+    await new CommentsArchiver(figma).archiveAll([{ key: 'b', name: 'Spec', success: true, path: spec }]);
+    await store.snapshotRun(firstRun);
+    const firstComments = await fs.readFile(path.join(firstRun, 'Web (P1)', 'Spec (b).comments.json'), 'utf8');
+
+    // 第二次執行略過未變更的檔案，但評論已更新
+    message = 'Second review';
+    const downloaded = path.join(secondRun, 'Web (P1)', 'Home (a).fig');
+    await fs.outputFile(downloaded, 'home');
+    const skipped = [{ key: 'b', name: 'Spec', path: spec, reason: 'unchanged' }];
+
+    const result = await backup.archiveComments([{
+      success: true,
+      files: [{ key: 'a', name: 'Home', success: true, path: downloaded }],
+      skipped
+    }]);
+    await store.snapshotRun(secondRun, skipped);
+
+    expect(result).toMatchObject({ success: true, counts: { files: 2, comments: 2 } });
+    expect(await fs.readFile(path.join(firstRun, 'Web (P1)', 'Spec (b).comments.json'), 'utf8')).toBe(firstComments);
+    expect((await fs.readJson(path.join(secondRun, 'Web (P1)', 'Spec (b).comments.json'))).threads[0].message).toBe('Second review');
+    expect(await fs.readFile(path.join(secondRun, 'Web (P1)', 'Spec (b).fig'), 'utf8')).toBe('spec');
+
+    // 每個 blob 的內容仍符合其雜湊名稱
+    for (const blob of await store.walk(store.blobsDir)) {
+      expect(crypto.createHash('sha256').update(await fs.readFile(blob)).digest('hex')).toBe(path.basename(blob));
+    }
+  });
+
+  test('encrypts discovery thumbnails with the run and removes the plaintext copies', async () => {
+    const keyFile = path.join(tmpDir, 'backup.key');
+    const runPath = path.join(tmpDir, 'backups', '2026-10-20_10-00-00');
+    const thumbnail = path.join(tmpDir, 'backups', '_thumbnails', 'a.png');
+    await fs.writeFile(keyFile, crypto.randomBytes(32).toString('hex'));
+    await fs.outputFile(path.join(runPath, 'Web (P1)', 'Home (a).fig'), 'home');
+    await fs.outputFile(thumbnail, 'png');
+
+    const backup = new FigmaBackupSystem({ quiet: true });
+    backup.config = {
+      backup: { outputDir: path.join(tmpDir, 'backups'), createTimestampFolder: true },
+      encryption: { enabled: true, keyFile, removePlaintext: true }
+    };
+    backup.services.figma = { getOutputPath: () => runPath };
+
+    const result = await backup.encryptRun([{
+      success: true,
+      files: [{ key: 'a', name: 'Home', success: true, path: path.join(runPath, 'Web (P1)', 'Home (a).fig'), thumbnail_path: thumbnail }]
+    }]);
+
+    expect(result).toMatchObject({ success: true, files: 2 });
+    expect(await fs.pathExists(thumbnail)).toBe(false);
+
+    const restored = path.join(tmpDir, 'restored');
+    await new BackupEncryptor({ keyFile }).decryptArtifact(result.artifact, restored);
+    expect(await fs.readFile(path.join(restored, '_thumbnails', 'a.png'), 'utf8')).toBe('png');
+  });
+
+  test('does not send an error notification when another run holds the lock', async () => {
+    const lockFile = path.join(tmpDir, '.figma-backup.lock');
+    await fs.writeJson(lockFile, { pid: process.pid, hostname: os.hostname(), started_at: '2026-10-19T10:00:00Z' });
+    await fs.writeJson(path.join(tmpDir, 'backup-config.json'), {
+      figma: { token: 'figd_test' },
+      backup: { outputDir: path.join(tmpDir, 'backups'), targets: ['https://www.figma.com/files/team/1'] },
+      advanced: { lockFile }
+    });
+    const notifyBackupError = jest.spyOn(NotificationService.prototype, 'notifyBackupError');
+    const cwd = process.cwd();
+
+    // 日誌寫入工作目錄下的 logs
+    process.chdir(tmpDir);
+    try {
+      const backup = new FigmaBackupSystem({ configPath: path.join(tmpDir, 'backup-config.json'), quiet: true });
+      await expect(backup.run()).rejects.toMatchObject({ code: 'ELOCKED' });
+      backup.logger.close();
+      expect(notifyBackupError).not.toHaveBeenCalled();
+    } finally {
+      process.chdir(cwd);
+      notifyBackupError.mockRestore();
+    }
+
+    expect(await fs.pathExists(lockFile)).toBe(true);
+  });
+
+  test('runs every profile in sequence and keeps going after a failed one', async () => {
+    const configPath = path.join(tmpDir, 'backup-config.json');
+    await fs.writeJson(configPath, {
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'] },
+      profiles: { a: { backup: { outputDir: './a' } }, b: { backup: { outputDir: './b' } }, c: {} }
+    });
+
+    const run = jest.spyOn(FigmaBackupSystem.prototype, 'run').mockImplementation(async function () {
+      if (this.options.profile === 'b') {
+        this.results.errors.push('下載失敗');
+        throw new Error('下載失敗');
+      }
+      return { ...this.results, success: true, downloads: [{ profile: this.options.profile }] };
+    });
+
+    const backup = new FigmaBackupSystem({ configPath, allProfiles: true, quiet: true });
+    const result = await backup.runProfiles();
+
+    expect(run.mock.contexts.map(system => system.options)).toEqual([
+      expect.objectContaining({ profile: 'a', allProfiles: false }),
+      expect.objectContaining({ profile: 'b', allProfiles: false }),
+      expect.objectContaining({ profile: 'c', allProfiles: false })
+    ]);
+    expect(result.success).toBe(false);
+    expect(result.profiles.map(r => r.profile)).toEqual(['a', 'b', 'c']);
+    expect(result.downloads).toEqual([{ profile: 'a' }, { profile: 'c' }]);
+    expect(result.errors).toEqual(['[b] 下載失敗']);
+  });
+
+  test('checks every profile before running any of them', async () => {
+    const configPath = path.join(tmpDir, 'backup-config.json');
+    await fs.writeJson(configPath, {
+      configVersion: 2,
+      figma: { token: 'figd_test' },
+      backup: { targets: ['https://www.figma.com/files/team/1'] },
+      profiles: { a: {}, broken: { backup: { exportMode: 'pdf' } } }
+    });
+    const run = jest.spyOn(FigmaBackupSystem.prototype, 'run');
+
+    await expect(new FigmaBackupSystem({ configPath, allProfiles: true, quiet: true }).runProfiles())
+      .rejects.toThrow('profile "broken" 配置驗證失敗: backup.exportMode');
+    expect(run).not.toHaveBeenCalled();
+
+    await fs.writeJson(configPath, { configVersion: 2, figma: { token: 'figd_test' } });
+    await expect(new FigmaBackupSystem({ configPath, allProfiles: true, quiet: true }).runProfiles())
+      .rejects.toThrow('配置檔案中沒有定義任何 profile');
+  });
+});
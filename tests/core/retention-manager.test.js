@@ -0,0 +1,78 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const RetentionManager = require('../../src/core/retention-manager');
+const StateManifest = require('../../src/core/state-manifest');
+
+describe('RetentionManager', () => {
+  let outputDir;
+
+  // 每天一份備份，共 20 天
+  const runNames = Array.from({ length: 20 }, (_, i) => `2026-09-${String(i + 1).padStart(2, '0')}_10-00-00`);
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+
+    for (const name of runNames) {
+      await fs.outputFile(path.join(outputDir, name, 'Web (1)', 'Home (a).fig'), name);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  const createManager = (options = {}) => new RetentionManager({
+    outputDir,
+    reportsDir: path.join(outputDir, 'reports'),
+    keepLast: 2,
+    daily: 3,
+    weekly: 0,
+    monthly: 0,
+    ...options
+  });
+
+  test('keeps the newest runs by grandfather-father-son rules', async () => {
+    const result = await createManager().prune();
+
+    expect(result.kept.map(run => run.name)).toEqual(runNames.slice(-3).reverse());
+    expect(result.pruned).toHaveLength(17);
+    expect(await fs.pathExists(path.join(outputDir, runNames[0]))).toBe(false);
+  });
+
+  test('keeps old runs that hold the only copy of a file skipped by incremental backups', async () => {
+    // 檔案 b 只在第一次備份下載過，之後的增量備份都略過它
+    const onlyCopy = path.join(outputDir, runNames[0], 'Web (1)', 'Spec (b).fig');
+    await fs.outputFile(onlyCopy, 'only copy');
+
+    const manifest = new StateManifest(StateManifest.defaultPath(outputDir));
+    manifest.record('a', { last_modified: '2026-09-20T00:00:00Z', path: path.join(outputDir, runNames[19], 'Web (1)', 'Home (a).fig') });
+    manifest.record('b', { last_modified: '2026-09-01T00:00:00Z', path: onlyCopy });
+    manifest.record('c', { last_modified: '2026-09-05T00:00:00Z', archive: path.join(outputDir, `${runNames[4]}.tar.gz.enc`) });
+    await manifest.save();
+
+    const remote = { name: 'stand-in', deleted: [], deleteRunEntry: async entry => remote.deleted.push(entry) };
+    const result = await createManager({ remotes: [remote] }).prune();
+
+    expect(result.kept).toEqual(expect.arrayContaining([
+      { name: runNames[0], reasons: ['referenced'] },
+      { name: runNames[4], reasons: ['referenced'] }
+    ]));
+    expect(result.pruned).toHaveLength(15);
+    expect(await fs.readFile(onlyCopy, 'utf8')).toBe('only copy');
+    expect(remote.deleted).not.toContain(runNames[0]);
+    expect(remote.deleted).not.toContain(runNames[4]);
+  });
+
+  test('reads the state file from a custom location', async () => {
+    const stateFile = path.join(outputDir, 'state', 'manifest.json');
+    const manifest = new StateManifest(stateFile);
+    manifest.record('b', { path: path.join(outputDir, runNames[1], 'Web (1)', 'Home (a).fig') });
+    await manifest.save();
+
+    const { kept } = await createManager({ stateFile }).prune({ dryRun: true });
+
+    expect(kept.map(run => run.name)).toContain(runNames[1]);
+  });
+});
@@ -0,0 +1,58 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { setupCommand } = require('../../src/core/setup');
+
+describe('setupCommand', () => {
+  let tmpDir;
+  let env;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-'));
+    env = { ...process.env };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    process.env = env;
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  test('stores references to secret files and environment variables instead of the secrets', async () => {
+    const configPath = path.join(tmpDir, 'config', 'backup-config.json');
+    await fs.outputFile(path.join(tmpDir, 'secrets', 'figma_token'), 'figd_secret_token\n');
+    await fs.outputFile(path.join(tmpDir, 'secrets', 'figma_password'), 'hunter2\n');
+    process.env.DROPBOX_TOKEN = 'sl.dropbox-secret';
+    process.env.NOTION_TOKEN = 'secret_notion';
+
+    await setupCommand({
+      config: configPath,
+      yes: true,
+      verify: false,
+      tokenFile: path.join(tmpDir, 'secrets', 'figma_token'),
+      passwordFile: path.join(tmpDir, 'secrets', 'figma_password'),
+      team: ['123'],
+      dropbox: true,
+      notionDatabase: 'db1'
+    });
+
+    const raw = await fs.readFile(configPath, 'utf8');
+    const config = JSON.parse(raw);
+
+    expect(raw).not.toMatch(/figd_secret_token|hunter2|sl\.dropbox-secret|secret_notion/);
+    expect(config.figma).toMatchObject({ token_file: path.join('..', 'secrets', 'figma_token'), password_file: path.join('..', 'secrets', 'figma_password') });
+    expect(config.figma.token).toBeUndefined();
+    expect(config.dropbox).toMatchObject({ enabled: true, token: '${DROPBOX_TOKEN}' });
+    expect(config.notion).toMatchObject({ enabled: true, token: '${NOTION_TOKEN}', databaseId: 'db1' });
+    expect(config.backup.targets).toEqual(['https://www.figma.com/files/team/123']);
+  });
+
+  test('requires a Figma token from a file or the environment', async () => {
+    delete process.env.FIGMA_ACCESS_TOKEN;
+
+    await expect(setupCommand({ config: path.join(tmpDir, 'backup-config.json'), yes: true, verify: false, team: ['123'] }))
+      .rejects.toThrow('--token-file');
+  });
+});
@@ -0,0 +1,119 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const StateManifest = require('../../src/core/state-manifest');
+const FigmaApiWrapper = require('../../src/integrations/figma-api-wrapper');
+
+describe('StateManifest', () => {
+  let tmpDir;
+  let manifestPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-manifest-'));
+    manifestPath = StateManifest.defaultPath(tmpDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('treats a file as unchanged only when its version matches and its backup still exists', async () => {
+    const manifest = await new StateManifest(manifestPath).load();
+    const backupPath = path.join(tmpDir, 'Home (a).fig');
+    const archivePath = path.join(tmpDir, 'run.tar.enc');
+    await fs.outputFile(backupPath, 'home');
+
+    expect(await manifest.isUnchanged({ key: 'a', last_modified: '2026-10-01T00:00:00Z' })).toBe(false);
+
+    manifest.record('a', { last_modified: '2026-10-01T00:00:00Z', path: backupPath });
+    expect(await manifest.isUnchanged({ key: 'a', last_modified: '2026-10-01T00:00:00Z' })).toBe(true);
+    expect(await manifest.isUnchanged({ key: 'a', last_modified: '2026-10-02T00:00:00Z' })).toBe(false);
+
+    await fs.remove(backupPath);
+    expect(await manifest.isUnchanged({ key: 'a', last_modified: '2026-10-01T00:00:00Z' })).toBe(false);
+
+    // 已加密的備份以加密封存檔為準
+    await fs.outputFile(archivePath, 'encrypted');
+    manifest.record('a', { archive: archivePath });
+    expect(await manifest.isUnchanged({ key: 'a', last_modified: '2026-10-01T00:00:00Z' })).toBe(true);
+  });
+
+  test('skips unchanged files and drops projects with nothing left to download', async () => {
+    const manifest = await new StateManifest(manifestPath).load();
+    const backupPath = path.join(tmpDir, 'Home (a).fig');
+    await fs.outputFile(backupPath, 'home');
+    manifest.record('a', { last_modified: '2026-10-01T00:00:00Z', path: backupPath, version: '42' });
+
+    const projects = [
+      { id: 'P1', name: 'Web', team_name: 'Acme', files: [{ key: 'a', name: 'Home', last_modified: '2026-10-01T00:00:00Z' }] },
+      {
+        id: 'P2',
+        name: 'App',
+        files: [
+          { key: 'b', name: 'Login', last_modified: '2026-10-01T00:00:00Z' },
+          { key: 'a2', name: 'Copy', last_modified: '2026-10-01T00:00:00Z' }
+        ]
+      }
+    ];
+
+    const { changedProjects, skipped } = await new FigmaApiWrapper({ token: 'test-token' }).partitionByManifest(projects, manifest);
+
+    expect(changedProjects.map(project => [project.id, project.files.map(file => file.key)])).toEqual([['P2', ['b', 'a2']]]);
+    expect(skipped).toEqual([expect.objectContaining({
+      key: 'a',
+      project_id: 'P1',
+      team_name: 'Acme',
+      version: '42',
+      path: backupPath,
+      reason: 'unchanged'
+    })]);
+  });
+
+  test('writes concurrent saves one after another through a temp file', async () => {
+    const manifest = await new StateManifest(manifestPath).load();
+    const steps = [];
+    const writeJson = fs.writeJson.bind(fs);
+    const move = fs.move.bind(fs);
+    jest.spyOn(fs, 'writeJson').mockImplementation(async (file, data, options) => {
+      steps.push(['write', path.basename(file), Object.keys(data.files)]);
+      // 讓後面的儲存有機會插隊
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return writeJson(file, data, options);
+    });
+    jest.spyOn(fs, 'move').mockImplementation(async (from, to, options) => {
+      steps.push(['move', path.basename(from), path.basename(to)]);
+      return move(from, to, options);
+    });
+
+    manifest.record('a', { last_modified: '1' });
+    const first = manifest.save();
+    manifest.record('b', { last_modified: '1' });
+    const second = manifest.save();
+    await Promise.all([first, second]);
+
+    const temp = `${path.basename(manifestPath)}.tmp`;
+    expect(steps).toEqual([
+      ['write', temp, ['a', 'b']],
+      ['move', temp, path.basename(manifestPath)],
+      ['write', temp, ['a', 'b']],
+      ['move', temp, path.basename(manifestPath)]
+    ]);
+    expect(Object.keys((await fs.readJson(manifestPath)).files)).toEqual(['a', 'b']);
+    expect(await fs.pathExists(path.join(tmpDir, temp))).toBe(false);
+  });
+
+  test('keeps the previous manifest when a save fails, and saves again afterwards', async () => {
+    const manifest = await new StateManifest(manifestPath).load();
+    manifest.record('a', { last_modified: '1' });
+    await manifest.save();
+
+    jest.spyOn(fs, 'move').mockRejectedValueOnce(new Error('disk full'));
+    manifest.record('b', { last_modified: '1' });
+    await expect(manifest.save()).rejects.toThrow('儲存備份狀態清單失敗: disk full');
+    expect(Object.keys((await fs.readJson(manifestPath)).files)).toEqual(['a']);
+
+    await manifest.save();
+    expect(Object.keys((await new StateManifest(manifestPath).load()).state.files)).toEqual(['a', 'b']);
+  });
+});
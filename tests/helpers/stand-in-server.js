@@ -0,0 +1,44 @@
+const http = require('http');
+
+/**
+ * 啟動本機 HTTP 測試伺服器 (取代雲端服務)，請求內容會先完整讀取
+ * Start a local HTTP stand-in server (replacing a cloud service), reading each request body first
+ *
+ * handler(req, res, body) 與 http.createServer 相同，多了完整的 body。
+ * handler(req, res, body) is the same as for http.createServer, plus the full body.
+ */
+async function startStandIn(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      Promise.resolve(handler(req, res, Buffer.concat(chunks))).catch(error => {
+        res.writeHead(500);
+        res.end(error.message);
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // 用戶端的 keep-alive 連線會讓 close 一直等待
+      server.closeAllConnections();
+    })
+  };
+}
+
+/**
+ * 回傳 JSON
+ * Send a JSON response
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = { startStandIn, sendJson };
@@ -0,0 +1,201 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const DropboxSync = require('../../src/integrations/dropbox-sync');
+const { startStandIn, sendJson } = require('../helpers/stand-in-server');
+
+/**
+ * 依 Dropbox 文件計算 content_hash (每 4 MB 區塊的 SHA-256 串接後再做 SHA-256)
+ * Compute a content_hash as documented by Dropbox (SHA-256 of the concatenated SHA-256 of each 4 MB block)
+ */
+function contentHash(buffer) {
+  const blocks = [];
+
+  for (let offset = 0; offset < buffer.length; offset += 4 * 1024 * 1024) {
+    blocks.push(crypto.createHash('sha256').update(buffer.subarray(offset, offset + 4 * 1024 * 1024)).digest());
+  }
+
+  return crypto.createHash('sha256').update(Buffer.concat(blocks)).digest('hex');
+}
+
+/**
+ * Dropbox API 的本機替代伺服器 (只實作同步用到的端點)
+ * Local stand-in for the Dropbox API (only the endpoints used by sync)
+ */
+function createDropboxStandIn() {
+  const files = new Map();
+  const sessions = new Map();
+  const calls = [];
+
+  const handler = (req, res, body) => {
+    const endpoint = req.url.replace(/^\/2\//, '');
+    const arg = req.headers['dropbox-api-arg'] ? JSON.parse(req.headers['dropbox-api-arg']) : JSON.parse(body.toString() || 'null');
+    calls.push(endpoint);
+
+    const store = (remotePath, contents) => {
+      files.set(remotePath.toLowerCase(), { path: remotePath, contents });
+      return { name: path.posix.basename(remotePath), path_display: remotePath, size: contents.length };
+    };
+
+    switch (endpoint) {
+      case 'users/get_current_account':
+        return sendJson(res, 200, { name: { display_name: 'Stand-in' }, email: 'stand-in@example.com' });
+
+      case 'files/list_folder':
+      case 'files/list_folder/continue': {
+        const folder = endpoint === 'files/list_folder' ? arg.path.toLowerCase() : arg.cursor;
+        const entries = [...files.values()]
+          .filter(file => file.path.toLowerCase().startsWith(`${folder}/`))
+          .map(file => ({
+            '.tag': 'file',
+            path_lower: file.path.toLowerCase(),
+            path_display: file.path,
+            content_hash: contentHash(file.contents)
+          }));
+
+        if (entries.length === 0 && endpoint === 'files/list_folder') {
+          return sendJson(res, 409, { error_summary: 'path/not_found/..', error: { '.tag': 'path', path: { '.tag': 'not_found' } } });
+        }
+
+        // 第一頁只回傳一個項目，讓同步走過分頁
+        const first = endpoint === 'files/list_folder';
+        return sendJson(res, 200, {
+          entries: first ? entries.slice(0, 1) : entries.slice(1),
+          cursor: folder,
+          has_more: first && entries.length > 1
+        });
+      }
+
+      case 'files/upload':
+        return sendJson(res, 200, store(arg.path, body));
+
+      case 'files/upload_session/start': {
+        const sessionId = crypto.randomUUID();
+        sessions.set(sessionId, [body]);
+        return sendJson(res, 200, { session_id: sessionId });
+      }
+
+      case 'files/upload_session/append_v2':
+      case 'files/upload_session/finish': {
+        const chunks = sessions.get(arg.cursor.session_id);
+        const offset = Buffer.concat(chunks).length;
+
+        if (arg.cursor.offset !== offset) {
+          return sendJson(res, 409, { error_summary: 'incorrect_offset/..', error: { '.tag': 'incorrect_offset', correct_offset: offset } });
+        }
+
+        chunks.push(body);
+
+        if (endpoint === 'files/upload_session/finish') {
+          sessions.delete(arg.cursor.session_id);
+          return sendJson(res, 200, store(arg.commit.path, Buffer.concat(chunks)));
+        }
+
+        return sendJson(res, 200, null);
+      }
+
+      default:
+        return sendJson(res, 400, { error_summary: `unknown endpoint ${endpoint}` });
+    }
+  };
+
+  return { files, calls, handler };
+}
+
+describe('DropboxSync', () => {
+  let standIn;
+  let dropbox;
+  let outputDir;
+
+  const createSync = (options = {}) => new DropboxSync({
+    token: 'test-token',
+    appFolder: '/figma-backups',
+    outputDir,
+    apiBaseUrl: standIn.url,
+    ...options
+  });
+
+  beforeEach(async () => {
+    dropbox = createDropboxStandIn();
+    standIn = await startStandIn(dropbox.handler);
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dropbox-sync-'));
+
+    const runDir = path.join(outputDir, '2026-10-19_10-00-00', 'Web (1)');
+    await fs.outputFile(path.join(runDir, 'Home (abc).fig'), 'small file');
+    await fs.outputFile(path.join(runDir, 'Board (def).fig'), crypto.randomBytes(25));
+    await fs.outputFile(path.join(outputDir, '2026-10-19_10-00-00', '.figma-snapshot.json'), '{}');
+  });
+
+  afterEach(async () => {
+    await standIn.close();
+    await fs.remove(outputDir);
+  });
+
+  test('validates the connection', async () => {
+    await expect(createSync().validateConnection()).resolves.toEqual({
+      valid: true,
+      user: 'Stand-in',
+      email: 'stand-in@example.com'
+    });
+    await expect(createSync({ token: '' }).validateConnection()).resolves.toMatchObject({ valid: false });
+  });
+
+  test('uploads large files in upload-session chunks', async () => {
+    const sync = createSync({ chunkSize: 10 });
+    const runDir = path.join(outputDir, '2026-10-19_10-00-00');
+
+    const result = await sync.syncBackupResults([{ success: true, output_path: runDir }]);
+
+    expect(result).toMatchObject({
+      success: true,
+      remoteFolder: '/figma-backups/2026-10-19_10-00-00',
+      files_uploaded: 2,
+      files_skipped: 0,
+      bytes_uploaded: 35
+    });
+
+    // 25 bytes = start (10) + append (10) + finish (5)；10 bytes 的檔案單次上傳
+    expect(dropbox.calls.filter(call => call.startsWith('files/upload')).sort()).toEqual([
+      'files/upload',
+      'files/upload_session/append_v2',
+      'files/upload_session/finish',
+      'files/upload_session/start'
+    ]);
+
+    const board = await fs.readFile(path.join(runDir, 'Web (1)', 'Board (def).fig'));
+    expect(dropbox.files.get('/figma-backups/2026-10-19_10-00-00/web (1)/board (def).fig').contents).toEqual(board);
+    expect([...dropbox.files.keys()].some(key => key.includes('.figma-snapshot'))).toBe(false);
+  });
+
+  test('skips files whose content_hash matches and uploads changed ones', async () => {
+    const runDir = path.join(outputDir, '2026-10-19_10-00-00');
+    await createSync({ chunkSize: 10 }).syncBackupResults([{ success: true, output_path: runDir }]);
+
+    await fs.writeFile(path.join(runDir, 'Web (1)', 'Home (abc).fig'), 'changed file');
+    dropbox.calls.length = 0;
+
+    const result = await createSync({ chunkSize: 10 }).syncBackupResults([{ success: true, output_path: runDir }]);
+
+    expect(result).toMatchObject({ success: true, files_uploaded: 1, files_skipped: 1 });
+    expect(dropbox.calls).toContain('files/list_folder/continue');
+    expect(dropbox.calls.filter(call => call.startsWith('files/upload'))).toEqual(['files/upload_session/start', 'files/upload_session/finish']);
+    expect(dropbox.files.get('/figma-backups/2026-10-19_10-00-00/web (1)/home (abc).fig').contents.toString()).toBe('changed file');
+  });
+
+  test('reports failed uploads without stopping the sync', async () => {
+    const runDir = path.join(outputDir, '2026-10-19_10-00-00');
+    await standIn.close();
+    standIn = await startStandIn((req, res, body) => (req.url === '/2/files/upload'
+      ? sendJson(res, 507, { error_summary: 'insufficient_space/..' })
+      : dropbox.handler(req, res, body)));
+
+    const result = await createSync({ chunkSize: 10 }).syncBackupResults([{ success: true, output_path: runDir }]);
+
+    expect(result.success).toBe(false);
+    expect(result.files_uploaded).toBe(1);
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].path).toMatch(/Home \(abc\)\.fig$/);
+  });
+});
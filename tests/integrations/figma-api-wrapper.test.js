@@ -0,0 +1,106 @@
+const FigmaApiWrapper = require('../../src/integrations/figma-api-wrapper');
+const { startStandIn, sendJson } = require('../helpers/stand-in-server');
+
+describe('FigmaApiWrapper', () => {
+  let standIn;
+  let requests;
+  let limited;
+
+  const projectFiles = {
+    name: 'Web',
+    files: [
+      { key: 'K1', name: 'Home', last_modified: '2026-10-01T00:00:00Z' },
+      { key: 'K2', name: 'Retro board', last_modified: '2026-10-01T00:00:00Z' }
+    ]
+  };
+  const editorTypes = { K1: 'figma', K2: 'figjam' };
+
+  beforeEach(async () => {
+    requests = [];
+    limited = 0;
+    standIn = await startStandIn((req, res) => {
+      const url = new URL(req.url, 'http://stand-in');
+      requests.push(url.pathname);
+
+      if (url.pathname === '/v1/teams/T1/projects') return sendJson(res, 200, { name: 'Acme', projects: [{ id: 'P1', name: 'Web' }] });
+      if (url.pathname === '/v1/projects/P1/files') return sendJson(res, 200, projectFiles);
+
+      // 前 limited 個請求回傳 429
+      if (limited > 0) {
+        limited--;
+        res.writeHead(429, { 'content-type': 'application/json', 'retry-after': '1' });
+        return res.end(JSON.stringify({ status: 429, err: 'Rate limit exceeded' }));
+      }
+
+      const meta = /^\/v1\/files\/(\w+)\/meta$/.exec(url.pathname);
+      if (meta) return sendJson(res, 200, { file: { name: meta[1], editorType: editorTypes[meta[1]] } });
+
+      return sendJson(res, 404, { status: 404, err: 'Not found' });
+    });
+  });
+
+  afterEach(async () => {
+    await standIn.close();
+  });
+
+  const createWrapper = () => new FigmaApiWrapper({ token: 'test-token', apiBaseUrl: `${standIn.url}/v1` });
+
+  test('resolves a team with its name', async () => {
+    const [project] = await createWrapper().resolveTeam('T1');
+    expect(project).toMatchObject({ id: 'P1', name: 'Web', team_id: 'T1', team_name: 'Acme' });
+  });
+
+  test('filters by key, project, team name and editor type', () => {
+    const figma = createWrapper();
+    const projects = [{
+      id: 'P1',
+      name: 'Web',
+      team_name: 'Acme',
+      files: projectFiles.files.map(file => ({ ...file, editor_type: editorTypes[file.key] }))
+    }];
+
+    expect(figma.filterProjects(projects, ['K1'])[0].files.map(f => f.key)).toEqual(['K1']);
+    expect(figma.filterProjects(projects, ['figjam'])[0].files.map(f => f.key)).toEqual(['K2']);
+    expect(figma.filterProjects(projects, ['acme'])[0].files).toHaveLength(2);
+    expect(figma.filterProjects(projects, ['nothing'])).toEqual([]);
+  });
+
+  test('looks up editor types only when a filter is an editor type', async () => {
+    const figma = createWrapper();
+    const projects = await figma.resolveTeam('T1');
+
+    await expect(figma.resolveEditorTypes(projects, ['Home'])).resolves.toBe(projects);
+    expect(requests.some(p => p.endsWith('/meta'))).toBe(false);
+
+    const resolved = await figma.resolveEditorTypes(projects, ['figjam']);
+    expect(figma.filterProjects(resolved, ['figjam'])[0].files.map(f => f.key)).toEqual(['K2']);
+    expect(requests.filter(p => p.endsWith('/meta')).sort()).toEqual(['/v1/files/K1/meta', '/v1/files/K2/meta']);
+  });
+
+  test('retries a 429 after its Retry-After', async () => {
+    const figma = createWrapper();
+    const warn = jest.fn();
+    figma.logger = { warn, apiCall: jest.fn() };
+    limited = 1;
+
+    const start = Date.now();
+    const metas = await Promise.all([figma.getFileMeta('K1'), figma.getFileMeta('K2')]);
+
+    expect(metas.map(meta => meta.editorType)).toEqual(['figma', 'figjam']);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(1000);
+    expect(requests.filter(p => p.endsWith('/meta'))).toHaveLength(3);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/1 秒後重試/);
+  });
+
+  test('gives up after repeated 429 responses', async () => {
+    const figma = createWrapper();
+    // 不真的等待 Retry-After
+    figma.rateLimiter.pause = jest.fn();
+    limited = Infinity;
+
+    await expect(figma.getFileMeta('K1')).rejects.toMatchObject({ status: 429 });
+    expect(requests).toHaveLength(6);
+    expect(figma.rateLimiter.pause).toHaveBeenCalledWith(1000);
+  });
+});
@@ -0,0 +1,83 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const GitSnapshot = require('../../src/integrations/git-snapshot');
+
+describe('GitSnapshot', () => {
+  let tmpDir;
+  let outputDir;
+  let git;
+
+  const message = changes => `backup +${changes.added.length} ~${changes.changed.length} -${changes.removed.length}\n`;
+
+  const writeRun = async (name, files) => {
+    const runPath = path.join(outputDir, name);
+    for (const [relativePath, contents] of Object.entries(files)) {
+      await fs.outputFile(path.join(runPath, relativePath), contents);
+    }
+    return runPath;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-snapshot-'));
+    outputDir = path.join(tmpDir, 'backups');
+    git = new GitSnapshot({ repoPath: path.join(tmpDir, 'history'), outputDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('commits runs and records files missing from a later run as removed', async () => {
+    await git.commitRun(await writeRun('2026-10-19_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v1',
+      'Web (1)/Spec (b).fig': 'spec v1'
+    }), { message });
+
+    const result = await git.commitRun(await writeRun('2026-10-20_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v2'
+    }), { message });
+
+    expect(result).toMatchObject({ committed: true, changed: ['Web (1)/Home (a).fig'], removed: ['Web (1)/Spec (b).fig'] });
+    expect(await fs.readFile(path.join(git.repoPath, 'Web (1)', 'Home (a).fig'), 'utf8')).toMatch(/^version https:\/\/git-lfs/);
+  });
+
+  test('keeps the last committed version of files that failed to download or validate', async () => {
+    await git.commitRun(await writeRun('2026-10-19_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v1',
+      'Web (1)/Spec (b).fig': 'spec v1',
+      'Web (1)/Board (c).fig': 'board v1',
+      'Web (1)/Board (c).json': '{"v":1}'
+    }), { message });
+    const pointer = await fs.readFile(path.join(git.repoPath, 'Web (1)', 'Board (c).fig'), 'utf8');
+
+    // b 下載失敗 (沒有檔案)；c 驗證失敗 (檔案損毀)
+    const result = await git.commitRun(await writeRun('2026-10-20_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v2',
+      'Web (1)/Board (c).fig': 'corrupt',
+      'Web (1)/Board (c).json': '{"v":2}'
+    }), { failed: ['b', 'c'], message });
+
+    expect(result).toMatchObject({ committed: true, added: [], changed: ['Web (1)/Home (a).fig'], removed: [] });
+    expect(await fs.pathExists(path.join(git.repoPath, 'Web (1)', 'Spec (b).fig'))).toBe(true);
+    expect(await fs.readFile(path.join(git.repoPath, 'Web (1)', 'Board (c).fig'), 'utf8')).toBe(pointer);
+    expect(await fs.readFile(path.join(git.repoPath, 'Web (1)', 'Board (c).json'), 'utf8')).toBe('{"v":1}');
+  });
+
+  test('keeps files skipped by an incremental run', async () => {
+    await git.commitRun(await writeRun('2026-10-19_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v1',
+      'Web (1)/Spec (b).fig': 'spec v1'
+    }), { message });
+
+    const result = await git.commitRun(await writeRun('2026-10-20_10-00-00', {
+      'Web (1)/Home (a).fig': 'home v2'
+    }), {
+      skipped: [{ key: 'b', path: path.join(outputDir, '2026-10-19_10-00-00', 'Web (1)', 'Spec (b).fig') }],
+      message
+    });
+
+    expect(result.removed).toEqual([]);
+  });
+});
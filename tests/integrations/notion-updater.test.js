@@ -0,0 +1,123 @@
+const NotionUpdater = require('../../src/integrations/notion-updater');
+const { startStandIn, sendJson } = require('../helpers/stand-in-server');
+
+const FILES_DB = 'files-db';
+const RUNS_DB = 'runs-db';
+
+/**
+ * Notion API 的本機替代伺服器 (資料庫欄位、查詢與頁面的建立/更新)
+ * Local stand-in for the Notion API (database columns, queries and page create/update)
+ */
+function createNotionStandIn() {
+  const databases = {
+    [FILES_DB]: { parent: { type: 'page_id', page_id: 'parent' }, properties: { Name: { type: 'title' } } },
+    [RUNS_DB]: { parent: { type: 'page_id', page_id: 'parent' }, properties: { Name: { type: 'title' } } }
+  };
+  const pages = new Map();
+  let nextId = 1;
+
+  const handler = (req, res, body) => {
+    const [, , resource, id, action] = req.url.split('?')[0].split('/');
+    const data = body.length > 0 ? JSON.parse(body.toString()) : {};
+
+    if (resource === 'databases' && req.method === 'GET') {
+      return sendJson(res, 200, { id, ...databases[id] });
+    }
+
+    if (resource === 'databases' && req.method === 'PATCH') {
+      for (const [name, config] of Object.entries(data.properties)) {
+        databases[id].properties[name] = { type: Object.keys(config)[0] };
+      }
+      return sendJson(res, 200, { id, ...databases[id] });
+    }
+
+    if (resource === 'databases' && action === 'query') {
+      // 與 Notion 相同，讀取時 rich_text 會帶 plain_text
+      const results = [...pages.values()]
+        .filter(page => page.database === id)
+        .map(page => ({
+          ...page,
+          properties: Object.fromEntries(Object.entries(page.properties).map(([name, value]) => [name, value.rich_text
+            ? { rich_text: value.rich_text.map(t => ({ ...t, plain_text: t.text.content })) }
+            : value]))
+        }));
+      return sendJson(res, 200, { results, has_more: false, next_cursor: null });
+    }
+
+    if (resource === 'pages') {
+      if (req.method === 'POST') {
+        const page = { id: `page-${nextId++}`, database: data.parent.database_id, properties: data.properties };
+        pages.set(page.id, page);
+        return sendJson(res, 200, page);
+      }
+
+      const page = pages.get(id);
+      Object.assign(page.properties, data.properties);
+      return sendJson(res, 200, page);
+    }
+
+    return sendJson(res, 404, { object: 'error', status: 404, code: 'object_not_found', message: req.url });
+  };
+
+  return { handler, pages };
+}
+
+describe('NotionUpdater', () => {
+  let notion;
+  let standIn;
+  let logger;
+  let updater;
+
+  const filesRows = () => [...notion.pages.values()].filter(page => page.database === FILES_DB);
+  const runRows = () => [...notion.pages.values()].filter(page => page.database === RUNS_DB);
+  const lastRun = row => row.properties['Last run'] && row.properties['Last run'].relation.map(r => r.id);
+  const rowFor = key => filesRows().find(row => row.properties['File key'].rich_text[0].text.content === key);
+  const file = key => ({ key, name: `File ${key}`, success: true, size: 1024 });
+
+  beforeEach(async () => {
+    notion = createNotionStandIn();
+    standIn = await startStandIn(notion.handler);
+    logger = { info: jest.fn(), warn: jest.fn() };
+    updater = new NotionUpdater({ token: 'secret', databaseId: FILES_DB, runsDatabaseId: RUNS_DB, apiBaseUrl: standIn.url }, logger);
+    // 測試不受 Notion 的速率限制
+    updater.rateLimiter = { acquire: async () => {} };
+  });
+
+  afterEach(async () => {
+    await standIn.close();
+  });
+
+  test('links the run page and Last run only for the files the run processed', async () => {
+    const first = await updater.syncBackupResults({ execution_id: 'run-1', files: [file('a'), file('b')] });
+    const second = await updater.syncBackupResults({ execution_id: 'run-2', files: [file('a')], skipped: [file('b')] });
+
+    expect(first.success).toBe(true);
+    expect(second.success).toBe(true);
+    expect(filesRows()).toHaveLength(2);
+
+    const runs = runRows();
+    expect(runs.map(run => run.properties.Files.relation.map(r => r.id))).toEqual([
+      [rowFor('a').id, rowFor('b').id],
+      [rowFor('a').id]
+    ]);
+
+    // 略過的檔案仍指向關聯到它的上一次備份
+    expect(lastRun(rowFor('a'))).toEqual([second.runPageId]);
+    expect(lastRun(rowFor('b'))).toEqual([first.runPageId]);
+    expect(rowFor('b').properties.Status.select.name).toBe('Unchanged');
+  });
+
+  test('links only the first 100 files of a large run and logs the rest', async () => {
+    const files = Array.from({ length: 105 }, (_, i) => file(`k${i}`));
+
+    const result = await updater.syncBackupResults({ execution_id: 'run-1', files });
+
+    expect(result.success).toBe(true);
+    expect(result.unlinked).toBe(5);
+    expect(filesRows()).toHaveLength(105);
+    expect(runRows()[0].properties.Files.relation).toHaveLength(100);
+    expect(filesRows().filter(row => lastRun(row))).toHaveLength(100);
+    expect(lastRun(rowFor('k104'))).toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('105'), { unlinked: 5 });
+  });
+});
@@ -0,0 +1,102 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const ObsidianSync = require('../../src/integrations/obsidian-sync');
+
+describe('ObsidianSync', () => {
+  let tmpDir;
+  let vaultPath;
+  let thumbnailPath;
+
+  const file = (key, overrides = {}) => ({
+    key,
+    name: `File ${key}`,
+    project_id: '1',
+    project_name: 'Web',
+    team_id: '7',
+    team_name: 'Acme',
+    editor_type: 'figma',
+    last_modified: '2026-10-01T00:00:00Z',
+    thumbnail_path: thumbnailPath,
+    success: true,
+    path: `/backups/Web (1)/File ${key} (${key}).fig`,
+    size: 2 * 1024 * 1024,
+    ...overrides
+  });
+
+  const notePath = (...segments) => path.join(vaultPath, 'Figma', ...segments);
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'obsidian-sync-'));
+    vaultPath = path.join(tmpDir, 'vault');
+    thumbnailPath = path.join(tmpDir, '_thumbnails', 'thumb.png');
+
+    await fs.ensureDir(path.join(vaultPath, '.obsidian'));
+    await fs.outputFile(thumbnailPath, 'PNG');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('writes file notes, project indexes and the run log in a full sync', async () => {
+    const sync = new ObsidianSync({ vaultPath });
+
+    const result = await sync.syncBackupResults({
+      execution_id: 'aaaaaaaa-1111',
+      started_at: '2026-10-19T10:00:00Z',
+      files: [
+        file('a'),
+        file('b', { editor_type: 'figjam', success: false, path: null, size: 0, error: 'timeout' })
+      ],
+      skipped: [],
+      failed_targets: 0
+    });
+
+    expect(result).toMatchObject({ success: true, created: 2, updated: 0, projects: 1 });
+
+    const note = await fs.readFile(notePath('Files', 'Web', 'File a.md'), 'utf8');
+    expect(note).toContain('editor_type: "figma"');
+    expect(note).toContain('team: "Acme"');
+    expect(note).toContain('![[Figma/Attachments/a.png]]');
+    expect(await fs.readFile(notePath('Attachments', 'a.png'), 'utf8')).toBe('PNG');
+
+    const index = await fs.readFile(notePath('Projects', 'Web.md'), 'utf8');
+    expect(index).toContain('- Team: Acme');
+    expect(index).toContain('[[Figma/Files/Web/File a\\|File a]]');
+    expect(index).toContain('[[Figma/Files/Web/File b\\|File b]]');
+
+    const log = await fs.readFile(notePath('Backup log.md'), 'utf8');
+    expect(log).toContain('last_status: "Partial"');
+    expect(log).toContain('| aaaaaaaa |');
+  });
+
+  test('keeps user content and properties when notes are updated', async () => {
+    const sync = new ObsidianSync({ vaultPath });
+    const run = { execution_id: 'aaaaaaaa-1111', started_at: '2026-10-19T10:00:00Z', files: [file('a')], skipped: [] };
+    await sync.syncBackupResults(run);
+
+    const filePath = notePath('Files', 'Web', 'File a.md');
+    const written = await fs.readFile(filePath, 'utf8');
+    await fs.writeFile(filePath, `${written.replace('---\n#', 'reviewed: true\n---\n#')}Design decisions live here.\n`);
+
+    const result = await sync.syncBackupResults({
+      execution_id: 'bbbbbbbb-2222',
+      started_at: '2026-10-20T10:00:00Z',
+      files: [],
+      skipped: [file('a', { path: undefined })],
+      failed_targets: 0
+    });
+
+    expect(result.success).toBe(true);
+
+    const note = await fs.readFile(filePath, 'utf8');
+    expect(note).toContain('reviewed: true');
+    expect(note).toContain('Design decisions live here.');
+    expect(note).toContain('editor_type: "figma"');
+
+    const log = await fs.readFile(notePath('Backup log.md'), 'utf8');
+    expect(log.indexOf('| bbbbbbbb |')).toBeLessThan(log.indexOf('| aaaaaaaa |'));
+  });
+});
@@ -0,0 +1,98 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const PlaywrightDownloader = require('../../src/integrations/playwright-downloader');
+const RetryPolicy = require('../../src/utils/retry-policy');
+
+describe('PlaywrightDownloader', () => {
+  let tmpDir;
+  let runs;
+  let metaCalls;
+
+  const projects = [{
+    id: 'P1',
+    name: 'Web',
+    files: [
+      { key: 'ok', name: 'Home' },
+      { key: 'gone', name: 'Deleted' },
+      { key: 'denied', name: 'Private' },
+      { key: 'flaky', name: 'Flaky' }
+    ]
+  }];
+
+  const statuses = { gone: 404, denied: 403 };
+
+  const createDownloader = () => {
+    const downloader = new PlaywrightDownloader({
+      retryPolicy: new RetryPolicy({ attempts: 2, baseDelay: 1, maxDelay: 1 }),
+      getFileMeta: async key => {
+        metaCalls.push(key);
+        if (!statuses[key]) return { name: key };
+        const error = new Error(`Figma API 請求失敗 (/files/${key}/meta): Not found`);
+        error.status = statuses[key];
+        throw error;
+      }
+    });
+
+    // 以寫入檔案取代瀏覽器：flaky 第二次才成功，gone 與 denied 永遠失敗
+    downloader.runPlaywright = async env => {
+      const requested = (await fs.readJson(env.FILES_JSON))[0].files.map(f => f.key);
+      runs.push(requested);
+
+      for (const key of requested) {
+        if (key === 'ok' || (key === 'flaky' && runs.length > 1)) {
+          const target = path.join(env.DOWNLOAD_PATH, 'Web (P1)', `${key} (${key}).fig`);
+          await fs.outputFile(target, key);
+          // 檔案系統時鐘的精度較粗，修改時間明確設在本次執行之後
+          const mtime = new Date(Date.now() + 1000);
+          await fs.utimes(target, mtime, mtime);
+        }
+      }
+      return requested.includes('ok') ? 1 : 0;
+    };
+
+    return downloader;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'playwright-downloader-'));
+    runs = [];
+    metaCalls = [];
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('marks files the API reports as missing or forbidden as permanent and does not retry them', async () => {
+    const files = await createDownloader().download(projects, tmpDir);
+    const byKey = Object.fromEntries(files.map(f => [f.key, f]));
+
+    expect(runs).toEqual([['ok', 'gone', 'denied', 'flaky'], ['flaky']]);
+    expect(byKey.ok.success).toBe(true);
+    expect(byKey.flaky).toMatchObject({ success: true, attempts: 2 });
+    expect(byKey.gone).toMatchObject({ success: false, permanent: true });
+    expect(byKey.denied).toMatchObject({ success: false, permanent: true });
+    expect(byKey.gone.error).toContain('Not found');
+  });
+
+  test('keeps retrying files the API can still read', async () => {
+    statuses.flaky = 500;
+    try {
+      const downloader = createDownloader();
+      downloader.runPlaywright = async env => {
+        runs.push((await fs.readJson(env.FILES_JSON))[0].files.map(f => f.key));
+        return 1;
+      };
+
+      const files = await downloader.download([{ ...projects[0], files: [{ key: 'flaky', name: 'Flaky' }] }], tmpDir);
+
+      expect(runs).toHaveLength(3);
+      expect(files[0]).toMatchObject({ success: false, error: '找不到下載的檔案', attempts: 3 });
+      expect(files[0].permanent).toBeUndefined();
+    } finally {
+      delete statuses.flaky;
+    }
+  });
+});
@@ -0,0 +1,175 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const TokenExporter = require('../../src/integrations/token-exporter');
+
+const VARIABLES = {
+  variableCollections: {
+    'VC:1': {
+      name: 'Theme',
+      defaultModeId: 'light',
+      modes: [{ modeId: 'light', name: 'Light' }, { modeId: 'dark', name: 'Dark' }]
+    }
+  },
+  variables: {
+    'V:1': {
+      id: 'V:1',
+      name: 'color/primary',
+      variableCollectionId: 'VC:1',
+      resolvedType: 'COLOR',
+      description: 'Brand color',
+      valuesByMode: { light: { r: 1, g: 0, b: 0, a: 1 }, dark: { r: 0, g: 0, b: 1, a: 1 } }
+    },
+    'V:2': {
+      id: 'V:2',
+      name: 'color/link',
+      variableCollectionId: 'VC:1',
+      resolvedType: 'COLOR',
+      valuesByMode: { light: { type: 'VARIABLE_ALIAS', id: 'V:1' } }
+    },
+    'V:3': { id: 'V:3', name: 'spacing/sm', variableCollectionId: 'VC:1', resolvedType: 'FLOAT', valuesByMode: { light: 8 } },
+    'V:4': {
+      id: 'V:4',
+      name: 'opacity/muted',
+      variableCollectionId: 'VC:1',
+      resolvedType: 'FLOAT',
+      scopes: ['OPACITY'],
+      valuesByMode: { light: 0.5 }
+    }
+  }
+};
+
+const STYLES = [
+  { node_id: '1:1', style_type: 'FILL', name: 'Brand/Accent' },
+  { node_id: '1:2', style_type: 'TEXT', name: 'Heading/H1' }
+];
+
+const NODES = {
+  '1:1': { document: { fills: [{ type: 'SOLID', color: { r: 0, g: 0.5, b: 1, a: 1 }, opacity: 0.5 }] } },
+  '1:2': { document: { style: { fontFamily: 'Inter', fontWeight: 700, fontSize: 32, lineHeightPx: 40, letterSpacing: 0 } } }
+};
+
+/**
+ * Figma API 的替代物件，variablesError 時本地變數請求以該狀態碼失敗
+ * Stand-in for the Figma API; with variablesError, the local variables request fails with that status
+ */
+function createFigmaApi({ variablesError = null } = {}) {
+  return {
+    request: jest.fn(async (endpoint, params) => {
+      if (endpoint.endsWith('/variables/local')) {
+        if (variablesError) {
+          throw Object.assign(new Error(`Figma API 請求失敗 (${endpoint}): ${variablesError}`), { status: variablesError });
+        }
+        return { meta: VARIABLES };
+      }
+      if (endpoint.endsWith('/styles')) return { meta: { styles: STYLES } };
+      if (endpoint.endsWith('/nodes')) return { nodes: Object.fromEntries(params.ids.split(',').map(id => [id, NODES[id]])) };
+      if (endpoint.endsWith('/components')) {
+        return { meta: { components: [{ key: 'c1', name: 'Button', node_id: '2:1', containing_frame: { name: 'Controls' } }] } };
+      }
+      throw new Error(`unexpected request ${endpoint}`);
+    })
+  };
+}
+
+describe('TokenExporter', () => {
+  let tmpDir;
+  const file = { key: 'abc', name: 'Design System' };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'token-exporter-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('writes variables and styles as DTCG JSON, CSS and JS', async () => {
+    const exporter = new TokenExporter(createFigmaApi());
+
+    const { paths, counts } = await exporter.exportFile(file, tmpDir);
+
+    expect(paths.dtcg).toBe(path.join(tmpDir, 'tokens', 'Design System (abc)', 'tokens.json'));
+    expect(counts).toEqual({ variables: 4, collections: 1, styles: 2, components: 1 });
+
+    const dtcg = await fs.readJson(paths.dtcg);
+    expect(dtcg.$extensions['com.figma']).toMatchObject({
+      file_key: 'abc',
+      components: [{ key: 'c1', name: 'Button', description: '', node_id: '2:1', containing_frame: 'Controls' }]
+    });
+    expect(dtcg.Theme).toEqual({
+      color: {
+        primary: {
+          $type: 'color',
+          $value: '#ff0000',
+          $description: 'Brand color',
+          $extensions: { 'com.figma': { modes: { Light: '#ff0000', Dark: '#0000ff' } } }
+        },
+        link: { $type: 'color', $value: '{Theme.color.primary}' }
+      },
+      spacing: { sm: { $type: 'dimension', $value: '8px' } },
+      opacity: { muted: { $type: 'number', $value: 0.5 } }
+    });
+    expect(dtcg.color.Brand.Accent).toEqual({ $type: 'color', $value: '#0080ff80' });
+    expect(dtcg.typography.Heading.H1).toEqual({
+      $type: 'typography',
+      $value: { fontFamily: 'Inter', fontWeight: 700, fontSize: '32px', lineHeight: 1.25, letterSpacing: '0px' }
+    });
+
+    expect(await fs.readFile(paths.css, 'utf8')).toBe([
+      '/* Design System (abc) - generated by figma-backup */',
+      '',
+      ':root {',
+      '  --theme-color-primary: #ff0000;',
+      '  --theme-color-link: var(--theme-color-primary);',
+      '  --theme-spacing-sm: 8px;',
+      '  --theme-opacity-muted: 0.5;',
+      '  --color-brand-accent: #0080ff80;',
+      '  --typography-heading-h1-font-family: "Inter";',
+      '  --typography-heading-h1-font-weight: 700;',
+      '  --typography-heading-h1-font-size: 32px;',
+      '  --typography-heading-h1-line-height: 1.25;',
+      '  --typography-heading-h1-letter-spacing: 0px;',
+      '}',
+      '',
+      '[data-theme="dark"] {',
+      '  --theme-color-primary: #0000ff;',
+      '}',
+      ''
+    ].join('\n'));
+
+    // 別名在 JS 中解析為最終值
+    expect(require(paths.js)).toEqual({
+      'theme-color-primary': '#ff0000',
+      'theme-color-link': '#ff0000',
+      'theme-spacing-sm': '8px',
+      'theme-opacity-muted': 0.5,
+      'color-brand-accent': '#0080ff80',
+      'typography-heading-h1-font-family': 'Inter',
+      'typography-heading-h1-font-weight': 700,
+      'typography-heading-h1-font-size': '32px',
+      'typography-heading-h1-line-height': 1.25,
+      'typography-heading-h1-letter-spacing': '0px'
+    });
+  });
+
+  test.each([403, 404])('exports styles without variables when the variables API returns %i', async status => {
+    const logger = { warn: jest.fn(), fileOperation: jest.fn() };
+    const exporter = new TokenExporter(createFigmaApi({ variablesError: status }), {}, logger);
+
+    const [result] = await exporter.exportAll([file], tmpDir);
+
+    expect(result).toMatchObject({ key: 'abc', success: true, counts: { variables: 0, collections: 0, styles: 2, components: 1 } });
+    expect(logger.warn).toHaveBeenCalledWith('無法讀取本地變數，略過: abc', { error: expect.stringContaining(String(status)) });
+    expect(Object.keys(await fs.readJson(result.paths.dtcg))).toEqual(['$extensions', 'color', 'typography']);
+  });
+
+  test('fails the file on other variables API errors', async () => {
+    const exporter = new TokenExporter(createFigmaApi({ variablesError: 500 }));
+
+    const [result] = await exporter.exportAll([file], tmpDir);
+
+    expect(result).toMatchObject({ key: 'abc', success: false, error: expect.stringContaining('500') });
+  });
+});
@@ -0,0 +1,56 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const VersionHistory = require('../../src/integrations/version-history');
+const StateManifest = require('../../src/core/state-manifest');
+
+describe('VersionHistory', () => {
+  let tmpDir;
+  let getFileCalls;
+
+  const figma = {
+    request: async () => ({
+      versions: [
+        { id: '2', label: 'Launch', created_at: '2026-10-19T10:00:00Z', user: { id: '1', handle: 'ana' } },
+        { id: '1', label: null, created_at: '2026-10-18T10:00:00Z', user: { id: '1', handle: 'ana' } }
+      ]
+    }),
+    getFile: async (key, params) => {
+      getFileCalls.push(`${key}@${params.version}`);
+      return { document: { id: '0:0' } };
+    }
+  };
+
+  const captureRun = async run => {
+    const filePath = path.join(tmpDir, run, 'Web (P1)', 'Home (a).fig');
+    await fs.outputFile(filePath, 'home');
+
+    // 加密時具名版本寫入每次執行自己的資料夾
+    const history = new VersionHistory(figma, { exportNamedVersions: true, archiveDir: path.join(tmpDir, run, '_versions') });
+    const manifest = await new StateManifest(path.join(tmpDir, '.figma-backup-state.json')).load();
+    const [capture] = await history.captureAll([{ key: 'a', name: 'Home', success: true, path: filePath }], manifest);
+    await manifest.save();
+    return capture;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'version-history-'));
+    getFileCalls = [];
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('exports each named version once, even when every run has a new archive folder', async () => {
+    const first = await captureRun('2026-10-19_10-00-00');
+    const second = await captureRun('2026-10-20_10-00-00');
+
+    expect(getFileCalls).toEqual(['a@2']);
+    expect(first).toMatchObject({ success: true, count: 2, named: 1, exported: [path.join(tmpDir, '2026-10-19_10-00-00', '_versions', 'Home (a)', '2 - Launch.json')] });
+    expect(second).toMatchObject({ success: true, count: 2, exported: [] });
+    expect(await fs.readJson(path.join(tmpDir, '2026-10-20_10-00-00', 'Web (P1)', 'Home (a).versions.json'))).toMatchObject({ file_key: 'a' });
+    expect((await fs.readJson(path.join(tmpDir, '.figma-backup-state.json'))).versions).toEqual({ a: ['2'] });
+  });
+});
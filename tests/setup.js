@@ -0,0 +1,5 @@
+/**
+ * 測試環境設定
+ * Test environment setup
+ */
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,41 @@
+const JobQueue = require('../../src/utils/job-queue');
+
+describe('JobQueue', () => {
+  test('never runs more jobs at once than its concurrency', async () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    const results = await queue.map([30, 10, 20, 5, 15], async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return index;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(queue.size).toBe(0);
+  });
+
+  test('keeps running the other jobs when one fails', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+
+    const first = queue.add(async () => { throw new Error('boom'); });
+    const second = queue.add(async () => 'ok');
+
+    await expect(first).rejects.toThrow('boom');
+    await expect(second).resolves.toBe('ok');
+  });
+
+  test('acquires a rate limiter token before each job', async () => {
+    const order = [];
+    const rateLimiter = { acquire: jest.fn(async () => { order.push('acquire'); }) };
+    const queue = new JobQueue({ concurrency: 1, rateLimiter });
+
+    await queue.map(['a', 'b'], async item => { order.push(item); });
+
+    expect(order).toEqual(['acquire', 'a', 'acquire', 'b']);
+  });
+});
@@ -0,0 +1,70 @@
+const RateLimiter = require('../../src/utils/rate-limiter');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * 取得 token 並回傳等待的模擬時間 (毫秒)
+   * Acquire a token and return the simulated time it waited (ms)
+   */
+  async function timedAcquire(limiter) {
+    const start = Date.now();
+    let done = false;
+    const pending = limiter.acquire().then(() => { done = true; });
+
+    await jest.advanceTimersByTimeAsync(0);
+    while (!done) {
+      await jest.advanceTimersToNextTimerAsync();
+    }
+    await pending;
+
+    return Date.now() - start;
+  }
+
+  test('allows a burst, then one request per perMinute interval', async () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+
+    expect(await timedAcquire(limiter)).toBe(0);
+    expect(await timedAcquire(limiter)).toBe(0);
+    expect(await timedAcquire(limiter)).toBe(1000);
+    expect(await timedAcquire(limiter)).toBe(1000);
+  });
+
+  test('refills tokens over idle time up to the burst', async () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+
+    await timedAcquire(limiter);
+    await timedAcquire(limiter);
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(await timedAcquire(limiter)).toBe(0);
+    expect(await timedAcquire(limiter)).toBe(0);
+    expect(await timedAcquire(limiter)).toBe(1000);
+  });
+
+  test('holds every request until a pause has passed', async () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 5 });
+    const start = Date.now();
+
+    await timedAcquire(limiter);
+    limiter.pause(5000);
+
+    const waits = await Promise.all([timedAcquire(limiter), timedAcquire(limiter)]);
+
+    expect(waits).toEqual([5000, 5000]);
+    expect(Date.now() - start).toBe(5000);
+  });
+
+  test('parses Retry-After seconds and HTTP dates', () => {
+    expect(RateLimiter.parseRetryAfter('3')).toBe(3000);
+    expect(RateLimiter.parseRetryAfter(new Date(Date.now() + 7000).toUTCString())).toBe(7000);
+    expect(RateLimiter.parseRetryAfter(undefined)).toBe(60000);
+    expect(RateLimiter.parseRetryAfter('soon', 1234)).toBe(1234);
+  });
+});
@@ -0,0 +1,36 @@
+const RetryPolicy = require('../../src/utils/retry-policy');
+const JobQueue = require('../../src/utils/job-queue');
+const RateLimiter = require('../../src/utils/rate-limiter');
+
+describe('RetryPolicy', () => {
+  test('keeps the defaults when options are passed as undefined', () => {
+    const policy = new RetryPolicy({ attempts: undefined, baseDelay: undefined, maxDelay: undefined });
+
+    expect(policy.options).toMatchObject({ attempts: 3, baseDelay: 2000, maxDelay: 60000 });
+  });
+
+  test('stops after the configured attempts and marks permanent errors', async () => {
+    const policy = new RetryPolicy({ attempts: 2, baseDelay: 1, maxDelay: 1 });
+    let calls = 0;
+
+    await expect(policy.run(async () => {
+      calls++;
+      throw new Error('timeout');
+    })).rejects.toMatchObject({ message: 'timeout', attempts: 3 });
+    expect(calls).toBe(3);
+
+    calls = 0;
+    await expect(policy.run(async () => {
+      calls++;
+      throw Object.assign(new Error('Not found'), { status: 404 });
+    })).rejects.toMatchObject({ permanent: true, attempts: 1 });
+    expect(calls).toBe(1);
+  });
+});
+
+describe('JobQueue and RateLimiter', () => {
+  test('keep their defaults when options are passed as undefined', () => {
+    expect(new JobQueue({ concurrency: undefined, rateLimiter: undefined }).options).toEqual({ concurrency: 1, rateLimiter: null });
+    expect(new RateLimiter({ perMinute: undefined, burst: undefined }).options).toEqual({ perMinute: 60, burst: 10 });
+  });
+});
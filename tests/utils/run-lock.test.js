@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const RunLock = require('../../src/utils/run-lock');
+
+describe('RunLock', () => {
+  let tmpDir;
+  let lockPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-lock-'));
+    lockPath = path.join(tmpDir, '.figma-backup.lock');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('lets only one of several concurrent runs take the lock', async () => {
+    const locks = Array.from({ length: 8 }, () => new RunLock(lockPath));
+    const results = await Promise.allSettled(locks.map((lock, index) => lock.acquire({ execution_id: String(index) })));
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(r => r.status === 'rejected').every(r => r.reason.code === 'ELOCKED')).toBe(true);
+    expect((await fs.readdir(tmpDir))).toEqual(['.figma-backup.lock']);
+
+    const holder = locks[results.findIndex(r => r.status === 'fulfilled')];
+    await holder.release();
+    expect(await fs.pathExists(lockPath)).toBe(false);
+  });
+
+  test('replaces a lock left behind by a process that no longer exists', async () => {
+    await fs.writeJson(lockPath, { pid: 2 ** 22 + 1, hostname: os.hostname(), started_at: new Date().toISOString() });
+
+    const owner = await new RunLock(lockPath).acquire({ execution_id: 'next' });
+
+    expect(owner).toMatchObject({ pid: process.pid, execution_id: 'next' });
+    expect(await fs.readJson(lockPath)).toMatchObject({ execution_id: 'next' });
+  });
+
+  test('treats a lockfile it cannot read as held until it is older than staleAfter', async () => {
+    // 其他程序剛建立、尚未寫入內容的鎖定檔
+    await fs.writeFile(lockPath, '');
+
+    await expect(new RunLock(lockPath).acquire()).rejects.toMatchObject({ code: 'ELOCKED' });
+    expect(await fs.readFile(lockPath, 'utf8')).toBe('');
+
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(lockPath, old, old);
+
+    await expect(new RunLock(lockPath, { staleAfter: 60 * 60 * 1000 }).acquire()).resolves.toMatchObject({ pid: process.pid });
+  });
+});